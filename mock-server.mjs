@@ -0,0 +1,239 @@
+/*
+A small API server to try accounts, orders and reviews locally, without the course server.
+Run it with `npm run mock-server` and start the site with VITE_SERVER_URL=http://localhost:3000/ (see README.md).
+It keeps everything in memory, so restarting it forgets the new users, orders and reviews.
+Endpoints:
+  - POST login                    { email, password }        -> { accessToken, user }, or 401
+  - POST users                    { name, email, password }  -> 201 { accessToken, user }, or 400/409 with a message for each invalid field
+  - GET  products/search/:category                            -> { Result: [product, ...] } (from src/public/json)
+  - GET  product/:id                                          -> { Result: product }
+  - POST checkout                 order                       -> { orderId, message }
+  - GET  orders                   (signed in)                 -> { Result: [order, ...] } of the signed-in user, or 401
+  - GET  orders/:id               (signed in)                 -> { Result: order }, or 401/404
+  - GET  reviews/ratings                                      -> { Result: { <productId>: { average, count } } }
+  - GET  reviews/:productId, POST reviews/:productId
+The access tokens are JWTs signed with HS256 that expire after MOCK_TOKEN_TTL seconds (default 3600).
+A demo user is always there: demo@example.com / password123.
+*/
+
+import { createServer } from "http";
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from "crypto";
+import { existsSync, readFileSync } from "fs";
+import { getCategories } from "./src/js/categories.mjs";
+
+const PORT = Number(process.env.PORT) || 3000;
+const TOKEN_TTL = Number(process.env.MOCK_TOKEN_TTL) || 3600; // Seconds
+const SECRET = randomBytes(32); // Tokens do not survive a restart, like the users
+const jsonDir = new URL("./src/public/json/", import.meta.url);
+const categories = getCategories().map((category) => category.slug); // The categories of the site (see src/js/categories.mjs)
+
+const users = new Map(); // By email
+const orders = [];
+let reviews = readJson("reviews.json") || [];
+
+function readJson(file) {
+  const url = new URL(file, jsonDir);
+  return existsSync(url) ? JSON.parse(readFileSync(url, "utf8")) : null;
+}
+
+function loadProducts(category) {
+  // Give the products of the local files the shape of the API (Images and Category), like normalizeLocalProduct in ProductData.mjs
+  const data = readJson(`${category}.json`);
+  const list = Array.isArray(data) ? data : data?.Result || [];
+  return list.map((product) => {
+    const image = (product.Image || "").replace(/^\.\.\//, "/");
+    return { Category: category, ...product, Images: product.Images || { PrimarySmall: image, PrimaryMedium: image, PrimaryLarge: image, PrimaryExtraLarge: image } };
+  });
+}
+
+const products = Object.fromEntries(categories.map((category) => [category, loadProducts(category)]));
+const findProduct = (id) => Object.values(products).flat().find((product) => product.Id.toUpperCase() === String(id).toUpperCase());
+
+function hashPassword(password, salt = randomBytes(16).toString("hex")) {
+  return `${salt}:${scryptSync(String(password), salt, 32).toString("hex")}`;
+}
+
+function checkPassword(password, stored) {
+  const [salt, hash] = stored.split(":");
+  return timingSafeEqual(Buffer.from(hash, "hex"), scryptSync(String(password), salt, 32));
+}
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+function signToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = `${base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }))}.${base64url(JSON.stringify({ sub: user.email, name: user.name, email: user.email, iat: now, exp: now + TOKEN_TTL }))}`;
+  return `${body}.${createHmac("sha256", SECRET).update(body).digest("base64url")}`;
+}
+
+function verifyToken(header) {
+  // Return the user of a valid "Bearer <token>" header, or null
+  const [, token = ""] = /^Bearer (.+)$/.exec(header || "") || [];
+  const [head, payload, signature] = token.split(".");
+  if (!signature) {
+    return null;
+  }
+  const expected = createHmac("sha256", SECRET).update(`${head}.${payload}`).digest("base64url");
+  if (signature.length !== expected.length || !timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  return claims.exp * 1000 > Date.now() ? users.get(claims.email) || null : null;
+}
+
+function publicUser(user) {
+  return { name: user.name, email: user.email };
+}
+
+function toOrder(id, payload, user) {
+  // Turn the order sent to checkout into the order format of the site (see orderRecords.mjs)
+  const items = (payload.items || []).map((item) => {
+    const product = findProduct(item.id);
+    return {
+      Id: item.id,
+      Name: item.name,
+      Brand: product?.Brand || { Name: "" },
+      Category: product?.Category || null,
+      Images: product?.Images || {},
+      FinalPrice: Number(item.price),
+      SuggestedRetailPrice: Number(item.price),
+      SelectedColor: item.color ? { ColorCode: product?.Colors?.find((color) => color.ColorName === item.color)?.ColorCode || "", ColorName: item.color } : null,
+      SelectedSize: item.size || {},
+      Quantity: Number(item.quantity) || 1,
+    };
+  });
+  const subtotal = items.reduce((sum, item) => sum + item.FinalPrice * item.Quantity, 0);
+  return {
+    id,
+    user: user?.email || null,
+    date: payload.orderDate || new Date().toISOString(),
+    items,
+    address: { fname: payload.fname, lname: payload.lname, street: payload.street, city: payload.city, state: payload.state, zip: payload.zip },
+    totals: {
+      itemCount: items.reduce((count, item) => count + item.Quantity, 0),
+      subtotal: Math.round(subtotal * 100) / 100,
+      coupon: payload.coupon || null,
+      discount: Number(payload.discount) || 0,
+      tax: Number(payload.tax) || 0,
+      shipping: Number(payload.shipping) || 0,
+      total: Number(payload.orderTotal) || 0,
+    },
+  };
+}
+
+function summarize(list) {
+  const rated = list.filter((review) => review.rating >= 1 && review.rating <= 5);
+  const average = rated.reduce((sum, review) => sum + review.rating, 0) / (rated.length || 1);
+  return { average: Math.round(average * 10) / 10, count: rated.length };
+}
+
+const routes = [
+  ["POST", /^\/login$/, ({ body }) => {
+    const user = users.get(String(body.email || "").trim().toLowerCase());
+    if (!user || !checkPassword(body.password || "", user.password)) {
+      return [401, { message: "Invalid email or password." }];
+    }
+    return [200, { accessToken: signToken(user), user: publicUser(user) }];
+  }],
+  ["POST", /^\/users$/, ({ body }) => {
+    const name = String(body.name || "").trim();
+    const email = String(body.email || "").trim().toLowerCase();
+    const errors = {};
+    if (!name) errors.name = "Please enter your name.";
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.email = "Please enter a valid email address.";
+    if (String(body.password || "").length < 8) errors.password = "Your password must be at least 8 characters.";
+    if (Object.keys(errors).length > 0) {
+      return [400, errors];
+    }
+    if (users.has(email)) {
+      return [409, { email: "An account with this email already exists." }];
+    }
+    const user = { name, email, password: hashPassword(body.password) };
+    users.set(email, user);
+    return [201, { accessToken: signToken(user), user: publicUser(user) }];
+  }],
+  ["GET", /^\/products\/search\/([\w-]+)$/, ({ match }) => [200, { Result: products[match[1]] || [] }]],
+  ["GET", /^\/product\/([\w-]+)$/, ({ match }) => [200, { Result: findProduct(match[1]) || null }]],
+  ["POST", /^\/checkout$/, ({ body, user }) => {
+    if (!Array.isArray(body.items) || body.items.length === 0) {
+      return [400, { cart: "Your cart is empty." }];
+    }
+    const order = toOrder(`MOCK-${1000 + orders.length + 1}`, body, user);
+    orders.push(order);
+    return [200, { orderId: order.id, message: "Order Placed" }];
+  }],
+  ["GET", /^\/orders$/, ({ user }) => (user ? [200, { Result: orders.filter((order) => order.user === user.email) }] : [401, { message: "Please sign in." }])],
+  ["GET", /^\/orders\/([\w-]+)$/, ({ match, user }) => {
+    if (!user) {
+      return [401, { message: "Please sign in." }];
+    }
+    const order = orders.find((candidate) => candidate.id === match[1] && candidate.user === user.email);
+    return order ? [200, { Result: order }] : [404, { message: `Order ${match[1]} was not found.` }];
+  }],
+  ["GET", /^\/reviews\/ratings$/, () => {
+    const byProduct = {};
+    reviews.forEach((review) => (byProduct[review.productId] ||= []).push(review));
+    return [200, { Result: Object.fromEntries(Object.entries(byProduct).map(([id, list]) => [id, summarize(list)])) }];
+  }],
+  ["GET", /^\/reviews\/([\w-]+)$/, ({ match }) => [200, { Result: reviews.filter((review) => review.productId === match[1]) }]],
+  ["POST", /^\/reviews\/([\w-]+)$/, ({ match, body }) => {
+    const rating = Number(body.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return [400, { rating: "Please choose a rating from 1 to 5 stars." }];
+    }
+    const review = { ...body, id: `mock-${reviews.length + 1}`, productId: match[1], rating };
+    reviews = [...reviews, review];
+    return [201, { Result: review }];
+  }],
+];
+
+function send(res, status, data) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(data === undefined ? "" : JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let text = "";
+    req.on("data", (chunk) => {
+      text += chunk;
+      if (text.length > 1e6) {
+        reject(new Error("Body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(text));
+    req.on("error", reject);
+  });
+}
+
+users.set("demo@example.com", { name: "Demo Camper", email: "demo@example.com", password: hashPassword("password123") });
+
+createServer(async (req, res) => {
+  if (req.method === "OPTIONS") { // CORS preflight of the site
+    send(res, 204);
+    return;
+  }
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+  for (const [method, pattern, handler] of routes) {
+    const match = pattern.exec(pathname);
+    if (match && method === req.method) {
+      try {
+        const text = req.method === "POST" ? await readBody(req) : "";
+        const [status, data] = handler({ match, body: text ? JSON.parse(text) : {}, user: verifyToken(req.headers.authorization) });
+        send(res, status, data);
+      } catch (err) {
+        send(res, 400, { message: "The request could not be read." });
+      }
+      return;
+    }
+  }
+  send(res, 404, { message: `Nothing at ${pathname}.` });
+}).listen(PORT, () => {
+  process.stdout.write(`Mock API server on http://localhost:${PORT}/ (demo user: demo@example.com / password123)\n`);
+});
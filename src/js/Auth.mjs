@@ -0,0 +1,332 @@
+/*
+====================================
+This module provides an Auth class that signs the user in and out and keeps the session (the token returned by the server) in local storage.
+Accounts live on the API server at VITE_SERVER_URL, which answers these endpoints:
+    - POST login  { email, password }        -> { accessToken, user? }, or a 401 status when the email or password is wrong
+    - POST users  { name, email, password }  -> { accessToken?, user? }, or a 400 status with a message for each invalid field
+The token is a JWT: its payload has the expiry date (exp, in seconds) and the user's name and email.
+A token whose payload cannot be read (or has no exp) is kept for the expiresIn seconds of the answer, or one hour.
+The session is stored under "so-auth" as { token, user: { name, email }, expiresAt }. It is dropped as soon as it expires:
+every read checks the expiry, and a timer tells the subscribers when the session runs out while a page is open.
+Pages never read the "so-auth" key directly: they call the methods of the shared auth instance and subscribe to its changes.
+Without VITE_SERVER_URL there is no server to sign in to, so accounts are turned off (see accountsEnabled).
+The exported entities from this module are:
+- The Auth class.
+- The auth instance shared by every page (stored under "so-auth").
+- The accountsEnabled flag.
+- The decodeToken function, which reads the payload of a JWT.
+====================================
+*/
+
+
+
+import ServicesError from "./ServicesError.mjs"; // Import the ServicesError class thrown when the server refuses to sign the user in
+import { convertToJson } from "./ProductData.mjs"; // Import the function that reads the server's answers
+
+
+
+const baseURL = import.meta.env.VITE_SERVER_URL || ""; // Base URL of the API server
+const DEFAULT_SESSION_SECONDS = 60 * 60; // How long a token without an expiry date is kept
+const EXPIRY_MARGIN = 30 * 1000; // A token is treated as expired 30 seconds early, so a request is never sent with a token that expires on the way
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout cannot wait longer than this (about 24 days)
+
+export const accountsEnabled = Boolean(baseURL); // Accounts need the API server
+
+
+
+export function decodeToken(token) {
+/*=============================
+Description:
+Read the payload of a JWT (the middle part of "header.payload.signature", encoded in base64url).
+The signature is not checked: that is the server's job. The payload is only used to show the user and to know when the token expires.
+Parameters:
+  - token: The token as a string.
+Returns:
+  - The payload object, or null when the token is not a JWT.
+USED IN: setSession method of Auth class.
+=============================*/
+
+  const payload = String(token || "").split(".")[1];
+  if (!payload) {
+    return null;
+  }
+  try {
+    const base64 = payload.replace(/-/g, "+").replace(/_/g, "/"); // base64url -> base64
+    const json = decodeURIComponent(Array.from(atob(base64), (char) => `%${char.charCodeAt(0).toString(16).padStart(2, "0")}`).join("")); // UTF-8 names
+    const data = JSON.parse(json);
+    return data && typeof data === "object" ? data : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+
+
+export default class Auth extends EventTarget {
+/*====================================
+Auth class
+Description:
+This class signs the user in, registers new users, keeps the session in local storage and tells subscribers when the user signs in or out,
+including in other tabs and when the session expires.
+Constructor Parameters:
+    - key: The local storage key of the session (default "so-auth").
+Constructor Variables:
+    - key (from the parameters)
+    - timer (the timer that ends the session when it expires)
+Methods:
+    - getSession(): Returns the session, or null when the user is signed out or the session expired.
+    - getUser(), isLoggedIn(): Return the signed-in user and whether there is one.
+    - getHeaders(): Returns the Authorization header to send with requests to the server.
+    - login(credentials): Signs the user in with an email and password.
+    - register(values): Creates an account and signs the user in.
+    - logout(): Signs the user out.
+    - post(path, body): Sends a request to the account endpoints.
+    - setSession(data): Keeps the token returned by the server.
+    - scheduleExpiry(session): Ends the session when its token expires.
+    - subscribe(listener): Calls a function every time the user signs in or out.
+    - handleStorage(event): Follows the sign ins and outs of other tabs.
+Events:
+    - "change": Sent when the user signs in or out, with detail { action, user }. action is "login", "logout", "expired" or "sync" (another tab).
+USED IN: Through the shared auth instance: the header (header.mjs), the route guards (routes.mjs), login.js, account.js and the requests of
+ProductData, OrderData and ReviewData.
+====================================*/
+
+  constructor(key = "so-auth") { // Initialize the Auth class
+    super();
+    this.key = key; // Local storage key of the session
+    this.timer = null; // Ends the session when it expires
+    if (typeof window !== "undefined") { // Follow the sign ins and outs of other tabs
+      window.addEventListener("storage", (event) => this.handleStorage(event));
+    }
+    this.scheduleExpiry(this.getSession());
+  }
+
+  getSession() {
+  /*
+  Description:
+  This method reads the session from local storage. An expired or unreadable session is removed.
+  Returns:
+      - An object { token, user, expiresAt }, or null when the user is signed out.
+  USED IN: Every method of Auth class that needs the session.
+  ==================================== */
+
+    let session = null;
+    try {
+      session = JSON.parse(localStorage.getItem(this.key));
+    } catch (err) {
+      session = null; // Unreadable data counts as signed out
+    }
+    if (!session || typeof session.token !== "string" || !Number.isFinite(session.expiresAt)) {
+      return null;
+    }
+    if (session.expiresAt - EXPIRY_MARGIN <= Date.now()) { // The token expired
+      localStorage.removeItem(this.key);
+      return null;
+    }
+    return session;
+  }
+
+  getUser() {
+  /*
+  Description:
+  This method returns the signed-in user.
+  Returns:
+      - An object { name, email }, or null when the user is signed out.
+  USED IN: The account menu of the header and account.js.
+  ==================================== */
+
+    return this.getSession()?.user || null;
+  }
+
+  isLoggedIn() {
+  /*
+  Description:
+  This method tells whether a user is signed in with a token that has not expired.
+  USED IN: The route guards of routes.mjs, the header and login.js.
+  ==================================== */
+
+    return this.getSession() !== null;
+  }
+
+  getHeaders() {
+  /*
+  Description:
+  This method returns the headers that identify the user to the server, to add to the headers of a request.
+  Returns:
+      - { Authorization: "Bearer <token>" }, or an empty object when the user is signed out.
+  USED IN: The remote sources of ProductData, OrderData and ReviewData.
+  ==================================== */
+
+    const session = this.getSession();
+    return session ? { Authorization: `Bearer ${session.token}` } : {};
+  }
+
+  async login({ email, password }) {
+  /*
+  Description:
+  This method sends the email and password to the login endpoint and keeps the session the server returns.
+  Parameters:
+      - credentials: An object with email and password.
+  Returns:
+      - A promise that resolves to the signed-in user, or rejects with a ServicesError (401 for a wrong email or password) or a TypeError (no server).
+  USED IN: login.js when the sign in form is submitted, and register method of Auth class.
+  ==================================== */
+
+    const data = await this.post("login", { email: String(email).trim(), password });
+    return this.setSession(data, { email });
+  }
+
+  async register({ name, email, password }) {
+  /*
+  Description:
+  This method creates an account with the users endpoint and signs the new user in.
+  When the server does not return a token with the new account, the user is signed in with the login endpoint.
+  Parameters:
+      - values: An object with name, email and password.
+  Returns:
+      - A promise that resolves to the signed-in user, or rejects with a ServicesError (400 with a message for each invalid field) or a TypeError.
+  USED IN: login.js when the registration form is submitted.
+  ==================================== */
+
+    const data = await this.post("users", { name: String(name).trim(), email: String(email).trim(), password });
+    if (!data?.accessToken) {
+      return this.login({ email, password });
+    }
+    return this.setSession(data, { name, email });
+  }
+
+  async post(path, body) {
+  /*
+  Description:
+  This method POSTs a JSON body to an endpoint of the account server.
+  Parameters:
+      - path: The endpoint, relative to VITE_SERVER_URL.
+      - body: The object to send.
+  Returns:
+      - A promise that resolves to the JSON answer, or rejects with a ServicesError.
+  USED IN: login and register methods of Auth class.
+  ==================================== */
+
+    if (!accountsEnabled) {
+      throw new ServicesError(503, path, null, "Accounts are not available without the API server.");
+    }
+    const url = `${baseURL}${path}`;
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return convertToJson(response, url);
+  }
+
+  setSession(data, fallbackUser = {}) {
+  /*
+  Description:
+  This method keeps the token returned by the server, with its expiry date and user, and tells the subscribers the user signed in.
+  Parameters:
+      - data: The answer of the server, with accessToken (or token), and optionally user and expiresIn (in seconds).
+      - fallbackUser: Optional. The name and email typed by the user, used when neither the answer nor the token has them.
+  Returns:
+      - The signed-in user.
+  USED IN: login and register methods of Auth class.
+  ==================================== */
+
+    const token = data?.accessToken || data?.token;
+    if (typeof token !== "string" || !token) {
+      throw new ServicesError(500, "login", data, "The server did not return a token.");
+    }
+    const payload = decodeToken(token) || {}; // The claims of the token
+    const expiresAt = Number.isFinite(payload.exp)
+      ? payload.exp * 1000 // exp is in seconds
+      : Date.now() + (Number(data.expiresIn) || DEFAULT_SESSION_SECONDS) * 1000;
+    const user = {
+      name: String(data.user?.name || payload.name || fallbackUser.name || "").trim(),
+      email: String(data.user?.email || payload.email || fallbackUser.email || "").trim(),
+    };
+    const session = { token, user, expiresAt };
+    localStorage.setItem(this.key, JSON.stringify(session));
+    this.scheduleExpiry(session);
+    this.notify("login", user);
+    return user;
+  }
+
+  logout() {
+  /*
+  Description:
+  This method forgets the session and tells the subscribers the user signed out.
+  USED IN: The "Sign Out" buttons of the header and the account page, and the pages whose requests were refused with a 401 status.
+  ==================================== */
+
+    localStorage.removeItem(this.key);
+    this.scheduleExpiry(null);
+    this.notify("logout", null);
+  }
+
+  scheduleExpiry(session) {
+  /*
+  Description:
+  This method starts a timer that ends the session when its token expires, so the header and the protected pages
+  follow without waiting for the next click. The previous timer is stopped.
+  Parameters:
+      - session: The session, or null to only stop the timer.
+  USED IN: constructor, setSession, logout and handleStorage methods of Auth class.
+  ==================================== */
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!session) {
+      return;
+    }
+    const delay = session.expiresAt - EXPIRY_MARGIN - Date.now(); // Time left
+    this.timer = setTimeout(() => {
+      if (!this.isLoggedIn()) { // The session ran out (isLoggedIn removes it)
+        this.notify("expired", null);
+      } else { // Waited the longest a timer can; wait again
+        this.scheduleExpiry(this.getSession());
+      }
+    }, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY));
+  }
+
+  notify(action, user) {
+  // Send a "change" event with the signed-in user to the subscribers
+  // USED IN: Every method of Auth class that signs the user in or out.
+    this.dispatchEvent(new CustomEvent("change", { detail: { action, user } }));
+  }
+
+  handleStorage(event) {
+  /*
+  Description:
+  This method follows the sign ins and outs of other tabs, so every tab shows the same user.
+  Parameters:
+      - event: The storage event sent by the browser. Its key is null when another tab cleared the whole local storage.
+  USED IN: The storage listener set up in the constructor.
+  ==================================== */
+
+    if (event.key !== null && event.key !== this.key) { // Another value changed
+      return;
+    }
+    const session = this.getSession();
+    this.scheduleExpiry(session);
+    this.notify("sync", session?.user || null);
+  }
+
+  subscribe(listener) {
+  /*
+  Description:
+  This method calls a function every time the user signs in or out.
+  Parameters:
+      - listener: A function that receives { action, user }.
+  Returns:
+      - A function that stops the subscription.
+  USED IN: setupHeader in header.mjs (account menu) and startPage in routes.mjs (protected pages).
+  ==================================== */
+
+    const handler = (event) => listener(event.detail);
+    this.addEventListener("change", handler);
+    return () => this.removeEventListener("change", handler);
+  }
+}
+
+
+
+export const auth = new Auth("so-auth"); // The session shared by every page
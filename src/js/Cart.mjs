@@ -0,0 +1,663 @@
+/*
+====================================
+This module provides a Cart class that is the only place where the shopping cart and the wishlist are read from and written to local storage.
+Pages never touch the "so-cart" key directly: they call the methods of the shared cart instance and subscribe to its changes.
+The cart is stored as a small versioned object instead of whole product objects:
+    {
+      "version": 2,
+      "items": [
+        { "id": "541HM", "name": "Kelty Revol 50L Backpack", "brand": "Kelty", "category": "backpacks",
+          "image": "https://...", "images": { "PrimarySmall": "https://...", "PrimaryLarge": "https://..." },
+          "price": 129.95, "originalPrice": 159.95,
+          "color": { "code": "01", "name": "Forest Green" }, "size": { "SIZE": "M" }, "quantity": 2 }
+      ],
+      "coupon": "SLEEP10",
+      "saved": [],
+      "revision": 12,
+      "writer": "k3f9x2"
+    }
+saved holds the wishlist (products saved for later) in the same line format. Saved lines are not part of the cart totals.
+revision counts the changes made to the cart and writer identifies the tab that made the last one. They keep tabs in sync:
+every tab listens to the "storage" event, which the browser sends to the other tabs of the site when one of them changes the cart,
+and a tab whose change was overwritten by a change made at the same moment in another tab applies its change again on top of it.
+Older carts (version 1: an array of whole products with a Quantity property, and the promo code under "so-cart-coupon")
+are migrated to this format the first time they are read. Corrupt or unreadable data is copied to "so-cart-backup" and the cart starts empty.
+The exported entities from this module are:
+- The Cart class.
+- The cart instance shared by every page (stored under "so-cart").
+- The combineDuplicateItems function, used to migrate old carts.
+====================================
+*/
+
+
+
+import { setLocalStorage } from "./utils.mjs"; // Import the utility function that saves data to local storage
+import { getCartSubtotal } from "./pricing.mjs"; // Import the pricing function that adds up the cart
+import { getCartItemKey } from "./variants.mjs"; // Import the function that identifies cart lines by product ID, color and size
+
+
+
+const CART_VERSION = 2; // Version of the stored cart format
+const LEGACY_COUPON_KEY = "so-cart-coupon"; // Where version 1 carts kept the promo code
+
+
+
+export function combineDuplicateItems(items) {
+/*=============================
+Description:
+Combine cart items with the same ID, color and size by summing their quantities.
+Two colors or sizes of the same product stay separate lines (see getCartItemKey in variants.mjs).
+Parameters:
+  - items: An array of cart items (product objects with a Quantity property).
+Returns:
+  - A new array with one item per ID, color and size, each with the combined Quantity. A missing or invalid Quantity counts as 1.
+USED IN: Cart class to migrate version 1 carts, which could hold the same product several times.
+=============================*/
+
+  const byKey = new Map(); // Items by their ID, color and size
+  items.forEach((item) => { // For each item...
+    const quantity = Number(item.Quantity) || 1; // Its quantity, 1 when missing or invalid
+    const key = getCartItemKey(item); // The ID, color and size of the item
+    const existing = byKey.get(key); // An item with the same key seen before
+    if (existing) { // Add the quantity to it
+      existing.Quantity += quantity;
+    } else { // Or keep a copy of the item
+      byKey.set(key, { ...item, Quantity: quantity });
+    }
+  });
+  return Array.from(byKey.values());
+}
+
+
+
+function toLine(product, { quantity = 1, color = null, size = {} } = {}) {
+// Build a stored cart line from a product and the chosen variant
+// =============================
+// Only the values the cart, the promo codes and checkout need are kept.
+// A color other than the first one keeps its own preview image, so the cart shows the color that was chosen.
+// USED IN: add method of Cart class and the migration of version 1 carts.
+// =============================
+
+  const isDefaultColor = !color || color.ColorCode === product.Colors?.[0]?.ColorCode; // The main image shows the first color
+  return {
+    id: String(product.Id),
+    name: product.Name || product.NameWithoutBrand || "",
+    brand: product.Brand?.Name || "",
+    category: product.Category || null,
+    image: (!isDefaultColor && color.ColorPreviewImageSrc) || product.Images?.PrimaryMedium || product.Image || "",
+    images: isDefaultColor ? pickImageWidths(product.Images) : {}, // The other widths of the image, for the srcset of the cart (a color preview only has one)
+    price: Number(product.FinalPrice ?? product.ListPrice), // What the customer pays for one unit
+    originalPrice: Number(product.SuggestedRetailPrice ?? product.ListPrice ?? product.FinalPrice), // The price before any discount
+    color: color ? { code: color.ColorCode || "", name: color.ColorName || "" } : null,
+    size: { ...size },
+    quantity,
+  };
+}
+
+
+
+function pickImageWidths(images) {
+// Keep the small and large widths of a product image (the medium one is the image of the line), for the srcset of the cart
+// Lines saved before the widths were kept have none, and show their single image.
+// USED IN: toLine and validateLine functions.
+  const widths = {};
+  ["PrimarySmall", "PrimaryLarge"].forEach((name) => {
+    if (typeof images?.[name] === "string" && images[name]) {
+      widths[name] = images[name];
+    }
+  });
+  return widths;
+}
+
+
+
+function validateLine(line) {
+// Check a stored cart line against the version 2 format
+// =============================
+// Returns a clean copy of the line, or null when the line cannot be used (no ID or no valid price).
+// Quantities are whole numbers of at least 1, and unexpected values are replaced by empty ones.
+// USED IN: read method of Cart class.
+// =============================
+
+  if (!line || typeof line !== "object" || !line.id || !Number.isFinite(Number(line.price)) || Number(line.price) < 0) {
+    return null; // Unusable line
+  }
+  const originalPrice = Number(line.originalPrice);
+  const size = line.size && typeof line.size === "object" ? line.size : {};
+  return {
+    id: String(line.id),
+    name: typeof line.name === "string" ? line.name : "",
+    brand: typeof line.brand === "string" ? line.brand : "",
+    category: typeof line.category === "string" ? line.category : null,
+    image: typeof line.image === "string" ? line.image : "",
+    images: pickImageWidths(line.images),
+    price: Number(line.price),
+    originalPrice: Number.isFinite(originalPrice) ? originalPrice : Number(line.price),
+    color: line.color && typeof line.color === "object" ? { code: String(line.color.code || ""), name: String(line.color.name || "") } : null,
+    size: Object.fromEntries(Object.entries(size).filter(([, value]) => typeof value === "string")), // Only text values
+    quantity: Math.max(1, Math.floor(Number(line.quantity)) || 1),
+  };
+}
+
+
+
+function toCartItem(line) {
+// Give a stored cart line the product property names used by the templates and the pricing, promo code and variant functions
+// USED IN: getItems method of Cart class.
+  return {
+    Id: line.id,
+    Name: line.name,
+    Brand: { Name: line.brand },
+    Category: line.category,
+    Images: { ...line.images, PrimaryMedium: line.image },
+    FinalPrice: line.price,
+    SuggestedRetailPrice: line.originalPrice,
+    SelectedColor: line.color ? { ColorCode: line.color.code, ColorName: line.color.name } : null,
+    SelectedSize: { ...line.size },
+    Quantity: line.quantity,
+  };
+}
+
+
+
+function moveLine(from, to, itemKey) {
+// Move the line with a key from one list of stored lines to another, adding its quantity to the same variant if it is already there
+// USED IN: saveForLater and moveToCart methods of Cart class.
+  const index = from.findIndex((item) => getCartItemKey(toCartItem(item)) === itemKey); // Where the line is
+  if (index === -1) { // It was moved or removed in the meantime
+    return;
+  }
+  const [line] = from.splice(index, 1); // Take it out of the first list
+  const existing = to.find((item) => getCartItemKey(toCartItem(item)) === itemKey); // The same variant in the second list
+  if (existing) {
+    existing.quantity += line.quantity;
+  } else {
+    to.push(line);
+  }
+}
+
+
+
+export default class Cart extends EventTarget {
+/*====================================
+Cart class
+Description:
+This class reads and writes the shopping cart in local storage and tells subscribers when it changes, including changes made in other tabs.
+The cart is read from local storage before every change, so changes made on another page are never overwritten with an old copy.
+Constructor Parameters:
+    - key: The local storage key of the cart (default "so-cart").
+Constructor Variables:
+    - key (from the parameters)
+    - tabId (a random ID of this tab, saved as the writer of its changes)
+    - lastChange (the last change made by this tab, kept so it can be applied again if another tab overwrote it)
+Methods:
+    - getItems(): Returns the cart items.
+    - getCount(): Returns the number of units in the cart.
+    - getTotal(): Returns the cart subtotal.
+    - getCoupon(), setCoupon(code): Read and change the promo code saved with the cart.
+    - add(product, options): Adds a product (with its chosen color and size) to the cart.
+    - update(itemKey, quantity): Changes the quantity of a line.
+    - remove(itemKey): Removes a line.
+    - restore(removed): Puts a removed line back (undo).
+    - clear(): Empties the cart and removes the promo code. The wishlist is kept.
+    - getSaved(), getSavedCount(): Return the wishlist lines and their number.
+    - save(product, options): Adds a product (with its chosen color and size) to the wishlist.
+    - saveForLater(itemKey): Moves a cart line to the wishlist.
+    - moveToCart(itemKey): Moves a wishlist line to the cart.
+    - removeSaved(itemKey): Removes a line from the wishlist.
+    - subscribe(listener): Calls a function every time the cart changes.
+    - handleStorage(event): Follows the changes made in other tabs.
+Events:
+    - "change": Sent after every change, with detail { action, items, saved }. Changes made in another tab have the action "sync".
+USED IN: Through the shared cart instance: ProductDetails, cart.js, CheckoutProcess, coupons.mjs and the header badge in header.mjs.
+====================================*/
+
+  constructor(key = "so-cart") { // Initialize the Cart class
+    super();
+    this.key = key; // Local storage key of the cart
+    this.tabId = Math.random().toString(36).slice(2, 8); // Identifies the changes made by this tab
+    this.lastChange = null; // { revision, action, change } of the last change made by this tab
+    if (typeof window !== "undefined") { // Follow the changes made in other tabs
+      window.addEventListener("storage", (event) => this.handleStorage(event));
+    }
+  }
+
+  read() {
+  /*
+  Description:
+  This method reads the cart from local storage and returns it in the version 2 format.
+      - No cart yet: an empty cart.
+      - A version 1 cart (an array of products): its items are combined, slimmed down and saved in the new format.
+      - Corrupt data (invalid JSON or an unknown format): the raw value is copied to "<key>-backup" and the cart starts empty.
+  Lines that do not match the format are dropped.
+  Returns:
+      - An object { version, items, coupon, saved, revision, writer }.
+  USED IN: Every method of Cart class.
+  ==================================== */
+
+    const empty = { version: CART_VERSION, items: [], coupon: null, saved: [], revision: 0, writer: null }; // The cart when there is nothing to read
+    const raw = localStorage.getItem(this.key); // The stored text
+    if (raw === null) { // Nothing stored yet
+      return empty;
+    }
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (err) {
+      return this.recover(raw, empty); // Invalid JSON
+    }
+    if (Array.isArray(data)) { // Version 1: an array of whole products
+      return this.migrate(data);
+    }
+    if (!data || data.version !== CART_VERSION || !Array.isArray(data.items)) { // Not a format this code knows
+      return this.recover(raw, empty);
+    }
+    return {
+      version: CART_VERSION,
+      items: data.items.map(validateLine).filter(Boolean), // Keep the lines that match the format
+      coupon: typeof data.coupon === "string" && data.coupon ? data.coupon : null,
+      saved: Array.isArray(data.saved) ? data.saved.map(validateLine).filter(Boolean) : [], // Carts saved before the wishlist existed have none
+      revision: Number.isInteger(data.revision) ? data.revision : 0, // Carts saved before tabs were synced have no revision
+      writer: typeof data.writer === "string" ? data.writer : null,
+    };
+  }
+
+  migrate(products) {
+  /*
+  Description:
+  This method converts a version 1 cart (whole products with a Quantity) to the version 2 format, saves it,
+  and moves the promo code from its old key into the cart.
+  Parameters:
+      - products: The array of products read from local storage.
+  Returns:
+      - The cart in the version 2 format.
+  USED IN: read method of Cart class.
+  ==================================== */
+
+    const items = combineDuplicateItems(products.filter((product) => product && product.Id)) // Combine repeated products and skip unusable entries
+      .map((product) => toLine(product, {
+        quantity: product.Quantity,
+        color: product.SelectedColor || product.Colors?.[0] || null, // Old lines had no chosen color; the cart showed the first one
+        size: product.SelectedSize,
+      }))
+      .map(validateLine)
+      .filter(Boolean);
+    let coupon = null; // The promo code saved under its old key, if any
+    try {
+      coupon = JSON.parse(localStorage.getItem(LEGACY_COUPON_KEY)) || null;
+    } catch (err) {
+      coupon = null; // An unreadable code is dropped
+    }
+    localStorage.removeItem(LEGACY_COUPON_KEY);
+    const stored = { version: CART_VERSION, items, coupon: typeof coupon === "string" ? coupon : null, saved: [], revision: 0, writer: null };
+    setLocalStorage(this.key, stored); // Save the cart in the new format
+    return stored;
+  }
+
+  recover(raw, empty) {
+  /*
+  Description:
+  This method keeps a copy of cart data that cannot be read, so it is not lost, and replaces it with an empty cart.
+  Parameters:
+      - raw: The stored text that could not be read.
+      - empty: The empty cart to use instead.
+  Returns:
+      - The empty cart.
+  USED IN: read method of Cart class.
+  ==================================== */
+
+    localStorage.setItem(`${this.key}-backup`, raw); // Keep the unreadable value
+    setLocalStorage(this.key, empty); // Start again with an empty cart
+    return empty;
+  }
+
+  mutate(action, change) {
+  /*
+  Description:
+  This method reads the latest cart, applies a change to it, saves it with the next revision and tells the subscribers.
+  The change is kept so it can be applied again when another tab overwrote it (see handleStorage).
+  Parameters:
+      - action: The name of the change ("add", "update", "remove", "restore", "clear", "coupon", "save", "saveForLater", "moveToCart" or "removeSaved").
+      - change: A function that changes the cart object it receives.
+  Returns:
+      - None
+  USED IN: Every method of Cart class that changes the cart, and handleStorage.
+  ==================================== */
+
+    const stored = this.read(); // Read the cart again so a change made in another tab is kept
+    change(stored);
+    stored.revision += 1; // One more change
+    stored.writer = this.tabId; // Made by this tab
+    this.lastChange = { revision: stored.revision, action, change };
+    setLocalStorage(this.key, stored);
+    this.notify(action, stored);
+  }
+
+  notify(action, stored) {
+  /*
+  Description:
+  This method sends a "change" event with the cart items to the subscribers.
+  Parameters:
+      - action: The change that was made, or "sync" for a change made in another tab.
+      - stored: The cart in the version 2 format.
+  Returns:
+      - None
+  USED IN: mutate and handleStorage methods of Cart class.
+  ==================================== */
+
+    this.dispatchEvent(new CustomEvent("change", { detail: { action, items: stored.items.map(toCartItem), saved: stored.saved.map(toCartItem) } }));
+  }
+
+  handleStorage(event) {
+  /*
+  Description:
+  This method follows the changes another tab made to the cart, so the cart page and the header badge stay up to date.
+      - Events for other keys are ignored. An event for an older value is ignored too: the event of the newest value follows.
+      - When the other tab saved the same or an older revision than the last change of this tab, both tabs changed the cart at the same moment
+        and this tab's change was lost, so it is applied again on top of the other tab's cart. Otherwise the subscribers are told about the change.
+      - Once a later revision of another tab was seen, this tab's last change is part of the cart, so it is forgotten and never applied again.
+      - When another tab removed the cart or cleared the whole local storage, that was done on purpose (e.g. signing out or clearing the site data),
+        so the empty cart is kept and this tab's last change is forgotten too.
+  Parameters:
+      - event: The storage event sent by the browser. Its key is null when another tab cleared the whole local storage.
+  Returns:
+      - None
+  USED IN: The storage listener set up in the constructor.
+  ==================================== */
+
+    if (event.key !== null && event.key !== this.key) { // Another value changed
+      return;
+    }
+    if (event.key !== null && event.newValue !== localStorage.getItem(this.key)) { // The cart changed again since; wait for that event
+      return;
+    }
+    const removed = event.key === null || event.newValue === null; // The other tab removed the cart or cleared the storage
+    const stored = this.read(); // The cart saved by the other tab
+    const lost = !removed && this.lastChange && stored.writer !== this.tabId && stored.revision <= this.lastChange.revision; // Our last change was overwritten
+    if (lost) { // Apply it again on top of the other tab's cart
+      const { action, change } = this.lastChange;
+      this.lastChange = null; // Only once
+      this.mutate(action, change);
+      return;
+    }
+    this.lastChange = null; // The other tab's cart already holds our last change, or replaced it on purpose
+    this.notify("sync", stored); // Show the other tab's change
+  }
+
+  getItems() {
+  /*
+  Description:
+  This method returns the cart items with the product property names the templates and pricing functions use
+  (Id, Name, Brand.Name, Category, Images.PrimaryMedium, FinalPrice, SuggestedRetailPrice, SelectedColor, SelectedSize, Quantity).
+  Returns:
+      - An array of cart items. Changing it does not change the cart; use the other methods for that.
+  USED IN: cart.js, CheckoutProcess and the coupon functions.
+  ==================================== */
+
+    return this.read().items.map(toCartItem);
+  }
+
+  getCount() {
+  /*
+  Description:
+  This method returns the number of units in the cart (the sum of the quantities).
+  USED IN: countCartItems in header.mjs for the header badge.
+  ==================================== */
+
+    return this.read().items.reduce((total, line) => total + line.quantity, 0);
+  }
+
+  getTotal() {
+  /*
+  Description:
+  This method returns the cart subtotal (sale price times quantity of every line), before any promo code.
+  USED IN: Available to pages that only need the subtotal (the cart and checkout totals come from calculateOrderTotals in orderTotals.mjs).
+  ==================================== */
+
+    return getCartSubtotal(this.getItems());
+  }
+
+  getCoupon() {
+  /*
+  Description:
+  This method returns the promo code saved with the cart, or null.
+  USED IN: getAppliedCoupon in coupons.mjs.
+  ==================================== */
+
+    return this.read().coupon;
+  }
+
+  setCoupon(code) {
+  /*
+  Description:
+  This method saves a promo code with the cart, or removes it when code is empty.
+  Parameters:
+      - code: The code to save, or null.
+  USED IN: setAppliedCoupon in coupons.mjs.
+  ==================================== */
+
+    this.mutate("coupon", (stored) => {
+      stored.coupon = code || null;
+    });
+  }
+
+  add(product, { quantity = 1, color = null, size = {} } = {}) {
+  /*
+  Description:
+  This method adds a product to the cart. When the same product, color and size is already in the cart, its quantity is increased.
+  Parameters:
+      - product: The product object.
+      - options: An object with:
+          - quantity: The number of units to add (default 1).
+          - color: The chosen color object from product.Colors, or null.
+          - size: An object with the chosen size for each kind of size (e.g. { SIZE: "M" }).
+  Returns:
+      - None
+  USED IN: addProductToCart method of ProductDetails class.
+  ==================================== */
+
+    const line = validateLine(toLine(product, { quantity: Math.max(1, Number(quantity) || 1), color, size })); // The line to add
+    if (!line) { // A product without an ID or price cannot be added
+      return;
+    }
+    const key = getCartItemKey(toCartItem(line)); // Identifies the line by ID, color and size
+    this.mutate("add", (stored) => {
+      const existing = stored.items.find((item) => getCartItemKey(toCartItem(item)) === key); // The same variant already in the cart
+      if (existing) { // Add to its quantity
+        existing.quantity += line.quantity;
+      } else { // Or add a copy of the line, so applying the change again does not share it
+        stored.items.push({ ...line });
+      }
+    });
+  }
+
+  update(itemKey, quantity) {
+  /*
+  Description:
+  This method changes the quantity of a cart line. Quantities below 1 become 1.
+  Parameters:
+      - itemKey: The key of the line (see getCartItemKey in variants.mjs).
+      - quantity: The new quantity.
+  Returns:
+      - None
+  USED IN: The quantity inputs of the cart page.
+  ==================================== */
+
+    this.mutate("update", (stored) => {
+      const line = stored.items.find((item) => getCartItemKey(toCartItem(item)) === itemKey); // The line to change
+      if (line) { // Unless it was removed in the meantime
+        line.quantity = Math.max(1, Math.floor(Number(quantity)) || 1);
+      }
+    });
+  }
+
+  remove(itemKey) {
+  /*
+  Description:
+  This method removes a line from the cart.
+  Parameters:
+      - itemKey: The key of the line (see getCartItemKey in variants.mjs).
+  Returns:
+      - An object { line, index } with the removed line and its position, to give to restore, or null when the line was not in the cart.
+  USED IN: The remove buttons of the cart page.
+  ==================================== */
+
+    let removed = null; // The removed line and its position
+    this.mutate("remove", (stored) => {
+      const index = stored.items.findIndex((item) => getCartItemKey(toCartItem(item)) === itemKey); // Where the line is
+      if (index !== -1) { // Unless it was removed in the meantime
+        removed = { line: { ...stored.items[index] }, index };
+        stored.items.splice(index, 1);
+      }
+    });
+    return removed;
+  }
+
+  restore({ line, index }) {
+  /*
+  Description:
+  This method puts a removed line back in the cart, at the position it had. When the same variant was added again in the meantime,
+  the quantities are added together.
+  Parameters:
+      - removed: The object returned by remove, { line, index }.
+  Returns:
+      - None
+  USED IN: The "Undo" button of the alert shown when a line is removed from the cart page.
+  ==================================== */
+
+    const key = getCartItemKey(toCartItem(line)); // Identifies the line by ID, color and size
+    this.mutate("restore", (stored) => {
+      const existing = stored.items.find((item) => getCartItemKey(toCartItem(item)) === key); // The same variant, added again since
+      if (existing) {
+        existing.quantity += line.quantity;
+      } else { // A copy, so applying the change again does not share it
+        stored.items.splice(Math.min(index, stored.items.length), 0, { ...line });
+      }
+    });
+  }
+
+  clear() {
+  /*
+  Description:
+  This method empties the cart and removes the promo code.
+  USED IN: checkout method of CheckoutProcess class after an order is placed.
+  ==================================== */
+
+    this.mutate("clear", (stored) => {
+      stored.items = [];
+      stored.coupon = null;
+    });
+  }
+
+  getSaved() {
+  /*
+  Description:
+  This method returns the wishlist lines, with the same property names as the cart items.
+  Returns:
+      - An array of items.
+  USED IN: wishlist.js and ProductDetails.
+  ==================================== */
+
+    return this.read().saved.map(toCartItem);
+  }
+
+  getSavedCount() {
+  /*
+  Description:
+  This method returns the number of lines in the wishlist.
+  USED IN: countWishlistItems in header.mjs for the header badge.
+  ==================================== */
+
+    return this.read().saved.length;
+  }
+
+  save(product, { color = null, size = {} } = {}) {
+  /*
+  Description:
+  This method adds a product to the wishlist. The same product, color and size is only saved once.
+  Parameters:
+      - product: The product object.
+      - options: An object with the chosen color object and size object (both optional).
+  Returns:
+      - None
+  USED IN: addProductToWishlist method of ProductDetails class.
+  ==================================== */
+
+    const line = validateLine(toLine(product, { quantity: 1, color, size })); // The line to save
+    if (!line) { // A product without an ID or price cannot be saved
+      return;
+    }
+    const key = getCartItemKey(toCartItem(line));
+    this.mutate("save", (stored) => {
+      if (!stored.saved.some((item) => getCartItemKey(toCartItem(item)) === key)) { // Not saved yet
+        stored.saved.push({ ...line });
+      }
+    });
+  }
+
+  saveForLater(itemKey) {
+  /*
+  Description:
+  This method moves a line from the cart to the wishlist, keeping its quantity. It no longer counts in the cart totals.
+  When the same variant is already in the wishlist, the quantities are added together.
+  Parameters:
+      - itemKey: The key of the cart line (see getCartItemKey in variants.mjs).
+  Returns:
+      - None
+  USED IN: The "Save for later" buttons of the cart page.
+  ==================================== */
+
+    this.mutate("saveForLater", (stored) => moveLine(stored.items, stored.saved, itemKey));
+  }
+
+  moveToCart(itemKey) {
+  /*
+  Description:
+  This method moves a line from the wishlist to the cart, keeping its quantity.
+  When the same variant is already in the cart, the quantities are added together.
+  Parameters:
+      - itemKey: The key of the wishlist line.
+  Returns:
+      - None
+  USED IN: The "Move to cart" buttons of the wishlist page.
+  ==================================== */
+
+    this.mutate("moveToCart", (stored) => moveLine(stored.saved, stored.items, itemKey));
+  }
+
+  removeSaved(itemKey) {
+  /*
+  Description:
+  This method removes a line from the wishlist.
+  Parameters:
+      - itemKey: The key of the wishlist line.
+  Returns:
+      - None
+  USED IN: The remove buttons of the wishlist page.
+  ==================================== */
+
+    this.mutate("removeSaved", (stored) => {
+      stored.saved = stored.saved.filter((item) => getCartItemKey(toCartItem(item)) !== itemKey); // Keep every other line
+    });
+  }
+
+  subscribe(listener) {
+  /*
+  Description:
+  This method calls a function every time the cart changes.
+  Parameters:
+      - listener: A function that receives { action, items, saved }.
+  Returns:
+      - A function that stops the subscription.
+  USED IN: setupHeader in header.mjs (header badge) and cart.js (cart page).
+  ==================================== */
+
+    const handler = (event) => listener(event.detail); // Pass the details of the change to the listener
+    this.addEventListener("change", handler);
+    return () => this.removeEventListener("change", handler);
+  }
+}
+
+
+
+export const cart = new Cart("so-cart"); // The cart shared by every page
@@ -0,0 +1,511 @@
+/*
+====================================
+This module provides a CheckoutProcess class to manage the checkout page.
+The CheckoutProcess class reads the cart, calculates and displays the order summary,
+validates the shipping and payment form, and sends the order to the server.
+Once the order is placed, it is kept (see OrderData.mjs) and the order confirmation page is opened.
+The only exported entity from this module is the CheckoutProcess class, which contains the following:
+- A constructor to initialize the cart, the summary element selector and the data source.
+- An init method to load the cart and display the order summary.
+- Methods to calculate the subtotal, promo code discount, tax, shipping and order total (with the rules of orderTotals.mjs),
+  again when the shipping address changes, since the tax rate depends on it.
+- A validateForm method to check each form field and show per-field error messages.
+- A checkout method to package the order, POST it to the server and keep it for the order pages.
+====================================
+*/
+
+
+
+import { qs } from "./utils.mjs"; // Import the utility function for selecting elements
+import ServicesError from "./ServicesError.mjs"; // Import the ServicesError class to recognize errors returned by the server
+import { formatCurrency, getCartSubtotal, getSalePrice } from "./pricing.mjs"; // Import the pricing functions to calculate and format prices
+import { getCartDiscount } from "./coupons.mjs"; // Import the promo code function to apply the code saved with the cart
+import { calculateOrderTotals } from "./orderTotals.mjs"; // Import the function that calculates shipping, tax and the order total
+import { createOrderRecord, getOrderURL } from "./orderRecords.mjs"; // Import the order functions to keep the placed order
+import { navigate } from "./routes.mjs"; // Import the function that opens another page of the site
+import { dismissAlert, showAlert } from "./alerts.mjs"; // Import the alert functions to report what stopped the order
+
+
+
+const ERROR_ALERT = "checkout-errors"; // The id of the alert that reports why the order was not placed, replaced at each attempt
+
+
+
+const fieldMessages = {
+// Error messages shown under each form field when its value is missing or invalid
+// =============================
+// The keys match the name attribute of the inputs in checkout/index.html.
+// "missing" is used when a required field is empty, "invalid" when the value does not match the expected format.
+// USED IN: validateField function to pick the message to show for a field.
+// =============================
+  fname: { missing: "Please enter your first name." },
+  lname: { missing: "Please enter your last name." },
+  street: { missing: "Please enter your street address." },
+  city: { missing: "Please enter your city." },
+  state: { missing: "Please enter your state.", invalid: "Use the two letter state code (e.g. ID)." },
+  zip: { missing: "Please enter your zip code.", invalid: "Zip code must be 5 digits." },
+  cardNumber: { missing: "Please enter your card number.", invalid: "Card number must be 16 digits." },
+  expiration: { missing: "Please enter the card expiration date.", invalid: "Use MM/YY for a date that has not passed." },
+  code: { missing: "Please enter the security code.", invalid: "Security code must be 3 digits." },
+};
+
+
+
+function formDataToJSON(formElement) {
+// Convert the form fields into a plain object
+// =============================
+// Description:
+// This function reads every named field of a form using FormData and returns an object where each key is the field name and each value is the field value.
+// Parameters:
+//   - formElement: The form element to read.
+// Returns:
+//   - An object with the form values, e.g. { fname: "Jane", zip: "83440", ... }.
+// USED IN: checkout method of CheckoutProcess class to build the order payload.
+// =============================
+
+  const formData = new FormData(formElement); // Read all the named fields of the form
+  const convertedJSON = {}; // Object that will hold the form values
+  formData.forEach((value, key) => { // For each field in the form...
+    convertedJSON[key] = typeof value === "string" ? value.trim() : value; // Store its value, trimming extra spaces around text
+  });
+  return convertedJSON; // Return the object with the form values
+}
+
+
+
+function packageItems(items) {
+// Convert the cart items into the slim item list the server expects
+// =============================
+// Description:
+// The checkout endpoint only needs the id, name, price and quantity of each line,
+// plus the chosen color and size so the right variant is shipped.
+// Parameters:
+//   - items: The array of cart items from the cart.
+// Returns:
+//   - An array of objects with id, name, price, quantity, color and size properties.
+// USED IN: checkout method of CheckoutProcess class to build the order payload.
+// =============================
+
+  return items.map((item) => ({
+    id: item.Id, // The product ID
+    name: item.Name, // The full product name (brand + name)
+    price: getSalePrice(item), // The price paid for one unit
+    quantity: Number(item.Quantity) || 1, // The number of units, defaulting to 1 like the cart page does
+    color: item.SelectedColor?.ColorName || item.Colors?.[0]?.ColorName || "", // The chosen color
+    size: item.SelectedSize || {}, // The chosen size for each kind of size, e.g. { SIZE: "M" }
+  }));
+}
+
+
+
+function isExpirationValid(value) {
+// Check an MM/YY expiration date
+// =============================
+// Description:
+// Returns true when the value is in the MM/YY format and the card is still valid at the end of that month.
+// Parameters:
+//   - value: The expiration date entered by the user.
+// Returns:
+//   - true if the date is valid and not in the past, false otherwise.
+// USED IN: validateField function to validate the expiration field.
+// =============================
+
+  const match = /^(0[1-9]|1[0-2])\/(\d{2})$/.exec(value); // Split the value into month and two-digit year
+  if (!match) { // If the value is not in the MM/YY format...
+    return false;
+  }
+  const month = Number(match[1]); // Month from 1 to 12
+  const year = 2000 + Number(match[2]); // Full year, e.g. 27 -> 2027
+  const endOfMonth = new Date(year, month, 1); // First day of the following month, which is when the card stops working
+  return endOfMonth > new Date(); // The card is valid if that day is still in the future
+}
+
+
+
+function validateField(input) {
+// Validate a single form field and show or clear its error message
+// =============================
+// Description:
+// This function uses the browser's constraint validation (required, pattern) plus a custom check for the expiration date.
+// It writes the matching message from fieldMessages into the error element that follows the input and marks the input as invalid for assistive technology.
+// Parameters:
+//   - input: The form input element to validate.
+// Returns:
+//   - true if the field is valid, false otherwise.
+// USED IN: validateField and validateForm methods of CheckoutProcess class.
+// =============================
+
+  const messages = fieldMessages[input.name] || {}; // Messages for this field, if any
+  let message = ""; // Empty message means the field is valid
+  if (input.validity.valueMissing) { // If a required field is empty...
+    message = messages.missing || "This field is required.";
+  } else if (!input.validity.valid || (input.name === "expiration" && !isExpirationValid(input.value.trim()))) { // If the value does not match the expected format...
+    message = messages.invalid || "Please check this value.";
+  }
+  showFieldError(input, message); // Show the message (or clear it when empty)
+  return message === ""; // Valid when no message was set
+}
+
+
+
+function showFieldError(input, message) {
+// Show or clear the error message of a form field
+// =============================
+// Description:
+// Each input in checkout/index.html has an element with the id "<name>-error" to hold its error message.
+// Parameters:
+//   - input: The form input element.
+//   - message: The message to show, or an empty string to clear it.
+// Returns:
+//   - None
+// USED IN: validateField function and showServerErrors method of CheckoutProcess class.
+// =============================
+
+  const errorElement = document.getElementById(`${input.name}-error`); // The element that holds the field's error message
+  if (errorElement) { // If the element exists, update its text
+    errorElement.textContent = message;
+  }
+  if (message) { // If there is an error, mark the input as invalid
+    input.setAttribute("aria-invalid", "true");
+  } else { // Otherwise clear the invalid state
+    input.removeAttribute("aria-invalid");
+  }
+}
+
+
+
+export default class CheckoutProcess {
+/*====================================
+Checkout Process class
+Description:
+This class manages the checkout page. It reads the cart, calculates the order summary and sends the order to the server.
+Constructor Parameters:
+    - cart: The Cart instance to read and clear (see Cart.mjs).
+    - outputSelector: A CSS selector for the element that contains the order summary.
+    - dataSource: The ProductData instance used to send the order to the server.
+    - orderData: Optional. The OrderData instance that keeps the placed order for the order pages.
+Constructor Variables:
+    - cart, outputSelector, dataSource, orderData (from the parameters)
+    - list (the cart items)
+    - coupon (the promo code applied to the cart, if any)
+    - totalsConfig (the order totals rules) and destination (the state and zip code of the form)
+    - itemTotal, discount, tax, shipping, orderTotal (the order summary values) and totals (their breakdown, see calculateOrderTotals)
+Methods:
+    - init(): Loads the cart and displays the order summary.
+    - applyCoupon(rules): Applies the promo code saved with the cart.
+    - applyTotalsConfig(config): Uses the shipping and tax rules once they are loaded.
+    - setDestination(destination): Uses the tax rate of the shipping address.
+    - calculateItemSubTotal(): Calculates the subtotal and the number of items.
+    - calculateOrderTotal(): Calculates tax, shipping and the order total.
+    - displayOrderTotals(): Shows the order summary values on the page.
+    - validateField(input): Validates a single field of the form.
+    - validateForm(form): Validates every field of the form.
+    - checkout(form): Packages the order and sends it to the server.
+    - saveOrder(order, response): Keeps the placed order and opens its confirmation page.
+    - showServerErrors(errors, form): Shows the errors returned by the server.
+    - showConfirmation(response): Replaces the form with an order confirmation, when the order could not be kept.
+USED IN: checkout.js to run the checkout page.
+====================================*/
+
+  constructor(cart, outputSelector, dataSource, orderData = null) { // Initialize the CheckoutProcess class
+    this.cart = cart; // The cart to order
+    this.outputSelector = outputSelector; // Selector of the order summary element
+    this.dataSource = dataSource; // Data source used to send the order
+    this.orderData = orderData; // Order store used to keep the placed order
+    this.list = []; // Cart items
+    this.itemCount = 0; // Number of units in the cart
+    this.itemTotal = 0; // Sum of price * quantity of all items
+    this.coupon = null; // Promo code applied to the cart
+    this.discount = 0; // Amount taken off the subtotal by the promo code
+    this.tax = 0; // Sales tax
+    this.shipping = 0; // Shipping charge
+    this.orderTotal = 0; // Subtotal - discount + tax + shipping
+    this.totalsConfig = null; // Shipping and tax rules (the defaults of orderTotals.mjs until they are loaded)
+    this.destination = null; // State and zip code of the shipping address, for the tax rate
+    this.totals = null; // Breakdown of the order summary
+  }
+
+  init() {
+  /*
+  Description:
+  This method loads the cart items and displays the order summary.
+  USED IN: checkout.js when the page loads.
+  ==================================== */
+
+    this.list = this.cart.getItems(); // Read the cart items
+    this.calculateItemSubTotal(); // Calculate the subtotal and number of items
+    this.calculateOrderTotal(); // Calculate tax, shipping and the order total
+  }
+
+  applyCoupon(rules) {
+  /*
+  Description:
+  This method checks the promo code saved with the cart against the promo code rules and recalculates the order summary.
+  A code that does not apply to the cart (e.g. under its minimum order) is ignored.
+  Parameters:
+      - rules: The promo code rules from loadCouponRules.
+  Returns:
+      - None
+  USED IN: checkout.js once the promo code rules are loaded.
+  ==================================== */
+
+    const coupon = getCartDiscount(this.list, rules); // The saved code checked against the cart
+    this.coupon = coupon?.valid ? coupon : null; // Keep it only when it applies
+    this.calculateOrderTotal(); // Recalculate with the discount
+  }
+
+  applyTotalsConfig(config) {
+  /*
+  Description:
+  This method uses the shipping and tax rules and recalculates the order summary.
+  Parameters:
+      - config: The order totals rules from loadTotalsConfig.
+  Returns:
+      - None
+  USED IN: checkout.js once the order totals rules are loaded.
+  ==================================== */
+
+    this.totalsConfig = config;
+    this.calculateOrderTotal();
+  }
+
+  setDestination(destination) {
+  /*
+  Description:
+  This method uses the tax rate of the shipping address and recalculates the order summary, so the tax and the total follow the zip code as it is typed.
+  Nothing is recalculated while the address gives the same values.
+  Parameters:
+      - destination: An object with state and zip, the values of the form. Incomplete values get the default tax rate.
+  Returns:
+      - None
+  USED IN: checkout.js when the state or zip code fields change.
+  ==================================== */
+
+    if (this.destination?.state === destination.state && this.destination?.zip === destination.zip) { // Nothing changed
+      return;
+    }
+    this.destination = { state: destination.state, zip: destination.zip };
+    this.calculateOrderTotal();
+  }
+
+  calculateItemSubTotal() {
+  /*
+  Description:
+  This method calculates the number of units and the subtotal (price * quantity of every item) of the cart
+  and shows them in the order summary.
+  USED IN: init method of CheckoutProcess class.
+  ==================================== */
+
+    this.itemCount = this.list.reduce((count, item) => count + (Number(item.Quantity) || 1), 0); // Total number of units in the cart
+    this.itemTotal = getCartSubtotal(this.list); // Sum the price of each item multiplied by its quantity
+    const summary = qs(this.outputSelector); // The order summary element
+    qs("#num-items", summary).textContent = this.itemCount; // Show the number of items
+    qs("#subtotal", summary).textContent = formatCurrency(this.itemTotal); // Show the subtotal
+  }
+
+  calculateOrderTotal() {
+  /*
+  Description:
+  This method calculates the promo code discount, the tax, the shipping charge and the order total and then displays them.
+  Shipping and tax follow the rules of order-totals.json (see orderTotals.mjs): shipping by number of items or weight, free above a threshold
+  or with a free shipping promo code, and tax by the state and zip code of the form, charged on the subtotal after the discount.
+  USED IN: init, applyCoupon, applyTotalsConfig and setDestination methods of CheckoutProcess class.
+  ==================================== */
+
+    this.totals = calculateOrderTotals(this.list, { coupon: this.coupon, destination: this.destination, config: this.totalsConfig }); // Every amount of the order
+    this.discount = this.totals.discount; // Discount of the applied promo code
+    this.tax = this.totals.tax; // Tax of the discounted subtotal (and of shipping, when the rules tax it)
+    this.shipping = this.totals.shipping; // Shipping charge
+    this.orderTotal = this.totals.total; // Order total is the sum of all the charges
+    this.displayOrderTotals(); // Show the values on the page
+  }
+
+  displayOrderTotals() {
+  /*
+  Description:
+  This method shows the discount, tax, shipping and order total in the order summary, formatted as currency.
+  The discount line is only shown when a promo code applies. The tax line names its rate, and free shipping says why it is free.
+  USED IN: calculateOrderTotal method of CheckoutProcess class.
+  ==================================== */
+
+    const summary = qs(this.outputSelector); // The order summary element
+    const discountLine = qs(".order-summary__discount", summary); // The discount line
+    discountLine.classList.toggle("hide", !this.coupon); // Only show it with a promo code
+    qs("#discount-code", summary).textContent = this.coupon ? this.coupon.code : ""; // Show the code
+    qs("#discount", summary).textContent = this.coupon?.freeShipping ? "Free shipping" : `-${formatCurrency(this.discount)}`; // Show the discount
+    const lines = Object.fromEntries(this.totals.lines.map((line) => [line.id, line])); // The lines of the breakdown by id
+    qs("#tax-label", summary).textContent = lines.tax.label; // e.g. "Tax (6%)", or "Estimated tax (6%)" until the address is complete
+    qs("#tax", summary).textContent = formatCurrency(this.tax); // Show the tax
+    qs("#shipping-label", summary).textContent = lines.shipping.free ? lines.shipping.label : "Shipping Estimate"; // Say why shipping is free
+    qs("#shipping", summary).textContent = lines.shipping.free ? "Free" : formatCurrency(this.shipping); // Show the shipping charge
+    qs("#orderTotal", summary).textContent = formatCurrency(this.orderTotal); // Show the order total
+  }
+
+  validateField(input) {
+  /*
+  Description:
+  This method validates a single field of the checkout form and shows or clears its error message.
+  Parameters:
+      - input: The form input element to validate.
+  Returns:
+      - true if the field is valid, false otherwise.
+  USED IN: checkout.js to validate a field when the user leaves it.
+  ==================================== */
+
+    return validateField(input); // Validate the field with the module's validateField function
+  }
+
+  validateForm(form) {
+  /*
+  Description:
+  This method validates every field of the checkout form and shows a message under each invalid field.
+  The first invalid field receives focus so the user can fix it.
+  Parameters:
+      - form: The checkout form element.
+  Returns:
+      - true if every field is valid, false otherwise.
+  USED IN: checkout method of CheckoutProcess class.
+  ==================================== */
+
+    const inputs = Array.from(form.querySelectorAll("input[name]")); // Every named input of the form
+    const invalid = inputs.filter((input) => !validateField(input)); // Validate each input and keep the invalid ones
+    if (invalid.length > 0) { // If any field is invalid, move the focus to the first one
+      invalid[0].focus();
+    }
+    return invalid.length === 0; // The form is valid when no field is invalid
+  }
+
+  async checkout(form) {
+  /*
+  Description:
+  This method validates the form, packages the cart and the form values into an order and sends it to the server.
+  On success the order is kept, the cart is cleared and the order confirmation page is opened. On failure the errors returned by the server are shown.
+  Parameters:
+      - form: The checkout form element.
+  Returns:
+      - The server response on success, or undefined when the order was not placed.
+  USED IN: checkout.js in the submit listener of the checkout form.
+  ==================================== */
+
+    dismissAlert(ERROR_ALERT); // Close the errors of a previous attempt
+    if (!this.validateForm(form)) { // Stop if the form has invalid fields
+      const count = form.querySelectorAll("[aria-invalid='true']").length; // The fields showing an error
+      showAlert(`Please fix the ${count === 1 ? "highlighted field" : `${count} highlighted fields`} to place your order.`, { type: "error", id: ERROR_ALERT });
+      return;
+    }
+    if (this.list.length === 0) { // Stop if there is nothing to order
+      this.showServerErrors({ cart: "Your cart is empty." }, form);
+      return;
+    }
+
+    const order = formDataToJSON(form); // Start the order with the form values
+    order.orderDate = new Date().toISOString(); // Add the date of the order
+    order.items = packageItems(this.list); // Add the cart items in the format the server expects
+    order.orderTotal = this.orderTotal.toFixed(2); // Add the order total
+    if (this.coupon) { // Add the promo code and its discount
+      order.coupon = this.coupon.code;
+      order.discount = this.discount.toFixed(2);
+    }
+    order.shipping = this.shipping.toFixed(2); // Add the shipping charge
+    order.tax = this.tax.toFixed(2); // Add the tax
+
+    const submitButton = qs("button[type='submit']", form); // The submit button, disabled while the order is being sent
+    submitButton.disabled = true; // Prevent the order from being sent twice
+    try {
+      const response = await this.dataSource.checkout(order); // Send the order to the server
+      const saved = await this.saveOrder(order, response); // Keep the order before the cart is cleared
+      this.cart.clear(); // Clear the cart and its promo code now that the order was placed (the header badge updates itself)
+      if (saved) { // Open the order confirmation page
+        navigate(getOrderURL(saved, { placed: true }));
+      } else { // Or confirm the order on this page
+        this.showConfirmation(response);
+      }
+      return response; // Return the server response
+    } catch (err) {
+      const errors = err instanceof ServicesError
+        ? err.body || err.message // The server answered: show its messages
+        : "We could not reach the server. Please check your connection and try again."; // The request never reached the server
+      this.showServerErrors(errors, form); // Show what went wrong
+    } finally {
+      submitButton.disabled = false; // Allow the user to try again
+    }
+  }
+
+  async saveOrder(order, response) {
+  /*
+  Description:
+  This method keeps a placed order for the order confirmation and "My orders" pages, with the order number returned by the server
+  (or a number made up on this browser when the server did not return one). The payment details are not kept.
+  The order was already placed, so a failure to keep it is not reported as a failed order: the confirmation is shown on the checkout page instead.
+  Parameters:
+      - order: The order sent to the server.
+      - response: The server response, which may contain an orderId.
+  Returns:
+      - The kept order, or null when it could not be kept (or there is no order store).
+  USED IN: checkout method of CheckoutProcess class.
+  ==================================== */
+
+    if (!this.orderData) {
+      return null;
+    }
+    const record = createOrderRecord(order, this.list, {
+      itemCount: this.itemCount,
+      subtotal: this.itemTotal,
+      coupon: this.coupon?.code,
+      discount: this.discount,
+      tax: this.tax,
+      shipping: this.shipping,
+      total: this.orderTotal,
+    });
+    try {
+      return await this.orderData.saveOrder({ id: String(response?.orderId || response?.id || `SO-${Date.now()}`), ...record });
+    } catch (err) {
+      return null; // e.g. local storage is full
+    }
+  }
+
+  showServerErrors(errors, form) {
+  /*
+  Description:
+  This method shows the errors returned by the server.
+  When an error key matches a form field name, the message is shown under that field. Other messages are shown in an error alert
+  (see alerts.mjs), which otherwise asks the user to check the highlighted fields.
+  Parameters:
+      - errors: An object of messages keyed by field name, or a plain string message.
+      - form: The checkout form element.
+  Returns:
+      - None
+  USED IN: checkout method of CheckoutProcess class.
+  ==================================== */
+
+    const messages = typeof errors === "object" && errors !== null ? errors : { error: errors || "Something went wrong. Please try again." }; // Always work with an object of messages
+    const general = []; // Messages that do not belong to a field
+    Object.entries(messages).forEach(([key, message]) => { // For each message...
+      const input = form.elements[key]; // The field it belongs to, if any
+      if (input instanceof HTMLInputElement) { // If it belongs to a field, show it under the field
+        showFieldError(input, String(message));
+      } else { // Otherwise keep it for the general list
+        general.push(String(message));
+      }
+    });
+    showAlert(general.length > 0 ? general.join(" ") : "Please check the highlighted fields and try again.", { type: "error", id: ERROR_ALERT }); // The alert sets the text with textContent, so HTML in the messages is not rendered
+  }
+
+  showConfirmation(response) {
+  /*
+  Description:
+  This method replaces the checkout form and order summary with a confirmation message.
+  Parameters:
+      - response: The server response, which may contain an orderId.
+  Returns:
+      - None
+  USED IN: checkout method of CheckoutProcess class.
+  ==================================== */
+
+    const confirmation = qs(".order-confirmation"); // The confirmation section of the page
+    const orderId = response?.orderId || response?.id; // The order number returned by the server, if any
+    qs(".order-confirmation__number", confirmation).textContent = orderId ? `Your order number is ${orderId}.` : ""; // Show the order number when there is one
+    qs(".checkout-form").classList.add("hide"); // Hide the form
+    confirmation.classList.remove("hide"); // Show the confirmation
+  }
+}
@@ -0,0 +1,230 @@
+/*
+====================================
+This module provides a CompareList class that keeps the products the user chose to compare (the compare tray) in local storage.
+The list holds at most MAX_COMPARE products and only the values the tray needs to show them without loading them:
+    [{ "id": "880RR", "name": "Marmot Ajax Tent - 3-Person, 3-Season", "image": "https://..." }]
+The comparison page loads the products again (see compare.js), so it always shows today's prices.
+Like the cart, every tab follows the changes made in the other tabs through the "storage" event.
+The exported entities from this module are:
+- The CompareList class.
+- The compareList instance shared by every page (stored under "so-compare").
+- The MAX_COMPARE constant.
+- The getComparisonRows function, which lays out the values of the compared products side by side.
+====================================
+*/
+
+
+
+import { getLocalStorage, setLocalStorage } from "./utils.mjs"; // Import the local storage helpers
+import { formatCurrency, getDiscount } from "./pricing.mjs"; // Import the pricing functions to show prices and discounts
+import { getSizeOptions } from "./variants.mjs"; // Import the variant function that lists the sizes of a product
+
+
+
+export const MAX_COMPARE = 4; // Number of products that can be compared at the same time
+
+
+
+export function getComparisonRows(products) {
+/*=============================
+Description:
+Lay out the values of the compared products side by side: brand, price, discount, colors, sizes and description.
+A row whose values are not all the same is marked, so the page can highlight the differences.
+Parameters:
+  - products: The compared products, in the order of their columns.
+Returns:
+  - An array of { key, label, values, differs }, where values has one text per product ("—" when the product has no value)
+    and differs is true when at least two products have different values. The description values are the HTML of the product,
+    to be sanitized before they are rendered.
+This function does not read or write local storage, so it can be tested on its own.
+USED IN: compare.js to render the comparison table.
+=============================*/
+
+  const rows = [
+    { key: "brand", label: "Brand", value: (product) => product.Brand?.Name },
+    { key: "price", label: "Price", value: (product) => formatCurrency(getDiscount(product).sale) },
+    {
+      key: "discount",
+      label: "Discount",
+      value: (product) => {
+        const discount = getDiscount(product);
+        return discount.percent > 0 ? `${discount.percent}% off (save ${formatCurrency(discount.amount)})` : "";
+      },
+    },
+    { key: "colors", label: "Colors", value: (product) => (product.Colors || []).map((color) => color.ColorName).filter(Boolean).join(", ") },
+    {
+      key: "sizes",
+      label: "Sizes",
+      value: (product) => getSizeOptions(product).map((option) => `${option.label}: ${option.values.join(", ")}`).join("; "),
+    },
+    { key: "description", label: "Description", value: (product) => product.DescriptionHtmlSimple },
+  ];
+  return rows.map(({ key, label, value }) => {
+    const values = products.map((product) => String(value(product) ?? "").trim() || "—"); // One text per product
+    return { key, label, values, differs: new Set(values).size > 1 };
+  });
+}
+
+
+
+export default class CompareList extends EventTarget {
+/*====================================
+Compare List class
+Description:
+This class reads and changes the list of products to compare, and tells its subscribers when the list changes.
+Constructor Parameters:
+    - key: The local storage key of the list (default "so-compare").
+Constructor Variables:
+    - key (from the parameter)
+Methods:
+    - getItems(): Returns the compared products ({ id, name, image }).
+    - has(id): Tells whether a product is compared.
+    - isFull(): Tells whether MAX_COMPARE products are compared.
+    - add(product): Adds a product, unless the list is full.
+    - remove(id): Removes a product.
+    - clear(): Removes every product.
+    - subscribe(listener): Calls a function every time the list changes.
+    - handleStorage(event): Follows the changes made in other tabs.
+Events:
+    - "change": Sent after every change, with detail { action, items }. Changes made in another tab have the action "sync".
+USED IN: Through the shared compareList instance: productCardTemplate, CompareTray and compare.js.
+====================================*/
+
+  constructor(key = "so-compare") { // Initialize the CompareList class
+    super();
+    this.key = key; // Local storage key of the list
+    if (typeof window !== "undefined") { // Follow the changes made in other tabs
+      window.addEventListener("storage", (event) => this.handleStorage(event));
+    }
+  }
+
+  getItems() {
+  /*
+  Description:
+  This method reads the compared products. Entries without an ID are dropped and the list is cut to MAX_COMPARE products.
+  Returns:
+      - An array of { id, name, image }, in the order they were added.
+  USED IN: Every method of CompareList class, CompareTray and compare.js.
+  ==================================== */
+
+    const items = getLocalStorage(this.key);
+    return (Array.isArray(items) ? items : [])
+      .filter((item) => item && typeof item.id === "string" && item.id)
+      .slice(0, MAX_COMPARE)
+      .map((item) => ({ id: item.id, name: String(item.name || ""), image: String(item.image || "") }));
+  }
+
+  has(id) {
+  /*
+  Description:
+  This method tells whether a product is in the list.
+  Parameters:
+      - id: The product ID.
+  Returns:
+      - true or false.
+  USED IN: productCardTemplate and CompareTray (checked state of the "Compare" toggles), and add method.
+  ==================================== */
+
+    return this.getItems().some((item) => item.id === String(id));
+  }
+
+  isFull() {
+  /*
+  Description:
+  This method tells whether the list already holds MAX_COMPARE products.
+  USED IN: add method.
+  ==================================== */
+
+    return this.getItems().length >= MAX_COMPARE;
+  }
+
+  add(product) {
+  /*
+  Description:
+  This method adds a product to the end of the list. A product already in the list is not added twice.
+  Parameters:
+      - product: A product object (or a { id, name, image } entry of another list).
+  Returns:
+      - true when the product is in the list afterwards, false when the list was full.
+  USED IN: handleToggle method of CompareTray, when a "Compare" toggle is checked.
+  ==================================== */
+
+    const id = String(product.Id ?? product.id);
+    if (this.has(id)) {
+      return true;
+    }
+    if (this.isFull()) {
+      return false;
+    }
+    const name = product.name ?? [product.Brand?.Name, product.NameWithoutBrand].filter(Boolean).join(" ");
+    const image = product.image ?? (product.Images?.PrimarySmall || product.Images?.PrimaryMedium || "");
+    this.save([...this.getItems(), { id, name: name || product.Name || "", image }], "add");
+    return true;
+  }
+
+  remove(id) {
+  /*
+  Description:
+  This method removes a product from the list.
+  Parameters:
+      - id: The product ID.
+  Returns:
+      - None
+  USED IN: CompareTray (unchecked toggles and the remove buttons of the tray) and the remove buttons of the comparison page.
+  ==================================== */
+
+    this.save(this.getItems().filter((item) => item.id !== String(id)), "remove");
+  }
+
+  clear() {
+  /*
+  Description:
+  This method removes every product from the list.
+  USED IN: The "Clear" button of CompareTray.
+  ==================================== */
+
+    this.save([], "clear");
+  }
+
+  save(items, action) {
+  // Save the list and tell the subscribers
+  // USED IN: add, remove and clear methods.
+    setLocalStorage(this.key, items);
+    this.dispatchEvent(new CustomEvent("change", { detail: { action, items } }));
+  }
+
+  handleStorage(event) {
+  /*
+  Description:
+  This method follows the changes made to the list in other tabs.
+  Parameters:
+      - event: The storage event sent by the browser. Its key is null when another tab cleared the whole local storage.
+  USED IN: The storage listener set up in the constructor.
+  ==================================== */
+
+    if (event.key !== null && event.key !== this.key) { // Another value changed
+      return;
+    }
+    this.dispatchEvent(new CustomEvent("change", { detail: { action: "sync", items: this.getItems() } }));
+  }
+
+  subscribe(listener) {
+  /*
+  Description:
+  This method calls a function every time the list changes.
+  Parameters:
+      - listener: A function that receives { action, items }.
+  Returns:
+      - A function that stops the subscription.
+  USED IN: CompareTray and compare.js.
+  ==================================== */
+
+    const handler = (event) => listener(event.detail);
+    this.addEventListener("change", handler);
+    return () => this.removeEventListener("change", handler);
+  }
+}
+
+
+
+export const compareList = new CompareList("so-compare"); // The compare list shared by every page
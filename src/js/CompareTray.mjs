@@ -0,0 +1,153 @@
+/*
+====================================
+This module provides a CompareTray class to manage the compare tray: a bar at the bottom of every page that lists the products
+chosen with the "Compare" toggle of the product cards (see productCardTemplate), with a link to the comparison page.
+The tray is added to the body, outside the main content, so it stays on screen when the router of the single-page mode changes the page.
+It is hidden while no product is chosen.
+The only exported entity from this module is the CompareTray class, which contains the following:
+- A constructor to initialize the compare list.
+- An init method to add the tray to the page and set up the event listeners.
+- A render method to show the chosen products.
+- A syncToggles method to check the "Compare" toggles of the chosen products.
+- A handleToggle method to add or remove the product of a toggle.
+====================================
+*/
+
+
+
+import { html, renderWithTemplate } from "./utils.mjs"; // Import the html template tag, which escapes every value, and the function that renders it
+import { MAX_COMPARE } from "./CompareList.mjs"; // Import the number of products that can be compared
+import { showAlert } from "./alerts.mjs"; // Import the function that explains why a product was not added
+
+
+
+export default class CompareTray {
+/*====================================
+Compare Tray class
+Description:
+This class shows the compare tray and keeps it, and the "Compare" toggles of the product cards, in step with the compare list.
+Constructor Parameters:
+    - compareList: The CompareList instance to show and change (see CompareList.mjs).
+Constructor Variables:
+    - compareList (from the parameter)
+    - element (the tray element, set by init)
+Methods:
+    - init(): Adds the tray to the page and sets up the event listeners.
+    - render(): Shows the chosen products, or hides the tray when there is none.
+    - syncToggles(): Checks the toggles of the chosen products and unchecks the others.
+    - handleToggle(input): Adds or removes the product of a toggle.
+USED IN: setupHeader in header.mjs, once per page load.
+====================================*/
+
+  constructor(compareList) { // Initialize the CompareTray class
+    this.compareList = compareList; // The products to compare
+    this.element = null; // The tray
+  }
+
+  init() {
+  /*
+  Description:
+  This method adds the tray to the page, shows the chosen products and sets up the listeners:
+      - change on the document: a "Compare" toggle of a product card was checked or unchecked.
+      - click in the tray: a product was removed, or the tray was cleared.
+      - the compare list: the tray and the toggles are updated after every change, also the changes made in another tab.
+  USED IN: setupHeader in header.mjs.
+  ==================================== */
+
+    this.element = document.createElement("aside");
+    this.element.className = "compare-tray hide";
+    this.element.setAttribute("aria-label", "Products to compare");
+    document.body.appendChild(this.element);
+    this.render();
+
+    document.addEventListener("change", (event) => { // The toggles are added and removed with the cards, so listen on the document
+      if (event.target.classList?.contains("product-card__compare-input")) {
+        this.handleToggle(event.target);
+      }
+    });
+
+    this.element.addEventListener("click", (event) => {
+      const removeButton = event.target.closest(".compare-tray__remove"); // The remove button of a product, if any
+      if (removeButton) {
+        this.compareList.remove(removeButton.dataset.id);
+      } else if (event.target.closest(".compare-tray__clear")) { // The "Clear" button
+        this.compareList.clear();
+      }
+    });
+
+    this.compareList.subscribe(() => {
+      this.render();
+      this.syncToggles();
+    });
+  }
+
+  render() {
+  /*
+  Description:
+  This method shows the chosen products with their image, name and a remove button, and the link to the comparison page,
+  which needs at least two products. The tray is hidden when no product is chosen.
+  USED IN: init method, and after every change of the compare list.
+  ==================================== */
+
+    const items = this.compareList.getItems(); // The chosen products
+    this.element.classList.toggle("hide", items.length === 0);
+    renderWithTemplate(html`
+      <h2 class="compare-tray__title">Compare (${items.length}/${MAX_COMPARE})</h2>
+      <ul class="compare-tray__list">
+        ${items.map((item) => html`
+        <li class="compare-tray__item">
+          ${item.image && html`<img src="${item.image}" alt="" width="40" height="40" />`}
+          <span class="compare-tray__name">${item.name}</span>
+          <button type="button" class="compare-tray__remove" data-id="${item.id}" aria-label="Remove ${item.name} from the comparison">×</button>
+        </li>`)}
+      </ul>
+      <div class="compare-tray__actions">
+        ${items.length > 1
+          ? html`<a class="compare-tray__link" href="/compare/index.html">Compare ${items.length} products</a>`
+          : html`<span class="compare-tray__hint">Choose another product to compare.</span>`}
+        <button type="button" class="compare-tray__clear">Clear</button>
+      </div>`, this.element);
+  }
+
+  syncToggles() {
+  /*
+  Description:
+  This method checks the "Compare" toggle of every card showing a chosen product and unchecks the others,
+  e.g. after a product was removed from the tray or chosen in another tab.
+  USED IN: init method, after every change of the compare list.
+  ==================================== */
+
+    document.querySelectorAll(".product-card__compare-input").forEach((input) => {
+      input.checked = this.compareList.has(input.dataset.id);
+    });
+  }
+
+  handleToggle(input) {
+  /*
+  Description:
+  This method adds the product of a checked toggle to the compare list, or removes the product of an unchecked one.
+  When MAX_COMPARE products are already chosen, the toggle is unchecked again and an alert explains why.
+  Parameters:
+      - input: The "Compare" checkbox of a product card, with the ID, name and image of its product in data attributes.
+  Returns:
+      - None
+  USED IN: The change listener set up in init.
+  ==================================== */
+
+    const { id, name, image } = input.dataset; // The product of the card
+    if (!input.checked) {
+      this.compareList.remove(id);
+      return;
+    }
+    if (this.compareList.add({ id, name, image })) {
+      return;
+    }
+    input.checked = false; // The list is full
+    showAlert(`You can compare up to ${MAX_COMPARE} products. Remove one from the compare tray to add ${name}.`, {
+      type: "info",
+      id: "compare-full",
+      linkLabel: "Compare now",
+      linkHref: "/compare/index.html",
+    });
+  }
+}
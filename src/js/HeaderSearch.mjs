@@ -0,0 +1,211 @@
+/*
+====================================
+This module provides a HeaderSearch class to manage the search box in the header.
+While the user types, the HeaderSearch class shows up to six matching products under the search box (type-ahead suggestions).
+The suggestions can be chosen with the mouse or with the arrow keys and Enter. Submitting the form opens the search results page.
+The only exported entity from this module is the HeaderSearch class, which contains the following:
+- A constructor to initialize the search form and the data source.
+- An init method to set up the event listeners.
+- A suggest method to search and show the suggestions.
+- A renderSuggestions method to display the suggestions.
+- A close method to hide the suggestions.
+====================================
+*/
+
+
+
+import { html, renderWithTemplate } from "./utils.mjs"; // Import the html template tag, which escapes text, and the function that renders it
+import { getSearchTerms, highlightTerms } from "./productSearch.mjs"; // Import the search helpers to highlight the matched words
+
+
+
+const SUGGESTION_LIMIT = 6; // Maximum number of suggestions shown
+const MIN_QUERY_LENGTH = 2; // Number of characters needed before suggestions are shown
+const DEBOUNCE_MS = 200; // Time to wait after the last key press before searching
+
+
+
+export default class HeaderSearch {
+/*====================================
+Header Search class
+Description:
+This class adds type-ahead suggestions to the search form of the header (public/partials/header.html).
+Constructor Parameters:
+    - form: The search form element.
+    - dataSource: The ProductData instance used to search products.
+Constructor Variables:
+    - form, dataSource (from the parameters)
+    - input (the search input)
+    - list (the element that holds the suggestions)
+    - activeIndex (the suggestion selected with the arrow keys, -1 for none)
+    - timer (the debounce timer)
+    - requestId (a counter used to ignore answers to old searches)
+Methods:
+    - init(): Sets up the event listeners of the form.
+    - suggest(query): Searches and shows the suggestions for a query.
+    - renderSuggestions(products, query): Displays the suggestions.
+    - moveActive(step): Moves the selection with the arrow keys.
+    - close(): Hides the suggestions.
+USED IN: setupHeader in header.mjs after the header is rendered.
+====================================*/
+
+  constructor(form, dataSource) { // Initialize the HeaderSearch class
+    this.form = form; // The search form
+    this.dataSource = dataSource; // Used to search products
+    this.input = form.querySelector("input[name='q']"); // The search input
+    this.list = form.querySelector(".search__suggestions"); // The suggestions list
+    this.activeIndex = -1; // No suggestion is selected
+    this.timer = null; // Debounce timer
+    this.requestId = 0; // Increases with each search
+  }
+
+  init() {
+  /*
+  Description:
+  This method fills the input with the current search (on the results page) and sets up the listeners:
+      - input: search after the user stops typing.
+      - keydown: arrow keys, Enter and Escape in the suggestions.
+      - focusout: close the suggestions when the focus leaves the form.
+      - submit: do not submit an empty search.
+  USED IN: setupHeader in header.mjs.
+  ==================================== */
+
+    const currentQuery = new URLSearchParams(window.location.search).get("q"); // The search shown on the results page, if any
+    if (currentQuery && /^\/search(\/|$)/.test(window.location.pathname)) { // Keep it in the box so the user can refine it (search/index.html, or the /search route)
+      this.input.value = currentQuery;
+    }
+
+    this.input.addEventListener("input", () => { // The user typed...
+      clearTimeout(this.timer); // Cancel the search of the previous key press
+      this.timer = setTimeout(() => this.suggest(this.input.value), DEBOUNCE_MS); // Search once the user stops typing
+    });
+
+    this.input.addEventListener("keydown", (event) => { // Keyboard navigation in the suggestions
+      if (event.key === "ArrowDown") { // Select the next suggestion
+        event.preventDefault();
+        this.moveActive(1);
+      } else if (event.key === "ArrowUp") { // Select the previous suggestion
+        event.preventDefault();
+        this.moveActive(-1);
+      } else if (event.key === "Enter" && this.activeIndex >= 0) { // Open the selected suggestion instead of submitting the form
+        event.preventDefault();
+        this.list.querySelectorAll("a")[this.activeIndex].click();
+      } else if (event.key === "Escape") { // Close the suggestions
+        this.close();
+      }
+    });
+
+    this.form.addEventListener("focusout", (event) => { // The focus moved...
+      if (!this.form.contains(event.relatedTarget)) { // Close the suggestions if it left the form
+        this.close();
+      }
+    });
+
+    this.form.addEventListener("submit", (event) => { // The form was submitted...
+      if (getSearchTerms(this.input.value).length === 0) { // Do not open the results page for an empty search
+        event.preventDefault();
+      }
+    });
+  }
+
+  async suggest(query) {
+  /*
+  Description:
+  This method searches the products for the query and shows the best matches.
+  Queries shorter than MIN_QUERY_LENGTH close the suggestions. When the user keeps typing, answers to older searches are ignored.
+  Suggestions are a convenience, so a failed search only closes them.
+  Parameters:
+      - query: The text in the search box.
+  Returns:
+      - None
+  USED IN: The input listener set up in init.
+  ==================================== */
+
+    const requestId = ++this.requestId; // Number of this search
+    if (query.trim().length < MIN_QUERY_LENGTH) { // Too short to search
+      this.close();
+      return;
+    }
+    try {
+      const products = await this.dataSource.searchProducts(query, SUGGESTION_LIMIT); // Best matches
+      if (requestId === this.requestId) { // Only show the answer to the latest search
+        this.renderSuggestions(products, query);
+      }
+    } catch (err) {
+      this.close(); // Hide the suggestions instead of showing an error in the header
+    }
+  }
+
+  renderSuggestions(products, query) {
+  /*
+  Description:
+  This method displays the suggestions: one link per product with the matched words highlighted, and a last link to every result.
+  With no match, a "No products found" line is shown instead of the products.
+  Parameters:
+      - products: The matching products.
+      - query: The search query.
+  Returns:
+      - None
+  USED IN: suggest method of HeaderSearch class.
+  ==================================== */
+
+    const terms = getSearchTerms(query); // Words to highlight
+    const items = products.map((product, index) => html`
+      <li role="option" id="search-option-${index}">
+        <a href="/product_pages/index.html?product=${encodeURIComponent(product.Id)}" tabindex="-1">
+          <span class="search__name">${highlightTerms(product.NameWithoutBrand, terms)}</span>
+          <span class="search__brand">${highlightTerms(product.Brand?.Name, terms)}</span>
+        </a>
+      </li>`);
+    if (products.length === 0) { // Tell the user nothing matched
+      items.push(html`<li class="search__empty">No products found for "${query.trim()}"</li>`);
+    } else { // Link to the results page
+      items.push(html`
+      <li role="option" id="search-option-${products.length}">
+        <a href="/search/index.html?q=${encodeURIComponent(query.trim())}" tabindex="-1">See all results for "${query.trim()}"</a>
+      </li>`);
+    }
+    renderWithTemplate(html`${items}`, this.list); // Show the suggestions
+    this.list.classList.remove("hide");
+    this.input.setAttribute("aria-expanded", "true"); // Tell assistive technology the list is open
+    this.activeIndex = -1; // Nothing selected yet
+    this.input.removeAttribute("aria-activedescendant");
+  }
+
+  moveActive(step) {
+  /*
+  Description:
+  This method moves the selection up or down the suggestions, wrapping around at the ends.
+  Parameters:
+      - step: 1 to move down, -1 to move up.
+  Returns:
+      - None
+  USED IN: The keydown listener set up in init.
+  ==================================== */
+
+    const options = this.list.querySelectorAll("[role='option']"); // Suggestions that can be selected
+    if (this.list.classList.contains("hide") || options.length === 0) { // Nothing to select
+      return;
+    }
+    options[this.activeIndex]?.classList.remove("active"); // Unselect the current suggestion
+    this.activeIndex = (this.activeIndex + step + options.length) % options.length; // Next index, wrapping around
+    options[this.activeIndex].classList.add("active"); // Select the new suggestion
+    this.input.setAttribute("aria-activedescendant", options[this.activeIndex].id); // Tell assistive technology which suggestion is selected
+  }
+
+  close() {
+  /*
+  Description:
+  This method hides and empties the suggestions.
+  USED IN: init, suggest and the keydown/focusout listeners.
+  ==================================== */
+
+    clearTimeout(this.timer); // Cancel a pending search
+    this.requestId += 1; // Ignore the answer of a search that is still running
+    this.list.classList.add("hide");
+    this.list.innerHTML = "";
+    this.activeIndex = -1;
+    this.input.setAttribute("aria-expanded", "false");
+    this.input.removeAttribute("aria-activedescendant");
+  }
+}
@@ -0,0 +1,215 @@
+/*
+====================================
+This module provides an OrderData class to keep the orders placed at checkout and read them back.
+Like ProductData, it works with a pluggable store, chosen with the VITE_ORDER_SOURCE environment variable or passed to the constructor:
+- "local": the orders placed on this browser, saved in localStorage under "so-orders" (the most recent 50).
+- "remote": the API server at VITE_SERVER_URL, which saved the order when it was sent to its checkout endpoint:
+    - GET orders       -> { Result: [order, ...] }
+    - GET orders/<id>  -> { Result: order }
+- "auto": the API server, falling back to the orders saved on this browser when the server cannot be reached or does not know the order.
+  Every order placed in this mode is also saved on this browser for that reason.
+- Any object with getOrders, getOrder and saveOrder methods.
+Without VITE_ORDER_SOURCE, "auto" is used when VITE_SERVER_URL is set and "local" otherwise.
+The requests to the server carry the token of the signed-in user (see Auth.mjs), so it only answers with that user's orders.
+See orderRecords.mjs for the fields of an order.
+The only exported entity from this module is the OrderData class, which contains the following:
+- A constructor to choose the store.
+- A getOrders method to read every order, newest first.
+- A getOrder method to read one order by its number.
+- A saveOrder method to keep an order that was just placed.
+====================================
+*/
+
+
+
+import ServicesError from "./ServicesError.mjs"; // Import the ServicesError class thrown for unknown orders
+import { convertToJson } from "./ProductData.mjs"; // Import the function that reads the server's answers
+import { isValidOrder, sortOrders } from "./orderRecords.mjs"; // Import the order functions
+import { auth } from "./Auth.mjs"; // Import the shared session to identify the user to the server
+
+
+
+const baseURL = import.meta.env.VITE_SERVER_URL || ""; // Base URL of the API server
+const defaultSource = import.meta.env.VITE_ORDER_SOURCE || (baseURL ? "auto" : "local"); // Store used when none is passed to the constructor
+const STORAGE_KEY = "so-orders"; // localStorage key of the orders placed on this browser
+const MAX_STORED_ORDERS = 50; // Older orders are dropped so local storage does not fill up
+
+
+
+function readStoredOrders() {
+// Read the orders placed on this browser. Data that cannot be read counts as no orders, and unreadable orders are skipped.
+// USED IN: localSource.
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter(isValidOrder) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+
+
+const localSource = {
+/*=============================
+Local order store
+Description:
+Reads and saves the orders placed on this browser in localStorage. They are only seen on this browser.
+USED IN: OrderData class when the source is "local", and as the fallback of the "auto" source.
+==============================*/
+
+  async getOrders() { // Every order placed on this browser
+    return readStoredOrders();
+  },
+
+  async getOrder(id) { // One order, or a 404 ServicesError like the server
+    const order = readStoredOrders().find((candidate) => String(candidate.id) === String(id));
+    if (!order) {
+      throw new ServicesError(404, `orders/${id}`, null, `Order ${id} was not found.`);
+    }
+    return order;
+  },
+
+  async saveOrder(order) { // Save an order in front of the others, replacing an order with the same number
+    const others = readStoredOrders().filter((candidate) => String(candidate.id) !== String(order.id));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([order, ...others].slice(0, MAX_STORED_ORDERS)));
+    return order;
+  },
+};
+
+
+
+const remoteSource = {
+/*=============================
+Remote order store
+Description:
+Reads orders through the order endpoints of the API server (see the top of this file).
+The server saves an order when it receives it at checkout, so saveOrder has nothing to send.
+Failed requests reject with a ServicesError, whose body holds the server's messages.
+USED IN: OrderData class when the source is "remote", and as the first choice of the "auto" source.
+==============================*/
+
+  async getOrders() { // GET every order
+    const url = `${baseURL}orders`;
+    const data = await convertToJson(await fetch(url, { headers: auth.getHeaders() }), url);
+    return (data?.Result || []).filter(isValidOrder);
+  },
+
+  async getOrder(id) { // GET one order
+    const url = `${baseURL}orders/${encodeURIComponent(id)}`;
+    const data = await convertToJson(await fetch(url, { headers: auth.getHeaders() }), url);
+    if (!isValidOrder(data?.Result)) { // Answer an empty Result like an unknown order
+      throw new ServicesError(404, url, data, `Order ${id} was not found.`);
+    }
+    return data.Result;
+  },
+
+  async saveOrder(order) { // Already saved by the checkout endpoint
+    return order;
+  },
+};
+
+
+
+function withFallback(primary, fallback) {
+// Create an order store that reads from the server and falls back to the orders saved on this browser
+// =============================
+// Description:
+// fetch rejects with a TypeError when the request never reaches the server. In that case, and when the server answers 404
+// (no order endpoints, or an order it does not know), the fallback store is read instead. Orders are saved in both stores.
+// Parameters:
+//   - primary: The store to try first (remoteSource).
+//   - fallback: The store used when the primary cannot answer (localSource).
+// Returns:
+//   - An order store object with getOrders, getOrder and saveOrder methods.
+// USED IN: sources object below to build the "auto" store.
+// =============================
+
+  const tryBoth = (method) => async (...args) => {
+    try {
+      return await primary[method](...args); // Try the server first
+    } catch (err) {
+      if (err instanceof TypeError || (err instanceof ServicesError && err.isNotFound)) { // The server could not answer, so read this browser's orders
+        return fallback[method](...args);
+      }
+      throw err; // Any other error is passed on
+    }
+  };
+  return {
+    getOrders: tryBoth("getOrders"),
+    getOrder: tryBoth("getOrder"),
+    saveOrder: async (order) => primary.saveOrder(await fallback.saveOrder(order)),
+  };
+}
+
+
+
+const sources = {
+// The order stores that can be chosen by name
+// USED IN: constructor of OrderData class.
+  local: localSource,
+  remote: remoteSource,
+  auto: withFallback(remoteSource, localSource),
+};
+
+
+
+export default class OrderData {
+/*=============================
+Order Data class
+Description:
+This class keeps the orders placed at checkout and reads them back, through the store chosen in the constructor.
+Constructor Parameters:
+    - source: Optional. "local", "remote", "auto", or a custom object with getOrders, getOrder and saveOrder methods
+      (default is VITE_ORDER_SOURCE, or "auto" when VITE_SERVER_URL is set and "local" otherwise).
+Constructor Variables:
+    - source (the store object used by every method)
+Methods:
+    - getOrders(): Reads every order, newest first.
+    - getOrder(id): Reads one order by its number.
+    - saveOrder(order): Keeps an order that was just placed.
+==============================*/
+
+  constructor(source = defaultSource) { // Initialize the OrderData class
+    this.source = typeof source === "string" ? sources[source] : source; // Look up a store by name, or use the store object that was passed in
+    if (!this.source) { // An unknown name is a configuration mistake, so report it right away
+      throw new Error(`Unknown order source "${source}". Use "local", "remote" or "auto".`);
+    }
+  }
+
+  async getOrders() {
+  // Method to read every order
+  // =============================
+  // Returns:
+  //   - A promise that resolves to an array of orders, newest first.
+  // USED IN: orders.js for the "My orders" page.
+  // =============================
+
+    return sortOrders(await this.source.getOrders());
+  }
+
+  async getOrder(id) {
+  // Method to read one order
+  // =============================
+  // Parameters:
+  //   - id: The order number.
+  // Returns:
+  //   - A promise that resolves to the order, or rejects with a ServicesError with status 404 when there is no such order.
+  // USED IN: order.js for the order confirmation page.
+  // =============================
+
+    return this.source.getOrder(String(id));
+  }
+
+  async saveOrder(order) {
+  // Method to keep an order that was just placed
+  // =============================
+  // Parameters:
+  //   - order: The order, with the order number as its id (see createOrderRecord in orderRecords.mjs).
+  // Returns:
+  //   - A promise that resolves to the saved order.
+  // USED IN: checkout method of CheckoutProcess class once the order is placed.
+  // =============================
+
+    return this.source.saveOrder(order);
+  }
+}
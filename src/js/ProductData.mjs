@@ -1,99 +1,457 @@
 /* 
 ====================================
-This module provides a ProductData class to fetch and manage product data from JSON files.
-The ProductData class allows fetching all products or finding a specific product by its ID.
+This module provides a ProductData class to fetch and manage product data.
+The ProductData class allows fetching all products of a category, finding a specific product by its ID and sending orders.
 This module is designed to simplify the process of working with product data in a structured and consistent manner.
-The only exported entity from this module is the ProductData class, which contains the following:
-- A constructor to initialize the category and JSON path.
-- A getData method to fetch all product data from the JSON file.
+Product data can come from different sources:
+- "remote": the API server at VITE_SERVER_URL.
+- "local": the JSON files bundled in public/json (the categories with localData in categories.mjs), so the site works without the API server.
+- "auto": the API server, falling back to the local JSON files when the server cannot be reached.
+The source is chosen with the VITE_DATA_SOURCE environment variable or passed to the constructor.
+Failed requests reject with a ServicesError (status, URL and parsed body). Product reads are retried with an increasing delay
+when the network fails or the server answers with a temporary error (5xx).
+Product requests are cached by URL in memory and sessionStorage for VITE_CACHE_TTL seconds (default 300), and identical requests
+made at the same time share one fetch. Products fetched for a category list are reused when the product detail page asks for them.
+Requests to the API server carry the token of the signed-in user, if any (see Auth.mjs).
+The module also exports the convertToJson function, so other modules that call the server (see ReviewData.mjs) read its answers the same way.
+The main exported entity from this module is the ProductData class, which contains the following:
+- A constructor to choose the data source.
+- A getData method to fetch all products of a category.
 - A findProductById method to find a specific product by its ID.
+- A checkout method to send an order to the server.
+- A getCategories method to list the categories the site knows about.
+- A searchProducts method to search every category by name, brand and description.
+- A clearCache method to forget every cached response.
 ====================================
 */
 
 
 
+import ResponseCache from "./ResponseCache.mjs"; // Import the ResponseCache class to cache product requests
+import ServicesError from "./ServicesError.mjs"; // Import the ServicesError class thrown for failed requests
+import { searchProducts } from "./productSearch.mjs"; // Import the function that matches products against a search query
+import { auth } from "./Auth.mjs"; // Import the shared session to identify the signed-in user to the server
+import { getCategories as getRegisteredCategories } from "./categories.mjs"; // Import the category registry to know which categories to search
+
+
+
 const baseURL = import.meta.env.VITE_SERVER_URL || ""; // Base URL for the server, taken from environment variable or default to empty string. This allows flexibility in different deployment environments. This is useful for switching between development and production servers without changing the code. 
+const localURL = `${import.meta.env.BASE_URL || "/"}json/`; // URL of the bundled JSON files. Vite serves the public folder at the root of the site, so public/json/tents.json is available at /json/tents.json
+const defaultSource = import.meta.env.VITE_DATA_SOURCE || (baseURL ? "auto" : "local"); // Source used when none is passed to the constructor. Without a server URL there is nothing to call, so the local files are used
+const retryDelays = [300, 900]; // Wait time in milliseconds before each retry of a failed product read. Two retries, each one waiting longer
+const cacheTTL = import.meta.env.VITE_CACHE_TTL !== undefined ? Number(import.meta.env.VITE_CACHE_TTL) : 300; // How long product responses stay cached, in seconds. 0 turns caching off
+
 
 
+const cache = new ResponseCache({ ttl: cacheTTL * 1000 }); // One cache for every ProductData instance, so all the code on a page shares responses
 
-function convertToJson(res) {
+
+
+export async function convertToJson(res, url = res.url) {
 // Utility function to convert fetch response to JSON
 // =============================
 // Description:
-// This function checks if the fetch response is OK (status in the range 200-299).
-// If the response is OK, it converts the response to JSON.
-// If the response is not OK, it throws an error with the message "Bad Response".
-// Takes a fetch response object as input and returns a promise that resolves to JSON data or rejects with an error.
-// Returns a promise that resolves to JSON data or rejects with an error.
+// This function reads the body of the fetch response as JSON.
+// If the response is OK (status in the range 200-299), it returns the JSON data.
+// If the response is not OK, it throws a ServicesError with the status, the URL and the body the server sent back,
+// so the caller can show the server's own error messages (for example the field errors returned by the checkout endpoint).
 //Parameters:
 //   - res: The fetch response object to be converted to JSON.
+//   - url: Optional. The URL of the request, used in the error (default is the URL of the response).
 // Returns:
-//   - A promise that resolves to JSON data or rejects with an error.
-// USED IN: ProductData class methods to handle fetch responses when retrieving product data.
+//   - A promise that resolves to JSON data or rejects with a ServicesError.
+// USED IN: ProductData class methods to handle fetch responses when retrieving product data and sending orders, and the remote review store of ReviewData.mjs.
 // =============================
 
+  const text = await res.text(); // Read the body as text first, so a body that is not JSON can still be kept
+  let jsonResponse = null; // Parsed body, or null when it is empty
+  try {
+    jsonResponse = text ? JSON.parse(text) : null; // Parse the body as JSON
+  } catch (err) {
+    jsonResponse = res.ok ? null : text; // An error page that is not JSON is kept as text for the error
+    if (res.ok) { // A successful response must be JSON
+      throw new ServicesError(res.status, url, text, `Response from ${url} is not valid JSON`);
+    }
+  }
   if (res.ok) { // If the response is OK (status in the range 200-299)...
-    return res.json(); // Convert the response to JSON
+    return jsonResponse; // Return the JSON data
   } else { // Otherwise...
-    throw new Error("Bad Response"); // Throw an error with the message "Bad Response"
+    throw new ServicesError(res.status, url, jsonResponse); // Throw the status, URL and body of the failed request
+  }
+}
+
+
+
+function wait(ms) {
+// Return a promise that resolves after a number of milliseconds
+// USED IN: fetchJsonWithRetry to wait between retries.
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+
+
+async function fetchJsonWithRetry(url) {
+// Fetch a URL and convert the response to JSON, trying again when the failure is temporary
+// =============================
+// Description:
+// A request can fail because the network dropped (fetch rejects with a TypeError) or because the server had a temporary problem (5xx, 408, 429).
+// In those cases this function waits and tries again, waiting longer each time (see retryDelays), with a little randomness so many
+// pages do not retry at the same moment. Other errors (e.g. 404) and the last failed attempt are thrown to the caller.
+// Only used for reads: sending an order twice could place it twice, so checkout is never retried.
+// Parameters:
+//   - url: The URL to fetch.
+// Returns:
+//   - A promise that resolves to the JSON data or rejects with a ServicesError or TypeError.
+// USED IN: cachedJson to read products.
+// =============================
+
+  for (let attempt = 0; ; attempt += 1) { // Keep trying until the request succeeds or a return/throw ends the loop
+    try {
+      return await convertToJson(await fetch(url, { headers: auth.getHeaders() }), url); // Fetch the URL with the user's token and convert the response
+    } catch (err) {
+      const transient = err instanceof TypeError || (err instanceof ServicesError && err.isTransient); // Is this a failure worth trying again?
+      if (!transient || attempt >= retryDelays.length) { // Give up on permanent errors or when the retries are used up
+        throw err;
+      }
+      await wait(retryDelays[attempt] * (0.75 + Math.random() / 2)); // Wait between 75% and 125% of the delay for this attempt
+    }
+  }
+}
+
+
+
+
+function cachedJson(url, options, loader = () => fetchJsonWithRetry(url)) {
+// Fetch JSON through the response cache
+// =============================
+// Description:
+// This function returns the cached JSON for a URL, or fetches it and caches it. Identical requests that are still loading share one fetch.
+// Parameters:
+//   - url: The URL to fetch. It is also the cache key.
+//   - options: Optional object with bypassCache to ignore the cached response.
+//   - loader: Optional async function that fetches the URL (default fetches it with fetchJsonWithRetry).
+// Returns:
+//   - A promise that resolves to the JSON data.
+// USED IN: remoteSource and localSource to read products.
+// =============================
+
+  return cache.get(url, loader, options); // Let the cache decide between the cached response and a fetch
+}
+
+
+
+function normalizeLocalProduct(product, category) {
+// Give a product from the bundled JSON files the same shape as a product from the API
+// =============================
+// Description:
+// tents.json was written before the API existed: its products have a single Image path (relative to the page, e.g. "../images/tents/...")
+// instead of the Images object the API returns, and none of the files say which category a product belongs to.
+// This function fills in an Images object using the single image for every size and adds the Category, so the templates work with either source.
+// Parameters:
+//   - product: A product object from a local JSON file.
+//   - category: The category of the file the product was read from.
+// Returns:
+//   - A new product object with Images and Category properties.
+// USED IN: localSource to prepare the products read from the JSON files.
+// =============================
+
+  if (product.Images) { // If the product already has the API image sizes, only add the category
+    return { Category: category, ...product };
   }
+  const image = (product.Image || "").replace(/^\.\.\//, "/"); // Make the relative image path absolute so it works from any page
+  return {
+    Category: category, // The category the product was read from
+    ...product, // Every original property
+    Images: { PrimarySmall: image, PrimaryMedium: image, PrimaryLarge: image, PrimaryExtraLarge: image }, // The same image for every size
+  };
 }
 
 
 
+function getLocalCategories() {
+// List the categories that have a bundled JSON file, from the category registry (localData in categories.mjs)
+// Disabled categories are included, so an old link to one of their products still finds it.
+// USED IN: localSource to know which files to read.
+  return getRegisteredCategories({ includeDisabled: true }).filter((category) => category.localData).map((category) => category.slug);
+}
+
+
+
+function isMissingFile(response) {
+// Tell whether the answer to a request for a bundled JSON file means the file does not exist
+// =============================
+// Description:
+// A static server answers a missing file with 404. The Vite dev server, and hosts set up for the single-page mode, answer it
+// with index.html and the status 200 instead, so the status alone cannot tell. A file of public/json is always sent as JSON,
+// so an HTML answer means the file is missing.
+// Parameters:
+//   - response: The fetch response.
+// Returns:
+//   - true when the file is missing, false when the response should be read as JSON (or as an error).
+// USED IN: getData method of localSource.
+// =============================
+
+  const contentType = response.headers?.get("Content-Type") || ""; // Empty when the server does not say
+  return response.status === 404 || (response.ok && /text\/html/i.test(contentType));
+}
+
+
+
+const remoteSource = {
+/*=============================
+Remote data source
+Description:
+Reads products from the API server and sends orders to it. Every method resolves to the JSON the server returns ({ Result: ... } for products).
+Products of a category list are also cached under their product URL, so opening one of them does not fetch it again.
+USED IN: ProductData class when the source is "remote", and as the first choice of the "auto" source.
+==============================*/
+
+  async getData(category, options) { // Fetch the products of a category from the server
+    const data = await cachedJson(`${baseURL}products/search/${category}`, options);
+    (data.Result || []).forEach((product) => cache.set(`${baseURL}product/${product.Id}`, { Result: product })); // Cache each product for the detail page
+    return data;
+  },
+
+  async findProductById(id, options) { // Fetch a single product from the server
+    const url = `${baseURL}product/${id}`;
+    const data = await cachedJson(url, options);
+    if (!data?.Result) { // The server answers an unknown ID with an empty Result, so report it as not found
+      cache.invalidate(url);
+      throw new ServicesError(404, url, data, `Product ${id} was not found.`);
+    }
+    return data;
+  },
+
+  async checkout(payload) { // POST an order to the checkout endpoint of the server
+    const options = {
+      method: "POST", // Send data to the server
+      headers: {
+        "Content-Type": "application/json", // Tell the server the body is JSON
+        ...auth.getHeaders(), // Tell the server who is ordering, when the user is signed in
+      },
+      body: JSON.stringify(payload), // Convert the order to a JSON string
+    };
+    const url = `${baseURL}checkout`;
+    const response = await fetch(url, options);
+    return convertToJson(response, url);
+  },
+};
+
+
+
+const localSource = {
+/*=============================
+Local data source
+Description:
+Reads products from the JSON files in public/json and answers in the same { Result: ... } shape as the API.
+A category without a JSON file (localData is false in categories.mjs, e.g. "hammocks") has no products, like an empty search on the server,
+and its file is not requested. A file that is missing anyway has no products either, whether the server answers it with a 404
+or with the index.html page (see isMissingFile).
+There is no server to send orders to, so checkout only returns a local order number without sending anything.
+USED IN: ProductData class when the source is "local", and as the fallback of the "auto" source.
+==============================*/
+
+  async getData(category, options) { // Read the products of a category from its JSON file
+    if (!getLocalCategories().includes(category)) { // No file to read (e.g. hammocks), so no request that a server could answer with its index.html
+      return { Result: [] };
+    }
+    const url = `${localURL}${category}.json`;
+    const data = await cachedJson(url, options, async () => {
+      const response = await fetch(url);
+      return isMissingFile(response) ? [] : convertToJson(response, url); // No file for this category means no products
+    });
+    const list = Array.isArray(data) ? data : data.Result || []; // tents.json is a plain array, the other files are saved API responses
+    return { Result: list.map((product) => normalizeLocalProduct(product, category)) };
+  },
+
+  async findProductById(id, options) { // Search every category file for the product (the files are cached, so this is cheap after the first call)
+    const lists = await Promise.all(getLocalCategories().map((category) => this.getData(category, options)));
+    const wanted = String(id).toUpperCase(); // The API accepts IDs in any case, so compare them in upper case
+    const product = lists.flatMap((data) => data.Result).find((item) => item.Id.toUpperCase() === wanted);
+    if (!product) { // Answer like the server does for an unknown product
+      throw new ServicesError(404, `${localURL}product/${id}`, null, `Product ${id} was not found.`);
+    }
+    return { Result: product };
+  },
+
+  async checkout() { // Nothing to send the order to, so return a local order number
+    return { orderId: `LOCAL-${Date.now()}`, message: "Order Placed (local mode, nothing was sent to a server)" };
+  },
+};
+
+
+
+function withFallback(primary, fallback) {
+// Create a data source that uses the primary source and falls back to another when the server cannot be reached
+// =============================
+// Description:
+// fetch rejects with a TypeError when the request never reaches the server (server down, no network, CORS failure).
+// For product reads, that error makes the returned source try the fallback source instead. Any answer from the server, including an error status, is used as is.
+// Orders are never sent to the fallback: an order that could not reach the server must fail instead of looking placed.
+// Parameters:
+//   - primary: The source to try first (remoteSource).
+//   - fallback: The source used when the primary cannot be reached (localSource).
+// Returns:
+//   - A data source object with getData, findProductById and checkout methods.
+// USED IN: sources object below to build the "auto" source.
+// =============================
+
+  const tryBoth = (method) => async (...args) => {
+    try {
+      return await primary[method](...args); // Try the primary source first
+    } catch (err) {
+      if (err instanceof TypeError) { // The server could not be reached, so read from the fallback
+        return fallback[method](...args);
+      }
+      throw err; // Any other error is passed on
+    }
+  };
+  return {
+    getData: tryBoth("getData"),
+    findProductById: tryBoth("findProductById"),
+    checkout: (payload) => primary.checkout(payload),
+  };
+}
+
+
+
+const sources = {
+// The data sources that can be chosen by name
+// =============================
+// USED IN: constructor of ProductData class to turn a source name into a source object.
+// =============================
+  remote: remoteSource,
+  local: localSource,
+  auto: withFallback(remoteSource, localSource),
+};
+
+
 
 export default class ProductData {
 /*=============================
 Product Data class
 Description:
-This class provides methods to fetch all products or find a specific product by its ID.
+This class provides methods to fetch all products or find a specific product by its ID, from the data source chosen in the constructor.
 Constructor Parameters:
-    - None
+    - source: Optional. "remote", "local", "auto", or a custom object with getData, findProductById and checkout methods (default is VITE_DATA_SOURCE, or "auto" when VITE_SERVER_URL is set and "local" otherwise).
 Constructor Variables:
-    - None
+    - source (the data source object used by every method)
 Methods:
-    - getData(): Fetches all product data from the JSON file.
+    - getData(category): Fetches all products of a category.
     - findProductById(id): Finds a specific product by its ID.
+    - checkout(payload): Sends an order to the server.
+    - getCategories(): Lists the categories the site knows about.
+    - searchProducts(query, limit): Searches every category for products matching the query.
+    - clearCache(): Forgets every cached product response.
+The getData and findProductById methods take an optional options object. { bypassCache: true } skips the cache and fetches fresh data.
 ==============================*/
   
-  constructor() { // Initialize the ProductData class
+  constructor(source = defaultSource) { // Initialize the ProductData class
+    this.source = typeof source === "string" ? sources[source] : source; // Look up a source by name, or use the source object that was passed in
+    if (!this.source) { // An unknown name is a configuration mistake, so report it right away
+      throw new Error(`Unknown product data source "${source}". Use "remote", "local" or "auto".`);
+    }
   }
   
-  async getData(category) {
-  // Method to fetch all product data from the JSON file
+  async getData(category, options = {}) {
+  // Method to fetch all product data for a category
   // =============================
   // Description:
-  // This method fetches all product data for the specified category from the server.
-  // It constructs the URL using the baseURL and category, makes a fetch request, and converts the response to JSON.
+  // This method fetches all product data for the specified category from the data source.
   // Parameters:
   //   - category: The category of products to be fetched (e.g., "tents", "sleeping-bags").
+  //   - options: Optional. { bypassCache: true } fetches fresh data instead of using the cache.
   // Returns:
   //   - A promise that resolves to an array of product objects.
   // USED IN: ProductList and ProductDetails classes to retrieve product data for rendering.
   // =============================
   
-    const response = await fetch(`${baseURL}products/search/${category}`); // Fetch product data for the specified category from the server
-    const data = await convertToJson(response); // Convert the response to JSON
+    const data = await this.source.getData(category, options); // Fetch product data for the specified category from the data source
     return data.Result; // Return the array of product objects
   }
 
-  async findProductById(id) { 
+  async findProductById(id, options = {}) { 
   // Method to find a specific product by its ID
   // =============================
   // Description:
-  // This method fetches product data for a specific product ID from the server.
-  // It constructs the URL using the baseURL and product ID, makes a fetch request, and converts the response to JSON.
+  // This method fetches the product with a specific product ID from the data source.
   // Parameters:
   //   - id: The ID of the product to be found.
+  //   - options: Optional. { bypassCache: true } fetches fresh data instead of using the cache.
   // Returns:
   //   - A promise that resolves to the product object with the specified ID.
   // USED IN: ProductDetails class to retrieve details of a specific product for rendering.
     // =============================
     
-    const response = await fetch(`${baseURL}product/${id}`); // Fetch product data for the specified product ID from the server
-    const data = await convertToJson(response); // Convert the response to JSON
+    const data = await this.source.findProductById(id, options); // Fetch product data for the specified product ID from the data source
     return data.Result; // Return the product object with the specified ID
   }
+
+  async checkout(payload) {
+  // Method to send an order to the server
+  // =============================
+  // Description:
+  // This method sends the order to the checkout endpoint of the data source.
+  // Parameters:
+  //   - payload: The order object built by CheckoutProcess (customer details, items and totals).
+  // Returns:
+  //   - A promise that resolves to the server response (e.g. { orderId, message }) or rejects with a ServicesError holding the server's error messages in its body.
+  // USED IN: CheckoutProcess class to place the order.
+  // =============================
+
+    return this.source.checkout(payload); // Return the server response, or throw its error messages
+  }
+
+  getCategories() {
+  // Method to list the categories the site knows about
+  // =============================
+  // Returns:
+  //   - A new array of the slugs of the enabled categories of the registry (e.g. ["tents", "backpacks", ...]), see categories.mjs.
+  // USED IN: searchProducts method of ProductData class.
+  // =============================
+
+    return getRegisteredCategories().map((category) => category.slug); // A new array, so callers cannot change the registry
+  }
+
+  async searchProducts(query, limit = Infinity) {
+  // Method to search every category for products
+  // =============================
+  // Description:
+  // This method fetches the products of every category (cached after the first search) and returns those whose name, brand or
+  // description contain every word of the query, best matches first. A category that cannot be loaded is skipped so the other
+  // categories can still be searched. If no category can be loaded, the error of the first one is thrown.
+  // Parameters:
+  //   - query: The text typed by the user.
+  //   - limit: Optional. The maximum number of products to return (default no limit).
+  // Returns:
+  //   - A promise that resolves to an array of matching product objects.
+  // USED IN: search.js for the search results page and HeaderSearch.mjs for the type-ahead suggestions.
+  // =============================
+
+    const results = await Promise.allSettled(this.getCategories().map((category) => this.getData(category))); // Fetch every category, even if some fail
+    const loaded = results.filter((result) => result.status === "fulfilled"); // Categories that could be loaded
+    if (loaded.length === 0) { // Nothing could be loaded, so report why
+      throw results[0].reason;
+    }
+    const products = loaded.flatMap((result) => result.value); // Every product of every loaded category
+    return searchProducts(products, query, limit); // Return the matching products
+  }
+
+  clearCache() {
+  // Method to forget every cached product response
+  // =============================
+  // Description:
+  // This method removes every product response from memory and sessionStorage, so the next requests fetch fresh data.
+  // The cache is shared by every ProductData instance, so this clears it for all of them.
+  // Parameters:
+  //   - None
+  // Returns:
+  //   - None
+  // USED IN: Available for pages that need fresh data, e.g. after the catalog changes.
+  // =============================
+
+    cache.invalidate(); // Remove every cached response
+  }
 }
 
 
@@ -2,18 +2,36 @@
 ====================================
 This module provides a ProductDetails class to manage and display product details.
 The ProductDetails class allows fetching a specific product by its ID and rendering its details on the page.
-It also provides functionality to add the product to a shopping cart stored in local storage.
+It also lets the user choose a color and size and add that variant of the product to the shopping cart.
+The images of the product are shown in a gallery with thumbnails and a zoom lightbox (see ProductGallery.mjs).
+Under the product, it shows the reviews of the product (see ProductReviews.mjs),
+then related products and the products the user viewed before (see recommendations.mjs).
 The only exported entity from this module is the ProductDetails class, which contains the following:
-- A constructor to initialize the product ID and data source.
+- A constructor to initialize the product ID and the product and review data sources.
 - An init method to fetch product details and set up event listeners.
-- An addProductToCart method to add the product to the cart.
+- A renderError method to show a "product not found" or "try again" message when the product cannot be loaded.
+- A selectVariant method to remember the color and size chosen by the user.
+- An addProductToCart method to add the chosen variant of the product to the cart.
+- An addProductToWishlist method to save the product to the wishlist.
 - A renderProductDetails method to display product details on the page.
+- A renderRecommendations method to display the "You may also like" and "Recently viewed" strips.
 ====================================
 */
 
 
 
-import { countCartItems, getLocalStorage, setLocalStorage } from "./utils.mjs"; // Import utility functions for managing local storage and cart item count
+import { html, qs, renderListWithTemplate, renderStatusMessage, renderWithTemplate, trustedHtml } from "./utils.mjs"; // Import utility functions for selecting elements, templates, rendering and status messages
+import { cart } from "./Cart.mjs"; // Import the shared cart to add products to it
+import ServicesError from "./ServicesError.mjs"; // Import the ServicesError class to recognize a product that does not exist
+import { formatCurrency, getDiscount } from "./pricing.mjs"; // Import the pricing functions to show the price and discount
+import { getSizeOptions } from "./variants.mjs"; // Import the variant function that lists the sizes of a product
+import { productCardTemplate } from "./ProductList.mjs"; // Import the product card template to render the recommendation strips
+import { getRecentlyViewed, getRelatedProducts, recordViewedProduct } from "./recommendations.mjs"; // Import the recommendation functions
+import ProductGallery from "./ProductGallery.mjs"; // Import the ProductGallery class to show the images of the product
+import { getGalleryImages } from "./images.mjs"; // Import the function that lists the images of the gallery
+import ProductReviews from "./ProductReviews.mjs"; // Import the ProductReviews class to show the reviews of the product
+import { withRatings } from "./reviews.mjs"; // Import the function that adds the ratings to the products of the strips
+import { showAlert } from "./alerts.mjs"; // Import the function that confirms the product was added with an alert
 
 
 
@@ -27,20 +45,38 @@ Takes a product object as input and updates the corresponding DOM elements.
 Constructor Parameters:
     - productId: The ID of the product to be rendered.
     - dataSource: The data source to fetch product details from.
+    - reviewData: The ReviewData instance that reads and saves the reviews of the product.
 Constructor Variables:
     - product (the product object to be rendered)
     - productId (the ID of the product to be rendered)
     - dataSource (the data source to fetch product details from)
+    - reviewData (the ReviewData instance)
+    - reviews (the ProductReviews showing the reviews of the product, created when the product is rendered)
+    - statusElement (the element showing an error message, if any)
+    - selectedColor (the color object chosen by the user, or null)
+    - selectedSize (an object with the size chosen for each kind of size, e.g. { SIZE: "M" })
+    - gallery (the ProductGallery showing the images of the product, created when the product is rendered)
 Methods:
     - init(): Fetches product details and sets up event listeners.
-    - addProductToCart(): Adds the product to the cart.
+    - renderError(err): Shows a message explaining why the product could not be shown.
+    - selectVariant(event): Remembers the color or size the user chose.
+    - getMissingChoices(): Lists the choices the user still has to make.
+    - addProductToCart(): Adds the chosen variant of the product to the cart.
+    - addProductToWishlist(): Saves the product, with the color and size chosen so far, to the wishlist.
     - renderProductDetails(): Displays product details on the page.
+    - renderRecommendations(): Displays the related and recently viewed products under the product.
 ====================================*/
     
-    constructor(productId, dataSource) { // Initialize the ProductDetails class with a product ID and data source
+    constructor(productId, dataSource, reviewData) { // Initialize the ProductDetails class with a product ID and the data sources
         this.productId = productId; // The ID of the product to be rendered
         this.product = {}; // The product object to be rendered
         this.dataSource = dataSource; // The data source to fetch product details from
+        this.reviewData = reviewData; // The store of the reviews
+        this.reviews = null; // Created with the product details
+        this.statusElement = null; // The element showing an error message, created when one is needed
+        this.selectedColor = null; // No color chosen yet
+        this.selectedSize = {}; // No size chosen yet
+        this.gallery = null; // Created with the product details
     }
 
     async init() {
@@ -49,26 +85,96 @@ Methods:
     This method initializes the ProductDetails class by fetching product details and setting up event listeners.
     Methods:
         - Fetches product details using the data source.
-        - Renders the product details on the page.
-        - Sets up an event listener for the "Add to Cart" button.
+        - Shows an error message instead if the product is missing or cannot be loaded.
+        - Renders the product details on the page, then its reviews and the related and recently viewed products.
+        - Sets up event listeners for the color and size choices and the "Add to Cart" and "Add to Wishlist" buttons.
     USED IN: ProductDetails class to initialize the product details page.
     ==================================== */
         
-        this.product = await this.dataSource.findProductById(this.productId); // Fetch product details using the data source
+        try {
+            if (!this.productId) { // The page was opened without a ?product= parameter
+                throw new ServicesError(404, window.location.href, null, "No product was selected.");
+            }
+            this.product = await this.dataSource.findProductById(this.productId); // Fetch product details using the data source
+        } catch (err) {
+            this.renderError(err); // Show why the product cannot be shown instead of a broken page
+            return;
+        }
+        if (this.statusElement) { // If an earlier attempt failed, remove its message and show the product again
+            this.statusElement.remove();
+            this.statusElement = null;
+            qs(".product-detail").classList.remove("hide");
+        }
         this.renderProductDetails(); // Render the product details using the template function method
-        const addToCartBtn = document.getElementById('addToCart'); // Add event listener to Add to Cart button
+        if (!this.reviews) { // "Try again" keeps the reviews of the first attempt
+            this.reviews = new ProductReviews(this.product.Id, this.reviewData, qs("#reviews"));
+            this.reviews.init(); // Load the reviews without waiting for them
+        }
+        this.renderRecommendations(); // Render the strips under the product without waiting for them
+        qs(".product-detail").addEventListener("change", this.selectVariant.bind(this)); // Listen for color and size choices
+        const addToCartBtn = document.getElementById("addToCart"); // Add event listener to Add to Cart button
         if (addToCartBtn) { // if the add to cart button exists...
-            addToCartBtn.addEventListener('click', this.addProductToCart.bind(this)); // Bind the addProductToCart method to the current instance. binding ensures 'this' refers to the class instance. This means when the event listener is triggered, 'this' inside addProductToCart refers to the ProductDetails instance.
+            addToCartBtn.addEventListener("click", this.addProductToCart.bind(this)); // Bind the addProductToCart method to the current instance. binding ensures 'this' refers to the class instance. This means when the event listener is triggered, 'this' inside addProductToCart refers to the ProductDetails instance.
+        }
+        document.getElementById("addToWishlist")?.addEventListener("click", this.addProductToWishlist.bind(this)); // Save the product to the wishlist
+    }
+
+    selectVariant(event) {
+    /*
+    Description:
+    This method remembers the color or size the user chose and updates the page:
+        - A color shows its name next to "Color:" and switches the image to a picture of that color when the product data has one.
+        - A size is stored under its kind of size (e.g. SIZE or ZIPPER).
+    Parameters:
+        - event: The change event of a color or size radio button.
+    Returns:
+        - None
+    USED IN: The change listener set up in init.
+    ==================================== */
+
+        const input = event.target; // The radio button that was chosen
+        if (input.name === "color") { // A color was chosen
+            this.selectedColor = this.product.Colors.find((color) => color.ColorCode === input.value) || null;
+            showSelectedColor(this.product, this.selectedColor, this.gallery);
+        } else if (input.name.startsWith("size-")) { // A size was chosen
+            this.selectedSize[input.name.slice("size-".length)] = input.value; // Store it under its kind of size
+        } else { // Another field changed (e.g. the quantity)
+            return;
+        }
+        document.getElementById("variant-error").textContent = ""; // Clear the "please choose" message
+    }
+
+    getMissingChoices() {
+    /*
+    Description:
+    This method lists the choices the user still has to make before the product can be added to the cart.
+    Parameters:
+        - None
+    Returns:
+        - An array of { name, label } for each missing choice, e.g. [{ name: "color", label: "color" }, { name: "size-SIZE", label: "size" }].
+    USED IN: addProductToCart method of ProductDetails class.
+    ==================================== */
+
+        const missing = []; // Choices not made yet
+        if ((this.product.Colors || []).length > 0 && !this.selectedColor) { // The product has colors but none was chosen
+            missing.push({ name: "color", label: "color" });
         }
+        getSizeOptions(this.product).forEach(({ kind, label }) => { // For each kind of size...
+            if (!this.selectedSize[kind]) { // No value chosen for it
+                missing.push({ name: `size-${kind}`, label: label.toLowerCase() });
+            }
+        });
+        return missing;
     }
 
     addProductToCart() {
     /*
     Description:
-    This method adds the current product to the shopping cart stored in local storage.
-    It checks if the product already exists in the cart and updates the quantity accordingly.
-    If the product is not in the cart, it adds it with the specified quantity.
-    Finally, it updates the local storage and refreshes the cart item count.
+    This method adds the chosen variant of the current product to the shared cart (see Cart.mjs).
+    The user has to choose a color and size first (when the product has them); otherwise a message asks for the missing choices.
+    Cart lines are identified by the product ID, color and size, so two colors of the same product stay on separate lines.
+    If the same variant is already in the cart, its quantity is increased. Otherwise it is added with the specified quantity.
+    An alert confirms the product was added, with a link to the cart, and the header badge bounces (see setupHeader in header.mjs).
     Parameters:
         - None
     Returns:
@@ -76,25 +182,107 @@ Methods:
     USED IN: ProductDetails class to handle adding products to the cart.
     ==================================== */
         
-        const cartItems = getLocalStorage("so-cart") || []; // Retrieve existing cart items from local storage or initialize an empty array
+        const missing = this.getMissingChoices(); // Choices the user still has to make
+        if (missing.length > 0) { // Ask for them instead of adding the product
+            document.getElementById("variant-error").textContent = `Please choose a ${missing.map((choice) => choice.label).join(" and ")}.`;
+            qs(`input[name="${missing[0].name}"]`)?.focus(); // Move the focus to the first missing choice
+            return;
+        }
         const quantityInput = document.getElementById("productQuantity"); // Get the quantity input element
         const quantity = Math.max(1, parseInt(quantityInput?.value, 10) || 1); // Get the quantity value, ensuring it's at least 1. Math.max(1, ...) prevents negative or zero quantities. parseInt(..., 10) converts a value to base-10 integer. In this case, it converts the input value taken from the element with id productQuantity to an integer. quantityInput?.value uses optional chaining (?.) to safely access the value property of quantityInput. If quantityInput is null or undefined, it won't throw an error; instead, it will return undefined, and the || 1 part will ensure that the default quantity is 1.
-        const existingItem = cartItems.find((item) => item.Id === this.product.Id); // Check if the product already exists in the cart
+        cart.add(this.product, { quantity, color: this.selectedColor, size: this.selectedSize }); // Add the chosen variant to the cart. The cart combines it with the same variant if it is already there, and the header badge updates itself
+        showAlert(`${quantity > 1 ? `${quantity} × ` : ""}${this.product.NameWithoutBrand || this.product.Name} ${quantity > 1 ? "were" : "was"} added to your cart.`, { id: "cart-add", linkLabel: "View cart", linkHref: "/cart/index.html" });
+    }
+
+    addProductToWishlist() {
+    /*
+    Description:
+    This method saves the current product to the wishlist (see the saved lines in Cart.mjs), with the color and size chosen so far.
+    Unlike the cart, no choice is required: the user can choose them later from the wishlist or the product page.
+    A message under the button confirms the product was saved, and the header badge updates itself.
+    Parameters:
+        - None
+    Returns:
+        - None
+    USED IN: ProductDetails class to handle the "Add to Wishlist" button.
+    ==================================== */
+
+        cart.save(this.product, { color: this.selectedColor, size: this.selectedSize }); // The wishlist keeps each variant once
+        document.getElementById("wishlist-status").textContent = `${this.product.NameWithoutBrand || this.product.Name} was saved to your wishlist.`;
+    }
 
-        if (existingItem) { // If the product exists...
-            existingItem.Quantity = (Number(existingItem.Quantity) || 1) + quantity; // Increment the quantity of the existing item
-        } else { // If the product does not exist...
-            cartItems.push({ ...this.product, Quantity: quantity }); // Add the new product to the cart with the specified quantity. This is also where we add the custom Quantity property to each cart item to track how many of that item are in the cart. ...this.product creates a shallow copy of the product object to avoid mutating the original product data. push(...) adds the new product object to the cartItems array. In summarym this line adds the current product to the cart with the specified quantity if it is not already present in the cart. If it is already present, it increments the quantity of the existing item. Check local storage "so-cart" to see the structure of the cart items.
+    renderError(err) {
+    /*
+    Description:
+    This method hides the product details and shows a message instead.
+    A missing product (404) gets a "product not found" message with a link to the home page.
+    Any other failure (no network, server error) gets a "try again" button that runs init again.
+    Parameters:
+        - err: The error thrown while fetching the product.
+    Returns:
+        - None
+    USED IN: init method of ProductDetails class.
+    ==================================== */
+
+        const detailSection = qs(".product-detail"); // The section with the product details
+        detailSection.classList.add("hide"); // Hide the placeholder details
+        if (!this.statusElement) { // Create the element for the message the first time
+            this.statusElement = document.createElement("section");
+            this.statusElement.className = "product-detail";
+            detailSection.after(this.statusElement);
+        }
+        if (err instanceof ServicesError && err.isNotFound) { // The product does not exist
+            renderStatusMessage(this.statusElement, {
+                title: "Product not found",
+                message: "We couldn't find the product you are looking for. It may no longer be available.",
+                linkLabel: "Back to the home page",
+                linkHref: "/index.html",
+            });
+        } else { // The product could not be loaded right now
+            renderStatusMessage(this.statusElement, {
+                title: "We couldn't load this product",
+                message: "Please check your connection and try again.",
+                actionLabel: "Try again",
+                onAction: () => this.init(),
+            });
         }
+    }
+
+    async renderRecommendations() {
+    /*
+    Description:
+    This method renders two strips of product cards under the product, with the same card template as the product listing page:
+        - "You may also like": products of the same category, same brand and price band first (see getRelatedProducts).
+        - "Recently viewed": the products viewed before this one, most recent first.
+    The current product is skipped in both strips and is then added to the history of viewed products.
+    The cards show the average rating of the products that have reviews.
+    A strip without products stays hidden. A strip whose products cannot be loaded stays hidden too, since the page works without it.
+    Parameters:
+        - None
+    Returns:
+        - None
+    USED IN: init method of ProductDetails class.
+    ==================================== */
+
+        const recentIds = getRecentlyViewed().filter((id) => id !== this.product.Id).slice(0, 4); // Products viewed before this one
+        recordViewedProduct(this.product.Id); // Remember this product for the next pages
 
-        setLocalStorage("so-cart", cartItems); // Update local storage with the new cart items array
-        countCartItems(); // Update the cart item count badge in the header
+        const [related, recent, ratings] = await Promise.all([
+            this.product.Category
+                ? this.dataSource.getData(this.product.Category).then((list) => getRelatedProducts(this.product, list)).catch(() => []) // The products of the same category
+                : [], // Without a category there is nothing to compare with
+            Promise.allSettled(recentIds.map((id) => this.dataSource.findProductById(id))) // Products that no longer exist are skipped
+                .then((results) => results.filter((result) => result.status === "fulfilled").map((result) => result.value)),
+            this.reviewData.getRatings().catch(() => ({})), // The cards work without stars
+        ]);
+        renderProductStrip("#related-products", withRatings(related, ratings));
+        renderProductStrip("#recently-viewed", withRatings(recent, ratings));
     }
 
     renderProductDetails() {
     /*
     Description:
-    This method renders the product details on the page using the productDetailsTemplate function.
+    This method renders the product details on the page using the productDetailsTemplate function, and the images in the gallery.
     Parameters:
         - None
     Returns:
@@ -103,11 +291,107 @@ Methods:
     ==================================== */
         
         productDetailsTemplate(this.product); // Render product details using the productDetailsTemplate function declared below
+        if (!this.gallery) { // "Try again" renders the product again in the same gallery
+            this.gallery = new ProductGallery(qs(".product-gallery"));
+        }
+        const colors = this.product.Colors || []; // The colors of the product
+        this.selectedColor = colors.length === 1 ? colors[0] : null; // A single color does not need to be chosen
+        this.selectedSize = {}; // Sizes with a single value do not need to be chosen either
+        getSizeOptions(this.product).forEach(({ kind, values }) => {
+            if (values.length === 1) {
+                this.selectedSize[kind] = values[0];
+            }
+        });
+        variantOptionsTemplate(this.product, this.selectedColor, this.selectedSize); // Render the color and size choices
+        showSelectedColor(this.product, this.selectedColor, this.gallery); // Show the chosen color, if any, and the images
     }
 }
 
 
 
+function renderProductStrip(selector, products) {
+    /* Render Product Strip function.
+    =============================
+    Description:
+    This function renders a list of product cards in one of the strips under the product, and hides the strip when the list is empty.
+    Parameters:
+        - selector: The selector of the strip section.
+        - products: An array of product objects.
+    Returns:
+        - None
+    USED IN: renderRecommendations method of ProductDetails class.
+    ============================= */
+
+    const strip = qs(selector); // The section of the strip
+    if (!strip) { // The page was left while the products were loading
+        return;
+    }
+    renderListWithTemplate(productCardTemplate, qs(".product-strip__list", strip), products, "afterbegin", true); // Replace the previous cards
+    strip.classList.toggle("hide", products.length === 0); // Only show a strip with products
+}
+
+
+
+function variantOptionsTemplate(product, selectedColor, selectedSize) {
+    /* Variant Options Template function.
+    =============================
+    Description:
+    This function renders the color swatches and the size choices as radio buttons, so they work with the keyboard and screen readers.
+    A swatch shows the color chip image when the product data has one, and the color name otherwise.
+    Each kind of size gets its own group (e.g. "Size" or "Length" and "Zipper"). Products without sizes get no size group.
+    Parameters:
+        - product: The product object.
+        - selectedColor: The color to check, or null.
+        - selectedSize: An object with the size value to check for each kind of size.
+    Returns:
+        - None
+    USED IN: renderProductDetails method of ProductDetails class.
+    ============================= */
+
+    const colors = product.Colors || []; // The colors of the product
+    qs(".product__colors").classList.toggle("hide", colors.length === 0); // Hide the color group when the product has no colors
+    renderWithTemplate(html`${colors.map((color) => html`
+        <label class="swatch" title="${color.ColorName}">
+            <input type="radio" name="color" value="${color.ColorCode}" class="visually-hidden" ${color === selectedColor && html`checked`} />
+            ${color.ColorChipImageSrc
+                ? html`<img src="${color.ColorChipImageSrc}" alt="${color.ColorName}" class="swatch__chip" />`
+                : html`<span class="swatch__name">${color.ColorName}</span>`}
+        </label>`)}`, document.getElementById("productSwatches"));
+
+    renderWithTemplate(html`${getSizeOptions(product).map(({ kind, label, values }) => html`
+        <fieldset class="product__variants">
+            <legend>${label}</legend>
+            ${values.map((value) => html`
+            <label class="size-option">
+                <input type="radio" name="size-${kind}" value="${value}" class="visually-hidden" ${selectedSize[kind] === value && html`checked`} />
+                <span>${value}</span>
+            </label>`)}
+        </fieldset>`)}`, document.getElementById("productSizes"));
+}
+
+
+
+function showSelectedColor(product, color, gallery) {
+    /* Show Selected Color function.
+    =============================
+    Description:
+    This function shows the name of the chosen color and switches the first image of the gallery to that color.
+    The first color is the one shown in the main product image, so it keeps the large image. The other colors use their preview image when the product data has one.
+    Parameters:
+        - product: The product object.
+        - color: The chosen color object, or null.
+        - gallery: The ProductGallery of the page.
+    Returns:
+        - None
+    USED IN: renderProductDetails and selectVariant methods of ProductDetails class.
+    ============================= */
+
+    document.getElementById("productColor").textContent = color ? color.ColorName : "Choose a color"; // Show the chosen color
+    gallery.setImages(getGalleryImages(product, color)); // The main image of the color (described with its name), then the other views
+}
+
+
+
 function productDetailsTemplate(product) {
     /* Product Details Template function.
     =============================
@@ -122,16 +406,15 @@ function productDetailsTemplate(product) {
     ============================= */
 
     // The following values are taken from the product object and inserted into the corresponding DOM elements. To check the structure of the product object, refer to the sample-product.json file in the data folder.
-    document.querySelector('h2').textContent = product.Brand.Name; // Set brand name
-    document.querySelector('h3').textContent = product.NameWithoutBrand; // Set product name
+    document.querySelector("h2").textContent = product.Brand.Name; // Set brand name
+    document.querySelector("h3").textContent = product.NameWithoutBrand; // Set product name
  
-    const productImage = document.getElementById('productImage'); // Set product image
-    productImage.src = product.Images.PrimaryExtraLarge; // Set the source of the product image to the primary extra large image URL
-    productImage.alt = product.NameWithoutBrand; // Set the alt text of the product image to the product name without brand
-
-    document.getElementById('productPrice').textContent = product.FinalPrice; // Set product price
-    document.getElementById('productColor').textContent = product.Colors[0].ColorName; // Set product color
-    document.getElementById('productDesc').innerHTML = product.DescriptionHtmlSimple; // Set product description (using innerHTML to render HTML content)
+    const discount = getDiscount(product); // Sale price, original price and savings
+    const priceElement = document.getElementById("productPrice"); // Set product price
+    renderWithTemplate(discount.amount > 0 // If the product is discounted, show the original price crossed out and the savings
+        ? html`${formatCurrency(discount.sale)} <s class="product__original-price">${formatCurrency(discount.original)}</s> <span class="product__savings">Save ${formatCurrency(discount.amount)} (${discount.percent}% off)</span>`
+        : html`${formatCurrency(discount.sale)}`, priceElement); // Otherwise only the price
+    renderWithTemplate(trustedHtml(product.DescriptionHtmlSimple), document.getElementById("productDesc")); // Set product description. It is HTML from the server, so only the allowed formatting is kept (see sanitizeHtml in utils.mjs)
 
-    document.getElementById('addToCart').dataset.id = product.Id; // Set the data-id attribute of the add to cart button to the product ID
+    document.getElementById("addToCart").dataset.id = product.Id; // Set the data-id attribute of the add to cart button to the product ID
 }
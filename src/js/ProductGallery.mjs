@@ -0,0 +1,233 @@
+/*
+====================================
+This module provides a ProductGallery class to show the images of a product on the product page.
+The gallery shows one image at a time (a carousel) with "previous" and "next" buttons and a row of thumbnails under it.
+It works with the keyboard: the arrow keys show the previous and next image, Home and End the first and last one.
+Clicking the image opens it in a zoom lightbox (a modal dialog), where clicking the image magnifies it where it was clicked,
+the arrow keys still change the image, and Escape or the close button closes it.
+The images come from getGalleryImages in images.mjs, so the large image gets a srcset and broken images show the placeholder.
+The only exported entity from this module is the ProductGallery class, which contains the following:
+- A constructor to find the parts of the gallery and set up the event listeners.
+- A setImages method to show a list of images.
+- A show method to show one of them.
+- openLightbox and closeLightbox methods to open and close the zoom lightbox.
+====================================
+*/
+
+
+
+import { html, renderWithTemplate } from "./utils.mjs"; // Import the html template tag and the function that renders it
+
+
+
+const IMAGE_SIZES = "(min-width: 532px) 500px, 100vw"; // The product details are at most 500px wide (see .product-detail in style.css)
+
+
+
+export default class ProductGallery {
+/*====================================
+Product Gallery class
+Description:
+This class shows the images of a product as a carousel with thumbnails and a zoom lightbox.
+The markup of the gallery is in product_pages/index.html; this class fills it.
+Constructor Parameters:
+    - element: The element of the gallery (.product-gallery).
+Constructor Variables:
+    - element (from the parameters)
+    - image (the large image of the carousel)
+    - thumbnails (the list of thumbnails)
+    - status (the hidden text that tells screen readers which image is shown)
+    - lightbox (the dialog of the zoom lightbox) and lightboxImage (its image)
+    - images (the images of the gallery, see getGalleryImages)
+    - index (the position of the image shown)
+Methods:
+    - setImages(images, index): Shows a new list of images.
+    - show(index): Shows one of the images.
+    - openLightbox(): Opens the image shown in the zoom lightbox.
+    - closeLightbox(): Closes the zoom lightbox.
+    - handleClick(event): Handles the buttons and thumbnails of the gallery.
+    - handleKeydown(event): Handles the arrow, Home and End keys.
+USED IN: ProductDetails class to show the images of the product.
+====================================*/
+
+  constructor(element) { // Initialize the ProductGallery class
+    this.element = element; // The gallery
+    this.image = element.querySelector(".product-gallery__image"); // The large image
+    this.thumbnails = element.querySelector(".product-gallery__thumbnails"); // The thumbnails
+    this.status = element.querySelector(".product-gallery__status"); // "Image 1 of 3", for screen readers
+    this.lightbox = element.querySelector(".lightbox"); // The zoom lightbox
+    this.lightboxImage = this.lightbox.querySelector(".lightbox__image");
+    this.images = []; // No images yet
+    this.index = 0;
+    element.addEventListener("click", (event) => this.handleClick(event)); // The lightbox is inside the gallery, so its clicks and keys arrive here too
+    element.addEventListener("keydown", (event) => this.handleKeydown(event));
+    this.lightbox.addEventListener("close", () => this.lightboxImage.classList.remove("lightbox__image--zoomed")); // Escape closes the dialog without calling closeLightbox
+  }
+
+  setImages(images, index = 0) {
+  /*
+  Description:
+  This method renders a thumbnail for each image and shows one of them.
+  With a single image, the "previous" and "next" buttons and the thumbnails are hidden.
+  Parameters:
+      - images: An array of { src, srcset, thumbnail, alt } (see getGalleryImages in images.mjs).
+      - index: Optional. The position of the image to show (default 0).
+  Returns:
+      - None
+  USED IN: ProductDetails class when the product is rendered and when a color is chosen.
+  ==================================== */
+
+    this.images = images;
+    const single = images.length <= 1; // Nothing to browse
+    this.element.classList.toggle("product-gallery--single", single);
+    renderWithTemplate(html`${images.map((image, position) => html`
+      <li>
+        <button type="button" class="product-gallery__thumbnail" data-index="${position}" aria-label="Show image ${position + 1} of ${images.length}">
+          <img src="${image.thumbnail}" alt="" loading="lazy" decoding="async" data-fallback>
+        </button>
+      </li>`)}`, this.thumbnails);
+    this.show(index);
+  }
+
+  show(index) {
+  /*
+  Description:
+  This method shows one of the images in the carousel (and in the lightbox, when it is open) and marks its thumbnail.
+  The positions wrap around, so "next" on the last image shows the first one.
+  Parameters:
+      - index: The position of the image to show.
+  Returns:
+      - None
+  USED IN: setImages, handleClick and handleKeydown methods of ProductGallery class.
+  ==================================== */
+
+    const count = this.images.length;
+    if (count === 0) {
+      return;
+    }
+    this.index = ((index % count) + count) % count; // Wrap around in both directions
+    const image = this.images[this.index];
+    if (image.srcset) { // Let the browser choose the width it needs
+      this.image.srcset = image.srcset;
+      this.image.sizes = IMAGE_SIZES;
+    } else {
+      this.image.removeAttribute("srcset");
+      this.image.removeAttribute("sizes");
+    }
+    this.image.src = image.src;
+    this.image.alt = image.alt;
+    this.thumbnails.querySelectorAll(".product-gallery__thumbnail").forEach((thumbnail, position) => {
+      if (position === this.index) { // Mark the thumbnail of the image shown
+        thumbnail.setAttribute("aria-current", "true");
+      } else {
+        thumbnail.removeAttribute("aria-current");
+      }
+    });
+    this.status.textContent = count > 1 ? `Image ${this.index + 1} of ${count}` : "";
+    if (this.lightbox.hasAttribute("open")) { // Keep the lightbox on the same image
+      this.lightboxImage.src = image.src;
+      this.lightboxImage.alt = image.alt;
+      this.lightboxImage.classList.remove("lightbox__image--zoomed");
+    }
+  }
+
+  openLightbox() {
+  /*
+  Description:
+  This method opens the image shown in the zoom lightbox, at its largest size. Browsers without dialog support show it without the backdrop.
+  Parameters:
+      - None
+  Returns:
+      - None
+  USED IN: handleClick method of ProductGallery class.
+  ==================================== */
+
+    const image = this.images[this.index];
+    if (!image) {
+      return;
+    }
+    this.lightboxImage.src = image.src;
+    this.lightboxImage.alt = image.alt;
+    if (typeof this.lightbox.showModal === "function") {
+      this.lightbox.showModal(); // Keeps the focus in the lightbox and closes with Escape
+    } else {
+      this.lightbox.setAttribute("open", "");
+    }
+  }
+
+  closeLightbox() {
+  /*
+  Description:
+  This method closes the zoom lightbox.
+  Parameters:
+      - None
+  Returns:
+      - None
+  USED IN: handleClick method of ProductGallery class.
+  ==================================== */
+
+    if (typeof this.lightbox.close === "function") {
+      this.lightbox.close(); // Sends the close event, which resets the zoom
+    } else {
+      this.lightbox.removeAttribute("open");
+      this.lightboxImage.classList.remove("lightbox__image--zoomed");
+    }
+  }
+
+  handleClick(event) {
+  /*
+  Description:
+  This method handles the clicks in the gallery and its lightbox:
+      - "Previous" and "next" buttons and thumbnails show an image.
+      - The large image opens the lightbox.
+      - The close button or the backdrop of the lightbox closes it.
+      - The image in the lightbox is magnified at the point that was clicked, and a second click shows it whole again.
+  Parameters:
+      - event: The click event.
+  Returns:
+      - None
+  USED IN: The click listener set up in the constructor.
+  ==================================== */
+
+    const target = event.target;
+    const control = target.closest("[data-gallery], .product-gallery__thumbnail"); // A button of the gallery, if any
+    if (control?.dataset.gallery === "previous") {
+      this.show(this.index - 1);
+    } else if (control?.dataset.gallery === "next") {
+      this.show(this.index + 1);
+    } else if (control?.dataset.gallery === "zoom") {
+      this.openLightbox();
+    } else if (control?.dataset.gallery === "close" || target === this.lightbox) { // The close button, or the backdrop around the dialog
+      this.closeLightbox();
+    } else if (control) { // A thumbnail
+      this.show(Number(control.dataset.index));
+    } else if (target === this.lightboxImage) { // Magnify where the image was clicked
+      const box = target.getBoundingClientRect();
+      target.style.transformOrigin = `${((event.clientX - box.left) / box.width) * 100}% ${((event.clientY - box.top) / box.height) * 100}%`;
+      target.classList.toggle("lightbox__image--zoomed");
+    }
+  }
+
+  handleKeydown(event) {
+  /*
+  Description:
+  This method lets the keyboard browse the images: the left and right arrows show the previous and next image, Home and End the first and last one.
+  It works while the focus is anywhere in the gallery, including the lightbox.
+  Parameters:
+      - event: The keydown event.
+  Returns:
+      - None
+  USED IN: The keydown listener set up in the constructor.
+  ==================================== */
+
+    const moves = { ArrowLeft: this.index - 1, ArrowRight: this.index + 1, Home: 0, End: this.images.length - 1 }; // The image each key shows
+    if (!(event.key in moves) || this.images.length <= 1) {
+      return;
+    }
+    event.preventDefault(); // The arrows would scroll the page
+    this.show(moves[event.key]);
+    if (event.target.classList.contains("product-gallery__thumbnail")) { // Move the focus along the thumbnails
+      this.thumbnails.querySelectorAll(".product-gallery__thumbnail")[this.index]?.focus();
+    }
+  }
+}
@@ -1,23 +1,56 @@
 /*  
+The productCardTemplate function is also exported so other pages (like the search results page) render products the same way,
+and the categoryCardTemplate function renders the category cards of the home page and of the "coming soon" page.
 The ProductList class is responsible for rendering a list of products on the page from an array of product data.
 It uses a template function to generate the HTML for each product card and inserts it into the specified list element in the DOM.
+The list can be sorted and filtered with a form of controls. The choices are kept in the URL query parameters (see productFilters.mjs).
+The matching products are shown one page at a time, with numbered controls under the list, or with infinite scroll, which adds the next page
+when the user reaches the end of the list. The page is kept in the URL too (see pagination.mjs), e.g. ?category=tents&page=2.
+Placeholder cards (skeletons) are shown while the products load.
 Constructor Parameters:
    - category: The category of products to be displayed (e.g., "tents", "sleeping-bags").
    - dataSource: The data source to fetch product details from.
    - listElement: The DOM element where the product list will be rendered.
+   - controlsElement: Optional. The form with the sort and filter controls.
+   - options: Optional. An object with infiniteScroll (true to add pages on scroll instead of showing numbered controls),
+     signal (an AbortSignal that stops the infinite scroll when the page is left) and reviewData (a ReviewData instance, to show and sort by the ratings).
 Constructor Variables:
    - category (the category of products to be displayed)
    - dataSource (the data source to fetch product details from)
    - listElement (the DOM element where the product list will be rendered)
+   - controlsElement (the form with the sort and filter controls)
+   - products (every product of the category)
+   - filters (the current sort and filter choices)
+   - pagination (the current page and page size)
+   - matches (the products that match the choices, in the chosen order)
 Methods:
    - init(): Fetches product data for the specified category and renders the product list.
    - renderList(list): Renders the list of products using the productCardTemplate function.
+   - renderPage(): Renders the current page of the matching products.
+   - goToPage(page): Shows another page and keeps it in the URL.
+   - renderMore(): Adds the next page to the list (infinite scroll).
+   - renderBreadcrumbs(category, count): Shows the breadcrumbs with the name of the category and its number of products.
+   - renderComingSoon(category): Shows a "coming soon" page for a category without products.
+   - renderError(err): Shows a "category unavailable" message with a "try again" button.
+   - setupControls(): Fills the sort and filter controls and listens for changes.
+   - applyFilters(): Renders the products that match the current choices, in the chosen order.
 ====================================
 */
 
-import { renderListWithTemplate } from "./utils.mjs"; // Import the renderListWithTemplate utility function
+import { html, renderListWithTemplate, renderStatusMessage, renderWithTemplate } from "./utils.mjs"; // Import the utility functions to build templates and render the list, the page controls and status messages
+import { formatCurrency, getDiscount } from "./pricing.mjs"; // Import the pricing functions to show the price and discount
+import { filterProducts, getFilterChoices, readFilters, sortOptions, sortProducts, writeFilters } from "./productFilters.mjs"; // Import the sorting and filtering functions
+import { getPageNumbers, paginate, readPagination, writePagination } from "./pagination.mjs"; // Import the pagination functions
+import { responsiveImage } from "./images.mjs"; // Import the function that builds product images with a srcset and lazy loading
+import { starsTemplate, withRatings } from "./reviews.mjs"; // Import the review functions to show and sort by the ratings
+import { getCategories, getCategory, getCategoryName, getCategoryURL } from "./categories.mjs"; // Import the category registry for the title, breadcrumbs and "coming soon" page
+import { compareList } from "./CompareList.mjs"; // Import the shared compare list to check the "Compare" toggle of the compared products
 
-function productCardTemplate(product) {
+const CARD_IMAGE_SIZES = "(min-width: 560px) 250px, 45vw"; // Cards are 45% of the screen on phones and at most 250px wide (see .product-card in style.css)
+
+
+
+export function productCardTemplate(product, { highlight = (text) => text } = {}) {
 /* Product Card Template function
 =====================================
 Description:
@@ -25,24 +58,94 @@ This function generates the HTML template for a product card.
 It takes a product object as input and returns an HTML string representing the product card.
 Parameters:
    - product: The product object containing details such as ID, name, brand, image, and price.
+     Discounted products get a badge with the percent off and their original price crossed out.
+     The image gets a srcset of the widths the product has (see responsiveImage in images.mjs), so small screens download small images.
+     Products with a Rating (see withRatings in reviews.mjs) show their average rating as stars.
+     Under the link, a "Compare" toggle adds the product to the compare tray (see CompareTray.mjs), and is checked for the compared products.
+   - options: Optional. An object with a highlight function that turns the brand and name into an html template (e.g. to mark search matches).
+     Without it, the brand and name are escaped like every other value.
 Returns:
-    - An HTML string representing the product card.
-USED IN: ProductList class in ProductList.mjs to render each product in the product listing page.
+    - An html template (see html in utils.mjs) representing the product card.
+USED IN: ProductList class in ProductList.mjs to render each product in the product listing page, and search.js for the search results.
 ====================================*/
     
-    return ` 
+    const discount = getDiscount(product); // Sale price, original price and savings
+    const brand = product.Brand?.Name || ""; // The API can send a product without a brand or a name
+    const name = product.NameWithoutBrand || "";
+    return html` 
         <li class="product-card">
-        <a href="../product_pages/index.html?product=${product.Id}">
-            <img src="${product.Images.PrimaryMedium}" alt="Image of ${product.NameWithoutBrand}">
-            <h2 class="card__brand">${product.Brand.Name}</h2>
-            <h3 class="card__name">${product.NameWithoutBrand}</h3>
-            <p class="product-card__price">$${product.ListPrice}</p>
+        <a href="../product_pages/index.html?product=${encodeURIComponent(product.Id)}">
+            ${discount.percent > 0 && html`<span class="discount-badge">${discount.percent}% off</span>`}
+            ${responsiveImage(product.Images, { alt: `Image of ${name}`, sizes: CARD_IMAGE_SIZES })}
+            <h2 class="card__brand">${highlight(brand)}</h2>
+            <h3 class="card__name">${highlight(name)}</h3>
+            ${product.Rating?.count > 0 && html`<p class="product-card__rating">${starsTemplate(product.Rating.average, { count: product.Rating.count })}</p>`}
+            <p class="product-card__price">
+                ${formatCurrency(discount.sale)}
+                ${discount.amount > 0 && html`<s class="product-card__original-price">${formatCurrency(discount.original)}</s>`}
+            </p>
         </a>
+        <label class="product-card__compare">
+            <input type="checkbox" class="product-card__compare-input" data-id="${product.Id}" data-name="${[brand, name].filter(Boolean).join(" ")}"
+                data-image="${product.Images?.PrimarySmall || ""}" ${compareList.has(product.Id) && html`checked`} />
+            Compare
+        </label>
     </li>`;
 }
 
 
 
+export function categoryCardTemplate(category) {
+/* Category Card Template function
+=====================================
+Description:
+This function generates the HTML template for a category card: its icon, name and description, linking to the listing page.
+The count paragraph stays empty until the number of products is known (see main.js).
+Parameters:
+   - category: A category of the registry (see categories.mjs).
+Returns:
+    - An html template (see html in utils.mjs) representing the category card.
+USED IN: main.js for the category grid of the home page, and renderComingSoon method of ProductList class.
+====================================*/
+
+    return html`
+        <li class="category-card">
+        <a href="${getCategoryURL(category.slug)}" class="category-card__image">
+            <img src="${category.icon}" alt="" />
+            <h2 class="card__name">${category.name}</h2>
+        </a>
+        <p class="category-card__description">${category.description}</p>
+        <p class="category-card__count"></p>
+    </li>`;
+}
+
+
+
+const SKELETON_COUNT = 8; // Placeholder cards shown while the products load (at most one page)
+
+
+
+function skeletonCardTemplate() {
+/* Placeholder (skeleton) card template function
+=====================================
+Description:
+This function generates a grey card in the shape of a product card, shown while the products load.
+It is hidden from screen readers; the list is marked aria-busy instead.
+Returns:
+    - An html template of the placeholder card.
+USED IN: init and watchMore methods of ProductList class.
+====================================*/
+
+    return html`
+        <li class="product-card product-card--skeleton" aria-hidden="true">
+            <div class="skeleton skeleton--image"></div>
+            <div class="skeleton skeleton--text"></div>
+            <div class="skeleton skeleton--text skeleton--short"></div>
+        </li>`;
+}
+
+
+
 export default class ProductList {
     /*
     Product List class
@@ -54,20 +157,60 @@ export default class ProductList {
         - category: The category of products to be displayed (e.g., "tents", "sleeping-bags").
         - dataSource: The data source to fetch product details from.
         - listElement: The DOM element where the product list will be rendered.
+        - controlsElement: Optional. The form with the sort and filter controls.
+        - options: Optional. An object with infiniteScroll (default false), signal (an AbortSignal that stops the infinite scroll when the page is left)
+          and reviewData (a ReviewData instance; without it the cards show no ratings).
     Constructor Variables:
         - category (the category of products to be displayed)
         - dataSource (the data source to fetch product details from)
         - listElement (the DOM element where the product list will be rendered)
+        - controlsElement (the form with the sort and filter controls)
+        - products (every product of the category)
+        - filters (the current sort and filter choices, read from the URL)
+        - pagination (the current page and page size, read from the URL)
+        - infiniteScroll (true when pages are added on scroll; only when the browser supports IntersectionObserver)
+        - signal (the AbortSignal of the page, if any)
+        - reviewData (the ReviewData instance, if any)
+        - matches (the products that match the choices, in the chosen order)
+        - rendered (how many of the matches are in the list, with infinite scroll)
+        - paginationElement (the numbered controls under the list, created when first needed)
+        - moreElement (the placeholder cards under the list that load the next page, with infinite scroll)
+        - observer (the IntersectionObserver watching moreElement)
     Methods:
         - init(): Fetches product data for the specified category and renders the product list.
         - renderList(list): Renders the list of products using the productCardTemplate function.
+        - renderPage(): Renders the current page of the matching products.
+        - renderPagination(page): Shows the numbered controls for a page.
+        - goToPage(page): Shows another page and keeps it in the URL.
+        - watchMore(): Shows the placeholder cards under the list and watches them, with infinite scroll.
+        - renderMore(): Adds the next page to the list, with infinite scroll.
+        - hidePaging(): Hides the numbered controls and the placeholder cards.
+        - updateCount(start, end): Shows which of the matching products are in the list.
+        - renderBreadcrumbs(category, count): Shows the breadcrumbs with the name of the category and its number of products.
+        - renderComingSoon(category): Shows a "coming soon" page for a category without products.
+        - renderError(err): Shows a "category unavailable" message with a "try again" button.
+        - setupControls(): Fills the sort and filter controls and listens for changes.
+        - applyFilters(): Renders the products that match the current choices, in the chosen order.
     USED IN: product-listing.js to create and initialize the product listing page.
     ==================================== */
 
-    constructor(category, dataSource, listElement) {
+    constructor(category, dataSource, listElement, controlsElement = null, { infiniteScroll = false, signal = null, reviewData = null } = {}) {
         this.category = category;
         this.dataSource = dataSource;
         this.listElement = listElement;
+        this.controlsElement = controlsElement;
+        this.products = []; // Every product of the category, in the server's order
+        this.filters = readFilters(new URLSearchParams(window.location.search)); // Sort and filter choices from the URL, so shared links and reloads keep them
+        this.pagination = readPagination(new URLSearchParams(window.location.search)); // Page and page size from the URL
+        this.infiniteScroll = infiniteScroll && "IntersectionObserver" in window; // Older browsers get the numbered controls
+        this.signal = signal;
+        this.reviewData = reviewData;
+        this.matches = []; // Nothing rendered yet
+        this.rendered = 0;
+        this.paginationElement = null; // Created when first needed
+        this.moreElement = null;
+        this.observer = null;
+        signal?.addEventListener("abort", () => this.observer?.disconnect()); // Stop watching the list when the page is left
     }
 
     async init() {
@@ -75,7 +218,10 @@ export default class ProductList {
     ====================================
     Description:
     This method fetches product data for the specified category from the data source
-    and renders the product list using the renderList method.
+    and renders the product list with the sort and filter choices applied.
+    The ratings of the products are read at the same time; the list is shown without stars when they cannot be loaded.
+    The title and breadcrumbs show the name of the category from the registry (see categories.mjs).
+    A missing or unknown category, or a failed request, shows a message in the list instead; a category without products shows a "coming soon" page.
     Parameters:
         - None
     Returns:
@@ -83,9 +229,43 @@ export default class ProductList {
     USED IN: product-listing.js to initialize and render the product list on page load.
     ====================================*/
         
-        const list = await this.dataSource.getData(this.category); // Fetch product data for the specified category from the data source
-        this.renderList(list); // Render the product list using the renderList method
-        document.querySelector(".title").textContent = this.category.charAt(0).toUpperCase() + this.category.slice(1); // Set the page title based on the category and capitalize the first letter
+        if (!this.category) { // The page was opened without a ?category= parameter
+            renderStatusMessage(this.listElement, { title: "No category selected", message: "Choose a category to see its products.", linkLabel: "See all categories", linkHref: "/index.html" });
+            return;
+        }
+        const category = getCategory(this.category); // The category in the registry
+        if (!category) { // Not a category of the site (or a disabled one)
+            renderStatusMessage(this.listElement, { title: "Category not found", message: `We don't have a "${getCategoryName(this.category)}" category.`, linkLabel: "See all categories", linkHref: "/index.html" });
+            document.title = "Sleep Outside | Category not found";
+            return;
+        }
+        document.querySelector(".title").textContent = category.name; // Set the page title to the name of the category, e.g. "Sleeping Bags"
+        document.title = `Sleep Outside | ${category.name}`; // And the title of the browser tab
+        this.renderBreadcrumbs(category);
+        this.hidePaging(); // "Try again" runs init again after a message
+        renderListWithTemplate(skeletonCardTemplate, this.listElement, Array.from({ length: Math.min(this.pagination.pageSize, SKELETON_COUNT) }), "afterbegin", true); // Placeholder cards while the products load
+        this.listElement.setAttribute("aria-busy", "true");
+        let list; // The products of the category
+        try {
+            const [products, ratings] = await Promise.all([
+                this.dataSource.getData(this.category), // Fetch product data for the specified category from the data source
+                this.reviewData?.getRatings().catch(() => ({})) ?? {}, // The average rating of each product
+            ]);
+            list = withRatings(products, ratings);
+        } catch (err) {
+            this.renderError(err); // Show a message instead of an empty page
+            return;
+        } finally {
+            this.listElement.removeAttribute("aria-busy");
+        }
+        if (list.length === 0) { // The category exists but has no products yet
+            this.renderComingSoon(category);
+            return;
+        }
+        this.renderBreadcrumbs(category, list.length); // Add the number of products
+        this.products = list; // Keep every product so the filters can be changed without fetching again
+        this.setupControls(); // Fill the sort and filter controls
+        this.applyFilters(); // Render the products that match the choices
     }
 
     renderList(list) {
@@ -98,9 +278,425 @@ export default class ProductList {
         - list: An array of product objects to be rendered.
     Returns:
         - None
-    USED IN: init method of ProductList class to render the product list after fetching data.
+    USED IN: renderPage method of ProductList class to render a page of the sorted and filtered list.
     ====================================*/
         
-        renderListWithTemplate(productCardTemplate, this.listElement, list); // Use the renderListWithTemplate utility function to render the product list
+        renderListWithTemplate(productCardTemplate, this.listElement, list, "afterbegin", true); // Use the renderListWithTemplate utility function to render the product list, replacing any message shown before
+    }
+
+    renderPage() {
+    /* Method to render the current page of the matching products
+    ====================================
+    Description:
+    With numbered controls, this method renders the products of the current page and the controls under them.
+    A page after the last one (e.g. after a filter leaves fewer products) shows the last page.
+    With infinite scroll, it renders every page up to the current one, so a reload keeps the products the user had scrolled through,
+    and watches the end of the list for the next page.
+    Parameters:
+        - None
+    Returns:
+        - None
+    USED IN: applyFilters and goToPage methods of ProductList class.
+    ====================================*/
+
+        const { pageSize } = this.pagination;
+        if (this.infiniteScroll) { // Pages 1 to the current one
+            const list = this.matches.slice(0, this.pagination.page * pageSize);
+            this.renderList(list);
+            this.rendered = list.length;
+            this.updateCount(1, list.length);
+            this.watchMore();
+            return;
+        }
+        const page = paginate(this.matches, this.pagination.page, pageSize); // The products of the current page
+        if (page.page !== this.pagination.page) { // The page was moved into range, so correct the URL too
+            this.pagination.page = page.page;
+            this.saveFilters();
+        }
+        this.renderList(page.items);
+        this.updateCount(page.start, page.end);
+        this.renderPagination(page);
+    }
+
+    renderPagination(page) {
+    /* Method to show the numbered controls for a page
+    ====================================
+    Description:
+    This method renders "Previous", the page numbers (see getPageNumbers) and "Next" under the list.
+    Each control is a link to the URL of its page, so it can also be opened in a new tab, but a click shows the page without reloading.
+    The controls are hidden when every product fits on one page.
+    Parameters:
+        - page: The result of paginate for the current page.
+    Returns:
+        - None
+    USED IN: renderPage method of ProductList class.
+    ====================================*/
+
+        if (!this.paginationElement) { // First page shown: create the controls under the list
+            this.paginationElement = document.createElement("nav");
+            this.paginationElement.className = "pagination";
+            this.paginationElement.setAttribute("aria-label", "Product pages");
+            this.paginationElement.addEventListener("click", (event) => {
+                const link = event.target.closest("a[data-page]"); // The clicked control, if any
+                if (!link || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) { // Let the browser open new tabs
+                    return;
+                }
+                event.preventDefault(); // Also keeps the single-page router from handling the link
+                this.goToPage(Number(link.dataset.page));
+            });
+            this.listElement.after(this.paginationElement);
+        }
+        this.paginationElement.classList.toggle("hide", page.pageCount <= 1); // No controls for a single page
+        renderWithTemplate(paginationTemplate(page, (number) => pageURL({ ...this.pagination, page: number })), this.paginationElement);
+    }
+
+    goToPage(page) {
+    /* Method to show another page of the matching products
+    ====================================
+    Description:
+    This method saves the page in the URL, renders it and scrolls back to the top of the products.
+    Parameters:
+        - page: The page number.
+    Returns:
+        - None
+    USED IN: The click listener of the numbered controls.
+    ====================================*/
+
+        this.pagination.page = page;
+        this.saveFilters();
+        this.renderPage();
+        (this.listElement.closest("section") || this.listElement).scrollIntoView({ block: "start" }); // The new page starts at the top
     }
-}
\ No newline at end of file
+
+    watchMore() {
+    /* Method to watch the end of the list for the next page (infinite scroll)
+    ====================================
+    Description:
+    This method shows placeholder cards under the list while more products match, and watches them with an IntersectionObserver.
+    When they come close to the screen, renderMore adds the next page.
+    Parameters:
+        - None
+    Returns:
+        - None
+    USED IN: renderPage and renderMore methods of ProductList class.
+    ====================================*/
+
+        if (!this.moreElement) { // First time: create the placeholder cards and the observer
+            this.moreElement = document.createElement("ul");
+            this.moreElement.className = "product-list product-list--more";
+            this.moreElement.setAttribute("aria-hidden", "true"); // Only a visual hint
+            renderListWithTemplate(skeletonCardTemplate, this.moreElement, Array.from({ length: SKELETON_COUNT / 2 }));
+            this.listElement.after(this.moreElement);
+            this.observer = new IntersectionObserver((entries) => {
+                if (entries.some((entry) => entry.isIntersecting)) { // The end of the list is close
+                    this.renderMore();
+                }
+            }, { rootMargin: "400px 0px" }); // Start a little before the placeholders are on screen
+        }
+        const hasMore = this.rendered < this.matches.length; // Products that are not in the list yet
+        this.moreElement.classList.toggle("hide", !hasMore);
+        this.observer.unobserve(this.moreElement);
+        if (hasMore && !this.signal?.aborted) {
+            this.observer.observe(this.moreElement); // Observing again reports whether the placeholders are still close, e.g. on a tall screen
+        }
+    }
+
+    renderMore() {
+    /* Method to add the next page to the list (infinite scroll)
+    ====================================
+    Description:
+    This method adds the next page of the matching products at the end of the list, without rendering the list again,
+    and saves the page in the URL so a reload shows the same products.
+    Parameters:
+        - None
+    Returns:
+        - None
+    USED IN: The IntersectionObserver created by watchMore.
+    ====================================*/
+
+        const { pageSize } = this.pagination;
+        const next = this.matches.slice(this.rendered, this.rendered + pageSize); // The next page
+        renderListWithTemplate(productCardTemplate, this.listElement, next, "beforeend"); // Add it after the products already shown
+        this.rendered += next.length;
+        this.pagination.page = Math.ceil(this.rendered / pageSize);
+        this.saveFilters();
+        this.updateCount(1, this.rendered);
+        this.watchMore(); // Watch for the page after it
+    }
+
+    hidePaging() {
+    /* Method to hide the numbered controls and the placeholder cards under the list
+    ====================================
+    USED IN: init and applyFilters methods of ProductList class, when a message is shown instead of products.
+    ====================================*/
+
+        this.paginationElement?.classList.add("hide");
+        this.moreElement?.classList.add("hide");
+        this.observer?.disconnect();
+    }
+
+    updateCount(start, end) {
+    /* Method to show which of the matching products are in the list
+    ====================================
+    Description:
+    The count reads e.g. "Showing 13–24 of 40 products", followed by the number of products in the category when filters hide some,
+    or "Showing 0 of 64 products" when nothing matches.
+    Parameters:
+        - start: The position of the first product shown, starting at 1.
+        - end: The position of the last product shown.
+    Returns:
+        - None
+    USED IN: renderPage and renderMore methods of ProductList class.
+    ====================================*/
+
+        const count = this.controlsElement?.querySelector(".listing-controls__count"); // Element showing how many products match
+        if (!count) {
+            return;
+        }
+        if (end === 0) { // Nothing matches
+            count.textContent = `Showing 0 of ${this.products.length} products`;
+            return;
+        }
+        const filtered = this.matches.length < this.products.length ? ` (${this.products.length} in this category)` : ""; // Some products are filtered out
+        count.textContent = `Showing ${start}–${end} of ${this.matches.length} products${filtered}`;
+    }
+
+    renderBreadcrumbs(category, count) {
+    /* Method to show where the listing page is in the site
+    ====================================
+    Description:
+    This method renders the breadcrumbs above the title: "Home › Sleeping Bags", followed by the number of products once it is known.
+    Parameters:
+        - category: The category of the registry.
+        - count: Optional. The number of products of the category.
+    Returns:
+        - None
+    USED IN: init method of ProductList class, before and after the products are fetched.
+    ====================================*/
+
+        const element = document.querySelector(".breadcrumbs"); // The breadcrumbs of the page
+        if (!element) {
+            return;
+        }
+        renderWithTemplate(html`
+            <ol>
+                <li><a href="/index.html">Home</a></li>
+                <li><a href="${getCategoryURL(category.slug)}" aria-current="page">${category.name}</a>
+                    ${count !== undefined && html`<span class="breadcrumbs__count">(${count} ${count === 1 ? "product" : "products"})</span>`}</li>
+            </ol>`, element);
+    }
+
+    renderComingSoon(category) {
+    /* Method to show that a category has no products yet
+    ====================================
+    Description:
+    This method replaces the list with a "coming soon" message for the category, with its icon and description,
+    and the cards of the other categories so the user can keep browsing.
+    Parameters:
+        - category: The category of the registry.
+    Returns:
+        - None
+    USED IN: init method of ProductList class when the category has no products.
+    ====================================*/
+
+        const others = getCategories().filter((other) => other.slug !== category.slug); // The categories to browse instead
+        renderWithTemplate(html`
+            <li class="coming-soon">
+                <img class="coming-soon__icon" src="${category.icon}" alt="" />
+                <h3>${category.name}: coming soon</h3>
+                <p>${category.description} We are getting this category ready. In the meantime, have a look at our other categories.</p>
+                <ul class="category-list">${others.map(categoryCardTemplate)}</ul>
+            </li>`, this.listElement);
+    }
+
+    renderError(err) {
+    /* Method to show that the category could not be loaded
+    ====================================
+    Description:
+    This method replaces the list with a "category unavailable" message and a "try again" button that runs init again.
+    Parameters:
+        - err: The error thrown while fetching the products.
+    Returns:
+        - None
+    USED IN: init method of ProductList class when fetching the products fails.
+    ====================================*/
+
+        const serverProblem = err?.status >= 500; // A 5xx status means the server had a problem, anything else is probably the connection
+        renderStatusMessage(this.listElement, {
+            title: "Category unavailable",
+            message: serverProblem ? "Our product server is having trouble right now. Please try again in a moment." : "We couldn't load these products. Please check your connection and try again.",
+            actionLabel: "Try again",
+            onAction: () => this.init(),
+        });
+    }
+
+    setupControls() {
+    /* Method to fill the sort and filter controls and listen for changes
+    ====================================
+    Description:
+    This method fills the sort, brand and color menus (brands and colors come from the products of the category),
+    sets every control to the choices read from the URL and listens for changes.
+    When a control changes, the choices are saved in the URL with history.replaceState and the list is rendered again.
+    Parameters:
+        - None
+    Returns:
+        - None
+    USED IN: init method of ProductList class after the products are fetched.
+    ====================================*/
+
+        const form = this.controlsElement; // The form with the controls
+        if (!form) { // The page has no controls
+            return;
+        }
+        const { brands, colors } = getFilterChoices(this.products); // Brands and colors of this category
+        fillSelect(form.elements.sort, Object.entries(sortOptions).map(([value, option]) => [value, option.label])); // Sort choices
+        fillSelect(form.elements.brand, brands.map((brand) => [brand, brand])); // Brand choices
+        fillSelect(form.elements.color, colors.map((color) => [color, color])); // Color choices
+        this.syncControls(); // Show the current choices
+        form.classList.remove("hide"); // Show the controls now that they are ready
+
+        if (form.dataset.ready) { // init can run again after "try again", so only add the listeners once
+            return;
+        }
+        form.dataset.ready = "true";
+        form.addEventListener("input", () => { // A control changed...
+            this.filters = readFilters(new URLSearchParams(new FormData(form))); // Read the choices from the form
+            this.pagination.page = 1; // The matching products change, so start at their first page
+            this.saveFilters(); // Keep them in the URL
+            this.applyFilters(); // Render the list again
+        });
+        form.addEventListener("reset", (event) => { // The "Clear filters" button was clicked...
+            event.preventDefault(); // Clear the choices ourselves so the list and URL update too
+            this.clearFilters();
+        });
+        form.addEventListener("submit", (event) => event.preventDefault()); // Pressing Enter in a price field must not reload the page
+    }
+
+    syncControls() {
+    /* Method to show the current choices in the controls
+    ====================================
+    USED IN: setupControls and clearFilters methods of ProductList class.
+    ====================================*/
+
+        const { elements } = this.controlsElement; // The controls of the form
+        elements.sort.value = this.filters.sort || ""; // Sort choice, or the default order
+        elements.brand.value = this.filters.brand || ""; // Brand choice, or all brands
+        elements.color.value = this.filters.color || ""; // Color choice, or all colors
+        elements.minPrice.value = this.filters.minPrice ?? ""; // Lowest price, or empty
+        elements.maxPrice.value = this.filters.maxPrice ?? ""; // Highest price, or empty
+        elements.sale.checked = this.filters.onSale; // On sale only
+    }
+
+    saveFilters() {
+    /* Method to save the current choices in the URL
+    ====================================
+    Description:
+    The page is saved too. The category and any other query parameter are kept.
+    replaceState is used so changing a filter or a page does not add a browser history entry.
+    USED IN: setupControls, clearFilters, goToPage and renderMore methods of ProductList class.
+    ====================================*/
+
+        const params = writePagination(writeFilters(new URLSearchParams(window.location.search), this.filters), this.pagination); // Current parameters with the new choices
+        window.history.replaceState(null, "", `${window.location.pathname}?${params}`); // Update the URL without reloading the page
+    }
+
+    clearFilters() {
+    /* Method to remove every sort and filter choice
+    ====================================
+    USED IN: The reset listener of the controls and the "Clear filters" button of the empty results message.
+    ====================================*/
+
+        this.filters = readFilters(new URLSearchParams()); // No choices
+        this.pagination.page = 1; // Back to the first page
+        if (this.controlsElement) { // Update the controls, if there are any
+            this.syncControls();
+        }
+        this.saveFilters(); // Remove the choices from the URL
+        this.applyFilters(); // Render every product again
+    }
+
+    applyFilters() {
+    /* Method to render the products that match the current choices
+    ====================================
+    Description:
+    This method filters and sorts the products of the category with the current choices and renders the current page of them,
+    replacing the list that was shown before. When no product matches, a message with a "Clear filters" button is shown.
+    Parameters:
+        - None
+    Returns:
+        - None
+    USED IN: init method of ProductList class and whenever a control changes.
+    ====================================*/
+
+        this.matches = sortProducts(filterProducts(this.products, this.filters), this.filters.sort); // Matching products in the chosen order
+        if (this.matches.length === 0) { // Nothing matches
+            this.updateCount(0, 0);
+            this.hidePaging();
+            renderStatusMessage(this.listElement, { title: "No products match these filters", message: "Try a different brand, color or price range.", actionLabel: "Clear filters", onAction: () => this.clearFilters() });
+            return;
+        }
+        this.renderPage(); // Render the current page of the matching products
+    }
+}
+
+
+
+function fillSelect(select, choices) {
+/* Fill a select menu with choices
+=====================================
+Description:
+This function replaces every option of a select menu except the first one (the "all" or default option) with the given choices.
+Options are created with the DOM API, so names that come from the server are never read as HTML.
+Parameters:
+   - select: The select element.
+   - choices: An array of [value, label] pairs.
+Returns:
+    - None
+USED IN: setupControls method of ProductList class.
+====================================*/
+
+    while (select.options.length > 1) { // Remove the options added before, keeping the default option
+        select.remove(1);
+    }
+    choices.forEach(([value, label]) => select.add(new Option(label, value))); // Add an option for each choice
+}
+
+
+
+function paginationTemplate(page, urlFor) {
+/* Pagination controls template function
+=====================================
+Description:
+This function generates the "Previous" and "Next" links and the numbered links of the pagination controls.
+The current page is marked with aria-current, and the links that lead nowhere (e.g. "Previous" on page 1) are shown disabled.
+Parameters:
+   - page: The result of paginate for the current page.
+   - urlFor: A function that returns the URL of a page number.
+Returns:
+    - An html template of the controls.
+USED IN: renderPagination method of ProductList class.
+====================================*/
+
+    const control = (number, label, className) => (number >= 1 && number <= page.pageCount && number !== page.page
+        ? html`<a class="${className}" href="${urlFor(number)}" data-page="${number}">${label}</a>`
+        : html`<span class="${className}" aria-disabled="true">${label}</span>`); // A link, or a disabled control for the current page and the ends
+    return html`
+        <ul class="pagination__list">
+            <li>${control(page.page - 1, "Previous", "pagination__link pagination__prev")}</li>
+            ${getPageNumbers(page.page, page.pageCount).map((number) => (number === null
+                ? html`<li class="pagination__gap" aria-hidden="true">…</li>`
+                : html`<li>${number === page.page
+                    ? html`<span class="pagination__link" aria-current="page">${number}</span>`
+                    : control(number, String(number), "pagination__link")}</li>`))}
+            <li>${control(page.page + 1, "Next", "pagination__link pagination__next")}</li>
+        </ul>`;
+}
+
+
+
+function pageURL(pagination) {
+// Build the URL of a page of the listing, keeping the category, the sort and filter choices and any other query parameter
+// USED IN: renderPagination method of ProductList class.
+    const params = writePagination(new URLSearchParams(window.location.search), pagination);
+    return `${window.location.pathname}?${params}`;
+}
@@ -0,0 +1,288 @@
+/*
+====================================
+This module provides a ProductReviews class to show the reviews of a product on the product page and let the user write one.
+The reviews section has:
+- A summary: the average rating as stars, the number of reviews and how many reviews gave each number of stars.
+- The reviews, newest first, five per page with numbered page buttons.
+- A form to write a review (rating, title, review and name), checked in the browser before it is sent (see validateReview in reviews.mjs).
+Reviews are read and saved with a ReviewData instance (see ReviewData.mjs), so they come from the local sample file or the server.
+The only exported entity from this module is the ProductReviews class.
+====================================
+*/
+
+
+
+import { html, renderStatusMessage, renderWithTemplate } from "./utils.mjs"; // Import the html template tag and the render functions
+import { MAX_RATING, starsTemplate, summarizeRatings, validateReview } from "./reviews.mjs"; // Import the review functions
+import { getPageNumbers, paginate } from "./pagination.mjs"; // Import the pagination functions to split the reviews into pages
+import ServicesError from "./ServicesError.mjs"; // Import the ServicesError class to recognize the field errors of an invalid review
+
+
+
+const REVIEWS_PER_PAGE = 5; // Reviews shown on each page of the list
+const reviewFields = ["rating", "title", "text", "author"]; // The fields of the review form, in the order they are shown
+
+const dateFormat = new Intl.DateTimeFormat(undefined, { year: "numeric", month: "long", day: "numeric" }); // e.g. "June 14, 2024"
+
+
+
+function formatReviewDate(date) {
+// Format a "YYYY-MM-DD" date for the reader, or return it as it is when it cannot be read
+// USED IN: reviewTemplate function.
+  const parsed = new Date(`${date}T00:00:00`); // Midnight local time, so the day does not shift with the time zone
+  return Number.isNaN(parsed.getTime()) ? String(date || "") : dateFormat.format(parsed);
+}
+
+
+
+function reviewTemplate(review) {
+// Render one review of the list
+// USED IN: renderList method of ProductReviews class.
+  return html`
+    <li class="review">
+      <p class="review__rating">${starsTemplate(review.rating)}</p>
+      <h3 class="review__title">${review.title}</h3>
+      <p class="review__meta">${review.author} · <time datetime="${review.date}">${formatReviewDate(review.date)}</time></p>
+      <p class="review__text">${review.text}</p>
+    </li>`;
+}
+
+
+
+function showFieldError(form, name, message) {
+// Show or clear the error message of a field of the review form, and mark the field as invalid for assistive technology
+// USED IN: showErrors method of ProductReviews class.
+  const errorElement = form.querySelector(`#review-${name}-error`); // The element that holds the field's message
+  if (errorElement) {
+    errorElement.textContent = message || "";
+  }
+  form.querySelectorAll(`[name="${name}"]`).forEach((input) => { // The rating has one input per star
+    if (message) {
+      input.setAttribute("aria-invalid", "true");
+    } else {
+      input.removeAttribute("aria-invalid");
+    }
+  });
+}
+
+
+
+export default class ProductReviews {
+/*====================================
+Product Reviews class
+Description:
+This class fills the reviews section of the product page (#reviews in product_pages/index.html) and handles its form.
+Constructor Parameters:
+    - productId: The ID of the product.
+    - reviewData: The ReviewData instance that reads and saves the reviews.
+    - element: The reviews section.
+Constructor Variables:
+    - productId, reviewData, element (from the parameters)
+    - form (the review form)
+    - reviews (the reviews of the product, newest first)
+    - page (the page of the list that is shown)
+Methods:
+    - init(): Shows the section, sets up the form and loads the reviews.
+    - load(): Reads the reviews and renders them.
+    - render(): Renders the summary and the current page of the list.
+    - renderSummary(): Renders the average rating and the number of reviews with each rating.
+    - renderList(): Renders the current page of reviews and the page buttons.
+    - showErrors(errors): Shows the message of each invalid field of the form.
+    - handleSubmit(event): Checks and saves a new review.
+USED IN: ProductDetails class once the product is rendered.
+====================================*/
+
+  constructor(productId, reviewData, element) { // Initialize the ProductReviews class
+    this.productId = productId;
+    this.reviewData = reviewData;
+    this.element = element;
+    this.form = element.querySelector(".review-form"); // The form to write a review
+    this.reviews = []; // Loaded by load
+    this.page = 1;
+  }
+
+  init() {
+  /*
+  Description:
+  This method shows the reviews section, listens for the form and the page buttons, and loads the reviews.
+  Parameters:
+      - None
+  Returns:
+      - A promise that resolves once the reviews are rendered.
+  USED IN: ProductDetails class.
+  ==================================== */
+
+    this.element.classList.remove("hide");
+    this.form.addEventListener("submit", (event) => this.handleSubmit(event));
+    this.form.addEventListener("change", (event) => { // Once a field was marked invalid, clear its message as soon as it is fixed
+      const { name } = event.target;
+      if (event.target.hasAttribute("aria-invalid")) {
+        showFieldError(this.form, name, validateReview(Object.fromEntries(new FormData(this.form)))[name]);
+      }
+    });
+    this.element.querySelector(".reviews__pages").addEventListener("click", (event) => {
+      const button = event.target.closest("button[data-page]"); // The clicked page button, if any
+      if (button) {
+        this.page = Number(button.dataset.page);
+        this.renderList();
+        this.element.querySelector(".reviews__list").scrollIntoView({ block: "start" }); // The new page starts at the top of the list
+      }
+    });
+    return this.load();
+  }
+
+  async load() {
+  /*
+  Description:
+  This method reads the reviews of the product and renders them.
+  When they cannot be loaded, the list shows a "try again" message; the form still works.
+  Parameters:
+      - None
+  Returns:
+      - None
+  USED IN: init method of ProductReviews class, and the "try again" button.
+  ==================================== */
+
+    try {
+      this.reviews = await this.reviewData.getReviews(this.productId);
+    } catch (err) {
+      renderWithTemplate(html``, this.element.querySelector(".reviews__summary"));
+      renderWithTemplate(html``, this.element.querySelector(".reviews__pages"));
+      renderStatusMessage(this.element.querySelector(".reviews__list"), {
+        title: "We couldn't load the reviews",
+        message: "Please check your connection and try again.",
+        actionLabel: "Try again",
+        onAction: () => this.load(),
+      });
+      return;
+    }
+    this.page = 1;
+    this.render();
+  }
+
+  render() {
+  /*
+  Description:
+  This method renders the summary and the current page of the list.
+  USED IN: load and handleSubmit methods of ProductReviews class.
+  ==================================== */
+
+    this.renderSummary();
+    this.renderList();
+  }
+
+  renderSummary() {
+  /*
+  Description:
+  This method renders the average rating as stars with the number of reviews, and a bar for each number of stars
+  showing how many reviews gave it. A product without reviews asks for the first one instead.
+  Parameters:
+      - None
+  Returns:
+      - None
+  USED IN: render method of ProductReviews class.
+  ==================================== */
+
+    const summary = summarizeRatings(this.reviews); // Average, count and distribution
+    const element = this.element.querySelector(".reviews__summary");
+    if (summary.count === 0) {
+      renderWithTemplate(html`<p class="reviews__empty">No reviews yet. Be the first to review this product.</p>`, element);
+      return;
+    }
+    const rows = Object.entries(summary.distribution).sort(([a], [b]) => b - a); // 5 stars first
+    renderWithTemplate(html`
+      <p class="reviews__average">
+        ${starsTemplate(summary.average)}
+        <strong>${summary.average.toFixed(1)} out of ${MAX_RATING}</strong>
+        <span>${summary.count} ${summary.count === 1 ? "review" : "reviews"}</span>
+      </p>
+      <ul class="reviews__distribution">
+        ${rows.map(([stars, count]) => html`
+        <li class="reviews__bar">
+          <span>${stars} ${Number(stars) === 1 ? "star" : "stars"}</span>
+          <meter min="0" max="${summary.count}" value="${count}" aria-label="${count} of ${summary.count} reviews gave ${stars} ${Number(stars) === 1 ? "star" : "stars"}"></meter>
+          <span aria-hidden="true">${count}</span>
+        </li>`)}
+      </ul>`, element);
+  }
+
+  renderList() {
+  /*
+  Description:
+  This method renders the reviews of the current page and, when there is more than one page, the page buttons under them.
+  Parameters:
+      - None
+  Returns:
+      - None
+  USED IN: render method and the page buttons of ProductReviews class.
+  ==================================== */
+
+    const page = paginate(this.reviews, this.page, REVIEWS_PER_PAGE); // The reviews of the current page
+    this.page = page.page;
+    renderWithTemplate(html`${page.items.map(reviewTemplate)}`, this.element.querySelector(".reviews__list"));
+    const pageButton = (number, label) => html`<button type="button" class="reviews__page" data-page="${number}"
+      ${number === page.page && html`aria-current="page"`} ${(number < 1 || number > page.pageCount) && html`disabled`}>${label}</button>`;
+    renderWithTemplate(page.pageCount > 1 && html`
+      ${pageButton(page.page - 1, "Previous")}
+      ${getPageNumbers(page.page, page.pageCount).map((number) => (number === null ? html`<span aria-hidden="true">…</span>` : pageButton(number, String(number))))}
+      ${pageButton(page.page + 1, "Next")}`, this.element.querySelector(".reviews__pages"));
+  }
+
+  showErrors(errors) {
+  /*
+  Description:
+  This method shows the message of each invalid field under it, clears the others and moves the focus to the first invalid field.
+  Parameters:
+      - errors: An object with a message for each invalid field (see validateReview).
+  Returns:
+      - true when there was no error.
+  USED IN: handleSubmit method of ProductReviews class.
+  ==================================== */
+
+    reviewFields.forEach((name) => showFieldError(this.form, name, errors[name]));
+    const first = reviewFields.find((name) => errors[name]); // The first invalid field
+    if (first) {
+      this.form.querySelector(`[name="${first}"]`)?.focus();
+    }
+    return !first;
+  }
+
+  async handleSubmit(event) {
+  /*
+  Description:
+  This method checks the review form and saves the review. The new review is shown at the top of the list and the form is cleared.
+  The messages of invalid fields (found in the browser or returned by the server) are shown under the fields;
+  any other failure is shown under the button, and the form keeps what the user wrote.
+  Parameters:
+      - event: The submit event.
+  Returns:
+      - None
+  USED IN: The submit listener set up in init.
+  ==================================== */
+
+    event.preventDefault(); // The review is sent with JavaScript
+    const values = Object.fromEntries(new FormData(this.form)); // rating, title, text and author
+    const status = this.form.querySelector(".review-form__status");
+    status.textContent = "";
+    if (!this.showErrors(validateReview(values))) { // Check the fields before sending
+      return;
+    }
+    const button = this.form.querySelector("button[type='submit']");
+    button.disabled = true; // No double submissions
+    try {
+      const review = await this.reviewData.addReview(this.productId, values);
+      this.reviews = [review, ...this.reviews]; // The newest review first
+      this.page = 1;
+      this.render();
+      this.form.reset();
+      status.textContent = "Thank you! Your review was posted.";
+    } catch (err) {
+      if (err instanceof ServicesError && err.body && typeof err.body === "object") { // Field messages from the server
+        this.showErrors(err.body);
+      }
+      status.textContent = "Your review could not be posted. Please check it and try again.";
+    } finally {
+      button.disabled = false;
+    }
+  }
+}
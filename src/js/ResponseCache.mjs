@@ -0,0 +1,192 @@
+/*
+====================================
+This module provides a ResponseCache class to keep responses in memory and in sessionStorage.
+Responses are stored by key (the URL they were fetched from) and expire after a configurable time to live (TTL).
+While a response is being loaded, asking for the same key again returns the same promise, so identical requests made
+at the same time only reach the network once.
+sessionStorage keeps the responses while the user moves between pages of the site in the same tab, and forgets them when the tab is closed.
+The only exported entity from this module is the ResponseCache class, which contains the following:
+- A constructor to set the TTL, the storage and the storage key prefix.
+- A get method to return a cached response or load it.
+- A peek method to read a cached response without loading it.
+- A set method to store a response.
+- An invalidate method to remove one or all responses.
+====================================
+*/
+
+
+
+function getSessionStorage() {
+// Return sessionStorage when the browser allows it
+// =============================
+// Description:
+// Reading window.sessionStorage throws in some privacy modes, and it does not exist outside the browser.
+// Returns:
+//   - The sessionStorage object, or null when it cannot be used.
+// USED IN: constructor of ResponseCache class as the default storage.
+// =============================
+
+  try {
+    return typeof sessionStorage === "undefined" ? null : sessionStorage; // Use sessionStorage when it exists
+  } catch (err) {
+    return null; // Storage is blocked, so keep responses in memory only
+  }
+}
+
+
+
+export default class ResponseCache {
+/*====================================
+Response Cache class
+Description:
+This class stores responses by key with an expiry time, in memory and in a Storage object (sessionStorage by default),
+and shares one promise between identical requests that are still loading.
+Constructor Parameters:
+    - options: Optional object with:
+        - ttl: How long a response stays valid, in milliseconds (default 5 minutes). 0 disables caching but still shares in-flight requests.
+        - storage: The Storage object used to keep responses between pages (default sessionStorage, null for memory only).
+        - prefix: The prefix of the storage keys (default "so-cache:").
+Constructor Variables:
+    - ttl, storage, prefix (from the options)
+    - memory (a Map of key -> { value, expires })
+    - inflight (a Map of key -> promise of a response that is loading)
+Methods:
+    - get(key, loader, options): Returns the cached response or calls loader to get it.
+    - peek(key): Returns the cached response or undefined.
+    - set(key, value): Stores a response.
+    - invalidate(key): Removes a response, or every response when no key is given.
+USED IN: ProductData.mjs to cache product requests.
+====================================*/
+
+  constructor({ ttl = 5 * 60 * 1000, storage = getSessionStorage(), prefix = "so-cache:" } = {}) { // Initialize the ResponseCache class
+    this.ttl = ttl; // Time to live of a response in milliseconds
+    this.storage = storage; // Storage that keeps responses between pages
+    this.prefix = prefix; // Prefix of the storage keys, so the cache does not touch other keys
+    this.memory = new Map(); // Responses of this page
+    this.inflight = new Map(); // Promises of responses that are loading
+  }
+
+  async get(key, loader, { bypassCache = false } = {}) {
+  /*
+  Description:
+  This method returns the cached response for a key. When there is none (or it expired, or bypassCache is true)
+  it calls loader and caches what it returns. While loader is running, other calls for the same key get the same promise.
+  A loader that throws caches nothing, so the next call tries again.
+  Parameters:
+      - key: The key of the response, usually the URL.
+      - loader: An async function that loads the response.
+      - options: Optional object with bypassCache to ignore the cached response and load a fresh one.
+  Returns:
+      - A promise that resolves to the response.
+  USED IN: ProductData.mjs to fetch product data.
+  ==================================== */
+
+    if (!bypassCache) { // Unless the caller wants a fresh response...
+      const cached = this.peek(key); // Look for a cached response
+      if (cached !== undefined) { // If there is one, use it
+        return cached;
+      }
+      if (this.inflight.has(key)) { // If the same request is already loading, wait for it
+        return this.inflight.get(key);
+      }
+    }
+    const promise = (async () => { // Load the response and cache it
+      try {
+        const value = await loader(); // Run the loader
+        this.set(key, value); // Cache what it returned
+        return value;
+      } finally {
+        if (this.inflight.get(key) === promise) { // Forget the promise once it settles, unless a newer request replaced it
+          this.inflight.delete(key);
+        }
+      }
+    })();
+    this.inflight.set(key, promise); // Share the promise with identical requests
+    return promise;
+  }
+
+  peek(key) {
+  /*
+  Description:
+  This method returns the cached response for a key without loading anything.
+  It looks in memory first and then in storage, and removes responses that expired.
+  Parameters:
+      - key: The key of the response.
+  Returns:
+      - The response, or undefined when there is no valid cached response.
+  USED IN: get method of ResponseCache class.
+  ==================================== */
+
+    let entry = this.memory.get(key); // Look in memory first
+    if (!entry && this.storage) { // Then look in storage
+      try {
+        entry = JSON.parse(this.storage.getItem(this.prefix + key)) || undefined; // A missing key gives null, which becomes undefined
+      } catch (err) {
+        entry = undefined; // Unreadable data is treated as a miss
+      }
+      if (entry) { // Keep the entry in memory for the next lookup
+        this.memory.set(key, entry);
+      }
+    }
+    if (!entry) { // Nothing cached
+      return undefined;
+    }
+    if (entry.expires <= Date.now()) { // The response expired, so remove it
+      this.invalidate(key);
+      return undefined;
+    }
+    return entry.value; // Return the cached response
+  }
+
+  set(key, value) {
+  /*
+  Description:
+  This method stores a response in memory and in storage with its expiry time.
+  When the TTL is 0 nothing is stored. When storage is full the response is only kept in memory.
+  Parameters:
+      - key: The key of the response.
+      - value: The response. It must be JSON serializable to be kept in storage.
+  Returns:
+      - None
+  USED IN: get method of ResponseCache class and ProductData.mjs to store products of a category list.
+  ==================================== */
+
+    if (this.ttl <= 0) { // Caching is disabled
+      return;
+    }
+    const entry = { value, expires: Date.now() + this.ttl }; // The response and the time it expires
+    this.memory.set(key, entry); // Keep it in memory
+    if (this.storage) { // Keep it in storage for the other pages
+      try {
+        this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+      } catch (err) {
+        // Storage is full or blocked. The response is still cached in memory for this page.
+      }
+    }
+  }
+
+  invalidate(key) {
+  /*
+  Description:
+  This method removes a cached response, or every response of this cache when no key is given.
+  Requests that are still loading are not cancelled, but their result will be stored again when they finish.
+  Parameters:
+      - key: Optional. The key of the response to remove.
+  Returns:
+      - None
+  USED IN: peek method of ResponseCache class and ProductData.clearCache.
+  ==================================== */
+
+    if (key !== undefined) { // Remove a single response
+      this.memory.delete(key);
+      this.storage?.removeItem(this.prefix + key);
+      return;
+    }
+    this.memory.clear(); // Remove every response from memory
+    if (this.storage) { // Remove every storage key that starts with the prefix
+      Object.keys(this.storage)
+        .filter((storageKey) => storageKey.startsWith(this.prefix))
+        .forEach((storageKey) => this.storage.removeItem(storageKey));
+    }
+  }
+}
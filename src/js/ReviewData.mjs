@@ -0,0 +1,204 @@
+/*
+====================================
+This module provides a ReviewData class to read and save product reviews.
+Like ProductData, it works with a pluggable store, chosen with the VITE_REVIEW_SOURCE environment variable or passed to the constructor:
+- "local": the sample reviews bundled in public/json/reviews.json, plus the reviews written on this browser (saved in localStorage under "so-reviews").
+- "remote": the API server at VITE_SERVER_URL, with these endpoints:
+    - GET  reviews/<productId>  -> { Result: [review, ...] }
+    - POST reviews/<productId>  -> { Result: review }, or a 400 status with a message for each invalid field
+    - GET  reviews/ratings      -> { Result: { <productId>: { average, count }, ... } }
+- Any object with getReviews, addReview and getRatings methods.
+Without VITE_REVIEW_SOURCE, "remote" is used when VITE_SERVER_URL is set and "local" otherwise.
+See reviews.mjs for the fields of a review.
+The only exported entity from this module is the ReviewData class, which contains the following:
+- A constructor to choose the store.
+- A getReviews method to read the reviews of a product, newest first.
+- An addReview method to check and save a new review.
+- A getRatings method to read the average rating of every product, for the product cards.
+====================================
+*/
+
+
+
+import ServicesError from "./ServicesError.mjs"; // Import the ServicesError class thrown for invalid reviews
+import { convertToJson } from "./ProductData.mjs"; // Import the function that reads the server's answers
+import { createReview, getRatingsByProduct, sortReviews, validateReview } from "./reviews.mjs"; // Import the review functions
+import { auth } from "./Auth.mjs"; // Import the shared session to identify the reviewer to the server
+
+
+
+const baseURL = import.meta.env.VITE_SERVER_URL || ""; // Base URL of the API server
+const seedURL = `${import.meta.env.BASE_URL || "/"}json/reviews.json`; // URL of the sample reviews, served from the public folder
+const defaultSource = import.meta.env.VITE_REVIEW_SOURCE || (baseURL ? "remote" : "local"); // Store used when none is passed to the constructor
+const STORAGE_KEY = "so-reviews"; // localStorage key of the reviews written on this browser
+
+let seedPromise = null; // The sample reviews are fetched once per page
+
+
+
+function loadSeedReviews() {
+// Fetch the sample reviews once per page. When they cannot be loaded, only the reviews written on this browser are shown.
+// USED IN: localSource.
+  if (!seedPromise) {
+    seedPromise = fetch(seedURL)
+      .then((response) => (response.ok ? response.json() : []))
+      .catch(() => []);
+  }
+  return seedPromise;
+}
+
+
+
+function readStoredReviews() {
+// Read the reviews written on this browser. Data that cannot be read counts as no reviews.
+// USED IN: localSource.
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+
+
+const localSource = {
+/*=============================
+Local review store
+Description:
+Reads the sample reviews and the reviews written on this browser, and saves new reviews in localStorage.
+Nothing is sent to a server, so the reviews written on one browser are only seen on it.
+USED IN: ReviewData class when the source is "local".
+==============================*/
+
+  async getReviews(productId) { // The reviews of one product
+    const reviews = [...await loadSeedReviews(), ...readStoredReviews()];
+    return reviews.filter((review) => review.productId === productId);
+  },
+
+  async addReview(productId, review) { // Save a review with a local ID
+    const saved = { id: `local-${Date.now()}`, ...review };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([...readStoredReviews(), saved]));
+    return saved;
+  },
+
+  async getRatings() { // The rating summary of every reviewed product
+    return getRatingsByProduct([...await loadSeedReviews(), ...readStoredReviews()]);
+  },
+};
+
+
+
+const remoteSource = {
+/*=============================
+Remote review store
+Description:
+Reads and saves reviews through the review endpoints of the API server (see the top of this file).
+Failed requests reject with a ServicesError, whose body holds the server's messages.
+USED IN: ReviewData class when the source is "remote".
+==============================*/
+
+  async getReviews(productId) { // GET the reviews of one product
+    const url = `${baseURL}reviews/${encodeURIComponent(productId)}`;
+    const data = await convertToJson(await fetch(url), url);
+    return data?.Result || [];
+  },
+
+  async addReview(productId, review) { // POST a review
+    const url = `${baseURL}reviews/${encodeURIComponent(productId)}`;
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...auth.getHeaders() }, // The token of the signed-in reviewer, if any
+      body: JSON.stringify(review),
+    });
+    const data = await convertToJson(response, url);
+    return data?.Result || review;
+  },
+
+  async getRatings() { // GET the rating summary of every reviewed product
+    const url = `${baseURL}reviews/ratings`;
+    const data = await convertToJson(await fetch(url), url);
+    return data?.Result || {};
+  },
+};
+
+
+
+const sources = {
+// The review stores that can be chosen by name
+// USED IN: constructor of ReviewData class.
+  local: localSource,
+  remote: remoteSource,
+};
+
+
+
+export default class ReviewData {
+/*=============================
+Review Data class
+Description:
+This class reads and saves product reviews through the store chosen in the constructor.
+Constructor Parameters:
+    - source: Optional. "local", "remote", or a custom object with getReviews, addReview and getRatings methods
+      (default is VITE_REVIEW_SOURCE, or "remote" when VITE_SERVER_URL is set and "local" otherwise).
+Constructor Variables:
+    - source (the store object used by every method)
+Methods:
+    - getReviews(productId): Reads the reviews of a product, newest first.
+    - addReview(productId, values): Checks and saves a new review.
+    - getRatings(): Reads the average rating and number of reviews of every reviewed product.
+==============================*/
+
+  constructor(source = defaultSource) { // Initialize the ReviewData class
+    this.source = typeof source === "string" ? sources[source] : source; // Look up a store by name, or use the store object that was passed in
+    if (!this.source) { // An unknown name is a configuration mistake, so report it right away
+      throw new Error(`Unknown review source "${source}". Use "local" or "remote".`);
+    }
+  }
+
+  async getReviews(productId) {
+  // Method to read the reviews of a product
+  // =============================
+  // Parameters:
+  //   - productId: The ID of the product.
+  // Returns:
+  //   - A promise that resolves to an array of reviews, newest first.
+  // USED IN: ProductReviews class to show the reviews of the product page.
+  // =============================
+
+    return sortReviews(await this.source.getReviews(String(productId)));
+  }
+
+  async addReview(productId, values) {
+  // Method to check and save a new review
+  // =============================
+  // Description:
+  // The review is checked with validateReview first. An invalid review is not sent to the store: the returned promise rejects
+  // with a ServicesError with status 400 whose body has a message for each invalid field, like the server answers.
+  // Parameters:
+  //   - productId: The ID of the reviewed product.
+  //   - values: An object with rating, title, text and author (e.g. the fields of the review form).
+  // Returns:
+  //   - A promise that resolves to the saved review.
+  // USED IN: ProductReviews class when the review form is submitted.
+  // =============================
+
+    const errors = validateReview(values); // Messages of the invalid fields
+    if (Object.keys(errors).length > 0) {
+      throw new ServicesError(400, `reviews/${productId}`, errors, "The review is not valid.");
+    }
+    return this.source.addReview(String(productId), createReview(productId, values));
+  }
+
+  async getRatings() {
+  // Method to read the rating summary of every reviewed product
+  // =============================
+  // Returns:
+  //   - A promise that resolves to an object with { average, count } for each product ID, e.g. { "880RR": { average: 4.3, count: 6 } }.
+  //     Products without reviews are not in the object.
+  // USED IN: ProductList class to show stars on the cards and sort by rating, and the recommendation strips of ProductDetails.
+  // =============================
+
+    return this.source.getRatings();
+  }
+}
@@ -0,0 +1,236 @@
+/*
+====================================
+This module provides a Router class that turns the pages of the site into a single-page app (see routes.mjs).
+The header and footer stay mounted. When the user follows a link to a page of the site, the router:
+  - Saves the scroll position of the current page in its history entry.
+  - Leaves the current page (its AbortSignal is aborted, so it removes its listeners and cart subscriptions).
+  - Fetches the HTML page of the new route (once per page) and puts its main content and title in the document.
+  - Mounts the page script of the route with the route parameters.
+Back and forward show the page of the history entry again, at the scroll position it was left at.
+The only exported entity from this module is the Router class.
+====================================
+*/
+
+
+
+import { getLoginURL, matchRoute, needsLogin, toRoute } from "./routes.mjs"; // Import the route functions
+import { renderStatusMessage } from "./utils.mjs"; // Import the utility function that shows "not found" and "try again" messages
+
+
+
+export default class Router {
+/*====================================
+Router class
+Description:
+This class shows the page of the current URL in the main element and handles the links, forms and history of the single-page app.
+Constructor Parameters:
+    - outlet: The main element, whose content is replaced by the content of each page.
+Constructor Variables:
+    - outlet (the main element)
+    - pages (a Map of the main content and title of each HTML page, by URL, so each page is fetched once)
+    - controller (the AbortController of the mounted page)
+    - renderId (the number of the latest render, so a slow page does not replace a newer one)
+Methods:
+    - start(): Listens for links, forms and history changes, and shows the page of the current URL.
+    - navigate(url, options): Shows the page of a URL and adds it to the history.
+    - render(scrollY): Shows the page of the current URL.
+    - showMessage(options): Shows a "page not found" or "try again" message instead of a page.
+    - loadPage(page): Fetches the main content and title of an HTML page.
+    - handleClick(event): Opens the links to pages of the site without reloading.
+    - handleSubmit(event): Opens the results of GET forms (the header search) without reloading.
+USED IN: startPage in routes.mjs, in single-page mode.
+====================================*/
+
+  constructor(outlet) {
+    this.outlet = outlet; // The main element
+    this.pages = new Map(); // Main content and title of each HTML page
+    this.controller = null; // No page is mounted yet
+    this.renderId = 0; // No render yet
+  }
+
+  start() {
+  /*
+  Description:
+  This method takes over the scroll position from the browser (it is restored by render), sets up the listeners and shows the current page.
+  Returns:
+      - A promise that resolves once the current page is mounted.
+  USED IN: startPage in routes.mjs.
+  ==================================== */
+
+    window.history.scrollRestoration = "manual"; // The browser would restore the scroll before the page content is back
+    document.addEventListener("click", (event) => this.handleClick(event));
+    document.addEventListener("submit", (event) => this.handleSubmit(event));
+    window.addEventListener("popstate", (event) => this.render(event.state?.scrollY ?? 0)); // Back or forward
+    return this.render(window.history.state?.scrollY ?? 0); // A reload keeps the scroll position of its history entry
+  }
+
+  navigate(url, { replace = false } = {}) {
+  /*
+  Description:
+  This method shows the page of a URL. An old page URL is turned into its route first.
+  The scroll position of the current page is saved in its history entry, so going back restores it.
+  Parameters:
+      - url: A URL string or object.
+      - options: An object with replace (true to replace the current history entry instead of adding one).
+  Returns:
+      - A promise that resolves once the page is mounted.
+  USED IN: handleClick and handleSubmit methods, and navigate in routes.mjs.
+  ==================================== */
+
+    const target = new URL(url, window.location.href); // Resolve relative URLs
+    const path = toRoute(target) || `${target.pathname}${target.search}${target.hash}`; // The route of the URL
+    window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, ""); // Remember where the current page was scrolled to
+    if (replace) {
+      window.history.replaceState({ scrollY: 0 }, "", path);
+    } else {
+      window.history.pushState({ scrollY: 0 }, "", path);
+    }
+    return this.render(0);
+  }
+
+  async render(scrollY = 0) {
+  /*
+  Description:
+  This method shows the page of the current URL:
+      - It finds the route, leaves the current page and fetches the HTML page of the route.
+      - It puts the main content and title of that page in the document, mounts its page script and restores the scroll position.
+  A URL without a route shows a "page not found" message, and a page that cannot be fetched shows a "try again" message.
+  A page that needs a signed-in user is replaced by the login page while nobody is signed in (see needsLogin in routes.mjs).
+  Parameters:
+      - scrollY: The scroll position to restore (0 for a new page, or the saved one when going back and forward).
+  Returns:
+      - None
+  USED IN: start and navigate methods, and the popstate listener.
+  ==================================== */
+
+    const renderId = ++this.renderId; // Number of this render
+    const match = matchRoute(new URL(window.location.href)); // The route of the current URL
+    if (!match) { // Not a route of the app
+      this.showMessage({ title: "Page not found", message: "We couldn't find the page you are looking for.", linkLabel: "Back to the home page", linkHref: "/" });
+      return;
+    }
+    if (needsLogin(new URL(window.location.href))) { // Sign in first, then come back to this route
+      this.navigate(getLoginURL(`${window.location.pathname}${window.location.search}${window.location.hash}`), { replace: true });
+      return;
+    }
+    let page; // The main content and title of the page
+    let mount; // The mount function of its page script
+    try {
+      [page, { mount }] = await Promise.all([this.loadPage(match.route.page), match.route.load()]);
+    } catch (err) {
+      if (renderId === this.renderId) { // Only for the latest render
+        this.showMessage({ title: "We couldn't load this page", message: "Please check your connection and try again.", actionLabel: "Try again", onAction: () => this.render(scrollY) });
+      }
+      return;
+    }
+    if (renderId !== this.renderId) { // The user already went somewhere else
+      return;
+    }
+    this.controller?.abort(); // Leave the current page
+    this.controller = new AbortController();
+    this.outlet.innerHTML = page.html; // Show the new page
+    document.title = page.title;
+    mount(match.params, this.controller.signal);
+    const hash = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1))); // An element the URL points to
+    if (hash) {
+      hash.scrollIntoView();
+    } else {
+      window.scrollTo(0, scrollY);
+    }
+  }
+
+  showMessage(options) {
+  /*
+  Description:
+  This method leaves the current page and shows a status message in its place.
+  Parameters:
+      - options: The options of renderStatusMessage (title, message, action or link).
+  Returns:
+      - None
+  USED IN: render method of Router class.
+  ==================================== */
+
+    this.controller?.abort(); // Leave the current page
+    this.controller = null;
+    renderStatusMessage(this.outlet, options);
+    document.title = `Sleep Outside | ${options.title}`;
+  }
+
+  async loadPage(page) {
+  /*
+  Description:
+  This method fetches an HTML page and keeps its main content and title. Each page is only fetched once.
+  Parameters:
+      - page: The URL of the HTML page, e.g. "/cart/index.html".
+  Returns:
+      - A promise that resolves to { html, title }.
+  USED IN: render method of Router class.
+  ==================================== */
+
+    if (!this.pages.has(page)) { // First visit of the page
+      this.pages.set(page, fetch(page).then(async (response) => {
+        if (!response.ok) {
+          throw new Error(`Page ${page} could not be loaded (${response.status}).`);
+        }
+        const doc = new DOMParser().parseFromString(await response.text(), "text/html"); // Read the page without running its scripts
+        return { html: doc.querySelector("main")?.innerHTML || "", title: doc.title };
+      }).catch((err) => {
+        this.pages.delete(page); // Try again on the next visit
+        throw err;
+      }));
+    }
+    return this.pages.get(page);
+  }
+
+  handleClick(event) {
+  /*
+  Description:
+  This method opens links to pages of the site with the router. Links that the browser must handle are left alone:
+  modified clicks (new tab or window), links with a target or download attribute, other sites, and files that are not pages.
+  Parameters:
+      - event: The click event.
+  Returns:
+      - None
+  USED IN: The click listener set up in start.
+  ==================================== */
+
+    const link = event.target.closest?.("a[href]"); // The clicked link, if any
+    if (!link || event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+    if (link.target || link.hasAttribute("download")) { // The browser opens these
+      return;
+    }
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin || !(toRoute(url) || matchRoute(url))) { // Another site, or not a page of the site
+      return;
+    }
+    event.preventDefault();
+    this.navigate(url);
+  }
+
+  handleSubmit(event) {
+  /*
+  Description:
+  This method opens the result of a GET form that points to a page of the site (the header search) with the router.
+  Forms that were already handled (e.g. an empty search, or the checkout form) are left alone.
+  Parameters:
+      - event: The submit event.
+  Returns:
+      - None
+  USED IN: The submit listener set up in start.
+  ==================================== */
+
+    const form = event.target;
+    if (event.defaultPrevented || form.method !== "get") {
+      return;
+    }
+    const url = new URL(form.action, window.location.href);
+    if (url.origin !== window.location.origin || !toRoute(url)) { // Not a page of the site
+      return;
+    }
+    event.preventDefault();
+    url.search = new URLSearchParams(new FormData(form)).toString(); // The fields of the form, like the browser would send them
+    this.navigate(url);
+  }
+}
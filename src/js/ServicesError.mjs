@@ -0,0 +1,56 @@
+/*
+====================================
+This module provides a ServicesError class for failed requests to the server.
+A ServicesError keeps the HTTP status, the URL of the request and the body the server sent back (parsed as JSON when possible),
+so the pages can tell a missing product (404) from a server problem (5xx) and show the server's own error messages.
+The only exported entity from this module is the ServicesError class, which contains the following:
+- A constructor to set the status, URL and body of the failed request.
+- An isNotFound getter that is true for a 404 status.
+- An isUnauthorized getter that is true for a 401 status.
+- An isTransient getter that is true for errors worth trying again (5xx, 408 and 429).
+====================================
+*/
+
+
+
+export default class ServicesError extends Error {
+/*====================================
+Services Error class
+Description:
+This class describes a request that reached the server but did not succeed.
+Requests that never reach the server (no network, server down) reject with the browser's TypeError instead.
+Constructor Parameters:
+    - status: The HTTP status of the response (e.g. 404, 500).
+    - url: The URL of the request.
+    - body: The body of the response, parsed as JSON when possible, or null.
+    - message: Optional. A readable message (default "Request to <url> failed with status <status>").
+Constructor Variables:
+    - name ("ServicesError")
+    - status, url, body (from the parameters)
+Methods:
+    - isNotFound: true when the status is 404.
+    - isUnauthorized: true when the status is 401 (the user is signed out or the session expired).
+    - isTransient: true when the status means the same request may succeed later.
+USED IN: ProductData.mjs when a response is not OK, and the pages that show error states.
+====================================*/
+
+  constructor(status, url, body = null, message = `Request to ${url} failed with status ${status}`) { // Initialize the ServicesError class
+    super(message); // Set the message of the Error
+    this.name = "ServicesError"; // The name of the class, shown in the console and in error reports
+    this.status = status; // HTTP status of the response
+    this.url = url; // URL of the request
+    this.body = body; // Body the server sent back
+  }
+
+  get isNotFound() { // True when the requested resource does not exist
+    return this.status === 404;
+  }
+
+  get isUnauthorized() { // True when the server needs a signed-in user, or the token was refused
+    return this.status === 401;
+  }
+
+  get isTransient() { // True when trying again later may work: server errors, request timeout and too many requests
+    return this.status >= 500 || this.status === 408 || this.status === 429;
+  }
+}
@@ -0,0 +1,90 @@
+/* This js file handles the account page.
+It shows the signed-in user (see Auth.mjs): their name and email, until when they stay signed in, a link to their orders and a "Sign Out" button.
+The page needs a signed-in user, so startPage sends signed-out users to the login page first (see requiresLogin in routes.mjs). */
+
+
+
+import { auth } from "./Auth.mjs"; // Import the shared session
+import { html, renderStatusMessage, renderWithTemplate } from "./utils.mjs"; // Import the html template tag and the render functions
+import { startPage } from "./routes.mjs"; // Import the function that starts the page (or the router in single-page mode)
+
+
+
+const timeFormat = new Intl.DateTimeFormat(undefined, { dateStyle: "medium", timeStyle: "short" }); // e.g. "Jun 14, 2024, 3:45 PM"
+
+
+
+function accountTemplate(session) {
+/* Account Template function
+=====================================
+Description:
+This function generates the HTML template of the account details.
+Parameters:
+    - session: The session of the signed-in user ({ token, user, expiresAt }).
+Returns:
+    - An html template (see html in utils.mjs) of the account details. Every value is escaped.
+USED IN: renderAccount function.
+====================================*/
+
+  const { user, expiresAt } = session;
+  return html`
+    <dl class="account-details__list">
+      ${user.name && html`<dt>Name</dt><dd>${user.name}</dd>`}
+      ${user.email && html`<dt>Email</dt><dd>${user.email}</dd>`}
+      <dt>Signed in until</dt><dd><time datetime="${new Date(expiresAt).toISOString()}">${timeFormat.format(new Date(expiresAt))}</time></dd>
+    </dl>
+    <p class="account-details__links">
+      <a href="/orders/index.html">My Orders</a>
+      <button type="button" class="account-details__logout">Sign Out</button>
+    </p>`;
+}
+
+
+
+function renderAccount(element) {
+/* Function to render the account details
+=====================================
+Description:
+This function renders the details of the signed-in user, or a message when nobody is signed in (e.g. without accounts, see Auth.mjs).
+Parameters:
+    - element: The element where the details are rendered.
+Returns:
+    - None
+USED IN: mount function.
+==================================== */
+
+  const session = auth.getSession();
+  if (session) {
+    renderWithTemplate(accountTemplate(session), element);
+  } else {
+    renderStatusMessage(element, { title: "You are not signed in", message: "Sign in to see your account.", linkLabel: "Sign in", linkHref: "/login/index.html" });
+  }
+}
+
+
+
+export function mount(params, signal) {
+/* Function to mount the account page
+=====================================
+Description:
+This function renders the account details and listens for the "Sign Out" button. Signing out sends the user to the login page (see startPage).
+Parameters:
+    - params: The parameters of the page (not used).
+    - signal: An AbortSignal aborted when the page is left, to remove the listener.
+Returns:
+    - None
+USED IN: startPage in routes.mjs and the router.
+==================================== */
+
+  const element = document.querySelector(".account-details"); // Where the details are rendered
+  renderAccount(element);
+  element.addEventListener("click", (event) => {
+    if (event.target.closest(".account-details__logout")) {
+      auth.logout();
+    }
+  }, { signal });
+}
+
+
+
+startPage(mount); // Start the page
@@ -0,0 +1,193 @@
+/*
+=========================================
+Alert functions
+These functions show toasts: short notifications that stack in a corner of the page, e.g. "Tent was added to your cart."
+There are three types of alert:
+  - success: Something the user did worked (a product added to the cart, a quantity changed).
+  - info: Something the user should know about (a product removed from the cart, with an "Undo" button).
+  - error: Something went wrong (an invalid checkout form, an order the server refused).
+Success and info alerts close by themselves after a few seconds, but wait while the mouse or the focus is on them.
+Error alerts stay until they are closed, so the user has time to read them.
+Every alert has a close button and can have one action: a button (e.g. "Undo") or a link (e.g. "View cart").
+The alerts are added to live regions, so screen readers read them when they appear: success and info alerts to a polite region,
+read after what the screen reader is reading, and error alerts to an assertive region of their own, read at once.
+Both regions stack in the same corner, and are added to the body, outside the main content, so the alerts stay on screen when the router of the single-page mode changes the page.
+=========================================
+*/
+
+
+
+const DURATIONS = { success: 5000, info: 6000, error: 0 }; // How long each type of alert stays, in milliseconds (0: until it is closed)
+const MAX_ALERTS = 4; // The oldest alert is closed when a new one would make more
+
+const timers = new WeakMap(); // The closing timer of each alert element: { timeout, remaining, start }
+const openAlerts = []; // The open alert elements of both regions, oldest first
+
+
+
+function getAlertRegion(type) {
+// Get the live region of a type of alert, adding the alerts container and its two regions to the page the first time
+// The regions are in the page before any alert, as screen readers only follow the changes of a live region they already know.
+// USED IN: showAlert function.
+  let container = document.querySelector(".alerts");
+  if (!container) {
+    container = document.createElement("div");
+    container.className = "alerts";
+    const polite = document.createElement("div");
+    polite.className = "alerts__region alerts__region--polite";
+    polite.setAttribute("role", "status"); // New alerts are read after what the screen reader is reading
+    polite.setAttribute("aria-live", "polite");
+    const assertive = document.createElement("div");
+    assertive.className = "alerts__region alerts__region--assertive";
+    assertive.setAttribute("aria-live", "assertive"); // New errors interrupt the screen reader
+    container.append(polite, assertive);
+    document.body.appendChild(container);
+  }
+  return container.querySelector(type === "error" ? ".alerts__region--assertive" : ".alerts__region--polite");
+}
+
+
+
+function findAlert(id) {
+// Find the open alert shown with an id
+// USED IN: showAlert and dismissAlert functions.
+  return Array.from(document.querySelectorAll(".alerts .alert")).find((element) => element.dataset.id === String(id)) || null;
+}
+
+
+
+function startTimer(element, duration) {
+// Close an alert after a number of milliseconds
+// USED IN: showAlert function, and the listeners that resume the timer when the mouse or the focus leaves the alert.
+  clearTimeout(timers.get(element)?.timeout);
+  timers.set(element, { timeout: setTimeout(() => closeAlert(element), duration), remaining: duration, start: Date.now() });
+}
+
+
+
+function pauseTimer(element) {
+// Stop the closing timer of an alert and remember how much time it had left
+// USED IN: The listeners that pause the timer while the mouse or the focus is on the alert.
+  const timer = timers.get(element);
+  if (timer?.timeout) {
+    clearTimeout(timer.timeout);
+    timers.set(element, { timeout: null, remaining: Math.max(timer.remaining - (Date.now() - timer.start), 1000), start: 0 }); // At least a second to read it
+  }
+}
+
+
+
+function closeAlert(element) {
+// Remove an alert from the page
+// USED IN: The close button and the action of an alert, its timer, and showAlert and dismissAlert functions.
+  clearTimeout(timers.get(element)?.timeout);
+  timers.delete(element);
+  if (openAlerts.includes(element)) {
+    openAlerts.splice(openAlerts.indexOf(element), 1);
+  }
+  element.remove();
+}
+
+
+
+export function showAlert(message, { type = "success", duration = DURATIONS[type] ?? DURATIONS.info, id, actionLabel, onAction, linkLabel, linkHref } = {}) {
+/*=============================
+Description:
+Show an alert in the corner of the page. Messages are set with textContent, so text that comes from the server cannot inject HTML.
+Parameters:
+  - message: The text of the alert.
+  - options: An object with:
+      - type: Optional. "success" (default), "info" or "error".
+      - duration: Optional. How long the alert stays, in milliseconds (0: until it is closed). The default depends on the type.
+      - id: Optional. An alert already shown with the same id is replaced, e.g. when the same quantity is changed several times.
+      - actionLabel, onAction: Optional. The text of a button and the function it calls before the alert closes (e.g. "Undo").
+      - linkLabel, linkHref: Optional. The text and URL of a link (e.g. "View cart").
+Returns:
+  - A function that closes the alert.
+USED IN: ProductDetails (product added to the cart), cart.js (quantity changed, product removed or saved for later)
+CheckoutProcess (invalid form, order refused by the server) and CompareTray (compare list full).
+=============================*/
+
+  const region = getAlertRegion(type);
+  if (id) { // Replace the alert with the same id
+    const previous = findAlert(id);
+    if (previous) {
+      closeAlert(previous);
+    }
+  }
+  const element = document.createElement("div");
+  element.className = `alert alert--${type}`;
+  if (id) {
+    element.dataset.id = id;
+  }
+  const text = document.createElement("p");
+  text.className = "alert__message";
+  text.textContent = message;
+  element.appendChild(text);
+  if (actionLabel && onAction) { // The button, if any
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "alert__action";
+    button.textContent = actionLabel;
+    button.addEventListener("click", () => {
+      onAction();
+      closeAlert(element);
+    });
+    element.appendChild(button);
+  } else if (linkLabel && linkHref) { // Or the link, if any
+    const link = document.createElement("a");
+    link.className = "alert__action";
+    link.href = linkHref;
+    link.textContent = linkLabel;
+    link.addEventListener("click", () => closeAlert(element)); // The page changes, so the alert is no longer needed
+    element.appendChild(link);
+  }
+  const close = document.createElement("button");
+  close.type = "button";
+  close.className = "alert__close";
+  close.setAttribute("aria-label", "Close notification");
+  close.textContent = "×";
+  close.addEventListener("click", () => closeAlert(element));
+  element.appendChild(close);
+
+  region.appendChild(element); // The newest alert is at the bottom of its region, the errors under the other alerts
+  openAlerts.push(element);
+  openAlerts.filter((open) => !open.isConnected).forEach(closeAlert); // Forget the alerts of a page that was replaced
+  while (openAlerts.length > MAX_ALERTS) { // Close the oldest alerts, of both regions
+    closeAlert(openAlerts[0]);
+  }
+  if (duration > 0) { // Close it after a while, but not while the user is reading it or using its buttons
+    startTimer(element, duration);
+    const pause = () => pauseTimer(element);
+    const resume = () => {
+      if (!element.matches(":hover") && !element.contains(document.activeElement) && timers.get(element)?.timeout === null) {
+        startTimer(element, timers.get(element).remaining);
+      }
+    };
+    element.addEventListener("mouseenter", pause);
+    element.addEventListener("focusin", pause);
+    element.addEventListener("mouseleave", resume);
+    element.addEventListener("focusout", () => setTimeout(resume)); // Once the focus has moved
+  }
+  return () => closeAlert(element);
+}
+
+
+
+export function dismissAlert(id) {
+/*=============================
+Description:
+Close the alert shown with an id, if it is still open (e.g. the errors of the previous checkout attempt).
+Parameters:
+  - id: The id given to showAlert.
+Returns:
+  - None
+USED IN: checkout method of CheckoutProcess class.
+=============================*/
+
+  const element = findAlert(id);
+  if (element) {
+    closeAlert(element);
+  }
+}
+
@@ -1,47 +1,30 @@
-/* This is the JavaScript file that manages the shopping cart page. It handles displaying cart items, updating quantities, removing items, and calculating the total price. 
+/* This is the JavaScript file that manages the shopping cart page. It handles displaying cart items, updating quantities, removing items, saving items for later, and calculating the total price. 
+The cart itself is read and changed through the shared cart of Cart.mjs, and the page renders again every time the cart changes.
 */
 
 
 
-import { countCartItems, getLocalStorage, loadHeaderFooter, setLocalStorage } from "./utils.mjs"; // Import utility functions for managing local storage, cart item count, and loading header/footer
+import { html, renderWithTemplate } from "./utils.mjs"; // Import the html template tag, which escapes every value, and the function that renders it
+import { cart } from "./Cart.mjs"; // Import the shared cart
+import { formatCurrency, getSalePrice } from "./pricing.mjs"; // Import the pricing functions to calculate and format prices
+import { describeVariant, getCartItemKey } from "./variants.mjs"; // Import the variant functions to identify and describe cart lines
+import { evaluateCoupon, getAppliedCoupon, getCartDiscount, loadCouponRules, setAppliedCoupon } from "./coupons.mjs"; // Import the promo code functions
+import { calculateOrderTotals, loadTotalsConfig } from "./orderTotals.mjs"; // Import the functions that calculate shipping, tax and the total
+import { CART_IMAGE_SIZES, FALLBACK_IMAGE, responsiveImage } from "./images.mjs"; // Import the product image functions (srcset, lazy loading and placeholder)
+import { showAlert } from "./alerts.mjs"; // Import the function that confirms the changes with an alert
+import { startPage } from "./routes.mjs"; // Import the function that starts the page (or the router in single-page mode)
 
 
 
-loadHeaderFooter(); // Load the header and footer of the page
-
-
-
-function combineDuplicateItems(items) {
-/* Function to normalize cart items by combining quantities of identical items
-Description:
-This function takes an array of cart items and combines items with the same ID by summing their quantities.
-It returns a new array with unique items, each having the total quantity.
-Parameters:
-    - items: An array of cart item objects, each containing at least an Id and Quantity property.
-Returns:
-    - An array of cart item objects with unique Ids and combined Quantities.
-USED IN: Used in the cart management to ensure that the cart displays unique items with correct quantities.
-==================================== */
-  
-  const byId = new Map(); // Create an empty Map to store items by their ID
-  items.forEach((item) => { // Iterate over each item in the input array and do the following:
-    const quantity = Number(item.Quantity) || 1; // Get the quantity of the current item, defaulting to 1 if not specified or invalid. We use Number(...) to convert the Quantity to a number. If Quantity is undefined, null, or cannot be converted to a number, it defaults to 1 using the || operator. Quantity is a custom property we added to each cart item to track how many of that item are in the cart. It was added when items were added to the cart in the ProductDetails.mjs file.
-    const existing = byId.get(item.Id); // Check if an item with the same ID already exists in the Map
-    if (existing) { // If it exists...
-      existing.Quantity += quantity; // Increment the quantity of the existing item
-    } else { // If it does not exist...
-      byId.set(item.Id, { ...item, Quantity: quantity }); // Add the new item to the Map with its quantity
-    }
-  });
-  return Array.from(byId.values()); // Convert the Map values back to an array and return it
-}
+let couponRules = null; // The promo code rules, set once they are loaded
+let totalsConfig = null; // The shipping and tax rules, set once they are loaded (the defaults of orderTotals.mjs until then)
 
 
 
 function renderCartContents() {
 /* Function to render the contents of the shopping cart
 Description:
-This function retrieves the cart items from local storage, combines duplicate items, and generates the HTML to display each item in the cart.
+This function gets the cart items from the cart and generates the HTML to display each item in the cart.
 It updates the cart display area in the DOM with the generated HTML.
 Parameters:
     - None
@@ -50,15 +33,15 @@ Returns:
 USED IN: Used to update the cart display whenever there are changes to the cart contents.
 ==================================== */
   
-  const cartItems = combineDuplicateItems(getLocalStorage("so-cart") || []); // Retrieve cart items from local storage and combine duplicate items
-  setLocalStorage("so-cart", cartItems); // Update local storage with the normalized cart items
-  const htmlItems = cartItems.map((item) => cartItemTemplate(item)); // Generate HTML for each cart item using the cartItemTemplate function
-  document.querySelector(".product-list").innerHTML = htmlItems.join(""); // Update the cart display area in the DOM with the generated HTML
+  const cartItems = cart.getItems(); // Get the cart items
+  const coupon = getCoupon(cartItems); // The applied promo code, to show its share of the discount on each line
+  const htmlItems = cartItems.map((item) => cartItemTemplate(item, coupon?.items.find((line) => line.key === getCartItemKey(item))?.amount)); // Generate HTML for each cart item using the cartItemTemplate function
+  renderWithTemplate(html`${htmlItems}`, document.querySelector(".product-list")); // Update the cart display area in the DOM with the generated HTML
 }
 
 
 
-function cartItemTemplate(item) { 
+function cartItemTemplate(item, discount = 0) { 
 /* Cart Item Template function
 =====================================
 Description:
@@ -66,41 +49,42 @@ This function generates the HTML template for a cart item.
 It takes a cart item object as input and returns an HTML string representing the cart item.
 Parameters:
    - item: The cart item object containing details such as ID, name, image, price, and quantity.
+   - discount: Optional. The part of the promo code discount taken off this line.
 Returns:
-    - An HTML string representing the cart item.
+    - An html template (see html in utils.mjs) representing the cart item. Every value is escaped.
 USED IN: renderCartContents function to render each item in the shopping cart.
 ====================================*/
   
-  // Determine the image source, falling back to default if necessary
+  const key = getCartItemKey(item); // Identifies the cart line in the quantity input and remove button
+  // Determine the image source (the cart keeps the picture of the chosen color), falling back to the placeholder if necessary
   const imageSrc =
     item.Images?.PrimaryMedium ||
     item.Images?.PrimaryLarge ||
     item.Image ||
-    "/images/camping-products.jpg";
+    FALLBACK_IMAGE;
   // Generate the HTML template for the cart item
-  const newItem = `
+  const newItem = html`
   <li class="cart-card divider">
     <a href="#" class="cart-card__image">
-      <img
-        src="${imageSrc}"
-        alt="${item.Name}"
-      />
+      ${responsiveImage(item.Images, { src: imageSrc, alt: item.Name, sizes: CART_IMAGE_SIZES })}
     </a>
     <a href="#">
       <h2 class="card__name">${item.Name}</h2>
     </a>
-    <p class="cart-card__color">${item.Colors && item.Colors[0] ? item.Colors[0].ColorName : ""}</p>
+    <p class="cart-card__color">${describeVariant(item)}</p>
     <p class="cart-card__quantity">qty:
       <input
         class="cart-card__quantity-input"
         type="number"
         min="1"
         value="${item.Quantity || 1}"
-        data-id="${item.Id}"
+        data-key="${key}"
       />
     </p>
-    <p class="cart-card__price">$${item.FinalPrice}</p>
-    <span class="cart-card__remove" data-id="${item.Id}">❌</span>
+    <p class="cart-card__price">${formatCurrency(getSalePrice(item))}</p>
+    ${discount > 0 && html`<p class="cart-card__discount">Promo: -${formatCurrency(discount)}</p>`}
+    <button type="button" class="cart-card__save" data-key="${key}">Save for later</button>
+    <span class="cart-card__remove" data-key="${key}">❌</span>
   </li>
 `;
   return newItem; // Return the generated HTML template
@@ -108,114 +92,258 @@ USED IN: renderCartContents function to render each item in the shopping cart.
 
 
 
+function getLineName(itemKey) {
+// Get the name of a cart line, for the alerts (e.g. "Marmot Ajax Tent (Pale Pumpkin)")
+// USED IN: The click and change listeners set up in mount.
+  const item = cart.getItems().find((line) => getCartItemKey(line) === itemKey);
+  if (!item) {
+    return "";
+  }
+  const variant = describeVariant(item); // The chosen color and size, if any
+  return variant ? `${item.Name} (${variant})` : item.Name;
+}
+
+
+
+function getCoupon(cartItems) {
+/* Function to evaluate the applied promo code
+Description:
+This function checks the promo code saved with the cart against the cart items, once the promo code rules are loaded.
+Parameters:
+    - cartItems: The cart items.
+Returns:
+    - The result of evaluateCoupon, or null when no code is applied or the rules are not loaded yet.
+USED IN: renderCartContents and getCartTotal functions.
+==================================== */
+
+  return couponRules ? getCartDiscount(cartItems, couponRules) : null;
+}
+
+
+
 function getCartTotal() {
 /* Function to calculate and display the total price of items in the cart
 Description:
-This function retrieves the cart items from local storage, combines duplicate items, and calculates the total price based on item prices and quantities.
-It updates the total price display in the cart footer.
+This function gets the cart items from the cart and calculates the order totals with the same rules as checkout (see orderTotals.mjs).
+It shows the subtotal, each discount line of the promo code, shipping and tax before the total, and the promo code message.
+The address is only known at checkout, so the tax uses the default rate and the total is an estimate.
 Parameters:
     - None
 Returns:
-    - The total price of items in the cart.
+    - The estimated total of the order, after the promo code discount and with shipping and tax.
 USED IN: Used to update the total price display whenever there are changes to the cart contents.
 ==================================== */
   
   const cartFooter = document.querySelector(".cart-footer"); // Get the cart footer element
   const cartTotal = document.querySelector(".cart-total"); // Get the cart total display element
-  const cartItems = combineDuplicateItems(getLocalStorage("so-cart") || []); // Retrieve cart items from local storage and combine duplicate items
-  const finalTotal = cartItems.reduce(
-    (total, item) => total + item.FinalPrice * (Number(item.Quantity) || 1),
-    0, // Calculate the total price by summing the product of item price and quantity for each item 
-  );
-  cartTotal.textContent = `Total: $${finalTotal.toFixed(2)}`; // Update the cart total display with the calculated total price, formatted to two decimal places
-  if (finalTotal === 0) { // If the cart is empty, hide the cart footer
+  const cartItems = cart.getItems(); // Get the cart items
+  const coupon = getCoupon(cartItems); // The applied promo code, if any
+  const totals = calculateOrderTotals(cartItems, { coupon, config: totalsConfig }); // Only a code that applies to this cart lowers the total
+  renderCartSummary(totals); // Show the breakdown
+  renderCouponMessage(coupon); // Show whether the code applies
+  cartTotal.textContent = `Estimated total: ${formatCurrency(totals.total)}`; // Update the cart total display with the calculated total price, formatted as currency
+  if (totals.subtotal === 0) { // If the cart is empty, hide the cart footer
     cartFooter.classList.add("hide");
   } else { // If the cart has items, show the cart footer
     cartFooter.classList.remove("hide");
   }
-  return finalTotal; // Return the calculated total price
+  return totals.total; // Return the calculated total price
 }
 
 
 
-function removeFromCart(itemId) {
-/* Remove an item from the cart by its ID
-=====================================
+function renderCartSummary(totals) {
+/* Function to display the breakdown of the total in the cart footer
 Description:
-This function removes an item from the shopping cart based on its ID.
-It updates the cart in local storage, re-renders the cart contents, updates the total price, and updates the cart item count.
+This function lists the subtotal, each line of the promo code discount (e.g. "10% off your order (SLEEP10)  -$19.99"),
+the shipping charge and the estimated tax, in the order of the lines of the breakdown.
 Parameters:
-    - itemId: The ID of the item to be removed from the cart.
+    - totals: The breakdown returned by calculateOrderTotals.
 Returns:
     - None
-USED IN: Used to handle the removal of items from the cart when the user clicks the remove button.
+USED IN: getCartTotal function.
 ==================================== */
-  
-  const cartItems = combineDuplicateItems(getLocalStorage("so-cart") || []); // Retrieve cart items from local storage and combine duplicate items
-  const updatedCart = cartItems.filter((item) => item.Id !== itemId); // Filter out the item with the specified ID
-  setLocalStorage("so-cart", updatedCart); // Update local storage with the updated cart items
-  renderCartContents(); // Re-render the cart contents to reflect the removal
-  getCartTotal(); // Update the total price display
-  countCartItems(); // Update the cart item count badge in the header
-}
 
+  const summary = document.querySelector(".cart-summary"); // The breakdown list
+  summary.innerHTML = ""; // Clear the previous breakdown
+  totals.lines.forEach(({ label, amount, free }) => { // Add a term and a value for each line
+    const term = document.createElement("dt");
+    term.textContent = label; // textContent keeps the rule description from being read as HTML
+    const value = document.createElement("dd");
+    if (free) { // Free shipping
+      value.textContent = "Free";
+    } else { // Discounts are shown as negative amounts
+      value.textContent = amount < 0 ? `-${formatCurrency(-amount)}` : formatCurrency(amount);
+    }
+    summary.append(term, value);
+  });
+}
 
 
 
-document.addEventListener("click", (event) => {
-/* Event listener for handling remove item clicks in the cart
-=====================================
+function renderCouponMessage(coupon, error = "") {
+/* Function to display the state of the promo code
 Description:
-This event listener listens for click events on the document.
-If the clicked element has the class "cart-card__remove", it retrieves the item ID from the data attribute and calls the removeFromCart function to remove the item from the cart.
+This function shows the applied code with a button to remove it, or the reason it does not apply to the cart.
+A code that no longer applies (e.g. the cart went under the minimum order) stays saved, so it applies again when the cart qualifies.
 Parameters:
-    - event: The click event object.
+    - coupon: The result of evaluateCoupon for the applied code, or null.
+    - error: Optional. A message about a code that was just rejected.
 Returns:
     - None
-USED IN: Used to handle user interactions for removing items from the cart.
+USED IN: getCartTotal function and the promo code form listener.
 ==================================== */
-  
-  if (event.target.classList.contains("cart-card__remove")) { // If the clicked element has the class "cart-card__remove"...
-    const itemId = event.target.dataset.id; // Get the item ID from the data-id attribute
-    removeFromCart(itemId); // Call the removeFromCart function to remove the item from the cart
+
+  const message = document.querySelector(".coupon-form__message"); // The message under the promo code input
+  message.innerHTML = ""; // Clear the previous message
+  message.classList.toggle("coupon-form__message--error", Boolean(error || (coupon && !coupon.valid))); // Errors are shown in red
+  if (error) { // A code the user just entered was rejected
+    message.textContent = error;
+    return;
+  }
+  if (!coupon) { // No code applied
+    return;
   }
-});
+  const text = document.createElement("span");
+  text.textContent = coupon.valid
+    ? `${coupon.code} applied: ${coupon.rule.description}` // The code applies
+    : `${coupon.error} The code is saved and will apply when your cart qualifies.`; // The code is saved but does not apply right now
+  const removeButton = document.createElement("button"); // Button to remove the code
+  removeButton.type = "button";
+  removeButton.className = "coupon-form__remove";
+  removeButton.textContent = "Remove";
+  message.append(text, " ", removeButton);
+}
 
 
 
-document.addEventListener("change", (event) => {
-/* Event listener for handling quantity input changes in the cart
+export function mount(params, signal) {
+/* Function to mount the cart page
 =====================================
 Description:
-This event listener listens for change events on the document.
-If the changed element has the class "cart-card__quantity-input", it retrieves the item ID and new quantity from the input,
-updates the quantity of the corresponding item in the cart, and updates the cart display and totals accordingly.
+This function sets up the listeners of the cart page, renders the cart and renders it again every time the cart changes.
 Parameters:
-    - event: The change event object.
+    - params: The parameters of the page (not used).
+    - signal: An AbortSignal aborted when the page is left, to remove the listeners and the cart subscription.
 Returns:
     - None
-USED IN: Used to handle user interactions for changing item quantities in the cart.
+USED IN: startPage in routes.mjs and the router.
 ==================================== */
-  
-  if (event.target.classList.contains("cart-card__quantity-input")) { // If the changed element has the class "cart-card__quantity-input"...
-    const itemId = event.target.dataset.id; // Get the item ID from the data-id attribute
-    const quantity = Math.max(1, parseInt(event.target.value, 10) || 1); // Get the new quantity, ensuring it's at least 1
-    const cartItems = combineDuplicateItems(getLocalStorage("so-cart") || []); // Retrieve cart items from local storage and combine duplicate items
-    const item = cartItems.find((cartItem) => cartItem.Id === itemId); // Find the item with the specified ID
-    if (item) { // If the item exists...
-      item.Quantity = quantity; // Update the item's quantity
-      setLocalStorage("so-cart", cartItems); // Update local storage with the updated cart items
-      renderCartContents(); // Re-render the cart contents to reflect the quantity change
-      getCartTotal(); // Update the total price display
-      countCartItems(); // Update the cart item count badge in the header
+
+  document.addEventListener("click", (event) => {
+  /* Event listener for handling remove item clicks in the cart
+  =====================================
+  Description:
+  This event listener listens for click events on the document.
+  If the clicked element has the class "cart-card__remove", it retrieves the line key from the data attribute and removes the line from the cart.
+  An alert confirms the removal with an "Undo" button that puts the line back where it was.
+  If it is a "Save for later" button, the line is moved to the wishlist, so it no longer counts in the totals, and an alert links to the wishlist.
+  If it is the button that removes the promo code, the code is removed from the cart.
+  The page renders again through the cart subscription below.
+  Parameters:
+      - event: The click event object.
+  Returns:
+      - None
+  USED IN: Used to handle user interactions for removing items from the cart.
+  ==================================== */
+
+    if (event.target.classList.contains("cart-card__remove")) { // If the clicked element has the class "cart-card__remove"...
+      const itemKey = event.target.dataset.key; // Get the line key from the data-key attribute
+      const name = getLineName(itemKey); // The name of the line, for the alert
+      const removed = cart.remove(itemKey); // Remove the line from the cart
+      if (removed) { // Confirm the removal, with a way back
+        showAlert(`${name} was removed from your cart.`, { type: "info", id: `cart-${itemKey}`, actionLabel: "Undo", onAction: () => cart.restore(removed) });
+      }
+    } else if (event.target.classList.contains("cart-card__save")) { // If the user saves the line for later...
+      const name = getLineName(event.target.dataset.key);
+      cart.saveForLater(event.target.dataset.key); // Move the line to the wishlist
+      showAlert(`${name} was saved for later.`, { type: "info", id: `cart-${event.target.dataset.key}`, linkLabel: "View wishlist", linkHref: "/wishlist/index.html" });
+    } else if (event.target.classList.contains("coupon-form__remove")) { // If the user removes the promo code...
+      setAppliedCoupon(null); // Forget the code
     }
-  }
-});
+  }, { signal });
+
+  document.forms.coupon.addEventListener("submit", (event) => {
+  /* Event listener for applying a promo code
+  =====================================
+  Description:
+  This event listener checks the code entered by the user against the cart.
+  A code that applies is saved with the cart and the totals are updated. Otherwise the reason is shown and the previous code (if any) is kept.
+  Parameters:
+      - event: The submit event object.
+  Returns:
+      - None
+  USED IN: Used to apply a promo code from the cart footer.
+  ==================================== */
+
+    event.preventDefault(); // Stop the browser from submitting the form and reloading the page
+    const input = event.target.elements.code; // The promo code input
+    if (!input.value.trim()) { // Nothing entered
+      renderCouponMessage(null, "Please enter a promo code.");
+      return;
+    }
+    if (!couponRules) { // The rules are still loading
+      renderCouponMessage(null, "Promo codes are still loading. Please try again in a moment.");
+      return;
+    }
+    const cartItems = cart.getItems(); // The current cart
+    const coupon = evaluateCoupon(input.value, couponRules, cartItems); // Check the code against the cart
+    if (!coupon.valid) { // Show why the code cannot be used
+      renderCouponMessage(null, coupon.error);
+      return;
+    }
+    input.value = ""; // Clear the input
+    setAppliedCoupon(coupon.code); // Save the code with the cart, which renders the discount through the cart subscription
+  }, { signal });
+
+  document.addEventListener("change", (event) => {
+  /* Event listener for handling quantity input changes in the cart
+  =====================================
+  Description:
+  This event listener listens for change events on the document.
+  If the changed element has the class "cart-card__quantity-input", it retrieves the line key and new quantity from the input,
+  and updates the quantity of the corresponding line in the cart. The cart display and totals update through the cart subscription below,
+  and an alert confirms the new quantity (one alert per line, replaced when the quantity changes again).
+  Parameters:
+      - event: The change event object.
+  Returns:
+      - None
+  USED IN: Used to handle user interactions for changing item quantities in the cart.
+  ==================================== */
+
+    if (event.target.classList.contains("cart-card__quantity-input")) { // If the changed element has the class "cart-card__quantity-input"...
+      const itemKey = event.target.dataset.key; // Get the line key from the data-key attribute
+      const quantity = Math.max(1, parseInt(event.target.value, 10) || 1); // Get the new quantity, ensuring it's at least 1
+      cart.update(itemKey, quantity); // Update the line's quantity
+      showAlert(`${getLineName(itemKey)}: quantity updated to ${quantity}.`, { id: `cart-${itemKey}` });
+    }
+  }, { signal });
+
+  renderCartContents(); // Render the initial cart contents
 
+  getCartTotal(); // Update the initial total price
 
+  signal.addEventListener("abort", cart.subscribe(() => { // Every time the cart changes (quantity, removal or promo code), until the page is left...
+    renderCartContents(); // Render the cart contents again
+    getCartTotal(); // Update the total price display
+  }));
 
-renderCartContents(); // Render the initial cart contents
+  loadTotalsConfig().then((config) => { // Once the shipping and tax rules are loaded, show the totals again with them, unless the page was left
+    totalsConfig = config;
+    if (!signal.aborted) {
+      getCartTotal();
+    }
+  });
+
+  loadCouponRules().then((rules) => { // Once the promo code rules are loaded...
+    couponRules = rules;
+    if (getAppliedCoupon() && !signal.aborted) { // Show the discount of the code saved with the cart, unless the page was left
+      renderCartContents();
+      getCartTotal();
+    }
+  });
+}
 
 
 
-getCartTotal(); // Update the initial total price
\ No newline at end of file
+startPage(mount); // Start the page
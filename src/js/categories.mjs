@@ -0,0 +1,141 @@
+/*
+=========================================
+Category functions
+The categories of the site are listed once, in the registry below, and every page reads them from here:
+the category grid of the home page, the title and breadcrumbs of the listing page, and the categories searched by ProductData.
+Each category has:
+  - slug: The name used in URLs and by the API (e.g. "sleeping-bags" in ?category=sleeping-bags or products/search/sleeping-bags).
+  - name: The name shown to the user (e.g. "Sleeping Bags").
+  - icon: The path of the icon shown on the home page.
+  - description: A sentence about the category, shown under its name.
+  - order: The position of the category in the lists (smallest first).
+  - enabled: false hides the category everywhere (home page, search) and its listing page answers "not found".
+  - localData: true when the category has a JSON file in public/json (e.g. public/json/tents.json), read when the site runs
+    without the API server (see the local source of ProductData.mjs). A category without a file has no products there.
+A category that is enabled but has no products yet (e.g. hammocks) gets a "coming soon" page instead of an empty list.
+Adding a category only means adding it to the registry (and its products to the server, or a JSON file to public/json with localData: true).
+These functions do not read or write any storage, so they can be tested on their own.
+=========================================
+*/
+
+
+
+const registry = [
+// The categories of the site
+// =============================
+// USED IN: Every function of this module.
+// =============================
+  {
+    slug: "tents",
+    name: "Tents",
+    icon: "/images/logos/tents-logo.svg",
+    description: "Shelter for every trip, from light backpacking tents to roomy family tents.",
+    order: 1,
+    enabled: true,
+    localData: true,
+  },
+  {
+    slug: "backpacks",
+    name: "Backpacks",
+    icon: "/images/logos/backpacks-logo.svg",
+    description: "Daypacks and expedition packs that carry everything you need.",
+    order: 2,
+    enabled: true,
+    localData: true,
+  },
+  {
+    slug: "sleeping-bags",
+    name: "Sleeping Bags",
+    icon: "/images/logos/sleepingbag-logo.svg",
+    description: "Warm, packable sleeping bags rated for every season.",
+    order: 3,
+    enabled: true,
+    localData: true,
+  },
+  {
+    slug: "hammocks",
+    name: "Hammocks",
+    icon: "/images/logos/hammock-logo.svg",
+    description: "Hammocks and straps for a night between the trees.",
+    order: 4,
+    enabled: true,
+    localData: false,
+  },
+];
+
+
+
+export function getCategories({ includeDisabled = false } = {}) {
+/*=============================
+Description:
+List the categories of the site, in their order.
+Parameters:
+  - options: Optional. { includeDisabled: true } lists the disabled categories too.
+Returns:
+  - A new array of category objects (copies, so callers cannot change the registry).
+USED IN: main.js (home page grid), ProductList (other categories of the "coming soon" page) and ProductData (categories to search, and the categories with a bundled JSON file).
+=============================*/
+
+  return registry
+    .filter((category) => includeDisabled || category.enabled)
+    .sort((a, b) => a.order - b.order)
+    .map((category) => ({ ...category }));
+}
+
+
+
+export function getCategory(slug) {
+/*=============================
+Description:
+Find an enabled category by its slug. The slug is compared without case, like the API does.
+Parameters:
+  - slug: The slug of the category (e.g. "sleeping-bags").
+Returns:
+  - A copy of the category object, or null when there is no enabled category with this slug.
+USED IN: init method of ProductList class.
+=============================*/
+
+  const wanted = String(slug ?? "").trim().toLowerCase();
+  const category = registry.find((candidate) => candidate.enabled && candidate.slug === wanted);
+  return category ? { ...category } : null;
+}
+
+
+
+export function getCategoryName(slug) {
+/*=============================
+Description:
+Get the name shown for a category. A slug that is not in the registry is turned into words, e.g. "camp-stoves" -> "Camp Stoves".
+Parameters:
+  - slug: The slug of the category.
+Returns:
+  - The name of the category.
+USED IN: init method of ProductList class, to name the category in the title and in the "not found" message.
+=============================*/
+
+  const category = registry.find((candidate) => candidate.slug === String(slug ?? "").toLowerCase());
+  if (category) {
+    return category.name;
+  }
+  return String(slug ?? "")
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+
+
+export function getCategoryURL(slug) {
+/*=============================
+Description:
+Build the URL of the listing page of a category.
+Parameters:
+  - slug: The slug of the category.
+Returns:
+  - A URL string such as "/product_listing/index.html?category=tents". In single-page mode the router turns it into /category/tents.
+USED IN: The category cards and the breadcrumbs of the listing page.
+=============================*/
+
+  return `/product_listing/index.html?category=${encodeURIComponent(slug)}`;
+}
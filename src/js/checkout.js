@@ -1,3 +1,120 @@
-import { loadHeaderFooter } from "./utils.mjs";
+/* This is the JavaScript file that manages the checkout page. It shows the order summary for the items in the cart, validates the shipping and payment form, and sends the order to the server when the form is submitted.
+The tax of the order summary depends on the shipping address, so the summary is recalculated while the state and zip code are typed.
+The placed order is kept with OrderData, so the order confirmation and "My orders" pages can show it.
+*/
 
-loadHeaderFooter();
+
+
+import ProductData from "./ProductData.mjs"; // Import the ProductData class to send the order to the server
+import CheckoutProcess from "./CheckoutProcess.mjs"; // Import the CheckoutProcess class to manage the checkout
+import OrderData from "./OrderData.mjs"; // Import the OrderData class to keep the placed order
+import { cart } from "./Cart.mjs"; // Import the shared cart
+import { loadCouponRules } from "./coupons.mjs"; // Import the function that loads the promo code rules
+import { loadTotalsConfig } from "./orderTotals.mjs"; // Import the function that loads the shipping and tax rules
+import { startPage } from "./routes.mjs"; // Import the function that starts the page (or the router in single-page mode)
+
+
+
+const dataSource = new ProductData(); // Create an instance of ProductData to send the order
+const orderData = new OrderData(); // Create an instance of OrderData to keep the order once it is placed
+
+
+
+export function mount(params, signal) {
+/* Function to mount the checkout page
+=====================================
+Description:
+This function creates a CheckoutProcess for the shared cart, shows the order summary and sets up the listeners of the checkout form.
+Parameters:
+    - params: The parameters of the page (not used).
+    - signal: An AbortSignal aborted when the page is left, to remove the cart subscription.
+Returns:
+    - None
+USED IN: startPage in routes.mjs and the router.
+==================================== */
+
+  const order = new CheckoutProcess(cart, ".order-summary", dataSource, orderData); // Create an instance of CheckoutProcess for the shared cart
+
+  order.init(); // Load the cart and show the order summary
+
+  let couponRules = []; // The promo code rules, set once they are loaded
+
+  loadCouponRules().then((rules) => { // Apply the promo code saved with the cart once the rules are loaded
+    couponRules = rules;
+    if (!signal.aborted) { // Unless the page was left
+      order.applyCoupon(rules);
+    }
+  });
+
+  loadTotalsConfig().then((config) => { // Use the shipping and tax rules once they are loaded
+    if (!signal.aborted) { // Unless the page was left
+      order.applyTotalsConfig(config);
+    }
+  });
+
+  signal.addEventListener("abort", cart.subscribe(() => { // When the cart changes (e.g. in another tab), show the new order summary, until the page is left
+    order.init();
+    order.applyCoupon(couponRules);
+  }));
+
+  const form = document.forms.checkout; // The checkout form
+
+  order.setDestination({ state: form.elements.state.value, zip: form.elements.zip.value }); // The address the browser may have filled in already
+
+  form.addEventListener("input", (event) => {
+  /* Event listener for recalculating the order summary when the address changes
+  =====================================
+  Description:
+  This event listener runs when a field of the form changes and, for the state and zip code fields, recalculates the tax and the order total
+  with the rate of the new address (see getTaxRate in orderTotals.mjs). Until the zip code has 5 digits the rate of the state, or the default rate, is used.
+  Parameters:
+      - event: The input event object.
+  Returns:
+      - None
+  USED IN: Used to keep the order summary in step with the shipping address.
+  ==================================== */
+
+    if (event.target.name === "state" || event.target.name === "zip") { // Only the fields the tax rate depends on
+      order.setDestination({ state: form.elements.state.value, zip: form.elements.zip.value });
+    }
+  });
+
+  form.addEventListener("focusout", (event) => {
+  /* Event listener for validating a field when the user leaves it
+  =====================================
+  Description:
+  This event listener runs when a field of the form loses focus and validates that field once the user has tried to submit the form,
+  so error messages update as the user fixes each field instead of appearing before they have typed anything.
+  Parameters:
+      - event: The focusout event object.
+  Returns:
+      - None
+  USED IN: Used to keep the per-field error messages up to date.
+  ==================================== */
+
+    if (form.classList.contains("submitted") && event.target instanceof HTMLInputElement) { // Only after the first submit attempt and only for inputs
+      order.validateField(event.target); // Validate the field the user just left
+    }
+  });
+
+  form.addEventListener("submit", (event) => {
+  /* Event listener for submitting the checkout form
+  =====================================
+  Description:
+  This event listener prevents the browser from submitting the form and lets the CheckoutProcess class validate and send the order instead.
+  Parameters:
+      - event: The submit event object.
+  Returns:
+      - None
+  USED IN: Used to place the order when the user clicks the checkout button.
+  ==================================== */
+
+    event.preventDefault(); // Stop the browser from submitting the form and reloading the page
+    form.classList.add("submitted"); // Remember that the user tried to submit so fields are validated as they change
+    order.checkout(form); // Validate the form and send the order
+  });
+}
+
+
+
+startPage(mount); // Start the page
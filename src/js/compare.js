@@ -0,0 +1,130 @@
+/* This js file handles the comparison page.
+It reads every product of the compare list (see CompareList.mjs) with ProductData, so the prices are today's, and lays them out side by side
+in a table: brand, price, discount, colors, sizes and description. The rows where the products differ are highlighted.
+The page renders again every time the compare list changes (a product removed here, in the tray, or in another tab). */
+
+
+
+import ProductData from "./ProductData.mjs"; // Import the ProductData class to read the compared products
+import { compareList, getComparisonRows } from "./CompareList.mjs"; // Import the shared compare list and the function that lays out the products
+import { responsiveImage } from "./images.mjs"; // Import the product image function (srcset, lazy loading and placeholder)
+import { html, renderStatusMessage, renderWithTemplate, trustedHtml } from "./utils.mjs"; // Import utility functions
+import { startPage } from "./routes.mjs"; // Import the function that starts the page (or the router in single-page mode)
+
+
+
+const dataSource = new ProductData(); // Create an instance of ProductData to read the products
+
+let requestId = 0; // Increases with each render, so the products of an older render are not shown
+
+
+
+function compareTableTemplate(products) {
+/* Compare Table Template function
+=====================================
+Description:
+This function generates the HTML template of the comparison table: a column for each product, with its image, name and a remove button,
+and a row for each value (see getComparisonRows in CompareList.mjs). The rows that differ get a class and a "Differs" label,
+so the difference is not shown by color alone.
+Parameters:
+    - products: The compared products.
+Returns:
+    - An html template (see html in utils.mjs) representing the table. Every value is escaped, and the descriptions are sanitized.
+USED IN: renderComparison function.
+====================================*/
+
+  const rows = getComparisonRows(products);
+  return html`
+  <table class="compare-table">
+    <caption class="compare-table__caption">${products.length > 1 ? "The rows where the products differ are highlighted." : "Choose another product to compare it with this one."}</caption>
+    <thead>
+      <tr>
+        <td></td>
+        ${products.map((product) => html`
+        <th scope="col">
+          <a href="../product_pages/index.html?product=${encodeURIComponent(product.Id)}">
+            ${responsiveImage(product.Images, { alt: "", sizes: "150px" })}
+            <span class="compare-table__name">${product.Brand?.Name} ${product.NameWithoutBrand}</span>
+          </a>
+          <button type="button" class="compare-table__remove" data-id="${product.Id}">Remove</button>
+        </th>`)}
+      </tr>
+    </thead>
+    <tbody>
+      ${rows.map((row) => html`
+      <tr class="${row.differs ? "compare-table__row--differs" : ""}">
+        <th scope="row">${row.label}${row.differs && html` <span class="compare-table__differs">Differs</span>`}</th>
+        ${row.values.map((value) => html`<td>${row.key === "description" ? trustedHtml(value) : value}</td>`)}
+      </tr>`)}
+    </tbody>
+  </table>
+`;
+}
+
+
+
+async function renderComparison(element, status) {
+/* Function to read and render the compared products
+=====================================
+Description:
+This function reads every product of the compare list and renders the comparison table.
+A product that can no longer be loaded (e.g. it is no longer sold) is removed from the list and named in the status line.
+When nothing is chosen, a message explains how to choose products.
+Parameters:
+    - element: The element where the table is rendered.
+    - status: The element where the removed products are announced.
+Returns:
+    - None
+USED IN: mount function when the page loads and every time the compare list changes.
+==================================== */
+
+  const items = compareList.getItems(); // The chosen products
+  const request = ++requestId;
+  if (items.length === 0) { // Nothing to compare
+    renderStatusMessage(element, { title: "You have no products to compare", message: "Check \"Compare\" on up to four products to see them side by side.", linkLabel: "Browse all categories", linkHref: "/index.html" });
+    return;
+  }
+  const results = await Promise.allSettled(items.map((item) => dataSource.findProductById(item.id))); // Every product, even if some fail
+  if (request !== requestId) { // The list changed while the products were loading
+    return;
+  }
+  const products = results.filter((result) => result.status === "fulfilled").map((result) => result.value);
+  const missing = items.filter((item, index) => results[index].status !== "fulfilled"); // Products that could not be loaded
+  if (missing.length > 0) {
+    status.textContent = `These products could not be loaded and were removed from the comparison: ${missing.map((item) => item.name).join(", ")}.`;
+    missing.forEach((item) => compareList.remove(item.id)); // The list renders again without them
+    return;
+  }
+  renderWithTemplate(compareTableTemplate(products), element);
+}
+
+
+
+export function mount(params, signal) {
+/* Function to mount the comparison page
+=====================================
+Description:
+This function renders the comparison table, listens for its "Remove" buttons, and renders it again every time the compare list changes.
+Parameters:
+    - params: The parameters of the page (not used).
+    - signal: An AbortSignal aborted when the page is left, to remove the listener and the subscription.
+Returns:
+    - None
+USED IN: startPage in routes.mjs and the router.
+==================================== */
+
+  const element = document.querySelector(".compare"); // Get the HTML element where the table will be rendered
+  const status = document.querySelector(".compare__status"); // Where the removed products are announced
+  element.addEventListener("click", (event) => {
+    const button = event.target.closest(".compare-table__remove"); // The clicked "Remove" button, if any
+    if (button) {
+      compareList.remove(button.dataset.id);
+    }
+  }, { signal });
+  signal.addEventListener("abort", compareList.subscribe(() => renderComparison(element, status)));
+  renderComparison(element, status);
+}
+
+
+
+startPage(mount); // Start the page
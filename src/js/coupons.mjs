@@ -0,0 +1,191 @@
+/*
+=========================================
+Promo code (coupon) functions
+These functions load the coupon rules, check a code against the cart, calculate its discount and remember the applied code.
+The rules are in public/json/coupons.json. Each rule has:
+  - code: The code the customer types (not case sensitive).
+  - description: A short text shown when the code is applied.
+  - type: "percent" (value % off), "fixed" (value dollars off) or "freeShipping".
+  - value: The percent or amount of the discount (not used by "freeShipping").
+  - minOrder: Optional. The subtotal of the eligible items needed to use the code.
+  - brands: Optional. Only items of these brands are discounted (and count toward minOrder).
+  - categories: Optional. Only items of these categories are discounted (and count toward minOrder).
+  - expires: Optional. The last day the code can be used, as "YYYY-MM-DD".
+The applied code is saved with the cart (see Cart.mjs), so it is kept between pages and used at checkout.
+=========================================
+*/
+
+
+
+import { cart } from "./Cart.mjs"; // Import the shared cart, which stores the applied code
+import { formatCurrency, getSalePrice, roundMoney } from "./pricing.mjs"; // Import the pricing functions to add up and format prices
+import { getCartItemKey } from "./variants.mjs"; // Import the function that identifies cart lines
+
+
+
+const rulesURL = `${import.meta.env.BASE_URL || "/"}json/coupons.json`; // URL of the coupon rules, served from the public folder
+let rulesPromise = null; // The rules are fetched once per page
+
+
+
+export function loadCouponRules() {
+/*=============================
+Description:
+Fetch the coupon rules. The request is only made once per page; later calls get the same promise.
+When the rules cannot be loaded, no code is valid, but the cart keeps working.
+Returns:
+  - A promise that resolves to the array of rules (empty when they cannot be loaded).
+USED IN: cart.js and checkout.js before showing totals.
+=============================*/
+
+  if (!rulesPromise) { // First call: fetch the rules
+    rulesPromise = fetch(rulesURL)
+      .then((response) => (response.ok ? response.json() : []))
+      .catch(() => []); // No rules means no valid codes
+  }
+  return rulesPromise;
+}
+
+
+
+export function getAppliedCoupon() {
+/*=============================
+Description:
+Return the code saved with the cart.
+Returns:
+  - The code as a string, or null when no code is applied.
+USED IN: getCartDiscount function and the cart page.
+=============================*/
+
+  return cart.getCoupon();
+}
+
+
+
+export function setAppliedCoupon(code) {
+/*=============================
+Description:
+Save a code with the cart, or remove the saved code when code is empty.
+Parameters:
+  - code: The code to save, or null to remove it.
+Returns:
+  - None
+USED IN: The cart page when a code is applied or removed.
+=============================*/
+
+  cart.setCoupon(code ? code.trim().toUpperCase() : null); // Codes are saved in upper case
+}
+
+
+
+function isEligible(rule, item) {
+// Check whether a cart item can be discounted by a rule (brand and category restrictions)
+// USED IN: evaluateCoupon function.
+  if (rule.brands && !rule.brands.includes(item.Brand?.Name)) { // Wrong brand
+    return false;
+  }
+  if (rule.categories && !rule.categories.includes(item.Category)) { // Wrong category
+    return false;
+  }
+  return true;
+}
+
+
+
+function splitDiscount(discount, items, lineTotals, subtotal) {
+// Share a discount between cart lines in proportion to what each line costs
+// The last line gets what is left after rounding, so the shares always add up to the discount.
+// USED IN: evaluateCoupon function.
+  let remaining = discount; // Discount not shared out yet
+  return items.map((item, index) => {
+    const amount = index === items.length - 1 ? roundMoney(remaining) : roundMoney((discount * lineTotals[index]) / subtotal); // This line's share
+    remaining -= amount;
+    return { key: getCartItemKey(item), amount };
+  });
+}
+
+
+
+export function evaluateCoupon(code, rules, items, now = new Date()) {
+/*=============================
+Description:
+Check a code against the rules and the cart and calculate its discount.
+Parameters:
+  - code: The code typed by the customer.
+  - rules: The array of coupon rules.
+  - items: The cart items.
+  - now: Optional. The date used to check the expiry (default now).
+Returns:
+  - An object with:
+      - code: The code in upper case.
+      - valid: true when the code can be used on this cart.
+      - error: Why the code cannot be used (when valid is false).
+      - rule: The matching rule, if any.
+      - discount: The amount taken off the subtotal (0 for free shipping).
+      - freeShipping: true when the code makes shipping free.
+      - lines: An array of { label, amount } describing the discount, for the cart and checkout summaries.
+      - items: An array of { key, amount } with the part of the discount taken off each eligible cart line (key from getCartItemKey).
+This function does not read or write local storage, so it can be tested on its own.
+USED IN: getCartDiscount function.
+=============================*/
+
+  const normalized = String(code || "").trim().toUpperCase(); // Codes are not case sensitive
+  const result = { code: normalized, valid: false, error: "", rule: null, discount: 0, freeShipping: false, lines: [], items: [] };
+  const rule = rules.find((candidate) => candidate.code.toUpperCase() === normalized); // The rule for the code
+  if (!rule) { // Unknown code
+    result.error = `"${normalized}" is not a valid promo code.`;
+    return result;
+  }
+  result.rule = rule;
+  if (rule.expires && now > new Date(`${rule.expires}T23:59:59`)) { // The code can be used until the end of its last day
+    result.error = `Promo code ${normalized} expired on ${rule.expires}.`;
+    return result;
+  }
+  const eligibleItems = items.filter((item) => isEligible(rule, item)); // Items the code applies to
+  if (eligibleItems.length === 0) { // Nothing in the cart qualifies
+    result.error = `Promo code ${normalized} does not apply to the items in your cart.`;
+    return result;
+  }
+  const lineTotals = eligibleItems.map((item) => roundMoney(getSalePrice(item) * (Number(item.Quantity) || 1))); // What each eligible line costs
+  const eligibleSubtotal = roundMoney(lineTotals.reduce((total, amount) => total + amount, 0)); // What the eligible items cost
+  if (rule.minOrder && eligibleSubtotal < rule.minOrder) { // Not enough spent yet
+    const restricted = rule.brands || rule.categories ? " on eligible items" : ""; // Explain that only some items count
+    result.error = `Spend ${formatCurrency(rule.minOrder)}${restricted} to use promo code ${normalized}.`;
+    return result;
+  }
+
+  result.valid = true; // Every check passed
+  if (rule.type === "percent") { // A percentage of the eligible items
+    result.discount = roundMoney((eligibleSubtotal * rule.value) / 100);
+  } else if (rule.type === "fixed") { // A fixed amount, never more than the eligible items cost
+    result.discount = roundMoney(Math.min(rule.value, eligibleSubtotal));
+  } else if (rule.type === "freeShipping") { // No discount on items, but no shipping charge
+    result.freeShipping = true;
+  }
+  if (result.discount > 0) { // Describe the discount for the summaries
+    result.items = splitDiscount(result.discount, eligibleItems, lineTotals, eligibleSubtotal);
+    result.lines.push({ label: `${rule.description || "Promo code"} (${normalized})`, amount: -result.discount });
+  }
+  if (result.freeShipping) {
+    result.lines.push({ label: `Free shipping (${normalized})`, amount: 0 });
+  }
+  return result;
+}
+
+
+
+export function getCartDiscount(items, rules) {
+/*=============================
+Description:
+Evaluate the code saved with the cart against the current cart.
+Parameters:
+  - items: The cart items.
+  - rules: The array of coupon rules.
+Returns:
+  - The result of evaluateCoupon, or null when no code is applied.
+USED IN: The cart page and CheckoutProcess.
+=============================*/
+
+  const code = getAppliedCoupon(); // The saved code
+  return code ? evaluateCoupon(code, rules, items) : null;
+}
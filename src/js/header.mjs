@@ -0,0 +1,157 @@
+/*
+=========================================
+Header functions
+These functions set up what the header shows once loadHeaderFooter (see utils.mjs) has rendered it:
+  - the cart and wishlist badges, which follow the shared cart and bounce when products are added;
+  - the account menu, which follows the signed-in user;
+  - the suggestions of the search box;
+  - the compare tray, which lists the products chosen with the "Compare" toggle of the product cards.
+They are kept out of utils.mjs, so the utility functions do not depend on the cart, the session or the product data.
+=========================================
+*/
+
+
+
+import ProductData from "./ProductData.mjs"; // Import the ProductData class used by the header search
+import HeaderSearch from "./HeaderSearch.mjs"; // Import the HeaderSearch class to set up the search box in the header
+import { cart } from "./Cart.mjs"; // Import the shared cart to show its item count in the header
+import { accountsEnabled, auth } from "./Auth.mjs"; // Import the shared session to show the signed-in user in the header
+import CompareTray from "./CompareTray.mjs"; // Import the CompareTray class to show the products chosen for comparison
+import { compareList } from "./CompareList.mjs"; // Import the shared compare list shown by the tray
+import { qs } from "./utils.mjs"; // Import the utility function that selects an element
+
+
+
+export function countCartItems() {
+// Update the cart item count badge in the header
+// =============================
+// This function gets the total quantity of items in the cart and updates the cart count badge in the header accordingly.
+// It asks the shared cart for the number of units and updates the DOM elements that display the cart count.
+// If there are no items in the cart, it hides the cart count badge.
+// USED IN: setupHeader to show the count and to update it every time the cart changes.
+  // ============================
+  
+  const cartCountBadge = document.querySelector(".cart-count-badge"); // Select the cart count badge element from the DOM
+  const cartCount = document.querySelector(".cart-count"); // Select the cart count element from the DOM
+  if (!cartCountBadge || !cartCount) { // If either the cart count badge or cart count element is not found, exit the function
+    return; // Exit the function early if elements are not found
+  }
+  const totalQty = cart.getCount(); // Total quantity of items in the cart
+  if (totalQty === 0) { // If the total quantity is zero, hide the cart count badge
+    cartCountBadge.classList.add("hide");
+  } else { // If there are items in the cart, update the cart count and show the badge
+    cartCount.textContent = totalQty;
+    cartCountBadge.classList.remove("hide");
+  }
+}
+
+
+
+export function countWishlistItems() {
+// Update the wishlist count badge in the header
+// =============================
+// This function works like countCartItems, but counts the lines saved in the wishlist (see the saved lines in Cart.mjs).
+// If the wishlist is empty, it hides the wishlist count badge.
+// USED IN: setupHeader to show the count and to update it every time the cart or the wishlist changes.
+  // ============================
+
+  const wishlistCountBadge = document.querySelector(".wishlist-count-badge"); // Select the wishlist count badge element from the DOM
+  const wishlistCount = document.querySelector(".wishlist-count"); // Select the wishlist count element from the DOM
+  if (!wishlistCountBadge || !wishlistCount) { // Exit the function early if elements are not found
+    return;
+  }
+  const savedCount = cart.getSavedCount(); // Number of lines in the wishlist
+  if (savedCount === 0) { // Hide the badge when the wishlist is empty
+    wishlistCountBadge.classList.add("hide");
+  } else { // Otherwise update the count and show the badge
+    wishlistCount.textContent = savedCount;
+    wishlistCountBadge.classList.remove("hide");
+  }
+}
+
+
+
+function bounceBadge(badge) {
+// Play the "bounce" animation of a header badge, so the user sees where the product went
+// =============================
+// The class is removed and added again to restart the animation when products are added quickly. The animation is in style.css,
+// which turns it off for users who prefer reduced motion.
+// USED IN: setupHeader when a product is added to the cart or the wishlist.
+  // ============================
+
+  if (!badge || badge.classList.contains("hide")) { // Nothing to animate
+    return;
+  }
+  badge.classList.remove("badge--bounce");
+  void badge.offsetWidth; // Reading the layout makes the browser notice the removal, so the animation starts again
+  badge.classList.add("badge--bounce");
+  badge.addEventListener("animationend", () => badge.classList.remove("badge--bounce"), { once: true });
+}
+
+
+
+export function showAccountMenu() {
+// Show the signed-in user in the account menu of the header
+// =============================
+// Signed in, the menu shows the user's name (a link to the account page) and a "Sign Out" button; signed out, a "Sign In" link.
+// Without accounts (no API server, see Auth.mjs) only the "My Orders" link is shown.
+// USED IN: setupHeader to show the user and to update the menu every time the user signs in or out.
+  // ============================
+
+  const login = document.querySelector(".account-menu__login"); // The "Sign In" link
+  const userMenu = document.querySelector(".account-menu__user"); // The name and "Sign Out" button
+  if (!login || !userMenu) { // Exit the function early if elements are not found
+    return;
+  }
+  const user = auth.getUser(); // The signed-in user, or null
+  login.classList.toggle("hide", !accountsEnabled || Boolean(user));
+  userMenu.classList.toggle("hide", !user);
+  if (user) {
+    qs(".account-menu__name", userMenu).textContent = `Hi, ${user.name || user.email}`; // textContent keeps the name as plain text
+  }
+}
+
+
+
+export function setupHeader(headerElement) {
+  /* 
+  =============================
+  Description: Sets up the header rendered by loadHeaderFooter
+  Parameters:
+    - headerElement: The header element of the page.
+  Returns/Purpose:
+    - void
+    - Updates the cart item count badge in the header to reflect the current state of the cart, and again every time the cart changes.
+      The badge bounces when products are added to the cart (or the wishlist, for the wishlist badge).
+    - Shows the signed-in user in the account menu, and again every time the user signs in or out.
+    - Sets up the search box of the header.
+    - Adds the compare tray, which lists the products chosen with the "Compare" toggle of the product cards.
+  USED IN: startPage in routes.mjs, as the callback of loadHeaderFooter.
+  ============================= */
+
+  countCartItems(); // Update the cart item count badge in the header
+  countWishlistItems(); // Update the wishlist count badge in the header
+  cart.subscribe(({ action }) => { // Keep the badges up to date when the cart or the wishlist changes
+    countCartItems();
+    countWishlistItems();
+    if (["add", "restore", "moveToCart"].includes(action)) { // Products went into the cart
+      bounceBadge(document.querySelector(".cart-count-badge"));
+    } else if (["save", "saveForLater"].includes(action)) { // Products went into the wishlist
+      bounceBadge(document.querySelector(".wishlist-count-badge"));
+    }
+  });
+  showAccountMenu(); // Show the signed-in user
+  auth.subscribe(showAccountMenu); // Keep the account menu up to date when the user signs in or out (also in another tab, or when the session expires)
+  headerElement.addEventListener("click", (event) => {
+    if (event.target.closest(".account-menu__login")) { // Come back to this page after signing in
+      event.target.closest(".account-menu__login").href = `/login/index.html?redirect=${encodeURIComponent(`${window.location.pathname}${window.location.search}`)}`;
+    } else if (event.target.closest(".account-menu__logout")) { // Sign out (a protected page then goes to the login page, see startPage)
+      auth.logout();
+    }
+  });
+  const searchForm = qs(".search", headerElement); // Select the search form of the header
+  if (searchForm) { // If the header has a search form, set up its suggestions
+    new HeaderSearch(searchForm, new ProductData()).init();
+  }
+  new CompareTray(compareList).init(); // Add the compare tray to the page
+}
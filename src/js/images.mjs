@@ -0,0 +1,146 @@
+/*
+=========================================
+Product image functions
+The API returns every product image in four widths (see the Images object of a product):
+  - PrimarySmall: 80px, PrimaryMedium: 160px, PrimaryLarge: 320px, PrimaryExtraLarge: 600px.
+  - ExtraImages: Optional. More views of the product, each with a Title and a Src (600px).
+These functions turn those widths into srcset attributes, so the browser downloads the smallest image that is sharp enough
+(a phone showing a 160px card never gets the 600px image), and they build the list of images of the product gallery.
+Product images are lazy loaded, and an image whose URL fails to load (e.g. a 404) is replaced by a placeholder image.
+The local JSON files only have one image per product, so their images get no srcset.
+=========================================
+*/
+
+
+
+import { html } from "./utils.mjs"; // Import the html template tag to build the image tags
+
+
+
+export const FALLBACK_IMAGE = `${import.meta.env.BASE_URL || "/"}images/product-placeholder.svg`; // Shown when a product image cannot be loaded
+export const CART_IMAGE_SIZES = "(min-width: 600px) 150px, 25vw"; // The image of a cart or wishlist line takes a quarter of the line (see .cart-card in style.css)
+
+const imageWidths = { // The width in pixels of each image of the Images object
+  PrimarySmall: 80,
+  PrimaryMedium: 160,
+  PrimaryLarge: 320,
+  PrimaryExtraLarge: 600,
+};
+
+let watchingErrors = false; // Set once the error listener is added
+
+
+
+export function getImageSrcset(images = {}) {
+/*=============================
+Description:
+Build a srcset attribute from the widths of a product image, e.g. "https://...~80.jpg 80w, https://...~160.jpg 160w".
+Missing widths are skipped, and a URL used for several widths is only listed once.
+Parameters:
+  - images: The Images object of a product (or of a cart item, which may only have some widths).
+Returns:
+  - The srcset as a string, or an empty string when there are fewer than two different images to choose from.
+USED IN: responsiveImage and getGalleryImages functions.
+=============================*/
+
+  const seen = new Set(); // URLs already listed
+  const candidates = []; // "URL width" pairs, smallest first
+  Object.entries(imageWidths).forEach(([name, width]) => {
+    const url = images?.[name];
+    if (url && !seen.has(url)) { // Each URL once, at its smallest width
+      seen.add(url);
+      candidates.push(`${url} ${width}w`);
+    }
+  });
+  return candidates.length > 1 ? candidates.join(", ") : "";
+}
+
+
+
+export function responsiveImage(images, { src, alt = "", sizes = "100vw", className = "", loading = "lazy" } = {}) {
+/*=============================
+Description:
+Build the img tag of a product image with a srcset of its widths, lazy loading and the placeholder fallback (see watchImageErrors).
+Parameters:
+  - images: The Images object of the product.
+  - options: An object with:
+      - src: Optional. The image shown by browsers without srcset support, and the only one when there is no srcset
+        (default: the medium image, or the placeholder when the product has no image).
+      - alt: The text describing the image.
+      - sizes: Optional. How wide the image is shown, for the browser to choose from the srcset (default "100vw").
+      - className: Optional. The class of the img tag.
+      - loading: Optional. "lazy" (default) or "eager" for images shown at the top of the page.
+Returns:
+  - An html template (see html in utils.mjs) of the img tag.
+USED IN: The product card template (ProductList.mjs), the cart and wishlist templates, and the product gallery.
+=============================*/
+
+  const srcset = getImageSrcset(images); // The widths the browser can choose from
+  const fallbackSrc = src || images?.PrimaryMedium || images?.PrimaryLarge || FALLBACK_IMAGE; // The image without srcset
+  return html`<img src="${fallbackSrc}" ${srcset && html`srcset="${srcset}" sizes="${sizes}"`} alt="${alt}" ${className && html`class="${className}"`} loading="${loading}" decoding="async" data-fallback>`;
+}
+
+
+
+export function getGalleryImages(product, color = null) {
+/*=============================
+Description:
+List the images of the product gallery: the main image first, then the extra views of the product.
+When a color other than the first one is chosen and has a preview image, the main image shows that color instead.
+Parameters:
+  - product: The product object.
+  - color: Optional. The chosen color object.
+Returns:
+  - An array of objects with:
+      - src: The largest URL of the image, shown in the zoom lightbox.
+      - srcset: The srcset of the image (empty when it only has one width).
+      - thumbnail: The smallest URL of the image, shown in the row of thumbnails.
+      - alt: The text describing the image.
+USED IN: ProductDetails class to fill the gallery.
+=============================*/
+
+  const name = product.NameWithoutBrand || product.Name || ""; // Used in every description
+  const isDefaultColor = !color || color === product.Colors?.[0]; // The main image shows the first color
+  const images = product.Images || {};
+  const main = !isDefaultColor && color.ColorPreviewImageSrc
+    ? { src: color.ColorPreviewImageSrc, srcset: "", thumbnail: color.ColorPreviewImageSrc, alt: `${name} in ${color.ColorName}` } // Only one width of the color preview
+    : {
+      src: images.PrimaryExtraLarge || images.PrimaryLarge || images.PrimaryMedium || product.Image || FALLBACK_IMAGE,
+      srcset: getImageSrcset(images),
+      thumbnail: images.PrimarySmall || images.PrimaryMedium || product.Image || FALLBACK_IMAGE,
+      alt: color ? `${name} in ${color.ColorName}` : name,
+    };
+  const extras = (product.Images?.ExtraImages || [])
+    .filter((image) => image?.Src) // Skip views without an image
+    .map((image, index) => ({ src: image.Src, srcset: "", thumbnail: image.Src, alt: `${name}, ${image.Title || "view"} ${index + 2}` }));
+  return [main, ...extras];
+}
+
+
+
+export function watchImageErrors(root = document) {
+/*=============================
+Description:
+Replace every product image that fails to load (e.g. a URL that answers 404) with the placeholder image.
+Only images with a data-fallback attribute are replaced (the ones built by responsiveImage and the gallery), so the logos and icons are left alone.
+Error events do not bubble, so one listener catches them while they go down to the image (capture).
+Parameters:
+  - root: Optional. The element or document to watch (default the document). The listener is only added once.
+Returns:
+  - None
+USED IN: startPage in routes.mjs, for every page.
+=============================*/
+
+  if (watchingErrors) {
+    return;
+  }
+  watchingErrors = true;
+  root.addEventListener("error", (event) => {
+    const image = event.target; // The element that failed to load
+    if (image.tagName !== "IMG" || !image.hasAttribute("data-fallback") || image.src.endsWith(FALLBACK_IMAGE)) { // Not a product image, or the placeholder itself failed
+      return;
+    }
+    image.removeAttribute("srcset"); // The srcset would win over src
+    image.src = FALLBACK_IMAGE;
+  }, true);
+}
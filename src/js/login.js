@@ -0,0 +1,224 @@
+/* This js file handles the login page.
+It signs the user in (or creates an account) through the shared auth instance of Auth.mjs, showing a message under each invalid field,
+and then opens the page of the redirect query parameter, so a customer sent here by a protected page comes back to it. */
+
+
+
+import ServicesError from "./ServicesError.mjs"; // Import the ServicesError class to recognize the answers of the server
+import { accountsEnabled, auth } from "./Auth.mjs"; // Import the shared session
+import { renderStatusMessage } from "./utils.mjs"; // Import the utility function that shows the "not available" message
+import { navigate, startPage } from "./routes.mjs"; // Import the functions that open another page and start the page
+
+
+
+const DEFAULT_RETURN = "/account/index.html"; // Opened after signing in when no page asked for it
+
+const fieldMessages = {
+// Error messages shown under each field when its value is missing or invalid
+// =============================
+// The keys match the name attribute of the inputs in login/index.html (the same in both forms).
+// USED IN: validateField function.
+// =============================
+  name: { missing: "Please enter your name." },
+  email: { missing: "Please enter your email.", invalid: "Please enter a valid email address, e.g. name@example.com." },
+  password: { missing: "Please enter your password.", invalid: "Your password must be at least 8 characters." },
+};
+
+
+
+export function getReturnURL(redirect) {
+/* Function to choose the page to open after signing in
+=====================================
+Description:
+Only pages of this site are followed (e.g. "/orders/index.html"), so a link cannot send the user to another site after signing in.
+The redirect is resolved like the browser would resolve it, so tricks such as "//evil.com" or a tab in "/\t/evil.com" are caught too.
+Parameters:
+    - redirect: The redirect query parameter.
+Returns:
+    - The path to open, with its query and hash.
+USED IN: mount function.
+==================================== */
+
+  let url;
+  try {
+    url = new URL(String(redirect || DEFAULT_RETURN), window.location.origin);
+  } catch (err) {
+    return DEFAULT_RETURN;
+  }
+  if (url.origin !== window.location.origin || url.pathname.startsWith("/login")) { // Another site, or this page again
+    return DEFAULT_RETURN;
+  }
+  return url.pathname + url.search + url.hash;
+}
+
+
+
+function showFieldError(form, name, message) {
+// Show or clear the error message of a field and mark the field as invalid for assistive technology
+// USED IN: validateField and showServerErrors functions.
+  const input = form.elements[name];
+  const errorElement = document.getElementById(`${form.name}-${name}-error`); // e.g. login-email-error
+  if (errorElement) {
+    errorElement.textContent = message;
+  }
+  if (!input) {
+    return;
+  }
+  if (message) {
+    input.setAttribute("aria-invalid", "true");
+  } else {
+    input.removeAttribute("aria-invalid");
+  }
+}
+
+
+
+function validateField(input) {
+/* Function to validate a field
+=====================================
+Description:
+This function uses the browser's constraint validation (required, type="email", minlength) and shows the matching message of fieldMessages.
+Parameters:
+    - input: The input element.
+Returns:
+    - true if the field is valid.
+USED IN: validateForm function and the focusout listener of the forms.
+==================================== */
+
+  const messages = fieldMessages[input.name] || {};
+  let message = "";
+  if (input.validity.valueMissing || (input.type !== "password" && !input.value.trim())) { // Spaces only count as empty, except in passwords
+    message = messages.missing || "This field is required.";
+  } else if (!input.validity.valid) {
+    message = messages.invalid || "Please check this value.";
+  }
+  showFieldError(input.form, input.name, message);
+  return message === "";
+}
+
+
+
+function validateForm(form) {
+// Validate every field of a form and move the focus to the first invalid one
+// USED IN: handleSubmit function.
+  const invalid = Array.from(form.querySelectorAll("input[name]")).filter((input) => !validateField(input));
+  invalid[0]?.focus();
+  return invalid.length === 0;
+}
+
+
+
+function showServerErrors(form, err) {
+/* Function to show why the server refused the form
+=====================================
+Description:
+A wrong email or password (401) is shown at the top of the form. Messages the server returns for a field (e.g. an email that is
+already used) are shown under that field, and any other message at the top. A request that never reached the server asks the user to try again.
+Parameters:
+    - form: The form element.
+    - err: The error thrown by the login or register method of Auth.
+Returns:
+    - None
+USED IN: handleSubmit function.
+==================================== */
+
+  const general = form.querySelector(".auth-form__error"); // The message at the top of the form
+  if (!(err instanceof ServicesError)) {
+    general.textContent = "We could not reach the server. Please check your connection and try again.";
+    return;
+  }
+  if (err.isUnauthorized) {
+    general.textContent = "The email or password is incorrect.";
+    return;
+  }
+  const messages = err.body && typeof err.body === "object" ? err.body : { message: err.body || err.message };
+  const other = []; // Messages that do not belong to a field
+  Object.entries(messages).forEach(([key, message]) => {
+    if (form.elements[key] instanceof HTMLInputElement) {
+      showFieldError(form, key, String(message));
+    } else {
+      other.push(String(message));
+    }
+  });
+  general.textContent = other.join(" ");
+}
+
+
+
+async function handleSubmit(event, returnTo) {
+/* Function handling the submit of both forms
+=====================================
+Description:
+This function validates the form and signs the user in (login form) or creates the account and signs the new user in (register form).
+Once signed in, it opens the page to return to.
+Parameters:
+    - event: The submit event.
+    - returnTo: The path to open after signing in.
+Returns:
+    - None
+USED IN: The submit listeners set up in mount.
+==================================== */
+
+  event.preventDefault(); // The form is sent with JavaScript
+  const form = event.target;
+  form.classList.add("submitted"); // Fields are validated as they change from now on
+  form.querySelector(".auth-form__error").textContent = "";
+  if (!validateForm(form)) {
+    return;
+  }
+  const values = Object.fromEntries(new FormData(form)); // email and password (and name to register)
+  const button = form.querySelector("button[type='submit']");
+  button.disabled = true; // No double submissions
+  try {
+    if (form.name === "register") {
+      await auth.register(values);
+    } else {
+      await auth.login(values);
+    }
+  } catch (err) {
+    showServerErrors(form, err);
+    return;
+  } finally {
+    button.disabled = false;
+  }
+  navigate(returnTo);
+}
+
+
+
+export function mount(params, signal) {
+/* Function to mount the login page
+=====================================
+Description:
+This function sets up the sign in and registration forms. A user who is already signed in goes straight to the page to return to.
+Without accounts (no API server), the forms are replaced by a message.
+Parameters:
+    - params: The parameters of the page: redirect (the path to return to after signing in).
+    - signal: An AbortSignal aborted when the page is left, to remove the listeners.
+Returns:
+    - None
+USED IN: startPage in routes.mjs and the router.
+==================================== */
+
+  const returnTo = getReturnURL(params.redirect);
+  if (!accountsEnabled) {
+    renderStatusMessage(document.querySelector(".auth-forms"), { title: "Accounts are not available", message: "Signing in is not available on this site right now. You can still shop and check out.", linkLabel: "Back to the home page", linkHref: "/index.html" });
+    return;
+  }
+  if (auth.isLoggedIn()) {
+    navigate(returnTo);
+    return;
+  }
+  [document.forms.login, document.forms.register].forEach((form) => {
+    form.addEventListener("submit", (event) => handleSubmit(event, returnTo), { signal });
+    form.addEventListener("focusout", (event) => { // Once the user tried to submit, validate each field as they leave it
+      if (form.classList.contains("submitted") && event.target instanceof HTMLInputElement) {
+        validateField(event.target);
+      }
+    }, { signal });
+  });
+}
+
+
+
+startPage(mount); // Start the page
@@ -1,7 +1,73 @@
-/* This is the main JavaScript file that initializes the website by loading the header and footer. Currently, it only handles the header and footer loading as there isnt much else needed for the main page */
+/* This is the main JavaScript file of the home page. The header and footer are loaded by startPage (see routes.mjs).
+It renders the category grid from the category registry (see categories.mjs) and adds the number of products of each category once they are loaded.
+In single-page mode (VITE_SPA_MODE=true), index.html is also the page every route is served from, and this script starts the router. */
 
 
 
-import { loadHeaderFooter } from "./utils.mjs"; // Import the loadHeaderFooter utility function
+import ProductData from "./ProductData.mjs"; // Import the ProductData class to count the products of each category
+import { categoryCardTemplate } from "./ProductList.mjs"; // Import the category card template
+import { getCategories } from "./categories.mjs"; // Import the category registry
+import { renderListWithTemplate } from "./utils.mjs"; // Import the function that renders the cards
+import { startPage } from "./routes.mjs"; // Import the function that starts the page (or the router in single-page mode)
 
-loadHeaderFooter(); // Load the header and footer of the page
+
+
+const dataSource = new ProductData(); // Create an instance of ProductData to read the products of each category
+
+
+
+async function renderCounts(element, categories, signal) {
+/* Function to show the number of products of each category
+=====================================
+Description:
+This function reads the products of every category (the responses are cached, so the listing page opens faster afterwards)
+and writes their number under each card. A category without products is marked "Coming soon".
+A category that cannot be loaded keeps an empty count, so the grid still works without the server.
+Parameters:
+    - element: The list of category cards, in the order of categories.
+    - categories: The categories of the cards.
+    - signal: The AbortSignal of the page, so the counts are not written once the page was left.
+Returns:
+    - None
+USED IN: mount function.
+==================================== */
+
+  const results = await Promise.allSettled(categories.map((category) => dataSource.getData(category.slug))); // Every category, even if some fail
+  if (signal.aborted) { // The page was left
+    return;
+  }
+  results.forEach((result, index) => {
+    const card = element.children[index]; // The card of the category
+    if (result.status !== "fulfilled" || !card) {
+      return;
+    }
+    const count = result.value.length; // Number of products
+    card.querySelector(".category-card__count").textContent = count > 0 ? `${count} ${count === 1 ? "product" : "products"}` : "Coming soon";
+    card.classList.toggle("category-card--soon", count === 0);
+  });
+}
+
+
+
+export function mount(params, signal) {
+/* Function to mount the home page
+=====================================
+Description:
+This function renders a card for every enabled category of the registry, in their order, then adds their number of products.
+Parameters:
+    - params: The parameters of the page (not used).
+    - signal: The AbortSignal of the page.
+Returns:
+    - None
+USED IN: startPage in routes.mjs and the router.
+==================================== */
+
+  const element = document.querySelector(".category-list"); // The category grid
+  const categories = getCategories(); // The enabled categories, in order
+  renderListWithTemplate(categoryCardTemplate, element, categories, "afterbegin", true);
+  renderCounts(element, categories, signal);
+}
+
+
+
+startPage(mount); // Start the page
@@ -0,0 +1,142 @@
+/* This js file handles the order page.
+It reads the order number from the order query parameter and shows the order kept by OrderData: the order number and date, the ordered products,
+the totals and the shipping address. Right after checkout (?placed=1) the page is the order confirmation and thanks the customer. */
+
+
+
+import OrderData from "./OrderData.mjs"; // Import the OrderData class to read the order
+import ServicesError from "./ServicesError.mjs"; // Import the ServicesError class to recognize an unknown order
+import { countOrderItems, formatOrderDate } from "./orderRecords.mjs"; // Import the order functions
+import { formatCurrency, getSalePrice } from "./pricing.mjs"; // Import the pricing functions to show the prices
+import { describeVariant } from "./variants.mjs"; // Import the variant function to describe the ordered color and size
+import { CART_IMAGE_SIZES, responsiveImage } from "./images.mjs"; // Import the product image function (srcset, lazy loading and placeholder)
+import { html, renderStatusMessage, renderWithTemplate } from "./utils.mjs"; // Import utility functions
+import { startPage } from "./routes.mjs"; // Import the function that starts the page (or the router in single-page mode)
+
+
+
+const orderData = new OrderData(); // Create an instance of OrderData to read the order
+
+
+
+function orderItemTemplate(item) {
+/* Order Item Template function
+=====================================
+Description:
+This function generates the HTML template for an ordered product, with the same layout as the cart lines.
+Parameters:
+    - item: An item of the order (same properties as a cart item).
+Returns:
+    - An html template (see html in utils.mjs) representing the ordered product. Every value is escaped.
+USED IN: orderTemplate function.
+====================================*/
+
+  const link = `/product_pages/index.html?product=${encodeURIComponent(item.Id)}`; // The product page
+  const quantity = Number(item.Quantity) || 1;
+  return html`
+  <li class="cart-card divider">
+    <a href="${link}" class="cart-card__image">
+      ${responsiveImage(item.Images, { alt: item.Name, sizes: CART_IMAGE_SIZES })}
+    </a>
+    <a href="${link}">
+      <h2 class="card__name">${item.Name}</h2>
+    </a>
+    <p class="cart-card__color">${describeVariant(item)}</p>
+    <p class="cart-card__quantity">qty: ${quantity}</p>
+    <p class="cart-card__price">${formatCurrency(getSalePrice(item) * quantity)}</p>
+  </li>
+`;
+}
+
+
+
+function orderTemplate(order, placed) {
+/* Order Template function
+=====================================
+Description:
+This function generates the HTML template of the whole order: heading, order number and date, products, totals and shipping address.
+Parameters:
+    - order: The order (see orderRecords.mjs).
+    - placed: true right after checkout, to thank the customer.
+Returns:
+    - An html template (see html in utils.mjs) of the order. Every value is escaped.
+USED IN: renderOrder function.
+====================================*/
+
+  const { address = {}, totals = {} } = order;
+  const itemCount = countOrderItems(order);
+  return html`
+    <h2>${placed ? "Thank you for your order!" : `Order ${order.id}`}</h2>
+    <p class="order-details__number">Order number <strong>${order.id}</strong>, placed on <time datetime="${order.date}">${formatOrderDate(order.date)}</time>.</p>
+    <ul class="product-list order-details__items">${order.items.map(orderItemTemplate)}</ul>
+    <dl class="order-details__totals">
+      <dt>Item Subtotal (${itemCount})</dt><dd>${formatCurrency(totals.subtotal)}</dd>
+      ${totals.coupon && html`<dt>Promo Code (${totals.coupon})</dt><dd>${totals.discount > 0 ? `-${formatCurrency(totals.discount)}` : "Free shipping"}</dd>`}
+      <dt>Tax</dt><dd>${formatCurrency(totals.tax)}</dd>
+      <dt>Shipping</dt><dd>${formatCurrency(totals.shipping)}</dd>
+      <dt class="order-details__total">Order Total</dt><dd class="order-details__total">${formatCurrency(totals.total)}</dd>
+    </dl>
+    <h3>Shipping Address</h3>
+    <address class="order-details__address">
+      ${address.fname} ${address.lname}<br />
+      ${address.street}<br />
+      ${address.city}, ${address.state} ${address.zip}
+    </address>
+    <p class="order-details__links"><a href="/orders/index.html">View all your orders</a> <a href="/index.html">Continue shopping</a></p>`;
+}
+
+
+
+async function renderOrder(id, placed, element) {
+/* Function to read and render the order
+=====================================
+Description:
+This function reads the order and renders it, or shows a message when there is no order number, no such order, or the order cannot be loaded.
+Parameters:
+    - id: The order number from the URL.
+    - placed: true right after checkout.
+    - element: The section where the order is rendered.
+Returns:
+    - None
+USED IN: mount function when the page loads, and the "Try again" button.
+==================================== */
+
+  if (!id) { // Opened without an order number
+    renderStatusMessage(element, { title: "No order selected", message: "Choose an order from your order history.", linkLabel: "View your orders", linkHref: "/orders/index.html" });
+    return;
+  }
+  let order;
+  try {
+    order = await orderData.getOrder(id);
+  } catch (err) {
+    if (err instanceof ServicesError && err.isNotFound) {
+      renderStatusMessage(element, { title: "We couldn't find this order", message: `There is no order number ${id} in your order history.`, linkLabel: "View your orders", linkHref: "/orders/index.html" });
+    } else {
+      renderStatusMessage(element, { title: "We couldn't load this order", message: "Please check your connection and try again.", actionLabel: "Try again", onAction: () => renderOrder(id, placed, element) });
+    }
+    return;
+  }
+  renderWithTemplate(orderTemplate(order, placed), element);
+  document.title = `Sleep Outside | ${placed ? "Order Confirmation" : `Order ${order.id}`}`; // Show the order in the browser tab
+}
+
+
+
+export function mount(params) {
+/* Function to mount the order page
+=====================================
+Description:
+This function renders the order of the order query parameter.
+Parameters:
+    - params: The parameters of the page: order (the order number) and placed ("1" right after checkout).
+Returns:
+    - None
+USED IN: startPage in routes.mjs and the router.
+==================================== */
+
+  renderOrder(params.order, params.placed === "1", document.querySelector(".order-details"));
+}
+
+
+
+startPage(mount); // Start the page
@@ -0,0 +1,140 @@
+/*
+=========================================
+Order functions
+These functions build the order kept after checkout and read it back, for the order confirmation and "My orders" pages.
+An order is an object with:
+  - id: The order number (returned by the server, or made up on this browser).
+  - date: When the order was placed, as an ISO date string.
+  - items: The cart items that were ordered, with the same properties as the items of the cart (see getItems in Cart.mjs).
+  - address: The shipping address: fname, lname, street, city, state and zip.
+  - totals: The order summary: itemCount, subtotal, coupon, discount, tax, shipping and total.
+The card number, expiration date and security code are never kept.
+The orders themselves are read and saved by the OrderData class (see OrderData.mjs).
+These functions do not read or write any storage, so they can be tested on their own.
+=========================================
+*/
+
+
+
+import { roundMoney } from "./pricing.mjs"; // Import the pricing function to keep amounts in cents
+
+
+
+export const addressFields = ["fname", "lname", "street", "city", "state", "zip"]; // The fields of the checkout form kept with the order
+
+const dateFormat = new Intl.DateTimeFormat(undefined, { year: "numeric", month: "long", day: "numeric" }); // e.g. "June 14, 2024"
+
+
+
+export function createOrderRecord(order, items, totals, now = new Date()) {
+/*=============================
+Description:
+Build the order kept after checkout from the order sent to the server.
+Only the shipping address is copied from the form values, so the payment details are not kept.
+Parameters:
+  - order: The order sent to the checkout endpoint (the form values plus orderDate), see checkout in CheckoutProcess.mjs.
+  - items: The cart items that were ordered.
+  - totals: An object with itemCount, subtotal, coupon, discount, tax, shipping and total.
+  - now: Optional. The date used when the order has no orderDate (default now).
+Returns:
+  - An order object without an id (the caller adds the order number the server returned).
+USED IN: checkout method of CheckoutProcess class once the order is placed.
+=============================*/
+
+  return {
+    date: order.orderDate || now.toISOString(),
+    items: items.map((item) => ({ ...item, Quantity: Number(item.Quantity) || 1 })), // Copies, so later changes to the cart do not change the order
+    address: Object.fromEntries(addressFields.map((name) => [name, String(order[name] ?? "").trim()])),
+    totals: {
+      itemCount: Number(totals.itemCount) || 0,
+      subtotal: roundMoney(Number(totals.subtotal) || 0),
+      coupon: totals.coupon || null,
+      discount: roundMoney(Number(totals.discount) || 0),
+      tax: roundMoney(Number(totals.tax) || 0),
+      shipping: roundMoney(Number(totals.shipping) || 0),
+      total: roundMoney(Number(totals.total) || 0),
+    },
+  };
+}
+
+
+
+export function isValidOrder(order) {
+/*=============================
+Description:
+Check that a stored or downloaded order can be shown: it needs an id, a date and a list of items.
+Parameters:
+  - order: Any value.
+Returns:
+  - true when the order can be shown.
+USED IN: The local order store of OrderData.mjs, to skip unreadable orders.
+=============================*/
+
+  return Boolean(order && typeof order === "object" && order.id && order.date && Array.isArray(order.items));
+}
+
+
+
+export function sortOrders(orders) {
+/*=============================
+Description:
+Sort orders newest first.
+Parameters:
+  - orders: An array of orders.
+Returns:
+  - A new sorted array. The original array is not changed.
+USED IN: OrderData class when the orders are read.
+=============================*/
+
+  return [...orders].sort((a, b) => String(b.date).localeCompare(String(a.date)));
+}
+
+
+
+export function countOrderItems(order) {
+/*=============================
+Description:
+Count the units of an order (the sum of the quantities of its items).
+Parameters:
+  - order: An order.
+Returns:
+  - The number of units.
+USED IN: The order pages (order.js and orders.js).
+=============================*/
+
+  return order.totals?.itemCount || order.items.reduce((count, item) => count + (Number(item.Quantity) || 1), 0);
+}
+
+
+
+export function formatOrderDate(date) {
+/*=============================
+Description:
+Format the date of an order for the reader, or return it as it is when it cannot be read.
+Parameters:
+  - date: The date of the order, as an ISO date string.
+Returns:
+  - The formatted date, e.g. "June 14, 2024".
+USED IN: The order pages (order.js and orders.js).
+=============================*/
+
+  const parsed = new Date(date);
+  return Number.isNaN(parsed.getTime()) ? String(date || "") : dateFormat.format(parsed);
+}
+
+
+
+export function getOrderURL(order, { placed = false } = {}) {
+/*=============================
+Description:
+Build the URL of the page of an order (order/index.html), which also shows the confirmation right after checkout.
+Parameters:
+  - order: An order (or an object with its id).
+  - options: Optional. An object with placed (true to show the page as the confirmation of an order that was just placed).
+Returns:
+  - The URL as a string, e.g. "/order/index.html?order=LOCAL-1718400000000".
+USED IN: CheckoutProcess class after checkout, and the "View details" links of orders.js.
+=============================*/
+
+  return `/order/index.html?order=${encodeURIComponent(order.id)}${placed ? "&placed=1" : ""}`;
+}
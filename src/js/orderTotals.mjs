@@ -0,0 +1,307 @@
+/*
+=========================================
+Order totals functions
+These functions are the single place where the site calculates shipping, tax and the order total, for the cart footer and the checkout summary.
+The rules are in public/json/order-totals.json:
+  - shipping: How shipping is charged.
+      - basis: "items" (the number of units) or "weight" (their weight in pounds).
+      - tiers: An array of { upTo, base, perUnit }, from the smallest to the largest. The first tier whose upTo is at least the number
+        of units (or the weight) is used, and costs base plus perUnit for every unit (or started pound) over the upTo of the tier before it.
+        The upTo of the last tier is null (no limit). E.g. with the default tiers one item costs $10 and each additional item $2.
+      - freeShippingThreshold: Optional. Orders of at least this amount (after the promo code discount) ship for free.
+      - weights: The weight of a unit in pounds when the basis is "weight": by category, and a default for the other categories.
+        A product with its own Weight property uses it instead.
+  - tax: The sales tax rates.
+      - defaultRate: The rate used when the destination is unknown (e.g. in the cart) or has no rate of its own.
+      - states: Rates by two letter state code.
+      - zips: Rates by zip code or zip code prefix (e.g. "981"), which win over the rate of the state. The longest prefix wins.
+      - shippingTaxable: true when shipping is taxed too.
+  - rounding: How tax is rounded to cents.
+      - mode: "nearest", "up" or "down".
+      - taxPer: "order" (the tax of the whole order is rounded once) or "line" (the tax of each cart line is rounded, then added up).
+Tax is charged on what the customer pays for the items, so the promo code discount is taken off first.
+When the rules cannot be loaded, the defaults below are used: 6% tax everywhere and $10 + $2 per additional item of shipping.
+calculateOrderTotals and the functions it uses do not read or write any storage, so they can be tested on their own.
+=========================================
+*/
+
+
+
+import { formatCurrency, getSalePrice, roundMoney } from "./pricing.mjs"; // Import the pricing functions to add up and format prices
+import { getCartItemKey } from "./variants.mjs"; // Import the function that matches cart lines with their share of the promo code discount
+
+
+
+const configURL = `${import.meta.env.BASE_URL || "/"}json/order-totals.json`; // URL of the order totals rules, served from the public folder
+let configPromise = null; // The rules are fetched once per page
+
+const defaultConfig = {
+// The rules used when order-totals.json cannot be loaded, and for the values missing from it
+// USED IN: normalizeConfig function.
+  shipping: {
+    basis: "items",
+    tiers: [{ upTo: 1, base: 10, perUnit: 0 }, { upTo: null, base: 10, perUnit: 2 }],
+    freeShippingThreshold: null,
+    weights: { default: 3, categories: {} },
+  },
+  tax: { defaultRate: 0.06, states: {}, zips: {}, shippingTaxable: false },
+  rounding: { mode: "nearest", taxPer: "order" },
+};
+
+
+
+function normalizeConfig(config) {
+// Fill the values missing from the rules with the defaults, so the other functions never check for them
+// USED IN: loadTotalsConfig, getItemWeight, calculateShipping, getTaxRate and calculateOrderTotals functions.
+  const shipping = { ...defaultConfig.shipping, ...config?.shipping };
+  return {
+    shipping: {
+      ...shipping,
+      tiers: Array.isArray(shipping.tiers) && shipping.tiers.length > 0 ? shipping.tiers : defaultConfig.shipping.tiers,
+      weights: { ...defaultConfig.shipping.weights, ...shipping.weights },
+    },
+    tax: { ...defaultConfig.tax, ...config?.tax },
+    rounding: { ...defaultConfig.rounding, ...config?.rounding },
+  };
+}
+
+
+
+function roundAmount(amount, mode) {
+// Round an amount to cents up, down or to the nearest cent (a half cent rounds up)
+// The small offsets keep amounts like 4.2 * 100 = 420.00000000000006 from being rounded up to the next cent,
+// and half cents like 198 * 0.0725 = 14.354999999999999 from being rounded down.
+// USED IN: calculateTax function.
+  if (mode === "up") {
+    return Math.ceil(amount * 100 - 1e-6) / 100;
+  }
+  if (mode === "down") {
+    return Math.floor(amount * 100 + 1e-6) / 100;
+  }
+  return Math.round(amount * 100 + 1e-6) / 100;
+}
+
+
+
+export function loadTotalsConfig() {
+/*=============================
+Description:
+Fetch the order totals rules. The request is only made once per page; later calls get the same promise.
+When the rules cannot be loaded, the defaults are used, so the totals are still shown.
+Returns:
+  - A promise that resolves to the rules, with the missing values filled with the defaults.
+USED IN: cart.js and checkout.js before showing totals.
+=============================*/
+
+  if (!configPromise) { // First call: fetch the rules
+    configPromise = fetch(configURL)
+      .then((response) => (response.ok ? response.json() : null))
+      .catch(() => null) // No rules means the defaults
+      .then(normalizeConfig);
+  }
+  return configPromise;
+}
+
+
+
+export function getItemWeight(item, config) {
+/*=============================
+Description:
+Get the weight of one unit of a cart item, used when shipping is charged by weight.
+Parameters:
+  - item: A cart item.
+  - config: The order totals rules.
+Returns:
+  - The Weight of the product when it has one, or the weight of its category, or the default weight, in pounds.
+USED IN: calculateShipping function.
+=============================*/
+
+  const weight = Number(item.Weight);
+  if (weight > 0) {
+    return weight;
+  }
+  const { weights } = normalizeConfig(config).shipping;
+  return Number(weights.categories?.[item.Category] ?? weights.default) || 0;
+}
+
+
+
+export function calculateShipping(items, config, { subtotal = 0, freeShipping = false } = {}) {
+/*=============================
+Description:
+Calculate the shipping charge of the cart items with the tiers of the rules.
+Parameters:
+  - items: The cart items. A missing or invalid Quantity counts as 1.
+  - config: The order totals rules.
+  - options: An object with:
+      - subtotal: Optional. The subtotal after the promo code discount, compared to the free shipping threshold.
+      - freeShipping: Optional. true when a promo code makes shipping free.
+Returns:
+  - An object with:
+      - amount: The shipping charge, rounded to cents (0 for an empty cart or free shipping).
+      - free: Why shipping is free: "coupon", "threshold", or null when it is not.
+      - itemCount: The number of units.
+      - weight: The weight of the units in pounds.
+USED IN: calculateOrderTotals function.
+=============================*/
+
+  const { shipping } = normalizeConfig(config);
+  const itemCount = items.reduce((count, item) => count + (Number(item.Quantity) || 1), 0);
+  const weight = roundMoney(items.reduce((total, item) => total + getItemWeight(item, config) * (Number(item.Quantity) || 1), 0));
+  const result = { amount: 0, free: null, itemCount, weight };
+  if (itemCount === 0) { // Nothing to ship
+    return result;
+  }
+  if (freeShipping) { // A free shipping promo code
+    result.free = "coupon";
+    return result;
+  }
+  if (shipping.freeShippingThreshold && subtotal >= shipping.freeShippingThreshold) { // A large enough order
+    result.free = "threshold";
+    return result;
+  }
+  const measure = shipping.basis === "weight" ? weight : itemCount; // What the tiers are compared to
+  let from = 0; // Where the current tier starts
+  for (const tier of shipping.tiers) {
+    if (tier.upTo === null || tier.upTo === undefined || measure <= tier.upTo) { // The tier of the order
+      result.amount = roundMoney((Number(tier.base) || 0) + (Number(tier.perUnit) || 0) * Math.max(0, Math.ceil(measure - from)));
+      return result;
+    }
+    from = tier.upTo;
+  }
+  const last = shipping.tiers[shipping.tiers.length - 1]; // Past the last tier: charge it as if it had no limit
+  result.amount = roundMoney((Number(last.base) || 0) + (Number(last.perUnit) || 0) * Math.max(0, Math.ceil(measure - from)));
+  return result;
+}
+
+
+
+export function getTaxRate(destination, config) {
+/*=============================
+Description:
+Find the sales tax rate of a shipping address: the rate of the longest matching zip code prefix, or of the state, or the default rate.
+Parameters:
+  - destination: Optional. An object with state (e.g. "ID") and zip (e.g. "83440"). Incomplete values are ignored.
+  - config: The order totals rules.
+Returns:
+  - An object with:
+      - rate: The tax rate, e.g. 0.06 for 6%.
+      - estimated: true when the rate does not come from a complete address (the default rate is used).
+USED IN: calculateOrderTotals function.
+=============================*/
+
+  const { tax } = normalizeConfig(config);
+  const zip = /^\d{5}$/.test(String(destination?.zip ?? "").trim()) ? String(destination.zip).trim() : ""; // Only a complete zip code
+  const state = String(destination?.state ?? "").trim().toUpperCase();
+  const prefix = zip && Object.keys(tax.zips || {})
+    .filter((candidate) => zip.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0]; // The longest matching prefix, if any
+  if (prefix) {
+    return { rate: Number(tax.zips[prefix]) || 0, estimated: false };
+  }
+  if (/^[A-Z]{2}$/.test(state) && tax.states?.[state] !== undefined) {
+    return { rate: Number(tax.states[state]) || 0, estimated: false };
+  }
+  return { rate: Number(tax.defaultRate) || 0, estimated: !zip || !/^[A-Z]{2}$/.test(state) };
+}
+
+
+
+function calculateTax(items, coupon, shipping, rate, config) {
+// Calculate the tax of the cart items after the promo code discount, and of shipping when it is taxed, with the rounding rules
+// In "line" mode each line is taxed on its price minus its share of the discount (see splitDiscount in coupons.mjs).
+// USED IN: calculateOrderTotals function.
+  const { rounding, tax } = config;
+  const taxableShipping = tax.shippingTaxable ? shipping : 0;
+  if (rounding.taxPer === "line") {
+    const lineTaxes = items.map((item) => {
+      const share = coupon?.items?.find((line) => line.key === getCartItemKey(item))?.amount || 0; // This line's part of the discount
+      return roundAmount(Math.max(0, getSalePrice(item) * (Number(item.Quantity) || 1) - share) * rate, rounding.mode);
+    });
+    return roundMoney(lineTaxes.reduce((total, amount) => total + amount, 0) + roundAmount(taxableShipping * rate, rounding.mode));
+  }
+  const taxable = items.reduce((total, item) => total + getSalePrice(item) * (Number(item.Quantity) || 1), 0) - (coupon?.discount || 0);
+  return roundAmount(Math.max(0, taxable + taxableShipping) * rate, rounding.mode);
+}
+
+
+
+export function formatTaxRate(rate) {
+/*=============================
+Description:
+Format a tax rate as a percentage, e.g. 0.0725 -> "7.25%".
+Parameters:
+  - rate: The tax rate.
+Returns:
+  - The formatted rate.
+USED IN: calculateOrderTotals function, for the label of the tax line.
+=============================*/
+
+  return `${Number((rate * 100).toFixed(3))}%`;
+}
+
+
+
+export function calculateOrderTotals(items, { coupon = null, destination = null, config = null } = {}) {
+/*=============================
+Description:
+Calculate every amount of an order: subtotal, promo code discount, shipping, tax and total.
+Parameters:
+  - items: The cart items.
+  - options: An object with:
+      - coupon: Optional. The result of evaluateCoupon for the applied code (see coupons.mjs). Only a valid code is used.
+      - destination: Optional. The shipping address, { state, zip }, for the tax rate. Without it the default rate is used.
+      - config: Optional. The order totals rules from loadTotalsConfig. Without them the defaults are used.
+Returns:
+  - A breakdown object with:
+      - itemCount, weight: The number of units and their weight in pounds.
+      - subtotal: The price of the items before the discount.
+      - coupon: The applied code, or null. discount: The amount it takes off the subtotal.
+      - shipping: The shipping charge. freeShipping: Why shipping is free ("coupon" or "threshold"), or null.
+      - taxRate: The tax rate used. taxEstimated: true when it is not the rate of a complete address. tax: The tax.
+      - total: subtotal - discount + shipping + tax.
+      - lines: An array of { id, label, amount } ("subtotal", "discount", "shipping", "tax") for the summaries to list in order.
+        The discount lines have negative amounts, and the shipping line has free set when shipping is free.
+Every amount is rounded to cents.
+USED IN: getCartTotal in cart.js and calculateOrderTotal method of CheckoutProcess class.
+=============================*/
+
+  const rules = normalizeConfig(config);
+  const applied = coupon?.valid ? coupon : null; // Only a code that applies to the cart
+  const subtotal = roundMoney(items.reduce((total, item) => total + getSalePrice(item) * (Number(item.Quantity) || 1), 0));
+  const discount = roundMoney(applied?.discount || 0);
+  const discountedTotal = roundMoney(subtotal - discount); // What the customer pays for the items
+  const shipping = calculateShipping(items, rules, { subtotal: discountedTotal, freeShipping: Boolean(applied?.freeShipping) });
+  const { rate, estimated } = getTaxRate(destination, rules);
+  const tax = shipping.itemCount > 0 ? calculateTax(items, applied, shipping.amount, rate, rules) : 0;
+
+  const lines = [{ id: "subtotal", label: "Subtotal", amount: subtotal }];
+  (applied?.lines || []).filter((line) => line.amount < 0).forEach((line) => { // The discount of the code
+    lines.push({ id: "discount", label: line.label, amount: line.amount });
+  });
+  lines.push({
+    id: "shipping",
+    label: { // Say why shipping is free
+      coupon: `Shipping (${applied?.code})`,
+      threshold: `Shipping (free on orders of ${formatCurrency(rules.shipping.freeShippingThreshold)} or more)`,
+    }[shipping.free] || "Shipping",
+    amount: shipping.amount,
+    free: Boolean(shipping.free),
+  });
+  lines.push({ id: "tax", label: `${estimated ? "Estimated tax" : "Tax"} (${formatTaxRate(rate)})`, amount: tax });
+
+  return {
+    itemCount: shipping.itemCount,
+    weight: shipping.weight,
+    subtotal,
+    coupon: applied?.code || null,
+    discount,
+    shipping: shipping.amount,
+    freeShipping: shipping.free,
+    taxRate: rate,
+    taxEstimated: estimated,
+    tax,
+    total: roundMoney(discountedTotal + shipping.amount + tax),
+    lines,
+  };
+}
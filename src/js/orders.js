@@ -0,0 +1,185 @@
+/* This js file handles the "My orders" page.
+It lists the orders kept by OrderData, newest first. Each order links to its order page and has a "Reorder" button,
+which adds the ordered products to the cart again (see Cart.mjs) with their color, size and quantity, at today's price. */
+
+
+
+import OrderData from "./OrderData.mjs"; // Import the OrderData class to read the orders
+import ServicesError from "./ServicesError.mjs"; // Import the ServicesError class to recognize a refused session
+import { auth } from "./Auth.mjs"; // Import the shared session, to sign out when the server refuses it
+import ProductData from "./ProductData.mjs"; // Import the ProductData class to read the current products when reordering
+import { cart } from "./Cart.mjs"; // Import the shared cart to add the products of an order to it
+import { countOrderItems, formatOrderDate, getOrderURL } from "./orderRecords.mjs"; // Import the order functions
+import { formatCurrency } from "./pricing.mjs"; // Import the pricing function to show the totals
+import { responsiveImage } from "./images.mjs"; // Import the product image function (srcset, lazy loading and placeholder)
+import { html, renderStatusMessage, renderWithTemplate } from "./utils.mjs"; // Import utility functions
+import { startPage } from "./routes.mjs"; // Import the function that starts the page (or the router in single-page mode)
+
+
+
+const orderData = new OrderData(); // Create an instance of OrderData to read the orders
+const dataSource = new ProductData(); // Create an instance of ProductData to read the products of an order again
+const PREVIEW_IMAGES = 4; // Number of product images shown for each order
+
+let orders = []; // The orders shown on the page, set by renderOrders
+
+
+
+function orderCardTemplate(order) {
+/* Order Card Template function
+=====================================
+Description:
+This function generates the HTML template for an order of the list: its number and date, the first product images,
+the number of items and the total, with a link to the order page and a "Reorder" button.
+Parameters:
+    - order: An order (see orderRecords.mjs).
+Returns:
+    - An html template (see html in utils.mjs) representing the order. Every value is escaped.
+USED IN: renderOrders function.
+====================================*/
+
+  const itemCount = countOrderItems(order);
+  return html`
+  <li class="order-card divider">
+    <h3 class="order-card__title">Order ${order.id}</h3>
+    <p class="order-card__meta">
+      <time datetime="${order.date}">${formatOrderDate(order.date)}</time>
+      · ${itemCount} ${itemCount === 1 ? "item" : "items"} · ${formatCurrency(order.totals?.total)}
+    </p>
+    <ul class="order-card__images">
+      ${order.items.slice(0, PREVIEW_IMAGES).map((item) => html`<li>${responsiveImage(item.Images, { alt: item.Name, sizes: "80px" })}</li>`)}
+    </ul>
+    <div class="order-card__actions">
+      <a href="${getOrderURL(order)}">View details</a>
+      <button type="button" class="order-card__reorder" data-order="${order.id}">Reorder</button>
+    </div>
+  </li>
+`;
+}
+
+
+
+async function renderOrders(element) {
+/* Function to read and render the orders
+=====================================
+Description:
+This function reads the orders and renders them, or shows a message when there is no order yet or the orders cannot be loaded.
+When the server refuses the session (401, e.g. the token was revoked), the user is signed out and sent to the login page (see startPage).
+Parameters:
+    - element: The list where the orders are rendered.
+Returns:
+    - None
+USED IN: mount function when the page loads, and the "Try again" button.
+==================================== */
+
+  try {
+    orders = await orderData.getOrders();
+  } catch (err) {
+    if (err instanceof ServicesError && err.isUnauthorized) {
+      auth.logout();
+      return;
+    }
+    renderStatusMessage(element, { title: "We couldn't load your orders", message: "Please check your connection and try again.", actionLabel: "Try again", onAction: () => renderOrders(element) });
+    return;
+  }
+  if (orders.length === 0) { // Nothing ordered yet
+    renderStatusMessage(element, { title: "You have no orders yet", message: "The orders you place will be listed here.", linkLabel: "Browse all categories", linkHref: "/index.html" });
+    return;
+  }
+  renderWithTemplate(html`${orders.map(orderCardTemplate)}`, element);
+}
+
+
+
+async function reorder(order) {
+/* Function to add the products of an order to the cart again
+=====================================
+Description:
+This function reads every product of the order again, so the cart gets today's price and only products that are still sold,
+and adds each one to the cart with the color, size and quantity that were ordered.
+A product that is no longer sold, or a color that is no longer offered, is reported instead of being added.
+Parameters:
+    - order: The order to add to the cart.
+Returns:
+    - A promise that resolves to { added, missing }: the number of units added and the names of the products that could not be added.
+USED IN: handleClick function.
+==================================== */
+
+  const results = await Promise.allSettled(order.items.map((item) => dataSource.findProductById(item.Id))); // Today's products, even if some fail
+  let added = 0; // Units added to the cart
+  const missing = []; // Names of the products that could not be added
+  order.items.forEach((item, index) => {
+    const product = results[index].status === "fulfilled" ? results[index].value : null;
+    const color = item.SelectedColor
+      ? product?.Colors?.find((candidate) => candidate.ColorCode === item.SelectedColor.ColorCode) // The ordered color, if it is still offered
+      : product?.Colors?.[0] || null;
+    if (!product || color === undefined) {
+      missing.push(item.Name);
+      return;
+    }
+    const quantity = Number(item.Quantity) || 1;
+    cart.add(product, { quantity, color, size: item.SelectedSize || {} });
+    added += quantity;
+  });
+  return { added, missing };
+}
+
+
+
+async function handleClick(event, status) {
+/* Function handling the "Reorder" buttons
+=====================================
+Description:
+This function adds the products of the order of the clicked button to the cart and tells the user what was added,
+with a link to the cart. The header badge updates itself through the cart subscription.
+Parameters:
+    - event: The click event object.
+    - status: The element where the result is announced.
+Returns:
+    - None
+USED IN: The click listener set up in mount.
+==================================== */
+
+  const button = event.target.closest(".order-card__reorder"); // The clicked button, if any
+  const order = button && orders.find((candidate) => String(candidate.id) === button.dataset.order);
+  if (!order) {
+    return;
+  }
+  button.disabled = true; // No double clicks while the products load
+  status.textContent = "Adding the products of this order to your cart…";
+  const { added, missing } = await reorder(order);
+  button.disabled = false;
+  const messages = []; // The sentences of the result
+  if (added > 0) {
+    messages.push(html`${added} ${added === 1 ? "item was" : "items were"} added to your cart. <a href="/cart/index.html">View cart</a>`);
+  }
+  if (missing.length > 0) {
+    messages.push(html`These products are no longer available: ${missing.join(", ")}.`);
+  }
+  renderWithTemplate(html`${messages.map((message) => html`<span>${message}</span> `)}`, status);
+}
+
+
+
+export function mount(params, signal) {
+/* Function to mount the "My orders" page
+=====================================
+Description:
+This function renders the orders and listens for their "Reorder" buttons.
+Parameters:
+    - params: The parameters of the page (not used).
+    - signal: An AbortSignal aborted when the page is left, to remove the listener.
+Returns:
+    - None
+USED IN: startPage in routes.mjs and the router.
+==================================== */
+
+  const element = document.querySelector(".order-list"); // Get the HTML element where the orders will be rendered
+  const status = document.querySelector(".orders__status"); // Where the result of a reorder is announced
+  element.addEventListener("click", (event) => handleClick(event, status), { signal });
+  renderOrders(element);
+}
+
+
+
+startPage(mount); // Start the page
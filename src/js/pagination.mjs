@@ -0,0 +1,134 @@
+/*
+=========================================
+Pagination functions for product lists
+These functions read the page from the URL query parameters, write it back, cut a list into pages and choose the page numbers to show.
+Like the sort and filter choices (see productFilters.mjs), the page is kept in the URL so a page can be shared and reloaded.
+Supported query parameters:
+  - page: The page number, starting at 1 (e.g. ?category=tents&page=2). Page 1 is not written to the URL.
+  - pageSize: Optional. The number of products per page (default VITE_PAGE_SIZE, or 12).
+=========================================
+*/
+
+
+
+export const DEFAULT_PAGE_SIZE = Number(import.meta.env.VITE_PAGE_SIZE) || 12; // Products per page when the URL does not say
+const MAX_PAGE_SIZE = 100; // A larger pageSize in the URL is reduced to this
+
+
+
+function toPositiveInteger(value, fallback) {
+// Convert a query parameter to a whole number of at least 1, or the fallback when it is missing or invalid
+// USED IN: readPagination function.
+  const number = Number.parseInt(value, 10);
+  return Number.isFinite(number) && number >= 1 ? number : fallback;
+}
+
+
+
+export function readPagination(params) {
+/*=============================
+Description:
+Read the page and page size from URL query parameters.
+Invalid values are replaced by the defaults so a mistyped link still shows products.
+Parameters:
+  - params: A URLSearchParams object.
+Returns:
+  - An object { page, pageSize }.
+USED IN: ProductList class when the page loads.
+=============================*/
+
+  return {
+    page: toPositiveInteger(params.get("page"), 1), // The page to show
+    pageSize: Math.min(toPositiveInteger(params.get("pageSize"), DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE), // Products per page
+  };
+}
+
+
+
+export function writePagination(params, { page, pageSize }) {
+/*=============================
+Description:
+Write the page and page size into URL query parameters. The defaults (page 1 and DEFAULT_PAGE_SIZE) are removed to keep URLs short.
+Every other parameter (like category or sort) is kept.
+Parameters:
+  - params: A URLSearchParams object to update.
+  - pagination: An object { page, pageSize }.
+Returns:
+  - The same URLSearchParams object.
+USED IN: ProductList class when the page changes.
+=============================*/
+
+  if (page > 1) {
+    params.set("page", String(page));
+  } else {
+    params.delete("page");
+  }
+  if (pageSize !== DEFAULT_PAGE_SIZE) {
+    params.set("pageSize", String(pageSize));
+  } else {
+    params.delete("pageSize");
+  }
+  return params;
+}
+
+
+
+export function paginate(list, page, pageSize) {
+/*=============================
+Description:
+Cut a list into pages and return one of them. A page after the last one shows the last page.
+Parameters:
+  - list: An array.
+  - page: The page number, starting at 1.
+  - pageSize: The number of items per page.
+Returns:
+  - An object with:
+      - items: The items of the page (a new array).
+      - page: The page that is returned (after the correction above).
+      - pageCount: The number of pages (at least 1).
+      - start, end: The positions of the first and last item of the page, starting at 1 (0 and 0 for an empty list).
+      - total: The number of items in the list.
+USED IN: ProductList class to render one page of products.
+=============================*/
+
+  const pageCount = Math.max(1, Math.ceil(list.length / pageSize)); // Number of pages
+  const current = Math.min(Math.max(1, page), pageCount); // Keep the page in range
+  const startIndex = (current - 1) * pageSize; // Index of the first item of the page
+  const items = list.slice(startIndex, startIndex + pageSize);
+  return {
+    items,
+    page: current,
+    pageCount,
+    start: items.length > 0 ? startIndex + 1 : 0,
+    end: startIndex + items.length,
+    total: list.length,
+  };
+}
+
+
+
+export function getPageNumbers(page, pageCount, siblings = 1) {
+/*=============================
+Description:
+Choose the page numbers to show in the pagination controls: the first and last page, the current page and its neighbours.
+Gaps are marked with null, so long lists stay short, e.g. [1, null, 4, 5, 6, null, 20].
+Parameters:
+  - page: The current page.
+  - pageCount: The number of pages.
+  - siblings: Optional. How many pages to show on each side of the current page (default 1).
+Returns:
+  - An array of page numbers and nulls.
+USED IN: ProductList class to render the numbered controls.
+=============================*/
+
+  const numbers = []; // Page numbers and gaps
+  for (let number = 1; number <= pageCount; number += 1) {
+    const nearCurrent = Math.abs(number - page) <= siblings; // The current page or a neighbour
+    if (number === 1 || number === pageCount || nearCurrent) {
+      numbers.push(number);
+    } else if (numbers[numbers.length - 1] !== null) { // Only one gap marker in a row
+      numbers.push(null);
+    }
+  }
+  return numbers;
+}
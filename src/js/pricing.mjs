@@ -0,0 +1,161 @@
+/*
+=========================================
+Pricing functions
+These functions are the single place where the site decides what a product costs, how much it is discounted and how money is shown.
+The product data has three prices:
+  - SuggestedRetailPrice: the manufacturer's price, used as the original price.
+  - ListPrice: the store's regular price.
+  - FinalPrice: the price the customer pays, used as the sale price.
+Money is formatted with Intl.NumberFormat. The locale and currency come from the VITE_LOCALE and VITE_CURRENCY
+environment variables (default "en-US" and "USD") and can be changed with configurePricing.
+=========================================
+*/
+
+
+
+const pricingConfig = {
+// The locale and currency used to format money
+// USED IN: formatCurrency and configurePricing functions.
+  locale: import.meta.env.VITE_LOCALE || "en-US",
+  currency: import.meta.env.VITE_CURRENCY || "USD",
+};
+
+let formatter = null; // Intl.NumberFormat for the current config, created the first time money is formatted
+
+
+
+export function configurePricing({ locale = pricingConfig.locale, currency = pricingConfig.currency } = {}) {
+/*=============================
+Description:
+Change the locale and currency used to format money.
+Parameters:
+  - options: An object with locale (e.g. "en-GB") and/or currency (e.g. "EUR"). Missing values keep their current setting.
+Returns:
+  - None
+USED IN: Available for pages or tests that need a different locale or currency.
+=============================*/
+
+  pricingConfig.locale = locale;
+  pricingConfig.currency = currency;
+  formatter = null; // Create a new formatter the next time money is formatted
+}
+
+
+
+export function roundMoney(amount) {
+/*=============================
+Description:
+Round an amount to cents, avoiding floating point results like 0.1 + 0.2 = 0.30000000000000004.
+Parameters:
+  - amount: A number.
+Returns:
+  - The amount rounded to two decimal places.
+USED IN: getDiscount and getCartSubtotal functions, and other modules that add up money.
+=============================*/
+
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+
+
+export function formatCurrency(amount) {
+/*=============================
+Description:
+Format an amount of money for display, e.g. 199.99 -> "$199.99".
+Parameters:
+  - amount: A number.
+Returns:
+  - The formatted string in the configured locale and currency.
+USED IN: productCardTemplate, productDetailsTemplate, the cart page and the checkout summary.
+=============================*/
+
+  if (!formatter) { // Create the formatter once for the current config
+    formatter = new Intl.NumberFormat(pricingConfig.locale, { style: "currency", currency: pricingConfig.currency });
+  }
+  return formatter.format(Number(amount) || 0);
+}
+
+
+
+export function getSalePrice(product) {
+/*=============================
+Description:
+Return the price the customer pays for one unit of a product.
+Parameters:
+  - product: A product (or cart item) object.
+Returns:
+  - FinalPrice, or ListPrice when there is no FinalPrice.
+USED IN: productCardTemplate, productDetailsTemplate, the cart page, checkout and the price filters.
+=============================*/
+
+  return Number(product.FinalPrice ?? product.ListPrice) || 0;
+}
+
+
+
+export function getOriginalPrice(product) {
+/*=============================
+Description:
+Return the price a product is discounted from.
+Parameters:
+  - product: A product (or cart item) object.
+Returns:
+  - SuggestedRetailPrice, or ListPrice when there is none, or the sale price when neither is set.
+USED IN: getDiscount function.
+=============================*/
+
+  return Number(product.SuggestedRetailPrice ?? product.ListPrice) || getSalePrice(product);
+}
+
+
+
+export function getDiscount(product) {
+/*=============================
+Description:
+Calculate how much a product is discounted.
+Parameters:
+  - product: A product (or cart item) object.
+Returns:
+  - An object { original, sale, amount, percent }. amount and percent are 0 when the product is not discounted.
+    percent is rounded to a whole number.
+USED IN: productCardTemplate, productDetailsTemplate, isOnSale and getComparisonRows in CompareList.mjs.
+=============================*/
+
+  const original = getOriginalPrice(product); // The price before the discount
+  const sale = getSalePrice(product); // The price the customer pays
+  const amount = original > sale ? roundMoney(original - sale) : 0; // Money saved on one unit
+  const percent = amount > 0 ? Math.round((amount / original) * 100) : 0; // Saving as a percentage of the original price
+  return { original, sale, amount, percent };
+}
+
+
+
+export function isOnSale(product) {
+/*=============================
+Description:
+Check whether a product is on sale, i.e. its sale price is lower than its original price.
+Parameters:
+  - product: A product object.
+Returns:
+  - true or false.
+USED IN: filterProducts in productFilters.mjs and the discount badges.
+=============================*/
+
+  return getDiscount(product).amount > 0;
+}
+
+
+
+export function getCartSubtotal(items) {
+/*=============================
+Description:
+Add up the sale price times the quantity of every cart item.
+Parameters:
+  - items: An array of cart items. A missing or invalid Quantity counts as 1, like everywhere else in the cart.
+Returns:
+  - The subtotal rounded to cents.
+USED IN: The cart page and CheckoutProcess.
+=============================*/
+
+  return roundMoney(items.reduce((total, item) => total + getSalePrice(item) * (Number(item.Quantity) || 1), 0));
+}
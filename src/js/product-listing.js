@@ -5,21 +5,36 @@ It creates and initializes the product listing based on the selected category an
 
 import ProductData from "./ProductData.mjs"; // Import the ProductData class
 import ProductList from "./ProductList.mjs"; // Import the ProductList class
-import { loadHeaderFooter, getParam } from "./utils.mjs"; // Import utility functions
+import ReviewData from "./ReviewData.mjs"; // Import the ReviewData class to show the ratings on the cards
+import { startPage } from "./routes.mjs"; // Import the function that starts the page (or the router in single-page mode)
 
 
 
-loadHeaderFooter(); // Load header and footer
-
+const dataSource = new ProductData(); // Create an instance of ProductData to fetch product details
+const reviewData = new ReviewData(); // Create an instance of ReviewData to read the ratings of the products
+const infiniteScroll = import.meta.env.VITE_INFINITE_SCROLL === "true"; // Add pages on scroll instead of showing numbered page controls
 
 
-const category = getParam("category"); // Create an instance of ProductList for the specified category
 
-const dataSource = new ProductData(); // Create an instance of ProductData to fetch product details
+export function mount(params, signal) {
+/* Function to mount the product listing page
+=====================================
+Description:
+This function creates an instance of ProductList for the category of the page and renders its products.
+Parameters:
+    - params: The parameters of the page. category is the category to list (from ?category= or the /category/:name route).
+    - signal: The AbortSignal of the page, which stops the infinite scroll when the page is left.
+Returns:
+    - None
+USED IN: startPage in routes.mjs and the router.
+==================================== */
 
-const element = document.querySelector(".product-list"); // Get the HTML element where the product list will be rendered
+  const element = document.querySelector(".product-list"); // Get the HTML element where the product list will be rendered
+  const controls = document.querySelector(".listing-controls"); // Get the form with the sort and filter controls
+  const listing = new ProductList(params.category, dataSource, element, controls, { infiniteScroll, signal, reviewData }); // Create an instance of ProductList to render the product list
+  listing.init(); // Initialize and render the product list with its method init
+}
 
-const listing = new ProductList(category, dataSource, element); // Create an instance of ProductList to render the product list
 
-listing.init(); // Initialize and render the product list with its method init
 
+startPage(mount); // Start the page
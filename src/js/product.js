@@ -5,21 +5,34 @@
 
 
 
-import { getParam, loadHeaderFooter } from "./utils.mjs"; // Import utility functions for URL parameters and loading header/footer
 import ProductData from "./ProductData.mjs"; // Import the ProductData class to fetch product details
 import ProductDetails from "./ProductDetails.mjs"; // Import the ProductDetails class to manage and display product details
+import ReviewData from "./ReviewData.mjs"; // Import the ReviewData class to read and save product reviews
+import { startPage } from "./routes.mjs"; // Import the function that starts the page (or the router in single-page mode)
 
 
 
-loadHeaderFooter(); // Load the header and footer of the page
+const dataSource = new ProductData(); // Create an instance of ProductData to fetch product details
+const reviewData = new ReviewData(); // Create an instance of ReviewData to read and save the reviews
 
 
 
-const productId = getParam("product"); // Get the product id from the URL
+export function mount(params) {
+/* Function to mount the product details page
+=====================================
+Description:
+This function creates an instance of ProductDetails for the product of the page and renders it.
+Parameters:
+    - params: The parameters of the page. product is the product ID (from ?product= or the /product/:id route).
+Returns:
+    - None
+USED IN: startPage in routes.mjs and the router.
+==================================== */
 
-const dataSource = new ProductData(); // Create an instance of ProductData to fetch product details
+  const product = new ProductDetails(params.product, dataSource, reviewData); // Create an instance of ProductDetails with the product ID and the data sources
+  product.init(); // Initialize the product details page
+}
 
-const product = new ProductDetails(productId, dataSource); // Create an instance of ProductDetails with the productId and dataSource
 
-product.init(); // Initialize the product details page
 
+startPage(mount); // Start the page
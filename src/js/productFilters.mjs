@@ -0,0 +1,179 @@
+/*
+=========================================
+Sorting and filtering functions for product lists
+These functions read the sort and filter choices from URL query parameters, write them back, and apply them to a list of products.
+Keeping the choices in the URL (next to ?category=) makes filtered views shareable and keeps them after a reload.
+Supported query parameters:
+  - sort: "name-asc", "name-desc", "brand-asc", "brand-desc", "price-asc", "price-desc" or "rating-desc"
+  - brand: brand name (e.g. "Marmot")
+  - color: color name (e.g. "Moss Green")
+  - minPrice, maxPrice: price range of the sale price
+  - sale: "1" to only show products on sale (see isOnSale in pricing.mjs)
+=========================================
+*/
+
+
+
+import { getSalePrice, isOnSale } from "./pricing.mjs"; // Import the pricing functions so prices are read the same way everywhere
+
+
+
+export const sortOptions = {
+// The sort choices, by query parameter value
+// =============================
+// Each option has a label for the sort menu and a compare function for Array.prototype.sort.
+// Sorting by rating uses the Rating added to the products by withRatings (see reviews.mjs); products without reviews come last.
+// The API can send a product without a Brand or a NameWithoutBrand, which is sorted as an empty name instead of breaking the list.
+// USED IN: sortProducts function and ProductList class to fill the sort menu.
+// =============================
+  "name-asc": { label: "Name (A-Z)", compare: (a, b) => (a.NameWithoutBrand || "").localeCompare(b.NameWithoutBrand || "") },
+  "name-desc": { label: "Name (Z-A)", compare: (a, b) => (b.NameWithoutBrand || "").localeCompare(a.NameWithoutBrand || "") },
+  "brand-asc": { label: "Brand (A-Z)", compare: (a, b) => (a.Brand?.Name || "").localeCompare(b.Brand?.Name || "") },
+  "brand-desc": { label: "Brand (Z-A)", compare: (a, b) => (b.Brand?.Name || "").localeCompare(a.Brand?.Name || "") },
+  "price-asc": { label: "Price (low to high)", compare: (a, b) => getSalePrice(a) - getSalePrice(b) },
+  "price-desc": { label: "Price (high to low)", compare: (a, b) => getSalePrice(b) - getSalePrice(a) },
+  "rating-desc": { label: "Rating (high to low)", compare: (a, b) => (b.Rating?.average || 0) - (a.Rating?.average || 0) || (b.Rating?.count || 0) - (a.Rating?.count || 0) }, // More reviews first for the same rating
+};
+
+
+
+function toNumber(value) {
+// Convert a query parameter to a number, or null when it is missing or not a number
+// USED IN: readFilters function for the price range.
+  if (value === null || value === "") {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+
+
+export function readFilters(params) {
+/*=============================
+Description:
+Read the sort and filter choices from URL query parameters.
+Unknown sort values are ignored so an old or mistyped link still shows the products.
+Parameters:
+  - params: A URLSearchParams object (e.g. new URLSearchParams(window.location.search)).
+Returns:
+  - An object { sort, brand, color, minPrice, maxPrice, onSale } with null (or false) for choices that are not set.
+USED IN: ProductList class when the page loads.
+=============================*/
+
+  const sort = params.get("sort"); // The sort choice
+  return {
+    sort: sortOptions[sort] ? sort : null, // Only keep known sort values
+    brand: params.get("brand") || null, // The brand filter
+    color: params.get("color") || null, // The color filter
+    minPrice: toNumber(params.get("minPrice")), // The lowest price
+    maxPrice: toNumber(params.get("maxPrice")), // The highest price
+    onSale: params.get("sale") === "1", // Only products on sale
+  };
+}
+
+
+
+export function writeFilters(params, filters) {
+/*=============================
+Description:
+Write the sort and filter choices into URL query parameters.
+Choices that are not set are removed, and every other parameter (like category) is kept.
+Parameters:
+  - params: A URLSearchParams object to update.
+  - filters: An object like the one returned by readFilters.
+Returns:
+  - The same URLSearchParams object.
+USED IN: ProductList class when the user changes a choice.
+=============================*/
+
+  const values = {
+    sort: filters.sort,
+    brand: filters.brand,
+    color: filters.color,
+    minPrice: filters.minPrice,
+    maxPrice: filters.maxPrice,
+    sale: filters.onSale ? "1" : null,
+  };
+  Object.entries(values).forEach(([key, value]) => { // For each choice...
+    if (value === null || value === undefined || value === "") { // Remove choices that are not set
+      params.delete(key);
+    } else { // Set the others
+      params.set(key, String(value));
+    }
+  });
+  return params;
+}
+
+
+
+export function filterProducts(list, filters) {
+/*=============================
+Description:
+Return the products that match every filter choice.
+Parameters:
+  - list: An array of product objects.
+  - filters: An object like the one returned by readFilters.
+Returns:
+  - A new array with the matching products. The original array is not changed.
+USED IN: ProductList class to render the filtered list.
+=============================*/
+
+  return list.filter((product) => {
+    if (filters.brand && product.Brand?.Name !== filters.brand) { // Wrong brand
+      return false;
+    }
+    if (filters.color && !(product.Colors || []).some((color) => color.ColorName === filters.color)) { // Not available in the color
+      return false;
+    }
+    if (filters.minPrice !== null && getSalePrice(product) < filters.minPrice) { // Cheaper than the lowest price
+      return false;
+    }
+    if (filters.maxPrice !== null && getSalePrice(product) > filters.maxPrice) { // More expensive than the highest price
+      return false;
+    }
+    if (filters.onSale && !isOnSale(product)) { // Not on sale
+      return false;
+    }
+    return true; // Matches every filter
+  });
+}
+
+
+
+export function sortProducts(list, sort) {
+/*=============================
+Description:
+Return the products sorted by a sort choice. Without a sort choice the original order (the server's order) is kept.
+Parameters:
+  - list: An array of product objects.
+  - sort: A key of sortOptions, or null.
+Returns:
+  - A new sorted array. The original array is not changed.
+USED IN: ProductList class to render the sorted list.
+=============================*/
+
+  const option = sortOptions[sort]; // The sort option, if any
+  return option ? [...list].sort(option.compare) : [...list]; // Copy the list before sorting so the original order is kept
+}
+
+
+
+export function getFilterChoices(list) {
+/*=============================
+Description:
+Collect the brands and colors available in a list of products, to fill the filter menus.
+Parameters:
+  - list: An array of product objects.
+Returns:
+  - An object { brands, colors } with sorted arrays of unique names.
+USED IN: ProductList class to fill the brand and color menus.
+=============================*/
+
+  const brands = new Set(list.map((product) => product.Brand?.Name).filter(Boolean)); // Unique brand names
+  const colors = new Set(list.flatMap((product) => (product.Colors || []).map((color) => color.ColorName)).filter(Boolean)); // Unique color names
+  return {
+    brands: [...brands].sort((a, b) => a.localeCompare(b)),
+    colors: [...colors].sort((a, b) => a.localeCompare(b)),
+  };
+}
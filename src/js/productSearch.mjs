@@ -0,0 +1,121 @@
+/*
+=========================================
+Product search functions
+These functions match products against the words of a search query and highlight the matched words in text.
+A product matches when every word of the query appears in its name, brand or description.
+Matches in the name count more than matches in the brand, and those count more than matches in the description,
+so the best matches are listed first.
+=========================================
+*/
+
+
+
+import { html } from "./utils.mjs"; // Import the html template tag, which escapes the text around the highlights
+
+
+
+const fieldWeights = {
+// How much a match in each field counts when ordering the results
+// USED IN: searchProducts function.
+  name: 3,
+  brand: 2,
+  description: 1,
+};
+
+
+
+export function getSearchTerms(query) {
+/*=============================
+Description:
+Split a search query into lower case words, dropping empty words and duplicates.
+Parameters:
+  - query: The text typed by the user.
+Returns:
+  - An array of words, e.g. "Marmot  tent" -> ["marmot", "tent"].
+USED IN: searchProducts and highlightTerms functions, search.js.
+=============================*/
+
+  const words = String(query || "").toLowerCase().split(/\s+/).filter(Boolean); // Split on spaces and drop empty words
+  return [...new Set(words)]; // Remove duplicates
+}
+
+
+
+function stripHtml(markup) {
+// Remove HTML tags from a description so only its text is searched
+// USED IN: searchProducts function.
+  return String(markup || "").replace(/<[^>]*>/g, " ").replace(/&#39;/g, "'").replace(/&amp;/g, "&");
+}
+
+
+
+export function searchProducts(list, query, limit = Infinity) {
+/*=============================
+Description:
+Return the products that contain every word of the query in their name, brand or description, best matches first.
+Products that appear in more than one category are only returned once.
+Parameters:
+  - list: An array of product objects.
+  - query: The text typed by the user.
+  - limit: Optional. The maximum number of products to return (default no limit).
+Returns:
+  - A new array of matching products. An empty query matches nothing.
+USED IN: searchProducts method of ProductData class.
+=============================*/
+
+  const terms = getSearchTerms(query); // Words to look for
+  if (terms.length === 0) { // Nothing to search for
+    return [];
+  }
+  const seen = new Set(); // IDs already checked, to skip duplicates
+  const results = []; // Matching products with their score
+  list.forEach((product) => { // For each product...
+    if (seen.has(product.Id)) { // Skip a product that was already checked
+      return;
+    }
+    seen.add(product.Id);
+    const fields = {
+      name: (product.NameWithoutBrand || product.Name || "").toLowerCase(),
+      brand: (product.Brand?.Name || "").toLowerCase(),
+      description: stripHtml(product.DescriptionHtmlSimple).toLowerCase(),
+    };
+    let score = 0; // How well the product matches
+    const matchesEveryTerm = terms.every((term) => { // Every word must be found in at least one field
+      const matched = Object.keys(fields).filter((field) => fields[field].includes(term)); // Fields that contain the word
+      score += matched.reduce((total, field) => total + fieldWeights[field], 0); // Add the weight of each matching field
+      return matched.length > 0;
+    });
+    if (matchesEveryTerm) { // Keep the product if every word matched
+      results.push({ product, score });
+    }
+  });
+  return results
+    .sort((a, b) => b.score - a.score) // Best matches first. sort is stable, so equal scores keep the category order
+    .slice(0, limit) // Keep at most limit products
+    .map((result) => result.product); // Return the products only
+}
+
+
+
+export function highlightTerms(text, terms) {
+/*=============================
+Description:
+Wrap every occurrence of the search words of a text in <mark> elements. The text itself is escaped.
+Parameters:
+  - text: The text to highlight (e.g. a product name).
+  - terms: An array of lower case words from getSearchTerms.
+Returns:
+  - An html template (see html in utils.mjs), safe to put into another template.
+USED IN: search.js and HeaderSearch.mjs to highlight matches in results and suggestions.
+=============================*/
+
+  const source = String(text ?? ""); // The text as a string
+  if (!terms || terms.length === 0) { // Nothing to highlight
+    return html`${source}`;
+  }
+  const pattern = new RegExp(`(${terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})`, "gi"); // One pattern that finds any word, with special characters escaped
+  const parts = source
+    .split(pattern) // Odd indexes are the matches, even indexes the text between them
+    .map((part, index) => (index % 2 === 1 ? html`<mark>${part}</mark>` : part));
+  return html`${parts}`;
+}
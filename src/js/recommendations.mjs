@@ -0,0 +1,99 @@
+/*
+=========================================
+Product recommendation functions
+These functions keep the history of products the user viewed and pick related products for the product detail page.
+  - The history is a list of product IDs in local storage under "so-recently-viewed", most recent first.
+    It keeps at most MAX_RECENTLY_VIEWED IDs, so it never grows without limit.
+  - Related products come from the same category as the product. Products of the same brand and in the same price band
+    (within PRICE_BAND of the product's sale price) come first, then the others by how close their price is.
+=========================================
+*/
+
+
+
+import { getLocalStorage, setLocalStorage } from "./utils.mjs"; // Import the local storage helpers
+import { getSalePrice } from "./pricing.mjs"; // Import the pricing function so prices are compared the same way everywhere
+
+
+
+const RECENTLY_VIEWED_KEY = "so-recently-viewed"; // Local storage key of the history
+const MAX_RECENTLY_VIEWED = 12; // Number of product IDs kept in the history
+const PRICE_BAND = 0.3; // Products within 30% of the price are in the same price band
+
+
+
+export function getRecentlyViewed() {
+/*=============================
+Description:
+Return the IDs of the products the user viewed, most recent first.
+Returns:
+  - An array of product IDs (empty when nothing was viewed or the stored value cannot be read).
+USED IN: recordViewedProduct function and ProductDetails class for the "Recently viewed" strip.
+=============================*/
+
+  const history = getLocalStorage(RECENTLY_VIEWED_KEY); // The stored history
+  return Array.isArray(history) ? history.filter((id) => typeof id === "string" && id) : []; // Ignore anything that is not an ID
+}
+
+
+
+export function recordViewedProduct(id) {
+/*=============================
+Description:
+Add a product to the top of the history. A product viewed again moves to the top instead of being listed twice,
+and the oldest products are dropped once the history holds MAX_RECENTLY_VIEWED IDs.
+Parameters:
+  - id: The ID of the viewed product.
+Returns:
+  - The updated array of product IDs.
+USED IN: ProductDetails class after a product is shown.
+=============================*/
+
+  const history = [id, ...getRecentlyViewed().filter((viewedId) => viewedId !== id)].slice(0, MAX_RECENTLY_VIEWED); // Most recent first, without duplicates
+  setLocalStorage(RECENTLY_VIEWED_KEY, history);
+  return history;
+}
+
+
+
+function isInPriceBand(price, candidatePrice) {
+// Check whether a price is within PRICE_BAND of another price
+// USED IN: getRelatedProducts function.
+  return price > 0 && Math.abs(candidatePrice - price) <= price * PRICE_BAND;
+}
+
+
+
+export function getRelatedProducts(product, candidates, limit = 4) {
+/*=============================
+Description:
+Pick the products to recommend next to a product, from a list of candidates (usually the products of its category).
+Candidates of another category and the product itself are skipped. The others are ranked by:
+  1. Same brand and same price band.
+  2. Same brand.
+  3. Same price band.
+  4. Everything else.
+Within each group, the closest price comes first.
+Parameters:
+  - product: The product being viewed.
+  - candidates: An array of product objects.
+  - limit: Optional. The maximum number of products to return (default 4).
+Returns:
+  - A new array of at most limit products. The candidates array is not changed.
+USED IN: ProductDetails class for the "You may also like" strip.
+=============================*/
+
+  const price = getSalePrice(product); // The price the related products are compared to
+  const brand = product.Brand?.Name; // The brand of the product
+  return candidates
+    .filter((candidate) => candidate.Id !== product.Id) // Skip the product itself
+    .filter((candidate) => !product.Category || !candidate.Category || candidate.Category === product.Category) // Same category
+    .map((candidate) => {
+      const candidatePrice = getSalePrice(candidate);
+      const score = (brand && candidate.Brand?.Name === brand ? 2 : 0) + (isInPriceBand(price, candidatePrice) ? 1 : 0); // Brand counts more than price
+      return { candidate, score, distance: Math.abs(candidatePrice - price) };
+    })
+    .sort((a, b) => b.score - a.score || a.distance - b.distance) // Best score first, then closest price
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+}
@@ -0,0 +1,214 @@
+/*
+=========================================
+Product review functions
+These functions check a review before it is saved, summarize the ratings of a product, and render rating stars.
+A review is an object with:
+  - id: Identifies the review.
+  - productId: The ID of the reviewed product.
+  - rating: A whole number of stars from 1 to 5.
+  - title: A short headline.
+  - text: The review itself.
+  - author: The name shown with the review.
+  - date: The day the review was written, as "YYYY-MM-DD".
+The reviews themselves are read and saved by the ReviewData class (see ReviewData.mjs).
+These functions do not read or write any storage, so they can be tested on their own.
+=========================================
+*/
+
+
+
+import { html } from "./utils.mjs"; // Import the html template tag to build the stars
+
+
+
+export const MAX_RATING = 5; // Number of stars of the best rating
+
+export const reviewLimits = {
+// The length limits of the review fields, in characters
+// USED IN: validateReview function and the maxlength attributes of the review form (product_pages/index.html).
+  title: 100,
+  textMin: 10,
+  text: 2000,
+  author: 50,
+};
+
+
+
+export function validateReview(values) {
+/*=============================
+Description:
+Check the fields of a review before it is saved.
+Parameters:
+  - values: An object with rating, title, text and author (e.g. the fields of the review form).
+Returns:
+  - An object with a message for each invalid field, keyed by field name (e.g. { rating: "Please choose a rating." }).
+    It is empty when the review can be saved.
+USED IN: ReviewData class before saving a review, and the ProductReviews class to show the messages in the form.
+=============================*/
+
+  const errors = {}; // Messages of the invalid fields
+  const rating = Number(values.rating);
+  const title = String(values.title || "").trim();
+  const text = String(values.text || "").trim();
+  const author = String(values.author || "").trim();
+  if (!Number.isInteger(rating) || rating < 1 || rating > MAX_RATING) {
+    errors.rating = "Please choose a rating from 1 to 5 stars.";
+  }
+  if (!title) {
+    errors.title = "Please give your review a title.";
+  } else if (title.length > reviewLimits.title) {
+    errors.title = `The title can be at most ${reviewLimits.title} characters.`;
+  }
+  if (text.length < reviewLimits.textMin) {
+    errors.text = `Please write at least ${reviewLimits.textMin} characters about the product.`;
+  } else if (text.length > reviewLimits.text) {
+    errors.text = `The review can be at most ${reviewLimits.text} characters.`;
+  }
+  if (!author) {
+    errors.author = "Please enter the name to show with your review.";
+  } else if (author.length > reviewLimits.author) {
+    errors.author = `The name can be at most ${reviewLimits.author} characters.`;
+  }
+  return errors;
+}
+
+
+
+export function createReview(productId, values, now = new Date()) {
+/*=============================
+Description:
+Build a review object from the fields of the review form. Text is trimmed and the date is the current day.
+The review should be checked with validateReview first.
+Parameters:
+  - productId: The ID of the reviewed product.
+  - values: An object with rating, title, text and author.
+  - now: Optional. The date of the review (default now).
+Returns:
+  - A review object without an id (the store that saves it gives it one).
+USED IN: ReviewData class to save a review.
+=============================*/
+
+  return {
+    productId: String(productId),
+    rating: Number(values.rating),
+    title: String(values.title).trim(),
+    text: String(values.text).trim(),
+    author: String(values.author).trim(),
+    date: now.toISOString().slice(0, 10), // "YYYY-MM-DD"
+  };
+}
+
+
+
+export function sortReviews(reviews) {
+/*=============================
+Description:
+Sort reviews newest first. Reviews of the same day keep their order.
+Parameters:
+  - reviews: An array of reviews.
+Returns:
+  - A new sorted array. The original array is not changed.
+USED IN: ReviewData class when the reviews of a product are read.
+=============================*/
+
+  return [...reviews].sort((a, b) => String(b.date).localeCompare(String(a.date)));
+}
+
+
+
+export function summarizeRatings(reviews) {
+/*=============================
+Description:
+Summarize the ratings of a list of reviews.
+Parameters:
+  - reviews: An array of reviews.
+Returns:
+  - An object with:
+      - average: The average rating rounded to one decimal (0 without reviews).
+      - count: The number of reviews.
+      - distribution: The number of reviews with each rating, e.g. { 5: 3, 4: 1, 3: 0, 2: 0, 1: 1 }.
+USED IN: getRatingsByProduct function and the ProductReviews class for the summary of the product page.
+=============================*/
+
+  const distribution = {}; // Reviews per number of stars
+  for (let stars = MAX_RATING; stars >= 1; stars -= 1) {
+    distribution[stars] = 0;
+  }
+  let total = 0; // Sum of the ratings
+  reviews.forEach((review) => {
+    const rating = Math.round(Number(review.rating));
+    if (distribution[rating] !== undefined) { // Skip ratings out of range
+      distribution[rating] += 1;
+      total += rating;
+    }
+  });
+  const count = Object.values(distribution).reduce((sum, number) => sum + number, 0);
+  return {
+    average: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+    count,
+    distribution,
+  };
+}
+
+
+
+export function getRatingsByProduct(reviews) {
+/*=============================
+Description:
+Summarize the ratings of many products at once, for the product cards.
+Parameters:
+  - reviews: An array of reviews of any products.
+Returns:
+  - An object with { average, count } for each product ID that has reviews, e.g. { "880RR": { average: 4.3, count: 6 } }.
+USED IN: The local review store of ReviewData.mjs.
+=============================*/
+
+  const byProduct = {}; // Reviews grouped by product ID
+  reviews.forEach((review) => {
+    (byProduct[review.productId] ||= []).push(review);
+  });
+  return Object.fromEntries(Object.entries(byProduct).map(([productId, list]) => {
+    const { average, count } = summarizeRatings(list);
+    return [productId, { average, count }];
+  }));
+}
+
+
+
+export function withRatings(products, ratings) {
+/*=============================
+Description:
+Add the rating summary of each product to a copy of it, under Rating, so the card template can show stars and the list can be sorted by rating.
+Products without reviews get a Rating of null. The products themselves are not changed (they may be cached).
+Parameters:
+  - products: An array of product objects.
+  - ratings: An object like the one returned by getRatingsByProduct.
+Returns:
+  - A new array of product copies.
+USED IN: ProductList class and the recommendation strips of ProductDetails.
+=============================*/
+
+  return products.map((product) => ({ ...product, Rating: ratings?.[product.Id] || null }));
+}
+
+
+
+export function starsTemplate(rating, { count = null } = {}) {
+/*=============================
+Description:
+Render a rating as five stars, filled up to the rating (e.g. 4.3 fills four stars and a third of the fifth).
+Screen readers read the rating as text instead of the stars.
+Parameters:
+  - rating: The rating from 0 to 5.
+  - options: Optional. An object with count (the number of reviews, shown after the stars when given).
+Returns:
+  - An html template of the stars.
+USED IN: The product card template (ProductList.mjs) and the ProductReviews class.
+=============================*/
+
+  const percent = Math.round((Math.min(Math.max(Number(rating) || 0, 0), MAX_RATING) / MAX_RATING) * 100); // How much of the stars is filled
+  const label = `Rated ${rating} out of ${MAX_RATING}${count !== null ? `, ${count} ${count === 1 ? "review" : "reviews"}` : ""}`;
+  return html`<span class="stars" role="img" aria-label="${label}">
+    <span class="stars__fill" style="width: ${percent}%"></span>
+  </span>${count !== null && html`<span class="stars__count" aria-hidden="true">(${count})</span>`}`;
+}
@@ -0,0 +1,253 @@
+/*
+=========================================
+Page and route functions
+Every page script (main.js, product-listing.js, product.js, cart.js, checkout.js, search.js, wishlist.js, order.js, orders.js, login.js, account.js, compare.js) exports a mount function
+and starts itself with startPage. How the page is shown depends on the VITE_SPA_MODE environment variable:
+  - Not set (default): each page is its own HTML file. startPage loads the header and footer and mounts the page,
+    with the query parameters of the URL (e.g. ?category=tents) as its parameters.
+  - "true": the site is a single-page app. startPage starts the router (see Router.mjs), which keeps the header and footer
+    mounted and swaps the main content of the pages below when the user follows a link or goes back and forward.
+The routes of the single-page app, and the HTML page each one shows:
+  - /                -> index.html
+  - /category/:name  -> product_listing/index.html?category=:name
+  - /product/:id     -> product_pages/index.html?product=:id
+  - /cart            -> cart/index.html
+  - /checkout        -> checkout/index.html
+  - /search          -> search/index.html (with ?q=)
+  - /wishlist        -> wishlist/index.html
+  - /orders          -> orders/index.html
+  - /order/:id       -> order/index.html?order=:id
+  - /login           -> login/index.html (with ?redirect=)
+  - /account         -> account/index.html
+  - /compare         -> compare/index.html
+Some pages need a signed-in user (requiresLogin in the routes below): the order history and the account page.
+When accounts are turned on (see Auth.mjs), opening one of them while signed out goes to the login page, which comes back to it afterwards,
+and signing out (or the session expiring) while one of them is open goes to the login page too.
+In single-page mode, the old page URLs still work: they are redirected to their route (see toRoute).
+The server must answer every route with index.html (the Vite dev and preview servers already do).
+=========================================
+*/
+
+
+
+import { loadHeaderFooter } from "./utils.mjs"; // Import the utility function that loads the header and footer
+import { setupHeader } from "./header.mjs"; // Import the function that sets up the badges, account menu, search and compare tray of the header
+import { watchImageErrors } from "./images.mjs"; // Import the function that replaces broken product images with a placeholder
+import { accountsEnabled, auth } from "./Auth.mjs"; // Import the shared session to protect the pages that need a signed-in user
+
+
+
+export const spaMode = import.meta.env.VITE_SPA_MODE === "true"; // Whether the site runs as a single-page app
+
+let routerStarted = false; // Set once the router has started, so the pages it imports do not start themselves again
+let router = null; // The router, in single-page mode
+
+
+
+export const routes = [
+// The routes of the single-page app
+// =============================
+// Each route has:
+//   - path: The pattern of the route. ":name" parts are parameters.
+//   - page: The HTML page whose main content the route shows.
+//   - param: Optional. The query parameter of the page that holds the route parameter (e.g. "category" for ?category=tents).
+//   - requiresLogin: Optional. true when the page needs a signed-in user.
+//   - load: A function that imports the page script and returns its mount function.
+// The imports are written out so Vite can bundle each page script.
+// USED IN: matchRoute and toRoute functions, and Router class.
+// =============================
+  { path: "/", page: "/index.html", load: () => import("./main.js") },
+  { path: "/category/:name", page: "/product_listing/index.html", param: "category", load: () => import("./product-listing.js") },
+  { path: "/product/:id", page: "/product_pages/index.html", param: "product", load: () => import("./product.js") },
+  { path: "/cart", page: "/cart/index.html", load: () => import("./cart.js") },
+  { path: "/checkout", page: "/checkout/index.html", load: () => import("./checkout.js") },
+  { path: "/search", page: "/search/index.html", load: () => import("./search.js") },
+  { path: "/wishlist", page: "/wishlist/index.html", load: () => import("./wishlist.js") },
+  { path: "/orders", page: "/orders/index.html", requiresLogin: true, load: () => import("./orders.js") },
+  { path: "/order/:id", page: "/order/index.html", param: "order", load: () => import("./order.js") },
+  { path: "/login", page: "/login/index.html", load: () => import("./login.js") },
+  { path: "/account", page: "/account/index.html", requiresLogin: true, load: () => import("./account.js") },
+  { path: "/compare", page: "/compare/index.html", load: () => import("./compare.js") },
+];
+
+
+
+export function matchRoute(url) {
+/*=============================
+Description:
+Find the route of a URL and the parameters the page needs.
+The route parameter is passed under the name of the query parameter the page used before (e.g. category), next to the other query parameters.
+Parameters:
+  - url: A URL object.
+Returns:
+  - An object { route, params }, or null when no route matches.
+USED IN: Router class to show the page of the current URL.
+=============================*/
+
+  const parts = url.pathname.split("/").filter(Boolean); // e.g. ["category", "tents"]
+  for (const route of routes) { // Compare the URL with each route
+    const routeParts = route.path.split("/").filter(Boolean);
+    if (routeParts.length !== parts.length || !routeParts.every((part, index) => part.startsWith(":") || part === parts[index])) {
+      continue; // Not this route
+    }
+    const params = Object.fromEntries(url.searchParams); // The query parameters, e.g. { sort: "price-asc" }
+    const dynamicIndex = routeParts.findIndex((part) => part.startsWith(":")); // Where the route parameter is, if any
+    if (dynamicIndex >= 0) { // Pass it like the query parameter of the page
+      params[route.param] = decodeURIComponent(parts[dynamicIndex]);
+    }
+    return { route, params };
+  }
+  return null;
+}
+
+
+
+export function toRoute(url) {
+/*=============================
+Description:
+Turn the URL of a page (e.g. /product_pages/index.html?product=880RR) into its route (e.g. /product/880RR).
+The query parameter of the route moves into the path, and every other query parameter (e.g. ?sort=) is kept.
+Parameters:
+  - url: A URL object.
+Returns:
+  - The route as a string with its query and hash, or null when the URL is not a page of the site.
+USED IN: startPage function to redirect old URLs, and Router class for the links of the pages.
+=============================*/
+
+  const pathname = url.pathname.replace(/\/$/, "/index.html"); // A folder means its index.html
+  const route = routes.find((candidate) => candidate.page === pathname); // The route of the page
+  if (!route) { // Not a page of the site (or already a route)
+    return null;
+  }
+  const params = new URLSearchParams(url.search); // Copy the query parameters
+  let path = route.path;
+  if (route.param) { // Move the route parameter from the query into the path
+    const value = params.get(route.param);
+    if (!value) { // e.g. a product page without ?product=: keep the page, which shows its own message
+      return null;
+    }
+    path = path.replace(/:[^/]+/, encodeURIComponent(value));
+    params.delete(route.param);
+  }
+  const query = params.toString(); // The other parameters
+  return `${path}${query ? `?${query}` : ""}${url.hash}`;
+}
+
+
+
+export function findRoute(url) {
+/*=============================
+Description:
+Find the route of a URL, whether it is a route (e.g. /orders) or the URL of a page (e.g. /orders/index.html).
+Parameters:
+  - url: A URL object.
+Returns:
+  - The route object, or null when the URL is not a page of the site.
+USED IN: needsLogin function.
+=============================*/
+
+  const pathname = url.pathname.replace(/\/$/, "/index.html"); // A folder means its index.html
+  return routes.find((route) => route.page === pathname) || matchRoute(url)?.route || null;
+}
+
+
+
+export function needsLogin(url) {
+/*=============================
+Description:
+Check whether a URL shows a page that needs a signed-in user while nobody is signed in.
+Without accounts (no API server) every page is open.
+Parameters:
+  - url: A URL object.
+Returns:
+  - true when the user must sign in first.
+USED IN: startPage function, and the render method of Router class.
+=============================*/
+
+  return accountsEnabled && Boolean(findRoute(url)?.requiresLogin) && !auth.isLoggedIn();
+}
+
+
+
+export function getLoginURL(returnTo) {
+/*=============================
+Description:
+Build the URL of the login page, which opens returnTo once the user has signed in.
+Parameters:
+  - returnTo: Optional. The path of the page to come back to, e.g. "/orders/index.html".
+Returns:
+  - The URL as a string, e.g. "/login/index.html?redirect=%2Forders%2Findex.html".
+USED IN: The route guards (startPage and Router) and the "Sign In" link of the header.
+=============================*/
+
+  return `/login/index.html${returnTo ? `?redirect=${encodeURIComponent(returnTo)}` : ""}`;
+}
+
+
+
+export function navigate(url) {
+/*=============================
+Description:
+Open a URL of the site. In single-page mode the router shows it without reloading the page; otherwise the browser loads it.
+Parameters:
+  - url: A URL string (a page or a route).
+Returns:
+  - None
+USED IN: CheckoutProcess class to open the order confirmation page, and available to other code that opens a page.
+=============================*/
+
+  if (router) {
+    router.navigate(url);
+  } else {
+    window.location.assign(url);
+  }
+}
+
+
+
+export async function startPage(mount) {
+/*=============================
+Description:
+Start the page that was loaded by the browser.
+  - Multi-page mode: load the header and footer and mount the page with the query parameters of the URL.
+  - Single-page mode: redirect an old page URL to its route without reloading, then start the router, which mounts the page of the route.
+In both modes, product images that fail to load are replaced by a placeholder (see watchImageErrors), and a page that needs a
+signed-in user sends a signed-out user to the login page, now or when they sign out later (see needsLogin).
+When the router imports a page script, the script calls startPage again; that call does nothing.
+Parameters:
+  - mount: The mount function of the page script. It receives the parameters of the page and an AbortSignal
+    that is aborted when the router leaves the page, so the page can remove its listeners.
+Returns:
+  - None
+USED IN: Every page script.
+=============================*/
+
+  if (routerStarted) { // The router imported this page script and mounts it itself
+    return;
+  }
+  const current = () => `${window.location.pathname}${window.location.search}${window.location.hash}`; // The page to come back to after signing in
+  if (!spaMode && needsLogin(new URL(window.location.href))) { // Sign in first, then come back
+    window.location.replace(getLoginURL(current()));
+    return;
+  }
+  auth.subscribe(() => { // Leave a protected page when the user signs out or the session expires
+    if (needsLogin(new URL(window.location.href))) {
+      navigate(getLoginURL(current()));
+    }
+  });
+  watchImageErrors(); // Before the page renders its images
+  if (!spaMode) { // One HTML file per page
+    loadHeaderFooter(setupHeader); // Load the header and footer of the page
+    mount(Object.fromEntries(new URLSearchParams(window.location.search)), new AbortController().signal); // The page is never left without a reload
+    return;
+  }
+  routerStarted = true;
+  const route = toRoute(new URL(window.location.href)); // The route of an old page URL
+  if (route) { // Show the route in the address bar instead
+    window.history.replaceState(null, "", route);
+  }
+  const { default: Router } = await import("./Router.mjs"); // Only the single-page app needs the router
+  loadHeaderFooter(setupHeader); // The header and footer stay mounted from now on
+  router = new Router(document.querySelector("main"));
+  router.start();
+}
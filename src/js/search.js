@@ -0,0 +1,79 @@
+/* This js file handles the search results page.
+It reads the search from the q query parameter, searches every category with ProductData and renders the matches with the same product cards as the product listing page, highlighting the matched words. */
+
+
+
+import ProductData from "./ProductData.mjs"; // Import the ProductData class to search the products
+import { productCardTemplate } from "./ProductList.mjs"; // Import the product card template used by the product listing page
+import { getSearchTerms, highlightTerms } from "./productSearch.mjs"; // Import the search helpers to highlight the matched words
+import { renderListWithTemplate, renderStatusMessage } from "./utils.mjs"; // Import utility functions
+import { startPage } from "./routes.mjs"; // Import the function that starts the page (or the router in single-page mode)
+
+
+
+const dataSource = new ProductData(); // Create an instance of ProductData to search the products
+
+
+
+async function renderResults(query, element) {
+/* Function to search the products and render the results
+=====================================
+Description:
+This function searches every category for the query and renders the matching products as product cards,
+with the matched words of the brand and name highlighted.
+It shows a message instead when there is no query, no match, or the search fails.
+Parameters:
+    - query: The search typed by the user.
+    - element: The list where the results are rendered.
+Returns:
+    - None
+USED IN: mount function when the page loads, and the "Try again" button.
+==================================== */
+
+  const terms = getSearchTerms(query); // Words of the search
+  if (terms.length === 0) { // Nothing was searched
+    renderStatusMessage(element, { title: "Search for products", message: "Type a product name, brand or feature in the search box above." });
+    return;
+  }
+  document.querySelector(".search-title").textContent = ` for "${query}"`; // Show the search in the heading (textContent keeps it as plain text)
+  document.title = `Sleep Outside | Search: ${query}`; // Show the search in the browser tab
+
+  let results; // Matching products
+  try {
+    results = await dataSource.searchProducts(query); // Search every category
+  } catch (err) {
+    renderStatusMessage(element, { title: "Search unavailable", message: "We couldn't search the products right now. Please check your connection and try again.", actionLabel: "Try again", onAction: () => renderResults(query, element) });
+    return;
+  }
+
+  const count = document.querySelector(".search-count"); // Element showing the number of results
+  count.textContent = `${results.length} ${results.length === 1 ? "product" : "products"} found`;
+  if (results.length === 0) { // Nothing matched
+    renderStatusMessage(element, { title: `No products found for "${query}"`, message: "Check the spelling or try fewer or more general words.", linkLabel: "Browse all categories", linkHref: "/index.html" });
+    return;
+  }
+  const highlight = (text) => highlightTerms(text, terms); // Highlight the search words in a piece of text
+  renderListWithTemplate((product) => productCardTemplate(product, { highlight }), element, results, "afterbegin", true); // Render the results with the product card template
+}
+
+
+
+export function mount(params) {
+/* Function to mount the search results page
+=====================================
+Description:
+This function searches the products for the q parameter of the page and renders the results.
+Parameters:
+    - params: The parameters of the page. q is the search (from ?q=).
+Returns:
+    - None
+USED IN: startPage in routes.mjs and the router.
+==================================== */
+
+  const element = document.querySelector(".product-list"); // Get the HTML element where the results will be rendered
+  renderResults((params.q || "").trim(), element); // Search and render the results
+}
+
+
+
+startPage(mount); // Start the page
@@ -25,16 +25,192 @@ export function qs(selector, parent = document) {
 
 
 
+export function escapeHtml(value) {
+// escape text so it can be put into HTML
+// =============================
+// This function replaces the characters that have a meaning in HTML (& < > " ') with their entities.
+// Text from the server or from the user should be escaped before it is put into an HTML string, so it is shown as text and cannot add elements or attributes.
+// Takes any value (null and undefined become an empty string).
+// Returns the escaped string.
+// USED IN: html and toHtml functions, which escape every value put into a template.
+// ============================
+
+  const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" }; // Characters to replace and their entities
+  return String(value ?? "").replace(/[&<>"']/g, (char) => entities[char]); // Replace each special character with its entity
+}
+
+
+
+
+class HtmlString {
+// A piece of HTML that is safe to insert into the page
+// =============================
+// Only the functions of this module create HtmlString objects: html (which escapes every value), trustedHtml (which sanitizes)
+// and loadTemplate (the site's own partials). Any other value put into a template is escaped, so it is always shown as text.
+// USED IN: html, trustedHtml, toHtml and loadTemplate functions.
+// ============================
+
+  constructor(value) {
+    this.value = value; // The HTML markup
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+
+
+function toHtml(value) {
+// turn a template value into HTML markup
+// =============================
+// HtmlString objects are kept as they are, arrays are turned into HTML item by item and joined,
+// null, undefined and false become nothing (so `${condition && html`...`}` works), and anything else is escaped.
+// USED IN: html function, and the render functions of this module.
+// ============================
+
+  if (value instanceof HtmlString) { // Already safe HTML
+    return value.value;
+  }
+  if (Array.isArray(value)) { // e.g. a list of cards
+    return value.map(toHtml).join("");
+  }
+  if (value === null || value === undefined || value === false) { // Nothing to show
+    return "";
+  }
+  return escapeHtml(value); // Text: escape it
+}
+
+
+
+export function html(strings, ...values) {
+/*=============================
+Description:
+Tagged template for HTML. Every value put into the template is escaped, unless it is itself the result of html or trustedHtml:
+  html`<h2 class="card__name">${product.Name}</h2>` shows the name as text, even if it contains < or ".
+Arrays of values (e.g. a list of html`...` items) are joined, and null, undefined and false render nothing.
+Values inside attributes must be in quotes (e.g. alt="${name}"), which the escaped quotes cannot close.
+Parameters:
+  - strings, values: Given by JavaScript when html is used as a tag.
+Returns:
+  - An HtmlString, for renderWithTemplate, renderListWithTemplate or another html template.
+USED IN: Every template of the site (product cards, product details, cart and wishlist lines, search suggestions).
+=============================*/
+
+  return new HtmlString(strings.reduce((markup, string, index) => markup + string + (index < values.length ? toHtml(values[index]) : ""), ""));
+}
+
+
+
+const allowedTags = new Set(["P", "BR", "B", "STRONG", "I", "EM", "U", "SMALL", "SUB", "SUP", "SPAN", "UL", "OL", "LI", "H4", "H5", "H6", "A"]); // Elements kept by sanitizeHtml
+const removedTags = new Set(["SCRIPT", "STYLE", "IFRAME", "OBJECT", "EMBED", "TEMPLATE", "SVG", "MATH", "NOSCRIPT", "TEXTAREA", "SELECT"]); // Elements removed with their content
+
+
+
+const allowedProtocols = new Set(["http:", "https:", "mailto:"]); // Link schemes kept by sanitizeHtml
+
+
+
+function isSafeLink(href) {
+// tell whether a link may be kept in sanitized HTML
+// =============================
+// The link is resolved like the browser resolves it, so tabs, newlines and entities inside the scheme (e.g. "java&#9;script:")
+// cannot hide a javascript: link. Relative links resolve to the protocol of the page. A link that cannot be parsed is dropped.
+// USED IN: sanitizeNode function.
+// ============================
+
+  try {
+    return allowedProtocols.has(new URL(href, window.location.href).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+
+
+function sanitizeNode(parent) {
+// remove what is not allowed from the children of an element, recursively
+// =============================
+// Allowed elements lose every attribute except a safe href on links. Other elements are replaced by their content,
+// except the removedTags, which are removed with their content. Comments are removed.
+// USED IN: sanitizeHtml function.
+// ============================
+
+  [...parent.childNodes].forEach((node) => {
+    if (node.nodeType === Node.COMMENT_NODE) { // Comments are not needed
+      node.remove();
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      sanitizeNode(node); // Clean the content first
+      if (removedTags.has(node.tagName.toUpperCase())) { // Dangerous element: remove it with its content
+        node.remove();
+      } else if (!allowedTags.has(node.tagName)) { // Unknown element: keep its content only
+        node.replaceWith(...node.childNodes);
+      } else { // Allowed element: keep only a safe href
+        const href = node.tagName === "A" ? node.getAttribute("href") : null; // The link of a link
+        [...node.attributes].forEach((attribute) => node.removeAttribute(attribute.name));
+        if (href && isSafeLink(href)) { // Web, mail and relative links only (no javascript:)
+          node.setAttribute("href", href);
+          node.setAttribute("rel", "noopener noreferrer");
+        }
+      }
+    }
+  });
+}
+
+
+
+export function sanitizeHtml(markup) {
+/*=============================
+Description:
+Clean HTML that comes from the server with an allowlist: text formatting, lists, short headings and links are kept,
+everything else (scripts, styles, event attributes like onerror, images, forms...) is removed.
+The markup is parsed in a <template> element, so nothing in it runs or loads while it is cleaned.
+Parameters:
+  - markup: An HTML string.
+Returns:
+  - The cleaned HTML string.
+USED IN: trustedHtml function.
+=============================*/
+
+  const template = document.createElement("template"); // Parsed content of a template is inert
+  template.innerHTML = String(markup ?? "");
+  sanitizeNode(template.content);
+  return template.innerHTML;
+}
+
+
+
+export function trustedHtml(markup) {
+/*=============================
+Description:
+Opt in to showing HTML from the server (e.g. DescriptionHtmlSimple) as HTML instead of text.
+The markup is cleaned by sanitizeHtml first, so only the allowed formatting is kept.
+Parameters:
+  - markup: An HTML string.
+Returns:
+  - An HtmlString that html templates and the render functions insert without escaping.
+USED IN: productDetailsTemplate in ProductDetails.mjs and the comparison table of compare.js for the product descriptions.
+=============================*/
+
+  return new HtmlString(sanitizeHtml(markup));
+}
+
+
+
 export function getLocalStorage(key) {
 // retrieve data from localstorage
 // =============================
 // Takes a key as a parameter and retrieves the corresponding value from localStorage.
 // The value is parsed from JSON before being returned.
-// Returns the parsed value, or null if the key does not exist.
-// USED IN: addProductToCart in cart.js to get cart items, normalizeCartItems in cart.js to update cart items after normalization.
+// Returns the parsed value, or null if the key does not exist or its value is not valid JSON, so a corrupt value cannot break the page.
+// USED IN: Modules that keep small values in local storage. The cart has its own recovery in Cart.mjs.
   // ============================
   
-  return JSON.parse(localStorage.getItem(key));
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch (err) {
+    return null; // Treat a corrupt value like a missing one
+  }
 }
 
 
@@ -51,7 +227,7 @@ Parameters:
   - data: The data object to be stored in localStorage.
 Returns:
   - None
-// USED IN: addProductToCart in cart.js to save cart items, normalizeCartItems in cart.js to update cart items after normalization.
+// USED IN: Cart class to save the cart, and other modules that keep small values in local storage.
 =============================*/
   
   localStorage.setItem(key, JSON.stringify(data));
@@ -109,7 +285,7 @@ export function renderListWithTemplate(templateFn, parentElement, list, position
 /*==================================
 Description: Renders a list of items using a provided template function
 Parameters:
-- templateFn: A function that takes an item and returns an HTML string.
+- templateFn: A function that takes an item and returns an html template (see html). Plain strings are escaped and shown as text.
 - parentElement: The DOM element where the list will be rendered.
 - list: An array of items to render.
 - position: Optional. Specifies where to insert the HTML (default is "afterbegin" which means the beginning of the parent element).
@@ -117,52 +293,23 @@ Parameters:
 Returns/Purpose: 
 - void
 - Inserts the generated HTML into the parent element at the specified position.
-USED IN: renderList method of ProductList class to render the product list.
+USED IN: renderList method of ProductList class to render the product list, and main.js to render the category grid of the home page.
 ==================================*/
 
-  const htmlStrings = list.map(templateFn); // Generate HTML strings for each item in the list using the provided template function
+  const items = list.map(templateFn); // Generate the HTML of each item in the list using the provided template function
   if (clear) { // If the clear flag is true, clear the parent element's content before rendering
     parentElement.innerHTML = "";
   }
-  parentElement.insertAdjacentHTML(position, htmlStrings.join("")); // Insert the generated HTML into the parent element at the specified position
+  parentElement.insertAdjacentHTML(position, toHtml(items)); // Insert the generated HTML into the parent element at the specified position
 };
 
 
 
-export function countCartItems() {
-// Update the cart item count badge in the header
-// =============================
-// This function calculates the total quantity of items in the cart and updates the cart count badge in the header accordingly.
-// It retrieves the cart items from local storage, sums their quantities, and updates the DOM elements that display the cart count.
-// If there are no items in the cart, it hides the cart count badge.
-// USED IN: loadHeaderFooter in utils.mjs to update the cart item count badge, renderCartContents in cart.js to refresh the cart item count after changes.
-  // ============================
-  
-  const cartCountBadge = document.querySelector(".cart-count-badge"); // Select the cart count badge element from the DOM
-  const cartCount = document.querySelector(".cart-count"); // Select the cart count element from the DOM
-  const cartItems = getLocalStorage("so-cart") || []; // Retrieve the cart items from local storage, or initialize an empty array if none exist
-  if (!cartCountBadge || !cartCount) { // If either the cart count badge or cart count element is not found, exit the function
-    return; // Exit the function early if elements are not found
-  }
-  const totalQty = cartItems.reduce( // Calculate the total quantity of items in the cart
-    (total, item) => total + (Number(item.Quantity) || 1), // Sum the quantities of each item, defaulting to 1 if Quantity is not defined
-    0, // Initial value for the total quantity
-  );
-  if (totalQty === 0) { // If the total quantity is zero, hide the cart count badge
-    cartCountBadge.classList.add("hide");
-  } else { // If there are items in the cart, update the cart count and show the badge
-    cartCount.textContent = totalQty;
-    cartCountBadge.classList.remove("hide");
-  }
-}
-
-
-
 export function renderWithTemplate(template, parentElement, data, callback) {
 /*==================================
-Description: Renders HTML content using a template string and inserts it into a parent element
+Description: Renders HTML content using a template and inserts it into a parent element
 Parameters:
-- template: A string containing HTML markup.
+- template: An html template (see html), or a partial loaded by loadTemplate. Plain strings are escaped and shown as text.
 - parentElement: The DOM element where the HTML will be inserted.
 - data: An optional data object to be passed to the callback function.
 - callback: An optional function to be executed after rendering.
@@ -170,10 +317,10 @@ Returns/Purpose:
 - void
 - Replaces the content of the parent element with the generated HTML.
 - Executes the callback function with the provided data, if specified.
-// USED IN: loadHeaderFooter in utils.mjs to render the header and footer templates into the main document.
+// USED IN: loadHeaderFooter in utils.mjs to render the header and footer templates into the main document, and the pages that render a list at once (cart, wishlist, product details, search suggestions).
 ==================================*/
   
-  parentElement.innerHTML = template; // Set the innerHTML of the parent element to the provided template string
+  parentElement.innerHTML = toHtml(template); // Set the innerHTML of the parent element to the HTML of the template
   if (callback) { // If a callback function is provided, execute it with the data object
     callback(data);
   }
@@ -181,36 +328,84 @@ Returns/Purpose:
 
 
 
+export function renderStatusMessage(parentElement, { title, message = "", actionLabel, onAction, linkLabel, linkHref }) {
+/*==================================
+Description: Renders a status message (error, empty or not found state) into a parent element
+Parameters:
+- parentElement: The DOM element where the message will be rendered. Its content is replaced.
+- options: An object with:
+    - title: The heading of the message (e.g. "Product not found").
+    - message: Optional. A sentence explaining what happened or what to do.
+    - actionLabel, onAction: Optional. The text of a button and the function it calls (e.g. "Try again").
+    - linkLabel, linkHref: Optional. The text and URL of a link (e.g. back to the home page).
+Returns/Purpose:
+- The element of the message, so the caller can remove it later.
+- The text is set with textContent, so messages that come from the server cannot inject HTML.
+- Inside a list (ul/ol) the message is a list item so the HTML stays valid.
+USED IN: ProductList and ProductDetails classes to show "category unavailable", "product not found" and "try again" states.
+==================================*/
+
+  const wrapper = document.createElement(/^(UL|OL)$/.test(parentElement.tagName) ? "li" : "div"); // A list item inside lists, a div elsewhere
+  wrapper.className = "status-message"; // Class used for styling
+  wrapper.setAttribute("role", "alert"); // Announce the message to screen reader users
+  const heading = document.createElement("h3"); // The title of the message
+  heading.textContent = title;
+  wrapper.appendChild(heading);
+  if (message) { // The explanation, if any
+    const text = document.createElement("p");
+    text.textContent = message;
+    wrapper.appendChild(text);
+  }
+  if (actionLabel && onAction) { // The button, if any
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = actionLabel;
+    button.addEventListener("click", onAction);
+    wrapper.appendChild(button);
+  }
+  if (linkLabel && linkHref) { // The link, if any
+    const link = document.createElement("a");
+    link.href = linkHref;
+    link.textContent = linkLabel;
+    wrapper.appendChild(link);
+  }
+  parentElement.innerHTML = ""; // Remove whatever was there before
+  parentElement.appendChild(wrapper); // Show the message
+  return wrapper; // Return the message element
+}
+
+
+
 async function loadTemplate(url) {
   /* 
   Description: Loads an HTML template from a specified URL
   Parameters:
     - url: A string representing the URL of the HTML template to be loaded.
   Returns/Purpose:
-    - A promise that resolves to the loaded HTML template as a string.
-    - Fetches the HTML content from the specified URL and returns it as a string for further processing or rendering.
+    - A promise that resolves to the loaded HTML template as an HtmlString.
+    - Fetches the HTML content from the specified URL. The partials are files of the site, not data, so they are not escaped or sanitized.
   USED IN: loadHeaderFooter in utils.mjs to fetch header and footer templates.
   ============================= */
 
   const result = await fetch(url); // Fetch the HTML template from the specified URL
   const template = await result.text(); // Read the response as text to get the HTML content
-  return template; // Return the loaded HTML template as a string
+  return new HtmlString(template); // Return the loaded HTML template, ready for renderWithTemplate
 }
 
 
 
-export async function loadHeaderFooter() {
+export async function loadHeaderFooter(callback) {
   /* 
   =============================
   Description: Loads and renders header and footer templates into the main document
   Parameters:
-    - None
+    - callback: Optional. A function called with the header and footer elements once they are rendered,
+      to set up what the header shows (see setupHeader in header.mjs).
   Returns/Purpose:
     - void
     - Fetches the header and footer HTML templates from specified URLs.
     - Renders the fetched templates into the designated header and footer elements in the main document.
-    - Updates the cart item count badge in the header to reflect the current state of the cart.
-  USED IN: Function is actually called outside of functions in product.js, checkout.js, main.js, product-listing.js and cart.js to load the header and footer on those pages.
+  USED IN: startPage in routes.mjs, once per page load (in single-page mode the header and footer then stay mounted).
   ============================= */
 
   const headerTemplate = await loadTemplate(new URL("../public/partials/header.html", import.meta.url)); // Load the header template from the specified URL
@@ -220,5 +415,7 @@ export async function loadHeaderFooter() {
 
   renderWithTemplate(headerTemplate, headerElement,); // Render the header template into the header element
   renderWithTemplate(footerTemplate, footerElement,); // Render the footer template into the footer element
-  countCartItems(); // Update the cart item count badge in the header
+  if (callback) { // Set up the header, now that it is on the page
+    callback(headerElement, footerElement);
+  }
 }
\ No newline at end of file
@@ -0,0 +1,98 @@
+/*
+=========================================
+Product variant functions
+A product can come in several colors (Colors) and sizes (SizesAvailable). These functions describe the choices a product offers
+and identify the variant a cart line holds, so two colors or sizes of the same product are kept as separate cart lines.
+SizesAvailable maps a kind of size to its choices, e.g. { "SIZE": ["M", "L"] } or { "LENGTH": ["REG"], "ZIPPER": ["R"] }.
+A cart line stores the chosen variant in two properties added by ProductDetails:
+  - SelectedColor: The chosen color object from Colors (ColorCode, ColorName and its images).
+  - SelectedSize: An object with one chosen value per kind of size, e.g. { "SIZE": "M" }. Empty when the product has no sizes.
+=========================================
+*/
+
+
+
+const sizeLabels = {
+// Display names of the kinds of size found in the product data
+// Kinds that are not listed are shown with their first letter in upper case (e.g. "WIDTH" -> "Width").
+// USED IN: getSizeLabel function.
+  SIZE: "Size",
+  LENGTH: "Length",
+  ZIPPER: "Zipper",
+  HAND: "Hand",
+};
+
+
+
+export function getSizeLabel(kind) {
+/*=============================
+Description:
+Return the display name of a kind of size.
+Parameters:
+  - kind: A key of SizesAvailable, e.g. "ZIPPER".
+Returns:
+  - The display name, e.g. "Zipper".
+USED IN: describeVariant function and the size choices of ProductDetails.
+=============================*/
+
+  return sizeLabels[kind] || kind.charAt(0).toUpperCase() + kind.slice(1).toLowerCase();
+}
+
+
+
+export function getSizeOptions(product) {
+/*=============================
+Description:
+List the kinds of size a product offers, skipping kinds without any choice.
+Parameters:
+  - product: A product object.
+Returns:
+  - An array of { kind, label, values }, e.g. [{ kind: "SIZE", label: "Size", values: ["M", "L"] }].
+USED IN: ProductDetails class to render the size choices, and getComparisonRows in CompareList.mjs.
+=============================*/
+
+  return Object.entries(product.SizesAvailable || {})
+    .filter(([, values]) => Array.isArray(values) && values.length > 0) // Only kinds with at least one choice
+    .map(([kind, values]) => ({ kind, label: getSizeLabel(kind), values }));
+}
+
+
+
+export function getCartItemKey(item) {
+/*=============================
+Description:
+Build the key that identifies a cart line: the product ID, the chosen color and the chosen size.
+Lines added before colors and sizes were chosen have neither, so their key is based on the ID only.
+Parameters:
+  - item: A cart item.
+Returns:
+  - A string such as "541HM|02|" or "223RN|01|SIZE=M".
+USED IN: ProductDetails, cart.js and coupons.mjs to find and combine cart lines.
+=============================*/
+
+  const color = item.SelectedColor?.ColorCode || item.SelectedColor?.ColorName || ""; // The chosen color
+  const size = Object.keys(item.SelectedSize || {})
+    .sort() // Same order whatever the order the sizes were chosen in
+    .map((kind) => `${kind}=${item.SelectedSize[kind]}`)
+    .join(";");
+  return `${item.Id}|${color}|${size}`;
+}
+
+
+
+export function describeVariant(item) {
+/*=============================
+Description:
+Describe the chosen color and size of a cart line for display.
+Lines without a chosen color show the first color of the product, like the cart did before colors could be chosen.
+Parameters:
+  - item: A cart item.
+Returns:
+  - A string such as "Moss Green, Size M" (empty when there is nothing to show).
+USED IN: The cart template and the alerts of the cart page.
+=============================*/
+
+  const color = item.SelectedColor?.ColorName || item.Colors?.[0]?.ColorName; // The chosen color, or the default one
+  const sizes = Object.entries(item.SelectedSize || {}).map(([kind, value]) => `${getSizeLabel(kind)} ${value}`); // e.g. "Size M"
+  return [color, ...sizes].filter(Boolean).join(", ");
+}
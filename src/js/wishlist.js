@@ -0,0 +1,118 @@
+/* This js file handles the wishlist page.
+It lists the products saved in the wishlist (see the saved lines in Cart.mjs) with buttons to move each one to the cart or remove it.
+The page renders again every time the cart or the wishlist changes, including changes made in another tab. */
+
+
+
+import { cart } from "./Cart.mjs"; // Import the shared cart, which also stores the wishlist
+import { formatCurrency, getSalePrice } from "./pricing.mjs"; // Import the pricing functions to show the prices
+import { describeVariant, getCartItemKey } from "./variants.mjs"; // Import the variant functions to identify and describe saved lines
+import { html, renderStatusMessage, renderWithTemplate } from "./utils.mjs"; // Import utility functions
+import { CART_IMAGE_SIZES, responsiveImage } from "./images.mjs"; // Import the product image function (srcset, lazy loading and placeholder)
+import { startPage } from "./routes.mjs"; // Import the function that starts the page (or the router in single-page mode)
+
+
+
+function wishlistItemTemplate(item) {
+/* Wishlist Item Template function
+=====================================
+Description:
+This function generates the HTML template for a saved product, with the same layout as the cart lines.
+Parameters:
+    - item: A wishlist item (same properties as a cart item).
+Returns:
+    - An html template (see html in utils.mjs) representing the saved product. Every value is escaped.
+USED IN: renderWishlist function.
+====================================*/
+
+  const key = getCartItemKey(item); // Identifies the saved line in the buttons
+  const link = `../product_pages/index.html?product=${encodeURIComponent(item.Id)}`; // The product page, to choose another color or size
+  const quantity = Number(item.Quantity) || 1; // Lines saved from the cart keep their quantity
+  return html`
+  <li class="cart-card divider">
+    <a href="${link}" class="cart-card__image">
+      ${responsiveImage(item.Images, { alt: item.Name, sizes: CART_IMAGE_SIZES })}
+    </a>
+    <a href="${link}">
+      <h2 class="card__name">${item.Name}</h2>
+    </a>
+    <p class="cart-card__color">${describeVariant(item)}</p>
+    <p class="cart-card__quantity">${quantity > 1 && `qty: ${quantity}`}</p>
+    <p class="cart-card__price">${formatCurrency(getSalePrice(item))}</p>
+    <div class="wishlist-card__actions">
+      <button type="button" class="wishlist-card__move" data-key="${key}">Move to Cart</button>
+      <button type="button" class="wishlist-card__remove" data-key="${key}">Remove</button>
+    </div>
+  </li>
+`;
+}
+
+
+
+function renderWishlist(element) {
+/* Function to render the wishlist
+=====================================
+Description:
+This function renders every saved product, or a message with a link to the home page when the wishlist is empty.
+Parameters:
+    - element: The list where the saved products are rendered.
+Returns:
+    - None
+USED IN: mount function, when the page loads and every time the cart or the wishlist changes.
+==================================== */
+
+  const items = cart.getSaved(); // The saved products
+  if (items.length === 0) { // Nothing saved
+    renderStatusMessage(element, { title: "Your wishlist is empty", message: "Use \"Add to Wishlist\" on a product page or \"Save for later\" in your cart to keep products here.", linkLabel: "Browse all categories", linkHref: "/index.html" });
+    return;
+  }
+  renderWithTemplate(html`${items.map(wishlistItemTemplate)}`, element); // Show the saved products
+}
+
+
+
+function handleClick(event) {
+/* Function handling the buttons of the saved products
+=====================================
+Description:
+"Move to Cart" moves the saved line to the cart (adding its quantity to the same variant if it is already there).
+"Remove" removes it from the wishlist. The page renders again through the cart subscription set up in mount.
+Parameters:
+    - event: The click event object.
+Returns:
+    - None
+USED IN: The click listener set up in mount.
+==================================== */
+
+  const itemKey = event.target.dataset.key; // The key of the saved line, set on both buttons
+  if (event.target.classList.contains("wishlist-card__move")) { // Move the line to the cart
+    cart.moveToCart(itemKey);
+  } else if (event.target.classList.contains("wishlist-card__remove")) { // Remove the line from the wishlist
+    cart.removeSaved(itemKey);
+  }
+}
+
+
+
+export function mount(params, signal) {
+/* Function to mount the wishlist page
+=====================================
+Description:
+This function renders the saved products, listens for their buttons and renders them again every time the cart or the wishlist changes.
+Parameters:
+    - params: The parameters of the page (not used).
+    - signal: An AbortSignal aborted when the page is left, to remove the listener and the cart subscription.
+Returns:
+    - None
+USED IN: startPage in routes.mjs and the router.
+==================================== */
+
+  const element = document.querySelector(".product-list"); // Get the HTML element where the saved products will be rendered
+  element.addEventListener("click", handleClick, { signal }); // Handle the buttons of the saved products
+  renderWishlist(element); // Render the saved products when the page loads
+  signal.addEventListener("abort", cart.subscribe(() => renderWishlist(element))); // Render them again every time the cart or the wishlist changes, until the page is left
+}
+
+
+
+startPage(mount); // Start the page
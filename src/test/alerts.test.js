@@ -0,0 +1,66 @@
+/*
+====================================
+Tests of the alerts (alerts.mjs): the live regions screen readers follow, the stack of four alerts at most,
+replacing an alert by its id, and the timer that closes success and info alerts.
+====================================
+*/
+
+
+
+import { dismissAlert, showAlert } from "../js/alerts.mjs";
+
+
+
+function region(name) {
+// The live region of the page with the given politeness, and the messages of its alerts
+  const element = document.querySelector(`.alerts [aria-live="${name}"]`);
+  return { element, messages: Array.from(element.querySelectorAll(".alert__message")).map((message) => message.textContent) };
+}
+
+
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+
+
+describe("showAlert", () => {
+  test("reads errors at once and the other alerts politely, from separate live regions", () => {
+    showAlert("Tent was added to your cart.");
+    showAlert("Please fix the highlighted fields.", { type: "error" });
+    showAlert("Tent was removed from your cart.", { type: "info" });
+    expect(region("polite").element.getAttribute("role")).toBe("status");
+    expect(region("polite").messages).toEqual(["Tent was added to your cart.", "Tent was removed from your cart."]);
+    expect(region("assertive").messages).toEqual(["Please fix the highlighted fields."]);
+    expect(region("assertive").element.closest("[aria-live=polite]")).toBeNull(); // Not inside the polite region
+    expect(document.querySelectorAll("[role=alert]")).toHaveLength(0); // No live region inside another one
+  });
+
+  test("closes the oldest alerts of both regions beyond four", () => {
+    showAlert("First error", { type: "error" });
+    ["One", "Two", "Three"].forEach((message) => showAlert(message));
+    showAlert("Second error", { type: "error" });
+    expect(region("polite").messages).toEqual(["One", "Two", "Three"]);
+    expect(region("assertive").messages).toEqual(["Second error"]);
+  });
+
+  test("replaces the alert with the same id, and closes it with dismissAlert", () => {
+    showAlert("Quantity changed to 2", { id: "quantity" });
+    showAlert("Quantity changed to 3", { id: "quantity" });
+    expect(region("polite").messages).toEqual(["Quantity changed to 3"]);
+    dismissAlert("quantity");
+    expect(region("polite").messages).toEqual([]);
+  });
+
+  test("closes success alerts after a while, but keeps errors until they are closed", () => {
+    jest.useFakeTimers();
+    showAlert("Tent was added to your cart.");
+    showAlert("The server refused the order.", { type: "error" });
+    jest.advanceTimersByTime(60000);
+    expect(region("polite").messages).toEqual([]);
+    expect(region("assertive").messages).toEqual(["The server refused the order."]);
+    document.querySelector(".alert--error .alert__close").click();
+    expect(region("assertive").messages).toEqual([]);
+  });
+});
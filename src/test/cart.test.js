@@ -0,0 +1,167 @@
+/*
+====================================
+Tests of the cart (Cart.mjs): combining duplicate items, adding variants, changing quantities, removing and restoring lines,
+migrating version 1 carts, counting the units for the header badge, and following the changes made in other tabs.
+Each test gets an empty local storage (see setup.js).
+====================================
+*/
+
+
+
+import Cart, { combineDuplicateItems } from "../js/Cart.mjs";
+import { getCartItemKey } from "../js/variants.mjs";
+import { backpack, legacyCart, tent } from "./fixtures/products.js";
+
+
+
+let cart; // A new cart for each test, under its own key
+
+
+
+beforeEach(() => {
+  cart = new Cart("test-cart");
+});
+
+
+
+describe("combineDuplicateItems", () => {
+  test("adds up the quantities of the same product", () => {
+    expect(combineDuplicateItems(legacyCart()).map((item) => [item.Id, item.Quantity])).toEqual([["TST01", 4], ["TST03", 2]]);
+  });
+
+  test("keeps the colors and sizes of the same product on separate lines", () => {
+    const green = { Id: "TST01", SelectedColor: { ColorCode: "01" }, Quantity: 1 };
+    const orange = { Id: "TST01", SelectedColor: { ColorCode: "02" }, Quantity: 1 };
+    const large = { Id: "TST03", SelectedSize: { SIZE: "L/XL" }, Quantity: 2 };
+    expect(combineDuplicateItems([green, orange, large, { ...green }])).toEqual([{ ...green, Quantity: 2 }, orange, large]);
+  });
+
+  test("counts a missing or invalid quantity as 1", () => {
+    expect(combineDuplicateItems([{ Id: "A" }, { Id: "A", Quantity: "two" }, { Id: "B", Quantity: 0 }])).toEqual([
+      { Id: "A", Quantity: 2 },
+      { Id: "B", Quantity: 1 },
+    ]);
+  });
+
+  test("does not change the items it was given", () => {
+    const items = legacyCart();
+    combineDuplicateItems(items);
+    expect(items[0].Quantity).toBe(1);
+  });
+});
+
+
+
+describe("Cart", () => {
+  test("adds the same variant to one line and another color to its own line", () => {
+    const product = tent();
+    cart.add(product, { color: product.Colors[0] });
+    cart.add(product, { color: product.Colors[0], quantity: 2 });
+    cart.add(product, { color: product.Colors[1] });
+    expect(cart.getItems().map((item) => [item.SelectedColor.ColorName, item.Quantity])).toEqual([["Forest Green", 3], ["Sunset Orange", 1]]);
+    expect(cart.getItems()[1].Images.PrimaryMedium).toBe("https://example.com/tst01-orange.jpg"); // The picture of the chosen color
+  });
+
+  test("changes the quantity of a line, never below 1", () => {
+    cart.add(backpack(), { size: { SIZE: "S/M" } });
+    const [item] = cart.getItems();
+    cart.update(getCartItemKey(item), 5);
+    expect(cart.getItems()[0].Quantity).toBe(5);
+    cart.update(getCartItemKey(item), -3);
+    expect(cart.getItems()[0].Quantity).toBe(1);
+    cart.update(getCartItemKey(item), "2.7");
+    expect(cart.getItems()[0].Quantity).toBe(2);
+  });
+
+  test("puts a removed line back at its position", () => {
+    cart.add(tent());
+    cart.add(backpack());
+    const removed = cart.remove(getCartItemKey(cart.getItems()[0]));
+    expect(cart.getItems().map((item) => item.Id)).toEqual(["TST03"]);
+    cart.restore(removed);
+    expect(cart.getItems().map((item) => item.Id)).toEqual(["TST01", "TST03"]);
+  });
+
+  test("counts the units of every line", () => {
+    expect(cart.getCount()).toBe(0);
+    cart.add(tent(), { quantity: 2 });
+    cart.add(backpack(), { quantity: 3 });
+    expect(cart.getCount()).toBe(5);
+  });
+
+  test("tells its subscribers about each change", () => {
+    const listener = jest.fn();
+    const unsubscribe = cart.subscribe(listener);
+    cart.add(tent());
+    unsubscribe();
+    cart.clear();
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0]).toMatchObject({ action: "add", items: [expect.objectContaining({ Id: "TST01" })] });
+  });
+
+  test("migrates a version 1 cart and its promo code", () => {
+    localStorage.setItem("test-cart", JSON.stringify(legacyCart()));
+    localStorage.setItem("so-cart-coupon", JSON.stringify("SAVE10"));
+    expect(cart.getItems().map((item) => [item.Id, item.Quantity])).toEqual([["TST01", 4], ["TST03", 2]]);
+    expect(cart.getCoupon()).toBe("SAVE10");
+    expect(JSON.parse(localStorage.getItem("test-cart")).version).toBe(2);
+    expect(localStorage.getItem("so-cart-coupon")).toBeNull();
+  });
+
+  test("keeps a backup of a cart it cannot read and starts empty", () => {
+    localStorage.setItem("test-cart", "{not json");
+    expect(cart.getItems()).toEqual([]);
+    expect(localStorage.getItem("test-cart-backup")).toBe("{not json");
+  });
+});
+
+
+
+describe("Cart in several tabs", () => {
+  let otherTab; // A second cart on the same key, playing another tab
+
+  function storageEvent(key = "test-cart") {
+    // The storage event the browser sends to the other tabs after a change of local storage
+    return { key, newValue: key === null ? null : localStorage.getItem(key) };
+  }
+
+  beforeEach(() => {
+    otherTab = new Cart("test-cart");
+  });
+
+  test("applies its change again when another tab overwrote it at the same moment", () => {
+    otherTab.read(); // The other tab reads the empty cart...
+    cart.add(tent()); // ...this tab adds a tent (revision 1)...
+    localStorage.setItem("test-cart", JSON.stringify({ version: 2, items: [], coupon: null, saved: [], revision: 1, writer: otherTab.tabId })); // ...and the other tab saves its own revision 1 over it
+    cart.handleStorage(storageEvent());
+    expect(cart.getItems().map((item) => item.Id)).toEqual(["TST01"]);
+  });
+
+  test("follows a later change of another tab without applying its own change again", () => {
+    cart.add(tent());
+    otherTab.add(backpack());
+    cart.handleStorage(storageEvent());
+    otherTab.remove(getCartItemKey(cart.getItems()[0]));
+    cart.handleStorage(storageEvent());
+    expect(cart.getItems().map((item) => item.Id)).toEqual(["TST03"]);
+  });
+
+  test("keeps the cart empty when another tab clears the local storage", () => {
+    const listener = jest.fn();
+    cart.subscribe(listener);
+    cart.add(tent());
+    otherTab.add(backpack());
+    cart.handleStorage(storageEvent());
+    localStorage.clear();
+    cart.handleStorage(storageEvent(null));
+    expect(cart.getItems()).toEqual([]);
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ action: "sync", items: [] }));
+  });
+
+  test("keeps the cart empty when another tab removes it right after a change of this tab", () => {
+    cart.add(tent());
+    localStorage.removeItem("test-cart");
+    cart.handleStorage(storageEvent());
+    expect(cart.getItems()).toEqual([]);
+  });
+});
@@ -0,0 +1,131 @@
+/*
+====================================
+Tests of the promo codes (coupons.mjs): checking a code against the rules and the cart, calculating its discount,
+sharing the discount between the cart lines, and the code saved with the cart.
+The rules are those of public/json/coupons.json, so a change to the codes shows up here.
+====================================
+*/
+
+
+
+import { evaluateCoupon, getAppliedCoupon, getCartDiscount, loadCouponRules, setAppliedCoupon } from "../js/coupons.mjs";
+import { cart } from "../js/Cart.mjs";
+import { getCartItemKey } from "../js/variants.mjs";
+import couponRules from "../public/json/coupons.json";
+import { backpack, discountedTent, tent } from "./fixtures/products.js";
+
+
+
+function line(product, quantity = 1) {
+// A cart item of a product
+  return { ...product, Quantity: quantity };
+}
+
+
+
+const marmotTent = line(tent()); // $150, Marmot, tents
+const northFaceTent = line(discountedTent()); // $200, The North Face, tents
+const ospreyPack = line(backpack()); // $120, Osprey, backpacks
+const inSummer = new Date("2024-08-15T12:00:00");
+
+
+
+describe("evaluateCoupon", () => {
+  test.each([
+    ["a percent code", "SLEEP10", [marmotTent, ospreyPack], 27],
+    ["a code typed in lower case with spaces", " sleep10 ", [marmotTent], 15],
+    ["a fixed code over its minimum order", "SAVE20", [ospreyPack], 20],
+    ["a brand code, on the items of the brand only", "MARMOT15", [marmotTent, ospreyPack], 22.5],
+    ["a category code, on the items of the category only", "TENTS25", [marmotTent, ospreyPack], 25],
+    ["a category code whose minimum is reached by several items", "TENTS25", [line(tent({ FinalPrice: 100 })), line(discountedTent({ FinalPrice: 50 }))], 25],
+  ])("applies %s", (label, code, items, discount) => {
+    const result = evaluateCoupon(code, couponRules, items, inSummer);
+    expect(result).toMatchObject({ valid: true, error: "", discount, freeShipping: false });
+    expect(result.lines).toEqual([{ label: expect.stringContaining(`(${code.trim().toUpperCase()})`), amount: -discount }]);
+  });
+
+  test.each([
+    ["an unknown code", "NOPE", [marmotTent], inSummer, `"NOPE" is not a valid promo code.`],
+    ["a code after its last day", "SUMMER24", [marmotTent], new Date("2024-09-02T00:00:00"), "Promo code SUMMER24 expired on 2024-09-01."],
+    ["a fixed code under its minimum order", "SAVE20", [line(tent({ FinalPrice: 99.99 }))], inSummer, "Spend $100.00 to use promo code SAVE20."],
+    ["a brand code without items of the brand", "MARMOT15", [ospreyPack], inSummer, "Promo code MARMOT15 does not apply to the items in your cart."],
+    ["a category code under its minimum on the category", "TENTS25", [line(tent({ FinalPrice: 100 })), ospreyPack], inSummer, "Spend $150.00 on eligible items to use promo code TENTS25."],
+    ["a free shipping code under its minimum order", "FREESHIP", [line(tent({ FinalPrice: 49.99 }))], inSummer, "Spend $50.00 to use promo code FREESHIP."],
+  ])("refuses %s", (label, code, items, now, error) => {
+    expect(evaluateCoupon(code, couponRules, items, now)).toMatchObject({ valid: false, error, discount: 0, freeShipping: false, lines: [] });
+  });
+
+  test("can be used until the end of its last day", () => {
+    expect(evaluateCoupon("SUMMER24", couponRules, [marmotTent], new Date("2024-09-01T23:00:00"))).toMatchObject({ valid: true, discount: 30 });
+  });
+
+  test("counts the quantity of each line", () => {
+    expect(evaluateCoupon("SLEEP10", couponRules, [line(tent(), 3)]).discount).toBe(45);
+  });
+
+  test("never takes off more than the eligible items cost", () => {
+    const rules = [{ code: "BIG", type: "fixed", value: 500 }];
+    expect(evaluateCoupon("BIG", rules, [ospreyPack]).discount).toBe(120);
+  });
+
+  test("makes shipping free without a discount on the items", () => {
+    expect(evaluateCoupon("FREESHIP", couponRules, [line(tent({ FinalPrice: 50 }))])).toMatchObject({
+      valid: true,
+      discount: 0,
+      freeShipping: true,
+      items: [],
+      lines: [{ label: "Free shipping (FREESHIP)", amount: 0 }],
+    });
+  });
+
+  test("shares the discount between the eligible lines, in proportion to their cost", () => {
+    const result = evaluateCoupon("MARMOT15", couponRules, [line(tent(), 2), ospreyPack, line(tent({ Id: "TST09", FinalPrice: 100 }))]);
+    expect(result.discount).toBe(60); // 15% of 400
+    expect(result.items).toEqual([
+      { key: getCartItemKey(line(tent())), amount: 45 },
+      { key: getCartItemKey(line(tent({ Id: "TST09" }))), amount: 15 },
+    ]);
+  });
+
+  test("gives the cent left by rounding the shares to the last line", () => {
+    const items = [1, 2, 3].map((number) => line(tent({ Id: `TST1${number}`, FinalPrice: 33.33 })));
+    const result = evaluateCoupon("SLEEP10", couponRules, items);
+    expect(result.discount).toBe(10);
+    expect(result.items.map((share) => share.amount)).toEqual([3.33, 3.33, 3.34]);
+  });
+
+  test("does not match the brands and categories of other items", () => {
+    expect(evaluateCoupon("TENTS25", couponRules, [northFaceTent, line(backpack({ FinalPrice: 500 }))]).items).toEqual([
+      { key: getCartItemKey(northFaceTent), amount: 25 },
+    ]);
+  });
+});
+
+
+
+describe("the applied code", () => {
+  test("is saved with the cart in upper case, and removed with an empty code", () => {
+    setAppliedCoupon(" sleep10 ");
+    expect(getAppliedCoupon()).toBe("SLEEP10");
+    expect(cart.getCoupon()).toBe("SLEEP10");
+    setAppliedCoupon("");
+    expect(getAppliedCoupon()).toBeNull();
+  });
+
+  test("is evaluated against the current cart", () => {
+    expect(getCartDiscount([marmotTent], couponRules)).toBeNull();
+    setAppliedCoupon("SAVE20");
+    expect(getCartDiscount([marmotTent], couponRules)).toMatchObject({ valid: true, discount: 20 });
+    expect(getCartDiscount([line(tent({ FinalPrice: 20 }))], couponRules)).toMatchObject({ valid: false });
+  });
+});
+
+
+
+describe("loadCouponRules", () => {
+  test("reads the rules of coupons.json once per page", async () => {
+    await expect(loadCouponRules()).resolves.toEqual(couponRules);
+    await loadCouponRules();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
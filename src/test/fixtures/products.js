@@ -0,0 +1,95 @@
+/*
+====================================
+Products for the tests, in the shape the API server sends them (see the saved responses in public/json).
+They are small and do not change with the catalog, so the tests can check exact names, prices and counts.
+Use the build functions to get a fresh copy, so a test that changes a product does not change it for the others.
+The exported entities from this module are:
+- The tent, backpack and discountedTent functions, which build one product.
+- The apiResponse function, which wraps products like the server does ({ Result: [...] }).
+- The legacyCart function, which builds a version 1 cart (the format saved before Cart.mjs).
+====================================
+*/
+
+
+
+export function tent(overrides = {}) {
+// A tent with two colors and no sizes, sold at its full price
+  return {
+    Id: "TST01",
+    Name: "Marmot Test Tent - 2-Person",
+    NameWithoutBrand: "Test Tent - 2-Person",
+    Category: "tents",
+    Brand: { Id: "1308", Name: "Marmot" },
+    Images: {
+      PrimarySmall: "https://example.com/tst01-small.jpg",
+      PrimaryMedium: "https://example.com/tst01-medium.jpg",
+      PrimaryLarge: "https://example.com/tst01-large.jpg",
+    },
+    Colors: [
+      { ColorCode: "01", ColorName: "Forest Green", ColorPreviewImageSrc: "https://example.com/tst01-green.jpg" },
+      { ColorCode: "02", ColorName: "Sunset Orange", ColorPreviewImageSrc: "https://example.com/tst01-orange.jpg" },
+    ],
+    SizesAvailable: {},
+    DescriptionHtmlSimple: "A light <strong>two-person</strong> tent.",
+    SuggestedRetailPrice: 150,
+    ListPrice: 150,
+    FinalPrice: 150,
+    ...overrides,
+  };
+}
+
+
+
+export function discountedTent(overrides = {}) {
+// A tent sold at 20% off
+  return tent({
+    Id: "TST02",
+    Name: "The North Face Sale Tent - 4-Person",
+    NameWithoutBrand: "Sale Tent - 4-Person",
+    Brand: { Id: "1300", Name: "The North Face" },
+    Colors: [{ ColorCode: "01", ColorName: "Yellow" }],
+    SuggestedRetailPrice: 250,
+    ListPrice: 200,
+    FinalPrice: 200,
+    ...overrides,
+  });
+}
+
+
+
+export function backpack(overrides = {}) {
+// A backpack with sizes
+  return {
+    Id: "TST03",
+    Name: "Osprey Test Pack 38",
+    NameWithoutBrand: "Test Pack 38",
+    Category: "backpacks",
+    Brand: { Id: "2001", Name: "Osprey" },
+    Images: { PrimaryMedium: "https://example.com/tst03-medium.jpg" },
+    Colors: [{ ColorCode: "01", ColorName: "Black" }],
+    SizesAvailable: { SIZE: ["S/M", "L/XL"] },
+    DescriptionHtmlSimple: "A pack for weekend trips.",
+    SuggestedRetailPrice: 120,
+    ListPrice: 120,
+    FinalPrice: 120,
+    ...overrides,
+  };
+}
+
+
+
+export function apiResponse(products) {
+// Wrap products like the API server does
+  return { Result: products };
+}
+
+
+
+export function legacyCart() {
+// A version 1 cart: whole products with a Quantity, where the same product could be added twice
+  return [
+    { ...tent(), Quantity: 1 },
+    { ...backpack(), Quantity: 2 },
+    { ...tent(), Quantity: 3 },
+  ];
+}
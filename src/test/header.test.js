@@ -0,0 +1,70 @@
+/*
+====================================
+Tests of the header (header.mjs): the cart badge, and what setupHeader adds to the header and footer partials
+rendered by loadHeaderFooter (read from public/partials by the fetch stub, see helpers/fetchStub.js).
+====================================
+*/
+
+
+
+import { countCartItems, setupHeader } from "../js/header.mjs";
+import { loadHeaderFooter } from "../js/utils.mjs";
+import { cart } from "../js/Cart.mjs";
+import { tent } from "./fixtures/products.js";
+
+
+
+describe("countCartItems", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `<div class="cart-count-badge hide"><span class="cart-count"></span></div>`;
+  });
+
+  test("keeps the badge hidden when the cart is empty", () => {
+    countCartItems();
+    expect(document.querySelector(".cart-count-badge").classList.contains("hide")).toBe(true);
+  });
+
+  test("shows the number of units in the cart", () => {
+    cart.add(tent(), { quantity: 3 });
+    countCartItems();
+    expect(document.querySelector(".cart-count").textContent).toBe("3");
+    expect(document.querySelector(".cart-count-badge").classList.contains("hide")).toBe(false);
+  });
+
+  test("hides the badge again when the cart is emptied", () => {
+    cart.add(tent());
+    countCartItems();
+    cart.clear();
+    countCartItems();
+    expect(document.querySelector(".cart-count-badge").classList.contains("hide")).toBe(true);
+  });
+
+  test("does nothing on a page without the badge", () => {
+    document.body.innerHTML = "";
+    expect(() => countCartItems()).not.toThrow();
+  });
+});
+
+
+
+describe("setupHeader", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `<header id="main-header"></header><main></main><footer id="main-footer"></footer>`;
+  });
+
+  test("shows the cart count and updates it when the cart changes", async () => {
+    cart.add(tent(), { quantity: 2 });
+    await loadHeaderFooter(setupHeader);
+    expect(document.querySelector("#main-header .cart-count").textContent).toBe("2");
+    cart.add(tent());
+    expect(document.querySelector("#main-header .cart-count").textContent).toBe("3");
+    expect(document.querySelector("#main-header .cart-count-badge").classList.contains("badge--bounce")).toBe(true);
+  });
+
+  test("adds the hidden compare tray", async () => {
+    await loadHeaderFooter(setupHeader);
+    const tray = document.querySelector("aside.compare-tray");
+    expect(tray).not.toBeNull();
+    expect(tray.classList.contains("hide")).toBe(true);
+  });
+});
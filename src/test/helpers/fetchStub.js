@@ -0,0 +1,108 @@
+/*
+====================================
+This module replaces fetch in the tests with a local stub server, so the tests never need the API server or the network.
+The stub answers:
+- the routes given to createFetchStub, by path (e.g. "/products/search/tents"), to play the API server or a failing server;
+- the file: URLs of the partials (see loadHeaderFooter in utils.mjs), from the files on disk;
+- every other path of the site from the public folder, like the Vite dev server does (e.g. /json/tents.json). Like Vite, a path
+  without a file (e.g. /json/hammocks.json, or an API path when no route plays the API server) is answered with index.html
+  and the status 200, not with a 404, so the tests see what the site really gets in development.
+A request to another site rejects with a TypeError, like fetch does when the server cannot be reached.
+The exported entities from this module are:
+- The createResponse function, which builds a fetch response.
+- The createFetchStub function, which builds the stub.
+====================================
+*/
+
+
+
+import { existsSync, readFileSync, statSync } from "fs";
+import { fileURLToPath } from "url";
+import path from "path";
+
+
+
+const publicFolder = path.resolve(__dirname, "../../public"); // The folder Vite serves at the root of the site
+const indexPage = path.resolve(__dirname, "../../index.html"); // The page Vite sends for a path it has no file for
+const contentTypes = { ".json": "application/json", ".html": "text/html" }; // Content-Type of the files the site fetches
+
+
+
+export function createResponse(body, { status = 200, url = "", contentType } = {}) {
+/*=============================
+Description:
+Build the parts of a fetch response the site reads: ok, status, url, headers.get(), text() and json().
+Parameters:
+  - body: The body. Text is sent as is, anything else as JSON (undefined sends an empty body).
+  - options: An object with the status (default 200), the URL of the response and its Content-Type
+    (default "text/plain" for text and "application/json" for anything else).
+Returns:
+  - A response object.
+USED IN: createFetchStub and the tests of convertToJson.
+=============================*/
+
+  const text = body === undefined ? "" : typeof body === "string" ? body : JSON.stringify(body);
+  const headers = { "content-type": contentType || (typeof body === "string" ? "text/plain" : "application/json") };
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    url,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    text: async () => text,
+    json: async () => JSON.parse(text),
+  };
+}
+
+
+
+function readFile(file, url) {
+// Answer with a file from the disk, or a 404 when it does not exist
+// USED IN: createFetchStub.
+  if (!existsSync(file)) {
+    return createResponse("Not Found", { status: 404, url });
+  }
+  return createResponse(readFileSync(file, "utf8"), { url, contentType: contentTypes[path.extname(file)] });
+}
+
+
+
+function readPublicFile(pathname, url) {
+// Answer with a file of the public folder, or with index.html when there is none, like the Vite dev server
+// USED IN: createFetchStub.
+  const file = path.join(publicFolder, decodeURIComponent(pathname));
+  return readFile(existsSync(file) && statSync(file).isFile() ? file : indexPage, url);
+}
+
+
+
+export function createFetchStub(routes = {}) {
+/*=============================
+Description:
+Build a stub of fetch that answers like the site's servers (see the top of this file).
+Parameters:
+  - routes: Optional. An object whose keys are paths of the site and whose values are the answers:
+      - plain data, sent as JSON with the status 200;
+      - a response built with createResponse, to send another status;
+      - a function that receives the URL and the fetch options and returns one of the above, or throws
+        (e.g. throw new TypeError("Failed to fetch") for a server that cannot be reached).
+Returns:
+  - A jest mock function, so the tests can check which requests were made (fetchStub.mock.calls).
+USED IN: setup.js before every test, and the tests that need the API server.
+=============================*/
+
+  return jest.fn(async (input, options = {}) => {
+    const url = new URL(String(input), window.location.href); // Relative URLs are resolved against the page, like in the browser
+    if (url.protocol === "file:") { // The partials, read from the disk
+      return readFile(fileURLToPath(url), url.href);
+    }
+    if (url.origin !== window.location.origin) { // Another site: nothing answers
+      throw new TypeError("Failed to fetch");
+    }
+    if (Object.hasOwn(routes, url.pathname)) { // A route of the test
+      const route = routes[url.pathname];
+      const answer = typeof route === "function" ? await route(url.href, options) : route;
+      return answer && typeof answer.text === "function" ? answer : createResponse(answer, { url: url.href });
+    }
+    return readPublicFile(url.pathname, url.href); // A file of the public folder
+  });
+}
@@ -0,0 +1,57 @@
+/*
+====================================
+This module loads the markup of a page of the site into the test document, without running its scripts,
+so the page classes can be tested against the elements they really find on the page.
+The exported entities from this module are:
+- The loadPage function, which loads the markup of a page.
+- The waitFor function, which waits for the page to finish rendering something that loads in the background.
+====================================
+*/
+
+
+
+import { readFileSync } from "fs";
+import path from "path";
+
+
+
+export function loadPage(page) {
+/*=============================
+Description:
+Replace the body of the test document with the body of a page of the site.
+Parameters:
+  - page: The folder of the page in src (e.g. "product_listing").
+Returns:
+  - The body element.
+=============================*/
+
+  const markup = readFileSync(path.resolve(__dirname, "../..", page, "index.html"), "utf8");
+  document.body.innerHTML = markup.match(/<body[^>]*>([\s\S]*)<\/body>/i)[1].replace(/<script[\s\S]*?<\/script>/gi, ""); // The body, without its scripts
+  return document.body;
+}
+
+
+
+export async function waitFor(check, { timeout = 1000 } = {}) {
+/*=============================
+Description:
+Wait until a function stops throwing, e.g. an expect on text that is written once some products are loaded.
+Parameters:
+  - check: A function that throws (e.g. a failing expect) until the page is ready.
+  - options: Optional. { timeout } in milliseconds (default 1000), after which the last error is thrown.
+Returns:
+  - A promise that resolves once check passes.
+=============================*/
+
+  const start = Date.now();
+  for (;;) {
+    try {
+      return check();
+    } catch (err) {
+      if (Date.now() - start > timeout) {
+        throw err;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 10)); // Let the page go on
+    }
+  }
+}
@@ -0,0 +1,30 @@
+/*
+====================================
+This Babel plugin lets Jest run the modules of the site, which read import.meta (only Vite and browsers know it):
+- import.meta.env becomes process.env, so the VITE_ variables can be set by a test (an unset variable is undefined, like in Vite).
+- import.meta.url becomes the file URL of the module, so new URL("../public/partials/header.html", import.meta.url) points at the file on disk.
+The plugin is only used when Babel runs for Jest (see the "babel" settings in package.json), so the Vite build is not changed.
+====================================
+*/
+
+const { pathToFileURL } = require("url");
+
+
+
+module.exports = function importMetaEnv({ types: t }) {
+  return {
+    visitor: {
+      MetaProperty(path, state) {
+        if (path.node.meta.name !== "import" || path.node.property.name !== "meta" || !path.parentPath.isMemberExpression()) {
+          return; // Not import.meta.something
+        }
+        const parent = path.parentPath; // import.meta.env or import.meta.url
+        if (parent.node.property.name === "env") {
+          parent.replaceWith(t.memberExpression(t.identifier("process"), t.identifier("env")));
+        } else if (parent.node.property.name === "url") {
+          parent.replaceWith(t.stringLiteral(pathToFileURL(state.filename).href));
+        }
+      },
+    },
+  };
+};
@@ -0,0 +1,41 @@
+/*
+====================================
+Tests of the login page (login.js): the page opened after signing in, which must always be a page of this site.
+====================================
+*/
+
+
+
+import { loadPage } from "./helpers/page.js";
+
+
+
+describe("getReturnURL", () => {
+  let getReturnURL;
+
+  beforeEach(async () => {
+    loadPage("login"); // The page script mounts the page as it is imported
+    ({ getReturnURL } = await import("../js/login.js"));
+  });
+
+  test.each([
+    ["/orders/index.html", "/orders/index.html"],
+    ["/order/index.html?order=A1#items", "/order/index.html?order=A1#items"],
+    ["/product_listing/index.html?category=tents", "/product_listing/index.html?category=tents"],
+  ])("follows a page of this site: %s", (redirect, path) => {
+    expect(getReturnURL(redirect)).toBe(path);
+  });
+
+  test.each([
+    ["no redirect", undefined],
+    ["another site", "https://evil.com/"],
+    ["a protocol-relative URL", "//evil.com"],
+    ["a backslash", "/\\evil.com"],
+    ["a tab after the slash", "/\t/evil.com"], // ?redirect=/%09/evil.com
+    ["a newline after the slash", "/\n/evil.com"], // ?redirect=/%0A/evil.com
+    ["a javascript: link", "javascript:alert(1)"],
+    ["the login page itself", "/login/index.html?redirect=/orders/index.html"],
+  ])("opens the account page instead of %s", (label, redirect) => {
+    expect(getReturnURL(redirect)).toBe("/account/index.html");
+  });
+});
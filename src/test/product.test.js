@@ -0,0 +1,292 @@
+/*
+====================================
+Tests of the product modules: convertToJson and the data sources of ProductData.mjs, the sort choices of productFilters.mjs, the category grid of the home page (main.js),
+the listing page of ProductList.mjs and the product page of ProductDetails.mjs.
+The products come from the JSON files of public/json or from the fixtures, through the fetch stub (see helpers/fetchStub.js).
+====================================
+*/
+
+
+
+import ProductData, { convertToJson } from "../js/ProductData.mjs";
+import ProductList from "../js/ProductList.mjs";
+import ProductDetails from "../js/ProductDetails.mjs";
+import ServicesError from "../js/ServicesError.mjs";
+import { sortProducts } from "../js/productFilters.mjs";
+import { cart } from "../js/Cart.mjs";
+import { createFetchStub, createResponse } from "./helpers/fetchStub.js";
+import { loadPage, waitFor } from "./helpers/page.js";
+import { apiResponse, backpack, discountedTent, tent } from "./fixtures/products.js";
+
+
+
+const reviewData = { // A review store without reviews, so the pages do not read reviews.json
+  getRatings: async () => ({}),
+  getReviews: async () => [],
+  addReview: async () => null,
+};
+
+
+
+beforeEach(() => {
+  new ProductData("local").clearCache(); // The response cache is shared by every instance and kept in memory between tests
+});
+
+
+
+describe("convertToJson", () => {
+  test("returns the JSON body of a successful response", async () => {
+    await expect(convertToJson(createResponse({ Result: [1, 2] }))).resolves.toEqual({ Result: [1, 2] });
+  });
+
+  test("returns null for an empty successful response", async () => {
+    await expect(convertToJson(createResponse(undefined, { status: 204 }))).resolves.toBeNull();
+  });
+
+  test("rejects a successful response that is not JSON", async () => {
+    const error = await convertToJson(createResponse("<html>", { url: "/json/tents.json" })).catch((err) => err);
+    expect(error).toBeInstanceOf(ServicesError);
+    expect(error.status).toBe(200);
+    expect(error.body).toBe("<html>");
+    expect(error.message).toBe("Response from /json/tents.json is not valid JSON");
+  });
+
+  test("rejects a failed response with its status, URL and JSON body", async () => {
+    const body = { cardNumber: "Invalid Card Number" };
+    const error = await convertToJson(createResponse(body, { status: 400, url: "https://api.test/checkout" })).catch((err) => err);
+    expect(error).toBeInstanceOf(ServicesError);
+    expect(error.status).toBe(400);
+    expect(error.url).toBe("https://api.test/checkout");
+    expect(error.body).toEqual(body);
+    expect(error.isTransient).toBe(false);
+  });
+
+  test("keeps a failed response that is not JSON as text", async () => {
+    const error = await convertToJson(createResponse("Bad Gateway", { status: 502 })).catch((err) => err);
+    expect(error.body).toBe("Bad Gateway");
+    expect(error.isTransient).toBe(true);
+  });
+
+  test("uses the URL given instead of the URL of the response", async () => {
+    const error = await convertToJson(createResponse(null, { status: 404, url: "" }), "/product/NOPE").catch((err) => err);
+    expect(error.url).toBe("/product/NOPE");
+    expect(error.isNotFound).toBe(true);
+  });
+});
+
+
+
+describe("ProductData", () => {
+  test("rejects an unknown source name", () => {
+    expect(() => new ProductData("ftp")).toThrow(`Unknown product data source "ftp"`);
+  });
+
+  test("reads a category from the bundled JSON files, with the API image sizes and the category", async () => {
+    const products = await new ProductData("local").getData("tents");
+    expect(products).toHaveLength(6);
+    expect(products[0]).toMatchObject({ Id: "880RR", Category: "tents" });
+    expect(products[0].Images.PrimaryMedium).toMatch(/^\/images\/tents\//); // The relative path of tents.json is made absolute
+  });
+
+  test("answers a category without a JSON file with no products, without requesting the file", async () => {
+    await expect(new ProductData("local").getData("hammocks")).resolves.toEqual([]);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test("answers a category with no products when the server sends index.html for its missing file", async () => {
+    global.fetch = createFetchStub({ "/json/tents.json": createResponse("<!doctype html><html></html>", { contentType: "text/html" }) }); // Like the Vite dev server
+    await expect(new ProductData("local").getData("tents")).resolves.toEqual([]);
+  });
+
+  test("reports the index.html answer of a server without the API as not valid JSON", async () => {
+    const error = await new ProductData("remote").getData("tents").catch((err) => err); // No route plays the API server, so the stub answers like Vite
+    expect(error).toBeInstanceOf(ServicesError);
+    expect(error.message).toBe("Response from products/search/tents is not valid JSON");
+    expect(error.body).toContain("<title>Sleep Outside | Home</title>");
+  });
+
+  test("still reports a bundled file that is not valid JSON", async () => {
+    global.fetch = createFetchStub({ "/json/tents.json": createResponse("[{", { contentType: "application/json" }) });
+    await expect(new ProductData("local").getData("tents")).rejects.toThrow("is not valid JSON");
+  });
+
+  test("finds a product of any bundled category by its ID, in any case", async () => {
+    const product = await new ProductData("local").findProductById("880rr");
+    expect(product.Name).toBe("Marmot Ajax Tent - 3-Person, 3-Season");
+  });
+
+  test("rejects an unknown product ID with a 404", async () => {
+    const error = await new ProductData("local").findProductById("NOPE").catch((err) => err);
+    expect(error).toBeInstanceOf(ServicesError);
+    expect(error.isNotFound).toBe(true);
+  });
+
+  test("reads the API server and caches the products of a category for the product page", async () => {
+    global.fetch = createFetchStub({ "/products/search/tents": apiResponse([tent(), discountedTent()]) });
+    const dataSource = new ProductData("remote");
+    await expect(dataSource.getData("tents")).resolves.toHaveLength(2);
+    await expect(dataSource.findProductById("TST02")).resolves.toMatchObject({ FinalPrice: 200 });
+    expect(global.fetch).toHaveBeenCalledTimes(1); // The product came from the cache
+  });
+
+  test("sends the same request only once while it is loading", async () => {
+    const dataSource = new ProductData("local");
+    await Promise.all([dataSource.getData("backpacks"), dataSource.getData("backpacks")]);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("answers an unknown product of the API server with a 404", async () => {
+    global.fetch = createFetchStub({ "/product/NOPE": apiResponse(null) });
+    const error = await new ProductData("remote").findProductById("NOPE").catch((err) => err);
+    expect(error.isNotFound).toBe(true);
+  });
+
+  test("falls back to the bundled files when the API server cannot be reached", async () => {
+    global.fetch = createFetchStub({
+      "/product/880RR": () => {
+        throw new TypeError("Failed to fetch");
+      },
+    });
+    jest.spyOn(global, "setTimeout").mockImplementation((callback) => callback()); // Skip the waits between the retries
+    try {
+      await expect(new ProductData("auto").findProductById("880RR")).resolves.toMatchObject({ Id: "880RR", Category: "tents" });
+    } finally {
+      global.setTimeout.mockRestore();
+    }
+  });
+
+  test("does not fall back when the API server answers with an error", async () => {
+    global.fetch = createFetchStub({ "/products/search/tents": createResponse({ message: "Forbidden" }, { status: 403 }) });
+    await expect(new ProductData("auto").getData("tents")).rejects.toMatchObject({ status: 403 });
+  });
+});
+
+
+
+describe("sortProducts", () => {
+  const noBrand = tent({ Id: "TST07", Brand: undefined, NameWithoutBrand: "Bivy Sack" }); // The API can leave these out
+  const noName = tent({ Id: "TST08", NameWithoutBrand: undefined });
+  const products = [discountedTent(), noBrand, tent(), noName, backpack()];
+
+  test.each([
+    ["name-asc", ["TST08", "TST07", "TST02", "TST03", "TST01"]],
+    ["name-desc", ["TST01", "TST03", "TST02", "TST07", "TST08"]],
+    ["brand-asc", ["TST07", "TST01", "TST08", "TST03", "TST02"]],
+    ["brand-desc", ["TST02", "TST03", "TST01", "TST08", "TST07"]],
+    [null, ["TST02", "TST07", "TST01", "TST08", "TST03"]],
+  ])("sorts by %s, with the products without a name or brand first in A-Z", (sort, ids) => {
+    expect(sortProducts(products, sort).map((product) => product.Id)).toEqual(ids);
+  });
+});
+
+
+
+describe("home page", () => {
+  test("shows the number of products of each category, and coming soon for a category without products", async () => {
+    loadPage(".");
+    const { mount } = await import("../js/main.js");
+    mount({}, new AbortController().signal);
+    const counts = () => Array.from(document.querySelectorAll(".category-card__count"), (count) => count.textContent);
+    await waitFor(() => expect(counts()).toEqual(["6 products", "64 products", expect.stringMatching(/ products$/), "Coming soon"]));
+    expect(document.querySelectorAll(".category-card--soon")).toHaveLength(1);
+  });
+});
+
+
+
+describe("ProductList", () => {
+  function createList(category, dataSource = new ProductData("local")) {
+    loadPage("product_listing");
+    return new ProductList(category, dataSource, document.querySelector(".product-list"), document.querySelector(".listing-controls"), { reviewData });
+  }
+
+  test("renders a card for each product, with the category name in the title and breadcrumbs", async () => {
+    await createList("tents", { getData: async () => [tent(), discountedTent()] }).init();
+    const cards = document.querySelectorAll(".product-card");
+    expect(cards).toHaveLength(2);
+    expect(cards[0].textContent).toContain("Test Tent - 2-Person");
+    expect(document.querySelector(".title").textContent).toBe("Tents");
+    expect(document.querySelector(".breadcrumbs").textContent).toContain("(2 products)");
+    expect(document.title).toBe("Sleep Outside | Tents");
+  });
+
+  test("renders and sorts a product without a brand or a name", async () => {
+    const noBrand = tent({ Id: "TST07", Brand: undefined }); // The API can leave these out
+    const noName = backpack({ NameWithoutBrand: undefined });
+    await createList("tents", { getData: async () => [tent(), noBrand, noName] }).init();
+    const sort = document.querySelector(".listing-controls").elements.sort;
+    sort.value = "brand-asc";
+    sort.dispatchEvent(new Event("input", { bubbles: true }));
+    const cards = Array.from(document.querySelectorAll(".product-card"));
+    expect(cards.map((card) => card.querySelector(".card__brand").textContent)).toEqual(["", "Marmot", "Osprey"]);
+    expect(cards.map((card) => card.querySelector(".product-card__compare-input").dataset.name)).toEqual([
+      "Test Tent - 2-Person",
+      "Marmot Test Tent - 2-Person",
+      "Osprey",
+    ]);
+  });
+
+  test("renders the products of a bundled JSON file", async () => {
+    await createList("tents").init();
+    expect(document.querySelectorAll(".product-card")).toHaveLength(6);
+  });
+
+  test("shows a coming soon page for a category without products", async () => {
+    await createList("hammocks").init();
+    expect(document.querySelector(".coming-soon h3").textContent).toBe("Hammocks: coming soon");
+    expect(document.querySelectorAll(".coming-soon .category-card").length).toBeGreaterThan(0);
+  });
+
+  test("shows a message for an unknown category", async () => {
+    await createList("canoes").init();
+    expect(document.querySelector(".product-list").textContent).toContain("Category not found");
+  });
+
+  test("offers to try again when the products cannot be loaded", async () => {
+    const getData = jest.fn()
+      .mockRejectedValueOnce(new ServicesError(503, "/products/search/tents"))
+      .mockResolvedValueOnce([backpack()]);
+    await createList("tents", { getData }).init();
+    expect(document.querySelector(".product-list").textContent).toContain("Our product server is having trouble");
+    document.querySelector(".product-list button").click();
+    await new Promise((resolve) => setTimeout(resolve, 0)); // Let init run again
+    expect(document.querySelectorAll(".product-card")).toHaveLength(1);
+  });
+});
+
+
+
+describe("ProductDetails", () => {
+  function createDetails(productId, product = tent()) {
+    loadPage("product_pages");
+    return new ProductDetails(productId, { findProductById: async () => product, getData: async () => [product] }, reviewData);
+  }
+
+  test("renders the brand, name, sale price and sanitized description", async () => {
+    await createDetails("TST02", discountedTent({ DescriptionHtmlSimple: "Roomy <img src=x onerror=alert(1)>" })).init();
+    expect(document.querySelector("h2").textContent).toBe("The North Face");
+    expect(document.querySelector("h3").textContent).toBe("Sale Tent - 4-Person");
+    expect(document.getElementById("productPrice").textContent).toContain("Save $50.00 (20% off)");
+    expect(document.getElementById("productDesc").innerHTML).not.toContain("onerror");
+  });
+
+  test("asks for a color before adding the product to the cart, then adds the chosen variant", async () => {
+    await createDetails("TST01").init();
+    document.getElementById("addToCart").click();
+    expect(document.getElementById("variant-error").textContent).toBe("Please choose a color.");
+    expect(cart.getCount()).toBe(0);
+
+    const orange = document.querySelector(`input[name="color"][value="02"]`);
+    orange.checked = true;
+    orange.dispatchEvent(new Event("change", { bubbles: true }));
+    document.getElementById("addToCart").click();
+    expect(cart.getItems()).toEqual([expect.objectContaining({ Id: "TST01", SelectedColor: { ColorCode: "02", ColorName: "Sunset Orange" }, Quantity: 1 })]);
+  });
+
+  test("shows a product not found message for an unknown product", async () => {
+    loadPage("product_pages");
+    await new ProductDetails("NOPE", new ProductData("local"), reviewData).init();
+    expect(document.body.textContent).toContain("Product not found");
+    expect(document.querySelector(".product-detail").classList.contains("hide")).toBe(true);
+  });
+});
@@ -0,0 +1,24 @@
+/*
+====================================
+Set up every test file (see "setupFilesAfterEnv" in package.json).
+Before each test:
+- fetch is replaced with the local stub server (see helpers/fetchStub.js), so the bundled JSON files and the partials are served
+  without the API server. A test that needs other answers replaces global.fetch with its own stub.
+- local and session storage are emptied, so what one test saves does not leak into the next one.
+- the page is emptied.
+====================================
+*/
+
+
+
+import { createFetchStub } from "./helpers/fetchStub.js";
+
+
+
+beforeEach(() => {
+  global.fetch = createFetchStub();
+  localStorage.clear();
+  sessionStorage.clear();
+  document.head.innerHTML = "";
+  document.body.innerHTML = "";
+});
@@ -0,0 +1,192 @@
+/*
+====================================
+Tests of the order totals (orderTotals.mjs): shipping tiers by items and by weight, the free shipping threshold, the tax rate
+of a destination, cent rounding, and how a promo code changes shipping and tax.
+Most tests use the rules of public/json/order-totals.json, so a change to the rules shows up here:
+shipping is $10 for the first item and $2 for each additional one, free from $250, and the default tax rate is 6%.
+====================================
+*/
+
+
+
+import { calculateOrderTotals, calculateShipping, getTaxRate, loadTotalsConfig } from "../js/orderTotals.mjs";
+import { evaluateCoupon } from "../js/coupons.mjs";
+import totalsRules from "../public/json/order-totals.json";
+import couponRules from "../public/json/coupons.json";
+import { backpack, tent } from "./fixtures/products.js";
+
+
+
+function item(price, quantity = 1, overrides = {}) {
+// A cart item with a price and a quantity
+  return { ...tent(), Id: `P${price}`, FinalPrice: price, Quantity: quantity, ...overrides };
+}
+
+
+
+describe("calculateShipping", () => {
+  test.each([
+    [0, 0],
+    [1, 10],
+    [2, 12],
+    [3, 14],
+    [10, 28],
+  ])("charges %i items $%d", (quantity, amount) => {
+    const items = quantity > 0 ? [item(20, quantity)] : [];
+    expect(calculateShipping(items, totalsRules).amount).toBe(amount);
+  });
+
+  test("counts the units of every line, and a missing quantity as 1", () => {
+    expect(calculateShipping([item(20, 2), item(30, undefined)], totalsRules)).toMatchObject({ amount: 14, itemCount: 3 });
+  });
+
+  test.each([
+    [249.99, 10, null],
+    [250, 0, "threshold"],
+    [400, 0, "threshold"],
+  ])("compares a subtotal of $%d to the free shipping threshold", (subtotal, amount, free) => {
+    expect(calculateShipping([item(subtotal)], totalsRules, { subtotal })).toMatchObject({ amount, free });
+  });
+
+  test("ships for free with a free shipping promo code, whatever the subtotal", () => {
+    expect(calculateShipping([item(20, 3)], totalsRules, { subtotal: 60, freeShipping: true })).toMatchObject({ amount: 0, free: "coupon" });
+  });
+
+  describe("by weight", () => {
+    const weightRules = {
+      shipping: {
+        basis: "weight",
+        tiers: [{ upTo: 5, base: 5, perUnit: 0 }, { upTo: 20, base: 5, perUnit: 0.5 }, { upTo: null, base: 12.5, perUnit: 1 }],
+        weights: { default: 3, categories: { tents: 6, hammocks: 2 } },
+      },
+    };
+
+    test.each([
+      ["5 lb, the end of the first tier", [item(10, 1, { Weight: 5 })], 5, 5],
+      ["5.5 lb, rounded up to the next pound of the second tier", [item(10, 1, { Weight: 5.5 })], 5.5, 5.5],
+      ["20 lb, the end of the second tier", [item(10, 4, { Weight: 5 })], 20, 12.5],
+      ["21 lb, in the last tier", [item(10, 1, { Weight: 21 })], 21, 13.5],
+      ["a tent and a hammock, weighed by their category", [item(10), item(10, 1, { Category: "hammocks" })], 8, 6.5],
+      ["a product of a category without a weight", [item(10, 1, { Category: "stoves" })], 3, 5],
+    ])("charges %s", (label, items, weight, amount) => {
+      expect(calculateShipping(items, weightRules)).toMatchObject({ weight, amount });
+    });
+  });
+});
+
+
+
+describe("getTaxRate", () => {
+  test.each([
+    ["no address", null, 0.06, true],
+    ["an incomplete address", { state: "", zip: "" }, 0.06, true],
+    ["a state with its own rate", { state: "CA", zip: "90001" }, 0.0725, false],
+    ["a state in lower case", { state: "ca", zip: "90001" }, 0.0725, false],
+    ["a state without sales tax", { state: "OR", zip: "97201" }, 0, false],
+    ["a zip code prefix", { state: "WA", zip: "98101" }, 0.1035, false],
+    ["a whole zip code", { state: "UT", zip: "84060" }, 0.0905, false],
+    ["another zip code of the same state", { state: "UT", zip: "84101" }, 0.0485, false],
+    ["a state without a rate in the rules", { state: "TX", zip: "75001" }, 0.06, false],
+    ["a state with an incomplete zip code", { state: "ID", zip: "834" }, 0.06, false],
+  ])("uses the rate of %s", (label, destination, rate, estimated) => {
+    expect(getTaxRate(destination, totalsRules)).toEqual({ rate, estimated });
+  });
+
+  test("uses 6% when there are no rules", () => {
+    expect(getTaxRate({ state: "CA", zip: "90001" }, null)).toEqual({ rate: 0.06, estimated: false });
+  });
+});
+
+
+
+describe("calculateOrderTotals", () => {
+  test("adds up the subtotal, shipping and tax of the cart", () => {
+    const totals = calculateOrderTotals([item(150), item(20, 2)], { config: totalsRules });
+    expect(totals).toMatchObject({ itemCount: 3, subtotal: 190, discount: 0, shipping: 14, taxRate: 0.06, taxEstimated: true, tax: 11.4, total: 215.4 });
+    expect(totals.lines.map((line) => [line.id, line.label, line.amount])).toEqual([
+      ["subtotal", "Subtotal", 190],
+      ["shipping", "Shipping", 14],
+      ["tax", "Estimated tax (6%)", 11.4],
+    ]);
+  });
+
+  test("charges nothing for an empty cart", () => {
+    expect(calculateOrderTotals([], { config: totalsRules })).toMatchObject({ subtotal: 0, shipping: 0, tax: 0, total: 0 });
+  });
+
+  test("does not tax shipping unless the rules say so", () => {
+    const items = [item(100)];
+    expect(calculateOrderTotals(items, { config: totalsRules }).tax).toBe(6);
+    expect(calculateOrderTotals(items, { config: { ...totalsRules, tax: { ...totalsRules.tax, shippingTaxable: true } } }).tax).toBe(6.6);
+  });
+
+  test("names the free shipping threshold on the shipping line", () => {
+    const shipping = calculateOrderTotals([item(260)], { config: totalsRules }).lines.find((line) => line.id === "shipping");
+    expect(shipping).toEqual({ id: "shipping", label: "Shipping (free on orders of $250.00 or more)", amount: 0, free: true });
+  });
+
+  describe("with a promo code", () => {
+    function totalsWith(code, items, destination = null) {
+      return calculateOrderTotals(items, { coupon: evaluateCoupon(code, couponRules, items), destination, config: totalsRules });
+    }
+
+    test("compares the subtotal after the discount to the free shipping threshold", () => {
+      expect(totalsWith("SAVE20", [item(260)])).toMatchObject({ subtotal: 260, discount: 20, shipping: 10, freeShipping: null, tax: 14.4, total: 264.4 });
+      expect(totalsWith("SAVE20", [item(270)])).toMatchObject({ discount: 20, shipping: 0, freeShipping: "threshold" });
+    });
+
+    test("ships for free with a free shipping code and names it on the shipping line", () => {
+      const totals = totalsWith("FREESHIP", [item(20, 3)]);
+      expect(totals).toMatchObject({ coupon: "FREESHIP", discount: 0, shipping: 0, freeShipping: "coupon", total: 63.6 });
+      expect(totals.lines.find((line) => line.id === "shipping").label).toBe("Shipping (FREESHIP)");
+    });
+
+    test("charges shipping when the code does not apply to the cart", () => {
+      expect(totalsWith("FREESHIP", [item(20)])).toMatchObject({ coupon: null, shipping: 10, freeShipping: null });
+    });
+
+    test("taxes the items after the discount, with the rate of the address", () => {
+      const totals = totalsWith("SLEEP10", [item(100), { ...backpack(), Quantity: 1 }], { state: "CA", zip: "90001" });
+      expect(totals).toMatchObject({ subtotal: 220, discount: 22, shipping: 12, taxRate: 0.0725, taxEstimated: false, tax: 14.36, total: 224.36 });
+      expect(totals.lines.map((line) => line.label)).toEqual(["Subtotal", "10% off your order (SLEEP10)", "Shipping", "Tax (7.25%)"]);
+    });
+  });
+
+  describe("rounding", () => {
+    function taxWith(rounding, items) {
+      return calculateOrderTotals(items, { config: { ...totalsRules, rounding } }).tax;
+    }
+
+    test.each([
+      ["nearest", "order", [item(10.01)], 0.6],
+      ["nearest", "order", [item(10.25)], 0.62], // Half a cent (0.615) rounds up
+      ["up", "order", [item(10.01)], 0.61],
+      ["down", "order", [item(10.09)], 0.6],
+      ["up", "order", [item(70)], 4.2], // 70 * 0.06 is 4.2000000000000002, which must not round up to 4.21
+      ["up", "order", [item(10.01), item(10.02)], 1.21], // 1.2018 rounded once
+      ["up", "line", [item(10.01), item(10.02)], 1.22], // 0.6006 and 0.6012 each rounded up
+      ["nearest", "line", [item(10.01), item(10.02)], 1.2],
+    ])("rounds the tax to the %s cent per %s", (mode, taxPer, items, tax) => {
+      expect(taxWith({ mode, taxPer }, items)).toBe(tax);
+    });
+
+    test("shares the discount between the lines before rounding the tax of each line", () => {
+      const items = [item(50), item(150)];
+      const coupon = evaluateCoupon("SLEEP10", couponRules, items);
+      const totals = calculateOrderTotals(items, { coupon, config: { ...totalsRules, rounding: { mode: "nearest", taxPer: "line" } } });
+      expect(totals.tax).toBe(10.8); // (45 + 135) * 6%
+    });
+  });
+});
+
+
+
+describe("loadTotalsConfig", () => {
+  test("reads the rules of order-totals.json once per page", async () => {
+    const rules = await loadTotalsConfig();
+    expect(rules.shipping.freeShippingThreshold).toBe(250);
+    expect(rules.tax.states.WA).toBe(0.065);
+    await loadTotalsConfig();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
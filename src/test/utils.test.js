@@ -0,0 +1,120 @@
+/*
+====================================
+Tests of the page helpers of utils.mjs: rendering lists with a template, cleaning HTML from the server,
+and loading the header and footer partials (read from public/partials by the fetch stub, see helpers/fetchStub.js).
+====================================
+*/
+
+
+
+import { html, loadHeaderFooter, renderListWithTemplate, sanitizeHtml } from "../js/utils.mjs";
+
+
+
+const itemTemplate = (item) => html`<li>${item}</li>`;
+
+
+
+function texts(parent) {
+// The text of each child of an element
+  return Array.from(parent.children).map((child) => child.textContent);
+}
+
+
+
+describe("renderListWithTemplate", () => {
+  let list;
+
+  beforeEach(() => {
+    document.body.innerHTML = "<ul><li>existing</li></ul>";
+    list = document.querySelector("ul");
+  });
+
+  test("inserts the items before the existing content by default", () => {
+    renderListWithTemplate(itemTemplate, list, ["a", "b"]);
+    expect(texts(list)).toEqual(["a", "b", "existing"]);
+  });
+
+  test("inserts the items at the position given", () => {
+    renderListWithTemplate(itemTemplate, list, ["a", "b"], "beforeend");
+    expect(texts(list)).toEqual(["existing", "a", "b"]);
+  });
+
+  test("replaces the existing content when asked to clear it", () => {
+    renderListWithTemplate(itemTemplate, list, ["a"], "afterbegin", true);
+    expect(texts(list)).toEqual(["a"]);
+  });
+
+  test("escapes the values of the items", () => {
+    renderListWithTemplate(itemTemplate, list, ["<img src=x onerror=alert(1)>"], "afterbegin", true);
+    expect(list.querySelector("img")).toBeNull();
+    expect(texts(list)).toEqual(["<img src=x onerror=alert(1)>"]);
+  });
+
+  test("shows a template that returns a plain string as text", () => {
+    renderListWithTemplate((item) => `<b>${item}</b>`, list, ["a"], "afterbegin", true);
+    expect(list.querySelector("b")).toBeNull();
+    expect(list.textContent).toBe("<b>a</b>");
+  });
+});
+
+
+
+describe("sanitizeHtml", () => {
+  function linkOf(href) {
+    // The href kept on a link after cleaning, or null
+    const template = document.createElement("template");
+    template.innerHTML = sanitizeHtml(`<a href="${href}">link</a>`);
+    return template.content.querySelector("a").getAttribute("href");
+  }
+
+  test.each([
+    ["https://example.com/tents", "https://example.com/tents"],
+    ["mailto:help@example.com", "mailto:help@example.com"],
+    ["/product_pages/index.html?product=880RR", "/product_pages/index.html?product=880RR"],
+    ["../index.html", "../index.html"],
+  ])("keeps the link %s", (href, kept) => {
+    expect(linkOf(href)).toBe(kept);
+  });
+
+  test.each([
+    ["javascript:alert(1)"],
+    ["JavaScript:alert(1)"],
+    [" javascript:alert(1)"],
+    ["java&#9;script:alert(1)"],
+    ["java&#10;script:alert(1)"],
+    ["java\tscript:alert(1)"],
+    ["java\nscript:alert(1)"],
+    ["data:text/html,<script>alert(1)</script>"],
+    ["vbscript:msgbox(1)"],
+  ])("drops the link %j", (href) => {
+    expect(linkOf(href)).toBeNull();
+  });
+
+  test("removes scripts, event attributes and unknown elements but keeps their text", () => {
+    expect(sanitizeHtml(`<p onclick="x()">A <strong>light</strong> <img src=x onerror=alert(1)><script>alert(1)</script><font>tent</font></p>`))
+      .toBe("<p>A <strong>light</strong> tent</p>");
+  });
+});
+
+
+
+describe("loadHeaderFooter", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `<header id="main-header"></header><main></main><footer id="main-footer"></footer>`;
+  });
+
+  test("renders the header and footer partials", async () => {
+    await loadHeaderFooter();
+    expect(document.querySelector("#main-header .logo")).not.toBeNull();
+    expect(document.querySelector("#main-header form.search")).not.toBeNull();
+    expect(document.getElementById("main-footer").innerHTML).not.toBe("");
+    expect(global.fetch).toHaveBeenCalledWith(expect.objectContaining({ href: expect.stringMatching(/public\/partials\/header\.html$/) }));
+  });
+
+  test("calls back with the header and footer once they are rendered", async () => {
+    const callback = jest.fn((header) => expect(header.querySelector(".logo")).not.toBeNull());
+    await loadHeaderFooter(callback);
+    expect(callback).toHaveBeenCalledWith(document.getElementById("main-header"), document.getElementById("main-footer"));
+  });
+});
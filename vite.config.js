@@ -1,25 +1,34 @@
 /*
-Anytime you add or remove more .HTML files to the site 
-you will need to update this config or the production 
-version of the site will break.
+Every index.html under src/ (except the public folder) is a page of the site.
+They are found automatically, so adding a page only means adding its folder with an index.html.
+The entry name of a page is its folder name ("main" for src/index.html).
 */
 
+import { existsSync, readdirSync } from "fs";
 import { resolve } from "path";
 import { defineConfig } from "vite";
 
+function findPages(root) {
+  // Map the entry name of each page to its index.html, one folder deep like the rest of the site
+  const pages = { main: resolve(root, "index.html") };
+  readdirSync(root, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && entry.name !== "public")
+    .forEach((entry) => {
+      const page = resolve(root, entry.name, "index.html");
+      if (existsSync(page)) {
+        pages[entry.name] = page;
+      }
+    });
+  return pages;
+}
+
 export default defineConfig({
   root: "src/",
 
   build: {
     outDir: "../dist",
     rollupOptions: {
-      input: {
-        main: resolve(__dirname, "src/index.html"),
-        cart: resolve(__dirname, "src/cart/index.html"),
-        checkout: resolve(__dirname, "src/checkout/index.html"),
-        product: resolve(__dirname, "src/product_pages/index.html"),
-        listing: resolve(__dirname, "src/product_listing/index.html"),
-      },
+      input: findPages(resolve(__dirname, "src")),
     },
   },
 });